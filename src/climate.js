@@ -40,10 +40,10 @@
 //-----------------------------------------------------------------------------
 //enum ClimateFileFormats {
 var UNKNOWN_FORMAT = 0
-var USER_PREPARED = 0     // SWMM 5's own user format
-var GHCND = 0             // NCDC GHCN Daily format
-var TD3200 = 0            // NCDC TD3200 format
-var DLY0204 = 0          // Canadian DLY02 or DLY04 format
+var USER_PREPARED = 1     // SWMM 5's own user format
+var GHCND = 2             // NCDC GHCN Daily format
+var TD3200 = 3            // NCDC TD3200 format
+var DLY0204 = 4          // Canadian DLY02 or DLY04 format
 var MAXCLIMATEVARS  = 4;
 var MAXDAYSPERMONTH = 32;
 
@@ -55,7 +55,7 @@ var EVAP = 2
 var WIND = 3
 //enum   WindSpeedType  {WDMV, AWND};
 var WDMV = 0
-var AWND = 0
+var AWND = 1
 ClimateVarWords = ["TMIN", "TMAX", "EVAP", "WDMV", "AWND",
                                   null];
 
@@ -92,7 +92,7 @@ var    Dhrdy;                // hrs. between min. & max. temp. times
 var    Dydif;                // hrs. between max. & min. temp. times
 var  LastDay;              // date of last day with temp. data
 //static TMovAve   Tma;                  // moving average of daily temperatures
-var Tma;
+var Tma = new TMovAve();
 
 // Evaporation variables
 var  NextEvapDate;         // next date when evap. rate changes
@@ -107,7 +107,7 @@ var      FileLastDay;           // last day of current month of file data
 var      FileElapsedDays;       // number of days read from file
 var   FileValue = new Array(4);          // current day's values of climate data
 var   FileData = Array.from(Array(4), () => new Array(32)) // [4][32];       // month's worth of daily climate data
-var   FileLine;   // line from climate data file
+var   FileLine = "";   // line from climate data file
 
 var      FileFieldPos = new Array(4);       // start of data fields for file record
 var      FileDateFieldPos;      // start of date field for file record 
@@ -176,7 +176,8 @@ function  climate_readParams(tok, ntoks)
 
         // --- save name and usage mode of external climate file
         Fclimate.mode = USE_FILE;
-        sstrncpy(Fclimate.name, tok[1], MAXFNAME);
+        //sstrncpy(Fclimate.name, tok[1], MAXFNAME);
+        Fclimate.name = tok[1];
 
         // --- save starting date to read from file if one is provided
         Temp.fileStartDate = NO_DATE;
@@ -345,6 +346,7 @@ function climate_readEvapParams(tok, ntoks)
         // --- for monthly evap., read a value for each month of year
         if ( ntoks < 13 ) return error_setInpError(ERR_ITEMS, "");
         for ( i=0; i<12; i++)
+        {
             ////////////////////////////////////
             returnObj = {y: Evap.monthlyEvap[i]}
             returnVal = getDouble(tok[i+1], returnObj);
@@ -353,6 +355,7 @@ function climate_readEvapParams(tok, ntoks)
             if(!returnVal)
             //if ( null == (Evap.monthlyEvap[i] = getDouble(tok[i+1])))
                 return error_setInpError(ERR_NUMBER, tok[i+1]);
+        }
         break;
 
       case TIMESERIES_EVAP:
@@ -580,14 +583,18 @@ function climate_openFile()
 //
 {
     let i, m, y;
+    let contents;
     let returnObj;
 
     // --- open the file
-    if ( (Fclimate.file = fopen(Fclimate.name, "rt")) == null )
+    //     (the file's text is stored in memory under its name)
+    //if ( (Fclimate.file = fopen(Fclimate.name, "rt")) == null )
+    if ( (contents = memfile_readText(Fclimate.name)) == null )
     {
         report_writeErrorMsg(ERR_CLIMATE_FILE_OPEN, Fclimate.name);
         return;
     }
+    Fclimate.file = tfopen(contents);
 
     // --- initialize values of file's climate variables
     //     (Temp.ta was previously initialized in project.c)
@@ -606,8 +613,10 @@ function climate_openFile()
 
     // --- position file to begin reading climate file at either user-specified
     //     month/year or at start of simulation period.
-    rewind(Fclimate.file);
-    strcpy(FileLine, "");
+    //rewind(Fclimate.file);
+    tfseek(Fclimate.file, 0);
+    //strcpy(FileLine, "");
+    FileLine = "";
     if ( Temp.fileStartDate == NO_DATE ){
         //datetime_decodeDate(StartDate, FileYear, FileMonth, FileDay);
         ////////////////////////////////////
@@ -628,13 +637,22 @@ function climate_openFile()
         FileDay = returnObj.day;
         ////////////////////////////////////
     }
-    while ( !feof(Fclimate.file) )
+    //while ( !feof(Fclimate.file) )
+    while ( !tfeof(Fclimate.file) )
     {
-        strcpy(FileLine, "");
-        readFileLine(y, m);
+        //strcpy(FileLine, "");
+        FileLine = "";
+        //readFileLine(&y, &m);
+        ////////////////////////////////////
+        returnObj = {y: y, m: m}
+        readFileLine(returnObj);
+        y = returnObj.y;
+        m = returnObj.m;
+        ////////////////////////////////////
         if ( y == FileYear && m == FileMonth ) break;
     }
-    if ( feof(Fclimate.file) )
+    //if ( feof(Fclimate.file) )
+    if ( y != FileYear || m != FileMonth )
     {
         report_writeErrorMsg(ERR_CLIMATE_END_OF_FILE, Fclimate.name);
         return;
@@ -699,7 +717,8 @@ function climate_initState()
     // --- initialize variables for temperature evaporation
     if ( Evap.type == TEMPERATURE_EVAP )
     {
-        Tma.maxCount = sizeof(Tma.ta) / sizeof(double);
+        //Tma.maxCount = sizeof(Tma.ta) / sizeof(double);
+        Tma.maxCount = Tma.ta.length;
         Tma.count = 0;
         Tma.front = 0;
         Tma.tAve = 0.0;
@@ -816,7 +835,7 @@ function setNextEvapDate(theDate)
 
       // --- for climate file daily evaporation, use the next day
       case FILE_EVAP:
-        NextEvapDate = floor(theDate) + 1.0;
+        NextEvapDate = Math.floor(theDate) + 1.0;
         break;
 
       default: NextEvapDate = theDate + 365.;
@@ -840,7 +859,7 @@ function updateFileValues(theDate)
     let deltaDays;
 
     // --- see if a new day has begun
-    deltaDays = (int)(floor(theDate) - floor(StartDateTime));
+    deltaDays = Math.floor(Math.floor(theDate) - Math.floor(StartDateTime));
     if ( deltaDays > FileElapsedDays )
     {
         // --- advance day counters
@@ -894,7 +913,7 @@ function setTemp(theDate)
 
     // --- see if a new day has started
     mon = datetime_monthOfYear(theDate);
-    theDay = floor(theDate);
+    theDay = Math.floor(theDate);
     if ( theDay > LastDay )
     {
         // --- update min. & max. temps & their time of day
@@ -918,7 +937,7 @@ function setTemp(theDate)
         }
 
         // --- compute snow melt coefficients based on day of year
-        Snow.season = sin(0.0172615*(day-81.0));
+        Snow.season = Math.sin(0.0172615*(day-81.0));
         for (j=0; j<Nobjects[SNOWMELT]; j++)
         {
             snow_setMeltCoeffs(j, Snow.season);
@@ -934,11 +953,11 @@ function setTemp(theDate)
     {
         hour = (theDate - theDay) * 24.0;
         if ( hour < Hrsr )
-            Temp.ta = Tmin + Trng1/2.0 * sin(PI/Dydif * (Hrsr - hour));
+            Temp.ta = Tmin + Trng1/2.0 * Math.sin(PI/Dydif * (Hrsr - hour));
         else if ( hour >= Hrsr && hour <= Hrss )
-            Temp.ta = Tave + Trng * sin(PI/Dhrdy * (Hrday - hour));
+            Temp.ta = Tave + Trng * Math.sin(PI/Dhrdy * (Hrday - hour));
         else
-            Temp.ta = Tmax - Trng * sin(PI/Dydif * (hour - Hrss));
+            Temp.ta = Tmax - Trng * Math.sin(PI/Dydif * (hour - Hrss));
     }
 
     // --- for user-supplied temperature time series,
@@ -968,7 +987,7 @@ function setTemp(theDate)
     }
 
     // --- compute saturation vapor pressure
-    Temp.ea = 8.1175e6 * exp(-7701.544 / (Temp.ta + 405.0265) );
+    Temp.ea = 8.1175e6 * Math.exp(-7701.544 / (Temp.ta + 405.0265) );
 }
 
 //=============================================================================
@@ -1069,11 +1088,11 @@ function updateTempTimes(day)
     let hrang;                      // hour angle of sunrise/sunset
     let arg;
 
-    decl  = 0.40928*cos(0.017202*(172.0-day));
-    arg = -tan(decl)*Temp.tanAnglat;
+    decl  = 0.40928*Math.cos(0.017202*(172.0-day));
+    arg = -Math.tan(decl)*Temp.tanAnglat;
     if      ( arg <= -1.0 ) arg = PI;
     else if ( arg >= 1.0 )  arg = 0.0;
-    else                    arg = acos(arg);
+    else                    arg = Math.acos(arg);
     hrang = 3.8197 * arg;
     Hrsr  = 12.0 - hrang + Temp.dtlong;
     Hrss  = 12.0 + hrang + Temp.dtlong - 3.0;
@@ -1103,21 +1122,20 @@ function getTempEvap(day, tave, trng)
     let ta = (tave - 32.0)*5.0/9.0;           //average temperature (deg C)
     let tr = trng*5.0/9.0;                    //temperature range (deg C)
     let lamda = 2.50 - 0.002361 * ta;         //latent heat of vaporization
-    let dr = 1.0 + 0.033*cos(a*day);          //relative earth-sun distance
+    let dr = 1.0 + 0.033*Math.cos(a*day);     //relative earth-sun distance
     let phi = Temp.anglat*2.0*PI/360.0;       //latitude angle (rad)
-    let del = 0.4093*sin(a*(284+day));        //solar declination angle (rad)
-    let omega = acos(-tan(phi)*tan(del));     //sunset hour angle (rad)
+    let del = 0.4093*Math.sin(a*(284+day));   //solar declination angle (rad)
+    let omega = Math.acos(-Math.tan(phi)*Math.tan(del)); //sunset hour angle (rad)
     let ra = 37.6*dr*                         //extraterrestrial radiation
-                (omega*sin(phi)*sin(del) +
-                 cos(phi)*cos(del)*sin(omega));
-    let e = 0.0023*ra/lamda*sqrt(tr)*(ta+17.8);    //evap. rate (mm/day)
+                (omega*Math.sin(phi)*Math.sin(del) +
+                 Math.cos(phi)*Math.cos(del)*Math.sin(omega));
+    let e = 0.0023*ra/lamda*Math.sqrt(tr)*(ta+17.8);    //evap. rate (mm/day)
     if ( e < 0.0 ) e = 0.0;
     if ( UnitSystem == US ) e /= MMperINCH;           //evap rate (in/day)
     return e;
 }
 
 //=============================================================================
-
 function  getFileFormat()
 //
 //  Input:   none
@@ -1128,31 +1146,34 @@ function  getFileFormat()
     let recdType = "";
     let elemType = ""; //size 4
     let filler = "";   // size 5
-    let staID;        // size 80
-    let s;            // size 80
     let line;    // size MAXLINE
 
-    let  y, m, d, n;
+    let  n;
 
     // --- read first line of file
-    if ( fgets(line, MAXLINE, Fclimate.file) == null ) return UNKNOWN_FORMAT;
+    //if ( fgets(line, MAXLINE, Fclimate.file) == null ) return UNKNOWN_FORMAT;
+    if ( (line = tfgets(Fclimate.file)) == null ) return UNKNOWN_FORMAT;
 
     // --- check for TD3200 format
-    sstrncpy(recdType, line, 3);
-    sstrncpy(filler, line[23], 4);
-    if ( strcmp(recdType, "DLY") == 0 &&
-         strcmp(filler, "9999")  == 0 ) return TD3200;
+    //sstrncpy(recdType, line, 3);
+    //sstrncpy(filler, &line[23], 4);
+    recdType = line.slice(0, 3);
+    filler = line.slice(23, 27);
+    if ( recdType == "DLY" &&
+         filler == "9999" ) return TD3200;
 
     // --- check for DLY0204 format
     if ( line.length >= 233 )
     {
-        sstrncpy(elemType, line[13], 3);
+        //sstrncpy(elemType, &line[13], 3);
+        elemType = line.slice(13, 16);
         n = parseInt(elemType);
         if ( n == 1 || n == 2 || n == 151 ) return DLY0204;
     }
 
     // --- check for USER_PREPARED format
-    n = sscanf(line, "%s %d %d %d %s", staID, y, m, d, s);
+    //n = sscanf(line, "%s %d %d %d %s", staID, &y, &m, &d, s);
+    n = sscanf(line, "%s %d %d %d %s").length;
     if ( n == 5 ) return USER_PREPARED;
 
     // --- check for GHCND format
@@ -1163,57 +1184,73 @@ function  getFileFormat()
 
 //=============================================================================
 //int *y, int *m
-function readFileLine(y, m)
+////////////////////////////////////
+//returnObj = {y: y, m: m}
+//readFileLine(returnObj);
+//y = returnObj.y;
+//m = returnObj.m;
+////////////////////////////////////
+function readFileLine(inObj)
 //
 //  Input:   none
-//  Output:  y = year
-//           m = month
+//  Output:  inObj.y = year
+//           inObj.m = month
 //  Purpose: reads year & month from next line of climate file.
 //
 {
+    let line;
+
     // --- read next line from climate data file
+    //     (blank lines are skipped)
     while ( FileLine.length == 0 )
     {
-        if ( fgets(FileLine, MAXLINE, Fclimate.file) == null ) return;
-     	if ( FileLine[0] == '\n' ) FileLine[0] = '\0';
+        //if ( fgets(FileLine, MAXLINE, Fclimate.file) == null ) return;
+        if ( (line = tfgets(Fclimate.file)) == null ) return;
+        FileLine = line;
     }
 
     // --- parse year & month from line
     switch (FileFormat)
     {
-    case  USER_PREPARED: readUserFileLine(y, m);   break;
-    case  TD3200:        readTD3200FileLine(y,m);  break;
-    case  DLY0204:       readDLY0204FileLine(y,m); break;
-    case  GHCND:         readGhcndFileLine(y,m);   break; 
+    case  USER_PREPARED: readUserFileLine(inObj);   break;
+    case  TD3200:        readTD3200FileLine(inObj);  break;
+    case  DLY0204:       readDLY0204FileLine(inObj); break;
+    case  GHCND:         readGhcndFileLine(inObj);   break; 
     }
 }
 
 //=============================================================================
 // int* y, int* m
-function readUserFileLine(y, m)
+function readUserFileLine(inObj)
 //
 //  Input:   none
-//  Output:  y = year
-//           m = month
+//  Output:  inObj.y = year
+//           inObj.m = month
 //  Purpose: reads year & month from line of User-Prepared climate file.
 //
 {
     let n;
-    let staID;
-    n = sscanf(FileLine, "%s %d %d", staID, y, m);
+    let vals;
+
+    //n = sscanf(FileLine, "%s %d %d", staID, y, m);
+    vals = sscanf(FileLine, "%s %d %d");
+    n = vals.length;
     if ( n < 3 )
     {
         report_writeErrorMsg(ERR_CLIMATE_FILE_READ, Fclimate.name);
+        return;
     }
+    inObj.y = vals[1];
+    inObj.m = vals[2];
 }
 
 //=============================================================================
 // int* y, int* m
-function readTD3200FileLine(y, m)
+function readTD3200FileLine(inObj)
 //
 //  Input:   none
-//  Output:  y = year
-//           m = month
+//  Output:  inObj.y = year
+//           inObj.m = month
 //  Purpose: reads year & month from line of TD-3200 climate file.
 //
 {
@@ -1231,27 +1268,30 @@ function readTD3200FileLine(y, m)
     }
 
     // --- check for proper type of record
-    sstrncpy(recdType, FileLine, 3);
-    if ( strcmp(recdType, "DLY") != 0 )
+    //sstrncpy(recdType, FileLine, 3);
+    recdType = FileLine.slice(0, 3);
+    if ( recdType != "DLY" )
     {
         report_writeErrorMsg(ERR_CLIMATE_FILE_READ, Fclimate.name);
         return;
     }
 
     // --- get record's date
-    sstrncpy(year,  FileLine[17], 4);
-    sstrncpy(month, FileLine[21], 2);
-    y = parseInt(year);
-    m = parseInt(month);
+    //sstrncpy(year,  &FileLine[17], 4);
+    //sstrncpy(month, &FileLine[21], 2);
+    year = FileLine.slice(17, 21);
+    month = FileLine.slice(21, 23);
+    inObj.y = parseInt(year);
+    inObj.m = parseInt(month);
 }
 
 //=============================================================================
 // int* y, int* m
-function readDLY0204FileLine(y, m)
+function readDLY0204FileLine(inObj)
 //
 //  Input:   none
-//  Output:  y = year
-//           m = month
+//  Output:  inObj.y = year
+//           inObj.m = month
 //  Purpose: reads year & month from line of DLY02 or DLY04 climate file.
 //
 {
@@ -1268,10 +1308,12 @@ function readDLY0204FileLine(y, m)
     }
 
     // --- get record's date
-    sstrncpy(year,  FileLine[7], 4);
-    sstrncpy(month, FileLine[11], 2);
-    y = parseInt(year);
-    m = parseInt(month);
+    //sstrncpy(year,  &FileLine[7], 4);
+    //sstrncpy(month, &FileLine[11], 2);
+    year = FileLine.slice(7, 11);
+    month = FileLine.slice(11, 13);
+    inObj.y = parseInt(year);
+    inObj.m = parseInt(month);
 }
 
 //=============================================================================
@@ -1285,6 +1327,7 @@ function readFileValues()
 {
     let  i, j;
     let  y, m;
+    let  returnObj;
 
     // --- initialize FileData array to missing values
     for ( i=0; i<MAXCLIMATEVARS; i++)
@@ -1295,8 +1338,16 @@ function readFileValues()
     while ( !ErrorCode )
     {
         // --- return when date on line is after current file date
-        if ( feof(Fclimate.file) ) return;
-        readFileLine(y, m);
+        //     (a line already read into FileLine is still to be processed)
+        //if ( feof(Fclimate.file) ) return;
+        if ( FileLine.length == 0 && tfeof(Fclimate.file) ) return;
+        //readFileLine(&y, &m);
+        ////////////////////////////////////
+        returnObj = {y: y, m: m}
+        readFileLine(returnObj);
+        y = returnObj.y;
+        m = returnObj.m;
+        ////////////////////////////////////
         if ( y > FileYear || m > FileMonth ) return;
 
         // --- parse climate values from file line
@@ -1307,7 +1358,8 @@ function readFileValues()
         case  DLY0204:       parseDLY0204FileLine(); break;
         case  GHCND:         parseGhcndFileLine();   break; 
         }
-        strcpy(FileLine, "");
+        //strcpy(FileLine, "");
+        FileLine = "";
     }
 }
 
@@ -1324,22 +1376,26 @@ function parseUserFileLine()
     let   n;
     let   y, m, d;
     let  staID//[80];
-    let  s0//[80];
-    let  s1//[80];
-    let  s2//[80];
-    let  s3//[80];
+    let  s0 = ""//[80];
+    let  s1 = ""//[80];
+    let  s2 = ""//[80];
+    let  s3 = ""//[80];
     let x;
+    let vals;
 
     // --- read day, Tmax, Tmin, Evap, & Wind from file line
-    n = sscanf(FileLine, "%s %d %d %d %s %s %s %s",
-        staID, y, m, d, s0, s1, s2, s3);
+    //n = sscanf(FileLine, "%s %d %d %d %s %s %s %s",
+    //    staID, &y, &m, &d, s0, s1, s2, s3);
+    vals = sscanf(FileLine, "%s %d %d %d %s %s %s %s");
+    n = vals.length;
     if ( n < 4 ) return;
+    [staID, y, m, d, s0 = "", s1 = "", s2 = "", s3 = ""] = vals;
     if ( d < 1 || d > 31 ) return;
 
     // --- process TMAX
     if ( s0.length > 0 && s0 != '*' )
     {
-        x = atof(s0);
+        x = parseFloat(s0) || 0.0;
         if ( UnitSystem == SI ) x = 9./5.*x + 32.0;
         FileData[TMAX][d] =  x;
     }
@@ -1347,16 +1403,16 @@ function parseUserFileLine()
     // --- process TMIN
     if ( s1.length > 0 && s1 != '*' )
     {
-        x = atof(s1);
+        x = parseFloat(s1) || 0.0;
         if ( UnitSystem == SI ) x = 9./5.*x + 32.0;
         FileData[TMIN][d] =  x;
     }
 
     // --- process EVAP
-    if ( s2.length > 0 && s2 != '*' ) FileData[EVAP][d] = atof(s2);
+    if ( s2.length > 0 && s2 != '*' ) FileData[EVAP][d] = parseFloat(s2) || 0.0;
 
     // --- process WIND
-    if ( s3.length > 0 && s3 != '*' ) FileData[WIND][d] = atof(s3);
+    if ( s3.length > 0 && s3 != '*' ) FileData[WIND][d] = parseFloat(s3) || 0.0;
 }
 
 //=============================================================================
@@ -1372,12 +1428,13 @@ function parseTD3200FileLine()
     let param = "";// [5]
 
     // --- parse parameter name
-    sstrncpy(param, FileLine[11], 4);
+    //sstrncpy(param, &FileLine[11], 4);
+    param = FileLine.slice(11, 15);
 
     // --- see if parameter is temperature, evaporation or wind speed
     for (i=0; i<MAXCLIMATEVARS; i++)
     {
-        if (strcmp(param, ClimateVarWords[i]) == 0 ) setTD3200FileValues(i);
+        if ( param == ClimateVarWords[i] ) setTD3200FileValues(i);
     }
 }
 
@@ -1401,7 +1458,7 @@ function setTD3200FileValues(i)
     let  lineLength;
 
     // --- parse number of days with data from cols. 27-29 of file line
-    //sstrncpy(valCount, FileLine[27], 3);
+    //sstrncpy(valCount, &FileLine[27], 3);
     valCount = FileLine.slice(27, 30)
     nValues = parseInt(valCount);
     lineLength = FileLine.length;
@@ -1419,9 +1476,9 @@ function setTD3200FileValues(i)
             //sstrncpy(value, &FileLine[k+5], 5);
             //sstrncpy(flag2, &FileLine[k+11], 1);
             day = FileLine.slice(k, k+2)
-            sign = FileLine.slice(k+4, k+1)
-            value = FileLine.slice(k, k+5)
-            flag2 = FileLine.slice(k, k+1)
+            sign = FileLine.slice(k+4, k+5)
+            value = FileLine.slice(k+5, k+10)
+            flag2 = FileLine.slice(k+11, k+12)
 
             // --- if value is valid then store it in FileData array
             d = parseInt(day);
@@ -1495,20 +1552,20 @@ function parseDLY0204FileLine()
 
         // --- if value is valid then store it in FileData array
 
-        if ( strcmp(value, "99999") != 0 && strcmp(value, "     ") != 0 )
+        if ( value != "99999" && value != "     " )
         {
             switch (p)
             {
             case TMAX:
             case TMIN:
                 // --- convert from integer tenths of a degree C to degrees F
-                x = atof(value) / 10.0;
+                x = parseFloat(value) / 10.0;
                 if ( sign[0] == '-' ) x = -x;
                 x = 9./5.*x + 32.0;
                 break;
             case EVAP:
                 // --- convert from 0.1 mm to inches or mm
-                x = atof(value) / 10.0;
+                x = parseFloat(value) / 10.0;
                 if ( UnitSystem == US ) x /= MMperINCH;
                 break;
 			default: return;
@@ -1532,30 +1589,28 @@ function isGhcndFormat(line)
     let ptr;
 
     // --- find starting position of the DATE field
-    ptr = strstr(line, "DATE");
-    if ( ptr == null ) return FALSE;
-    FileDateFieldPos = ptr - line;
+    //ptr = strstr(line, "DATE");
+    ptr = line.indexOf("DATE");
+    if ( ptr < 0 ) return FALSE;
+    FileDateFieldPos = ptr;
 
     // --- initialize starting position of each data field
     for ( i = TMIN; i <= WIND; i++) FileFieldPos[i] = -1;
 
     // --- find starting position of each climate variable's data field
-    ptr = strstr(line, "TMIN");
-    if ( ptr ) FileFieldPos[TMIN] = ptr - line;
-    ptr = strstr(line, "TMAX");
-    if ( ptr ) FileFieldPos[TMAX] = ptr - line;
-    ptr = strstr(line, "EVAP");
-    if ( ptr ) FileFieldPos[EVAP] = ptr - line;
+    FileFieldPos[TMIN] = line.indexOf("TMIN");
+    FileFieldPos[TMAX] = line.indexOf("TMAX");
+    FileFieldPos[EVAP] = line.indexOf("EVAP");
 
     // --- WIND can either be daily movement or average speed
     FileWindType = WDMV;
-    ptr = strstr(line, "WDMV");
-    if ( ptr == null )
+    ptr = line.indexOf("WDMV");
+    if ( ptr < 0 )
     {
         FileWindType = AWND;
-        ptr = strstr(line, "AWND");
+        ptr = line.indexOf("AWND");
     }
-    if ( ptr ) FileFieldPos[WIND] = ptr - line;
+    FileFieldPos[WIND] = ptr;
 
     // --- check if at least one climate variable was found
     for (i = TMIN; i <= WIND; i++) if (FileFieldPos[i] >= 0 ) return TRUE;
@@ -1564,20 +1619,39 @@ function isGhcndFormat(line)
 
 //=============================================================================
 // int* y, int* m
-function readGhcndFileLine(y, m)
+function readGhcndFileLine(inObj)
 //
 //  Input:   none
-//  Output:  y = year
-//           m = month
+//  Output:  inObj.y = year
+//           inObj.m = month
 //  Purpose: reads year & month from line of a NCDC GHCN Daily climate file.
 //
 {
-    let n = sscanf(FileLine[FileDateFieldPos], "%4d%2d", y, m);
-    if ( n != 2 )
+    //let n = sscanf(&FileLine[FileDateFieldPos], "%4d%2d", y, m);
+    let vals = sscanf(FileLine.substring(FileDateFieldPos), "%4d%2d");
+    if ( vals.length != 2 )
     {
-        y = -99999;
-        m = -99999;
+        inObj.y = -99999;
+        inObj.m = -99999;
+        return;
     }
+    [inObj.y, inObj.m] = vals;
+}
+
+//=============================================================================
+// int pos
+function readGhcndFieldValue(pos)
+//
+//  Input:   pos = starting position of a field on the current file line
+//  Output:  returns the field's integer value or null if none was read
+//  Purpose: reads the value of a data field from a line of a NCDC GHCN
+//           Daily climate file.
+//
+{
+    //if ( sscanf(&FileLine[pos], "%8d", &v) > 0 )
+    let vals = sscanf(FileLine.substring(pos), "%8d");
+    if ( vals.length > 0 ) return vals[0];
+    return null;
 }
 
 //=============================================================================
@@ -1593,26 +1667,30 @@ function parseGhcndFileLine()
 {
     let y, m, d, n, v;
     let x;
+    let vals;
 
     // --- parse day of month from date field
-    n = sscanf(FileLine[FileDateFieldPos], "%4d%2d%2d", y, m, d);
+    //n = sscanf(&FileLine[FileDateFieldPos], "%4d%2d%2d", &y, &m, &d);
+    vals = sscanf(FileLine.substring(FileDateFieldPos), "%4d%2d%2d");
+    n = vals.length;
     if ( n < 3 ) return;
+    [y, m, d] = vals;
     if ( d < 1 || d > 31 ) return;
 
     // --- parse temperatures (in tenths of deg. C) to deg F
     if ( FileFieldPos[TMAX] >= 0 )
     {
-        if ( sscanf(FileLine[FileFieldPos[TMAX]], "%8d", v) > 0 )
+        if ( (v = readGhcndFieldValue(FileFieldPos[TMAX])) != null )
         {
-            if ( abs(v) < 9999 )
+            if ( Math.abs(v) < 9999 )
                 FileData[TMAX][d] = v*0.1*9.0/5.0 + 32.0;
         }
     }
     if ( FileFieldPos[TMIN] >= 0 )
     {
-        if ( sscanf(FileLine[FileFieldPos[TMIN]], "%8d", v) > 0 )
+        if ( (v = readGhcndFieldValue(FileFieldPos[TMIN])) != null )
         {
-            if ( abs(v) < 9999 )
+            if ( Math.abs(v) < 9999 )
                 FileData[TMIN][d] = v*0.1*9.0/5.0 + 32.0;
         }
     }
@@ -1620,9 +1698,9 @@ function parseGhcndFileLine()
     // -- parse evaporation (in tenths of mm) to user units
     if ( FileFieldPos[EVAP] >= 0 )
     {
-        if ( sscanf(FileLine[FileFieldPos[EVAP]], "%8d", v) > 0 )
+        if ( (v = readGhcndFieldValue(FileFieldPos[EVAP])) != null )
         {
-            if ( abs(v) < 9999 )
+            if ( Math.abs(v) < 9999 )
             {
                 x = v * 0.1;
                 if ( UnitSystem == US ) x /= MMperINCH;
@@ -1635,9 +1713,9 @@ function parseGhcndFileLine()
     //     to miles/hr
     if ( FileFieldPos[WIND] >= 0 )
     {
-        if ( sscanf(FileLine[FileFieldPos[WIND]], "%8d", v) > 0 )
+        if ( (v = readGhcndFieldValue(FileFieldPos[WIND])) != null )
         {
-            if ( abs(v) < 9999 )
+            if ( Math.abs(v) < 9999 )
             {
                 if ( FileWindType == WDMV ) x = v * 0.62137 / 24.;
                 else x = v * 0.1 / 1000. * 0.62137 * 3600.;
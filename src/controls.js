@@ -50,6 +50,10 @@
 //  - Support added for DAYOFYEAR attribute.
 //  - Modulated controls no longer included in reported control actions.
 //
+//  JavaScript port:
+//  - getVariableValue renamed getRuleVariableValue since treatmnt.c's
+//    getVariableValue is also a global.
+//
 //-----------------------------------------------------------------------------
 
 //-----------------------------------------------------------------------------
@@ -136,7 +140,7 @@ class TPremise
         this.rhsVar = new TVariable();     // right hand side variable 
         this.relation;             // relational operator (>, <, =, etc)
         this.value;                // right hand side value
-        this.next = new TPremise();       // next premise clause of rule
+        this.next = null;          // next premise clause of rule
     }
 };
 
@@ -154,7 +158,7 @@ class  TAction
         this.kd;       // coeffs. for PID modulated control
         this.e1
         this.e2;           // PID set point error from previous time steps
-        this.nex = new  TAction();    // next action clause of rule
+        this.next = null;      // next action clause of rule
     }
 };
 
@@ -162,8 +166,8 @@ class  TAction
 class  TActionList          
 {
     constructor(){
-        this.action = new TAction();
-        this.next = new TActionList();
+        this.action = null;
+        this.next = null;
     }
 };
 
@@ -173,10 +177,10 @@ class  TRule
     constructor(){
         this.ID;                        // rule ID
         this.priority;                  // priority level
-        this.firstPremise = new  TPremise() ;    // pointer to first premise of rule
-        this.lastPremise = new  TPremise();     // pointer to last premise of rule
-        this.thenActions = new  TAction();     // linked list of actions if true
-        this.elseActions = new  TAction();     // linked list of actions if false
+        this.firstPremise = null;       // pointer to first premise of rule
+        this.lastPremise = null;        // pointer to last premise of rule
+        this.thenActions = null;        // linked list of actions if true
+        this.elseActions = null;        // linked list of actions if false
     }
 };
 
@@ -217,6 +221,7 @@ function  controls_create(n)
     RuleCount = n;
     if ( n == 0 ) return 0;
     //Rules = (struct TRule *) calloc(RuleCount, sizeof(struct TRule));
+    Rules = [];
     for(let i = 0; i < RuleCount; i++){Rules.push(new TRule())}
     if (Rules == null) return ERR_MEMORY;
     for ( r=0; r<RuleCount; r++ )
@@ -389,6 +394,9 @@ function  addPremise(r, type, tok, nToks)
 {
     let relation, n, err = 0;
     let value = MISSING;
+
+    // return facilitators
+    let returnObj;
     //struct TPremise* p;
     //struct TVariable v1;
     //struct TVariable v2;
@@ -401,7 +409,12 @@ function  addPremise(r, type, tok, nToks)
 
     // --- get LHS variable
     n = 1;
-    err = getPremiseVariable(tok, n, v1);
+    ////////////////////////////////////
+    returnObj = {k: n}
+    err = getPremiseVariable(tok, returnObj, v1);
+    n = returnObj.k;
+    ////////////////////////////////////
+    //err = getPremiseVariable(tok, &n, &v1);
     if ( err > 0 ) return err;
 
     // --- get relational operator
@@ -421,7 +434,12 @@ function  addPremise(r, type, tok, nToks)
     // --- see if a RHS variable is supplied
     if ( findmatch(tok[n], ObjectWords) >= 0 && n + 3 >= nToks )
     {
-        err = getPremiseVariable(tok, n, v2);
+        ////////////////////////////////////
+        returnObj = {k: n}
+        err = getPremiseVariable(tok, returnObj, v2);
+        n = returnObj.k;
+        ////////////////////////////////////
+        //err = getPremiseVariable(tok, &n, &v2);
         if ( err > 0 ) return ERR_RULE;
         if ( v1.attribute != v2.attribute)
             report_writeWarningMsg(WARN11, Rules[r].ID);
@@ -430,7 +448,12 @@ function  addPremise(r, type, tok, nToks)
     // --- otherwise get value to which LHS variable is compared to
     else
     {
-        err = getPremiseValue(tok[n], v1.attribute, value);
+        ////////////////////////////////////
+        returnObj = {value: value}
+        err = getPremiseValue(tok[n], v1.attribute, returnObj);
+        value = returnObj.value;
+        ////////////////////////////////////
+        //err = getPremiseValue(tok[n], v1.attribute, &value);
         n++;
     }
     if ( err > 0 ) return err;
@@ -462,17 +485,17 @@ function  addPremise(r, type, tok, nToks)
 
 //=============================================================================
 // char* tok[], int* k, struct TVariable* v
-function getPremiseVariable(tok, k, v)
+function getPremiseVariable(tok, inObj, v)
 //
 //  Input:   tok = array of string tokens containing premise statement
-//           k = index of current token
-//  Output:  returns an error code; updates k to new current token and
+//           inObj.k = index of current token
+//  Output:  returns an error code; updates inObj.k to new current token and
 //           places identity of specified variable in v
 //  Purpose: parses a variable (e.g., Node 123 Depth) specified in a
 //           premise clause of a control rule.
 //
 {
-    let    n = k;
+    let    n = inObj.k;
     let    node = -1;
     let    link = -1;
     let    obj, attrib;
@@ -560,17 +583,17 @@ function getPremiseVariable(tok, k, v)
     v.node      = node;
     v.link      = link;
     v.attribute = attrib;
-    k = n;
+    inObj.k = n;
     return 0;
 }
 
 //=============================================================================
 //char* token, int attrib, double* value
-function getPremiseValue(token, attrib, value)
+function getPremiseValue(token, attrib, inObj)
 //
 //  Input:   token = a string token
 //           attrib = index of a node/link attribute
-//  Output:  value = attribute value;
+//  Output:  inObj.value = attribute value;
 //           returns an error code;
 //  Purpose: parses the numerical value of a particular node/link attribute
 //           in the premise clause of a control rule.
@@ -584,9 +607,9 @@ function getPremiseValue(token, attrib, value)
     switch (attrib)
     {
       case r_STATUS:
-        value = findmatch(token, StatusWords);
-		if ( value < 0.0 ) value = findmatch(token, ConduitWords);
-        if ( value < 0.0 ) return error_setInpError(ERR_KEYWORD, token);
+        inObj.value = findmatch(token, StatusWords);
+		if ( inObj.value < 0.0 ) inObj.value = findmatch(token, ConduitWords);
+        if ( inObj.value < 0.0 ) return error_setInpError(ERR_KEYWORD, token);
         break;
 
       case r_TIME:
@@ -594,9 +617,9 @@ function getPremiseValue(token, attrib, value)
       case r_TIMEOPEN:
       case r_TIMECLOSED:
         ////////////////////////////////////
-        let returnObj = {t: value}
-        let returnVal = datetime_strToTime(token, returnObj);
-        vaule = returnObj.t;
+        returnObj = {t: inObj.value}
+        returnVal = datetime_strToTime(token, returnObj);
+        inObj.value = returnObj.t;
         ////////////////////////////////////
         if ( !returnVal )
         //if ( !datetime_strToTime(token, value) )
@@ -604,50 +627,62 @@ function getPremiseValue(token, attrib, value)
         break;
 
       case r_DATE:
-        if ( !datetime_strToDate(token, value) )
+        ////////////////////////////////////
+        returnObj = {d: inObj.value}
+        returnVal = datetime_strToDate(token, returnObj);
+        inObj.value = returnObj.d;
+        ////////////////////////////////////
+        if ( !returnVal )
+        //if ( !datetime_strToDate(token, value) )
             return error_setInpError(ERR_DATETIME, token);
         break;
 
       case r_DAY:
         ////////////////////////////////////
-        returnObj = {y: value}
+        returnObj = {y: inObj.value}
         returnVal = getDouble(token, returnObj);
-        value = returnObj.y;
+        inObj.value = returnObj.y;
         ////////////////////////////////////
         if(!returnVal)
         //if ( !getDouble(token, value) ) 
             return error_setInpError(ERR_NUMBER, token);
-        if ( value < 1.0 || value > 7.0 )
+        if ( inObj.value < 1.0 || inObj.value > 7.0 )
              return error_setInpError(ERR_DATETIME, token);
         break;
 
       case r_MONTH:
         ////////////////////////////////////
-        returnObj = {y: value}
+        returnObj = {y: inObj.value}
         returnVal = getDouble(token, returnObj);
-        value = returnObj.y;
+        inObj.value = returnObj.y;
         ////////////////////////////////////
         if(!returnVal)
         //if ( !getDouble(token, value) )
             return error_setInpError(ERR_NUMBER, token);
-        if ( value < 1.0 || value > 12.0 )
+        if ( inObj.value < 1.0 || inObj.value > 12.0 )
              return error_setInpError(ERR_DATETIME, token);
         break;
 
       case r_DAYOFYEAR:
-        strncpy(strDate, token, 6);
-        strDate += "/1947";
-        if ( datetime_strToDate(strDate, value) )
+        //strncpy(strDate, token, 6);
+        //strcat(strDate, "/1947");
+        strDate = token.substring(0, 6) + "/1947";
+        ////////////////////////////////////
+        returnObj = {d: inObj.value}
+        returnVal = datetime_strToDate(strDate, returnObj);
+        ////////////////////////////////////
+        if ( returnVal )
+        //if ( datetime_strToDate(strDate, value) )
         {
-            value = datetime_dayOfYear(value);
+            inObj.value = datetime_dayOfYear(returnObj.d);
         }
         else{
             ////////////////////////////////////
-            returnObj = {y: value}
+            returnObj = {y: inObj.value}
             returnVal = getDouble(token, returnObj);
-            value = returnObj.y;
+            inObj.value = returnObj.y;
             ////////////////////////////////////
-            if(!returnVal || value < 1 || value > 365 )
+            if(!returnVal || inObj.value < 1 || inObj.value > 365 )
             //if ( !getDouble(token, value) || value < 1 || value > 365 )
                 return error_setInpError(ERR_DATETIME, token);
         } 
@@ -655,9 +690,9 @@ function getPremiseValue(token, attrib, value)
        
       default:
         ////////////////////////////////////
-        returnObj = {y: value}
+        returnObj = {y: inObj.value}
         returnVal = getDouble(token, returnObj);
-        value = returnObj.y;
+        inObj.value = returnObj.y;
         ////////////////////////////////////
         if(!returnVal) 
         //if ( !getDouble(token, value) )
@@ -685,6 +720,9 @@ function  addAction(r, tok, nToks)
 
     let a// = new TAction();
 
+    // return facilitators
+    let returnObj;
+
     // --- check for proper number of tokens
     if ( nToks < 6 ) return error_setInpError(ERR_ITEMS, "");
 
@@ -747,8 +785,15 @@ function  addAction(r, tok, nToks)
         }
         else if ( attrib == r_SETTING )
         {
-            err = setActionSetting(tok, nToks, curve, tseries,
-                                   attrib, values);
+            ////////////////////////////////////
+            returnObj = {curve: curve, tseries: tseries, attrib: attrib}
+            err = setActionSetting(tok, nToks, returnObj, values);
+            curve = returnObj.curve;
+            tseries = returnObj.tseries;
+            attrib = returnObj.attrib;
+            ////////////////////////////////////
+            //err = setActionSetting(tok, nToks, &curve, &tseries,
+            //                       &attrib, values);
             if ( err > 0 ) return err;
         }
         else return error_setInpError(ERR_KEYWORD, tok[3]);
@@ -758,8 +803,15 @@ function  addAction(r, tok, nToks)
     {
         if ( attrib == r_SETTING )
         {
-           err = setActionSetting(tok, nToks, curve, tseries,
-                                  attrib, values);
+           ////////////////////////////////////
+           returnObj = {curve: curve, tseries: tseries, attrib: attrib}
+           err = setActionSetting(tok, nToks, returnObj, values);
+           curve = returnObj.curve;
+           tseries = returnObj.tseries;
+           attrib = returnObj.attrib;
+           ////////////////////////////////////
+           //err = setActionSetting(tok, nToks, &curve, &tseries,
+           //                       &attrib, values);
            if ( err > 0 ) return err;
            if (  attrib == r_SETTING
            && (values[0] < 0.0 || values[0] > 1.0) ) 
@@ -809,14 +861,13 @@ function  addAction(r, tok, nToks)
 //=============================================================================
 // char* tok[], int nToks, int* curve, int* tseries,
 //     int* attrib, double values[]
-function  setActionSetting(tok, nToks, curve, tseries,
-                       attrib, values)
+function  setActionSetting(tok, nToks, inObj, values)
 //
 //  Input:   tok = array of string tokens containing action statement
 //           nToks = number of string tokens
-//  Output:  curve = index of controller curve
-//           tseries = index of controller time series
-//           attrib = r_PID if PID controller used
+//  Output:  inObj.curve = index of controller curve
+//           inObj.tseries = index of controller time series
+//           inObj.attrib = r_PID if PID controller used
 //           values = values of control settings
 //           returns an error code
 //  Purpose: identifies how control actions settings are determined.
@@ -824,6 +875,10 @@ function  setActionSetting(tok, nToks, curve, tseries,
 {
     let k, m;
 
+    // return facilitators
+    let returnObj;
+    let returnVal;
+
     // --- see if control action is determined by a Curve or Time Series
     if (nToks < 6) return error_setInpError(ERR_ITEMS, "");
     k = findmatch(tok[5], SettingTypeWords);
@@ -835,14 +890,14 @@ function  setActionSetting(tok, nToks, curve, tseries,
     case r_CURVE:
         m = project_findObject(CURVE, tok[6]);
         if ( m < 0 ) return error_setInpError(ERR_NAME, tok[6]);
-        curve = m;
+        inObj.curve = m;
         break;
 
     // --- control determined by a time series - find time series index
     case r_TIMESERIES:
         m = project_findObject(TSERIES, tok[6]);
         if ( m < 0 ) return error_setInpError(ERR_NAME, tok[6]);
-        tseries = m;
+        inObj.tseries = m;
         Tseries[m].refersTo = CONTROL;
         break;
 
@@ -860,7 +915,7 @@ function  setActionSetting(tok, nToks, curve, tseries,
             //if ( !getDouble(tok[m], values[m-6]) )
                 return error_setInpError(ERR_NUMBER, tok[m]);
         }
-        attrib = r_PID;
+        inObj.attrib = r_PID;
         break;
 
     // --- direct numerical control is used
@@ -1063,8 +1118,8 @@ function evaluatePremise(p, tStep)
     let lhsValue, rhsValue;
     let    result = false;
 
-    lhsValue = getVariableValue(p.lhsVar);
-    if ( p.value == MISSING ) rhsValue = getVariableValue(p.rhsVar);
+    lhsValue = getRuleVariableValue(p.lhsVar);
+    if ( p.value == MISSING ) rhsValue = getRuleVariableValue(p.rhsVar);
     else                       rhsValue = p.value;
     if ( lhsValue == MISSING || rhsValue == MISSING ) return false;
     switch (p.lhsVar.attribute)
@@ -1084,7 +1139,7 @@ function evaluatePremise(p, tStep)
 
 //=============================================================================
 // struct TVariable v
-function getVariableValue(v)
+function getRuleVariableValue(v)
 {
     let i = v.node;
     let j = v.link;
@@ -0,0 +1,400 @@
+//-----------------------------------------------------------------------------
+//   culvert.c
+//
+//   Project:  EPA SWMM5
+//   Version:  5.1
+//   Date:     03/20/14   (Build 5.1.001)
+//   Author:   L. Rossman
+//
+//   Culvert equations for SWMM5
+//
+//   Computes flow reduction in a culvert-type conduit due to
+//   inlet control using equations from the FHWA HDS-5 circular.
+//
+//   JavaScript port:
+//   - Params renamed CulvertParams and its column enumeration given a CV_
+//     prefix so they do not collide with other single letter globals.
+//   - The slope correction for mitered inlets uses the HDS-5 value of +0.7S.
+//
+//-----------------------------------------------------------------------------
+
+//-----------------------------------------------------------------------------
+//  Constants
+//-----------------------------------------------------------------------------
+var MAX_CULVERT_CODE = 57;
+
+//enum CulvertParam {FORM, K, M, C, Y};
+var CV_FORM = 0
+var CV_K    = 1
+var CV_M    = 2
+var CV_C    = 3
+var CV_Y    = 4
+
+var CulvertParams = [
+//   FORM   K       M     C        Y
+//------------------------------------------------------
+    [0.0,  0.0,    0.0,  0.0,     0.00],
+
+    //Circular concrete
+    [1.0,  0.0098, 2.00, 0.0398,  0.67],   //Square edge w/headwall
+    [1.0,  0.0018, 2.00, 0.0292,  0.74],   //Groove end w/headwall
+    [1.0,  0.0045, 2.00, 0.0317,  0.69],   //Groove end projecting
+
+    //Circular Corrugated Metal Pipe
+    [1.0,  0.0078, 2.00, 0.0379,  0.69],   //Headwall
+    [1.0,  0.0210, 1.33, 0.0463,  0.75],   //Mitered to slope
+    [1.0,  0.0340, 1.50, 0.0553,  0.54],   //Projecting
+
+    //Circular Pipe, Beveled Ring Entrance
+    [1.0,  0.0018, 2.50, 0.0300,  0.74],   //45 deg. bevels
+    [1.0,  0.0018, 2.50, 0.0243,  0.83],   //33.7 deg. bevels
+
+    //Rectangular Box with Flared Wingwalls
+    [1.0,  0.026,  1.0,  0.0347,  0.81],   //30-75 deg. flares
+    [1.0,  0.061,  0.75, 0.0400,  0.80],   //90 or 15 deg. flares
+    [1.0,  0.061,  0.75, 0.0423,  0.82],   //0 deg. flares (straight sides)
+
+    //Rectanglar Box with Flared Wingwalls & Top Edge Bevel
+    [2.0,  0.510,  0.667, 0.0309, 0.80],   //45 deg. flare; 0.43D top edge bevel
+    [2.0,  0.486,  0.667, 0.0249, 0.83],   //18-33.7 deg flare; 0.083D top edge bevel
+
+    //Rectangular Box; 90-deg Headwall; Chamfered or Beveled Inlet Edges
+    [2.0,  0.515,  0.667, 0.0375, 0.79],   //chamfered 3/4-in
+    [2.0,  0.495,  0.667, 0.0314, 0.82],   //beveled 1/2-in/ft at 45 deg (1:1)
+    [2.0,  0.486,  0.667, 0.0252, 0.865],  //beveled 1-in/ft at 33.7 deg (1:1.5)
+
+    //Rectangular Box; Skewed Headwall; Chamfered or Beveled Inlet Edges
+    [2.0,  0.545,  0.667, 0.04505,0.73],   //3/4" chamfered edge, 45 deg skewed headwall
+    [2.0,  0.533,  0.667, 0.0425, 0.705],  //3/4" chamfered edge, 30 deg skewed headwall
+    [2.0,  0.522,  0.667, 0.0402, 0.68],   //3/4" chamfered edge, 15 deg skewed headwall
+    [2.0,  0.498,  0.667, 0.0327, 0.75],   //45 deg beveled edge, 10-45 deg skewed headwall
+
+    //Rectangular box, Non-offset Flared Wingwalls; 3/4" Chamfer at Top of Inlet
+    [2.0,  0.497,  0.667, 0.0339, 0.803],  //45 deg (1:1) wingwall flare
+    [2.0,  0.493,  0.667, 0.0361, 0.806],  //18.4 deg (3:1) wingwall flare
+    [2.0,  0.495,  0.667, 0.0386, 0.71],   //18.4 deg (3:1) wingwall flare, 30 deg inlet skew
+
+    //Rectangular box, Offset Flared Wingwalls, Beveled Edge at Inlet Top
+    [2.0,  0.497,  0.667, 0.0302, 0.835],  //45 deg (1:1) flare, 0.042D top edge bevel
+    [2.0,  0.495,  0.667, 0.0252, 0.881],  //33.7 deg (1.5:1) flare, 0.083D top edge bevel
+    [2.0,  0.493,  0.667, 0.0227, 0.887],  //18.4 deg (3:1) flare, 0.083D top edge bevel
+
+    // Corrugated Metal Box
+    [1.0,  0.0083, 2.00, 0.0379,  0.69],   //90 deg headwall
+    [1.0,  0.0145, 1.75, 0.0419,  0.64],   //Thick wall projecting
+    [1.0,  0.0340, 1.50, 0.0496,  0.57],   //Thin wall projecting
+
+    // Horizontal Ellipse Concrete
+    [1.0,  0.0100, 2.00, 0.0398,  0.67],   //Square edge w/headwall
+    [1.0,  0.0018, 2.50, 0.0292,  0.74],   //Grooved end w/headwall
+    [1.0,  0.0045, 2.00, 0.0317,  0.69],   //Grooved end projecting
+
+    // Vertical Ellipse Concrete
+    [1.0,  0.0100, 2.00, 0.0398,  0.67],   //Square edge w/headwall
+    [1.0,  0.0018, 2.50, 0.0292,  0.74],   //Grooved end w/headwall
+    [1.0,  0.0095, 2.00, 0.0317,  0.69],   //Grooved end projecting
+
+    // Pipe Arch, 18" Corner Radius, Corrugated Metal
+    [1.0,  0.0083, 2.00, 0.0379,  0.69],   //90 deg headwall
+    [1.0,  0.0300, 1.00, 0.0463,  0.75],   //Mitered to slope
+    [1.0,  0.0340, 1.50, 0.0496,  0.57],   //Projecting
+
+    // Pipe Arch, 18" Corner Radius, Corrugated Metal
+    [1.0,  0.0300, 1.50, 0.0496,  0.57],   //Projecting
+    [1.0,  0.0088, 2.00, 0.0368,  0.68],   //No bevels
+    [1.0,  0.0030, 2.00, 0.0269,  0.77],   //33.7 deg bevels
+
+    // Pipe Arch, 31" Corner Radius, Corrugated Metal
+    [1.0,  0.0300, 1.50, 0.0496,  0.57],   //Projecting
+    [1.0,  0.0088, 2.00, 0.0368,  0.68],   //No bevels
+    [1.0,  0.0030, 2.00, 0.0269,  0.77],   //33.7 deg. bevels
+
+    // Arch, Corrugated Metal
+    [1.0,  0.0083, 2.00, 0.0379,  0.69],   //90 deg headwall
+    [1.0,  0.0300, 1.00, 0.0473,  0.75],   //Mitered to slope
+    [1.0,  0.0340, 1.50, 0.0496,  0.57],   //Thin wall projecting
+
+    // Circular Culvert
+    [2.0,  0.534,  0.555, 0.0196, 0.90],   //Smooth tapered inlet throat
+    [2.0,  0.519,  0.640, 0.0210, 0.90],   //Rough tapered inlet throat
+
+    // Elliptical Inlet Face
+    [2.0,  0.536,  0.622, 0.0368, 0.83],   //Tapered inlet, beveled edges
+    [2.0,  0.5035, 0.719, 0.0478, 0.80],   //Tapered inlet, square edges
+    [2.0,  0.547,  0.800, 0.0598, 0.75],   //Tapered inlet, thin edge projecting
+
+    // Rectangular
+    [2.0,  0.475,  0.667, 0.0179, 0.97],   //Tapered inlet throat
+
+    // Rectangular Concrete
+    [2.0,  0.560,  0.667, 0.0446, 0.85],   //Side tapered, less favorable edges
+    [2.0,  0.560,  0.667, 0.0378, 0.87],   //Side tapered, more favorable edges
+
+    // Rectangular Concrete
+    [2.0,  0.500,  0.667, 0.0446, 0.65],   //Slope tapered, less favorable edges
+    [2.0,  0.500,  0.667, 0.0378, 0.71]    //Slope tapered, more favorable edges
+];
+
+//-----------------------------------------------------------------------------
+//  Culvert data structure
+//-----------------------------------------------------------------------------
+class TCulvert
+{
+    constructor(){
+        this.yFull;           // full depth of culvert (ft)
+        this.scf;             // slope correction factor
+        this.dQdH;            // derivative of flow w.r.t. head
+        this.qc;              // unsubmerged flow at critical depth
+        this.kk;              // coeff. for unsubmerged flow
+        this.mm;              // exponent for unsubmerged flow
+        this.ad;              // value of A / D^0.5
+        this.hPlus;           // intermediate variable
+        this.xsect;           // TXsect* ptr. to culvert's cross section
+    }
+}  ;
+
+//-----------------------------------------------------------------------------
+//  External functions (declared in funcs.h)
+//-----------------------------------------------------------------------------
+//  culvert_getInflow       (called by dwflow_findConduitFlow in dwflow.c)
+
+//-----------------------------------------------------------------------------
+//  Local functions
+//-----------------------------------------------------------------------------
+//static double getUnsubmergedFlow(int code, double h, TCulvert* culvert);
+//static double getSubmergedFlow(int code, double h, TCulvert* culvert);
+//static double getTransitionFlow(int code, double h, double h1, double h2,
+//              TCulvert* culvert);
+//static double getForm1Flow(double h, TCulvert* culvert);
+//static double form1Eqn(double yc, void* p);
+
+//=============================================================================
+// int j, double q0, double h
+function culvert_getInflow(j, q0, h)
+//
+//  Input:   j  = link index
+//           q0 = unmodified flow rate (cfs)
+//           h  = upstream head (ft)
+//  Output:  returns modified flow rate through culvert (cfs)
+//  Purpose: uses FHWA HDS-5 equations to find flow through inlet
+//           controlled culverts
+//
+{
+    let    code;            // culvert type code number
+    let    k;               // index of culvert conduit
+    let    y,               // inlet depth above culvert invert (ft)
+           y1,              // depth where unsubmerged flow ends (ft)
+           y2,              // depth where submerged flow begins (ft)
+           q;               // inlet controlled flow (cfs)
+    //TCulvert culvert;
+    let culvert = new TCulvert();
+
+    // --- check that we have a culvert conduit
+    if ( Link[j].type != CONDUIT ) return q0;
+    culvert.xsect = Link[j].xsect;
+    code = culvert.xsect.culvertCode;
+    if ( code <= 0 || code > MAX_CULVERT_CODE ) return q0;
+
+    // --- compute often-used variables
+    k = Link[j].subIndex;
+    culvert.yFull = Link[j].xsect.yFull;
+    culvert.ad = Link[j].xsect.aFull / Math.sqrt(culvert.yFull);
+    culvert.kk = CulvertParams[code][CV_K];
+    culvert.mm = CulvertParams[code][CV_M];
+    culvert.dQdH = 0.0;
+
+    // --- slope correction factor (-0.7 for mitered inlets, 0.5 for others)
+    switch (code)
+    {
+      case 5:
+      case 37:
+      case 46:
+        culvert.scf = -0.7 * Conduit[k].slope;
+        break;
+      default:
+        culvert.scf = 0.5 * Conduit[k].slope;
+    }
+
+    // --- convert head to depth above the culvert's inlet invert
+    y = h - (Node[Link[j].node1].invertElev + Link[j].offset1);
+    if ( y <= 0.0 ) return q0;
+
+    // --- check for submerged flow (based on FHWA criteria of Q/AD > 4)
+    y2 = culvert.yFull * (16.0 * CulvertParams[code][CV_C] +
+         CulvertParams[code][CV_Y] - culvert.scf);
+    if ( y >= y2 ) q = getSubmergedFlow(code, y, culvert);
+
+    // --- check for unsubmerged flow (based on FHWA criteria of Q/AD < 3.5)
+    else
+    {
+        y1 = 0.95 * culvert.yFull;
+        if ( y <= y1 ) q = getUnsubmergedFlow(code, y, culvert);
+
+        // --- otherwise flow is in transition zone
+        else q = getTransitionFlow(code, y, y1, y2, culvert);
+    }
+
+    // --- check if inlet controls and replace conduit's value of dq/dh
+    if ( q < q0 )
+    {
+        Link[j].inletControl = TRUE;
+        Link[j].dqdh = culvert.dQdH * Conduit[k].barrels;
+        return q;
+    }
+    return q0;
+}
+
+//=============================================================================
+// int code, double h, TCulvert* culvert
+function getUnsubmergedFlow(code, h, culvert)
+//
+//  Input:   code    = culvert type code number
+//           h       = inlet water depth above culvert invert (ft)
+//           culvert = ptr. to a culvert data structure
+//  Output:  returns flow rate (cfs)
+//  Purpose: computes flow rate and its derivative w.r.t. head
+//           for unsubmerged inlet conditions.
+//
+{
+    let arg;
+    let q;
+
+    // --- evaluate correct equation form
+    if ( CulvertParams[code][CV_FORM] == 1.0 ) q = getForm1Flow(h, culvert);
+    else
+    {
+        // --- HW/D = K * (Q/AD^0.5)^M
+        arg = h / culvert.yFull / culvert.kk;
+        q = culvert.ad * Math.pow(arg, 1.0/culvert.mm);
+        culvert.dQdH = q / h / culvert.mm;
+    }
+    return q;
+}
+
+//=============================================================================
+// int code, double h, TCulvert* culvert
+function getSubmergedFlow(code, h, culvert)
+//
+//  Input:   code    = culvert type code number
+//           h       = inlet water depth above culvert invert (ft)
+//           culvert = ptr. to a culvert data structure
+//  Output:  returns flow rate (cfs)
+//  Purpose: computes flow rate and its derivative w.r.t. head
+//           for submerged inlet conditions.
+//
+{
+    let cc = CulvertParams[code][CV_C];
+    let yy = CulvertParams[code][CV_Y];
+    let arg;
+    let q;
+
+    // --- HW/D = c * (Q/AD^0.5)^2 + Y - scf
+    arg = h / culvert.yFull - yy + culvert.scf;
+    if ( arg <= 0.0 )
+    {
+        culvert.dQdH = 0.0;
+        return BIG;
+    }
+    q = Math.sqrt(arg / cc) * culvert.ad;
+    culvert.dQdH = 0.5 * q / arg / culvert.yFull;
+    return q;
+}
+
+//=============================================================================
+// int code, double h, double h1, double h2, TCulvert* culvert
+function getTransitionFlow(code, h, h1, h2, culvert)
+//
+//  Input:   code    = culvert type code number
+//           h       = inlet water depth above culvert invert (ft)
+//           h1      = depth where unsubmerged flow ends (ft)
+//           h2      = depth where submerged flow begins (ft)
+//           culvert = ptr. to a culvert data structure
+//  Output:  returns flow rate (cfs)
+//  Purpose: computes flow rate and its derivative w.r.t. head
+//           for transition between unsubmerged and submerged flow
+//           by interpolating between the two.
+//
+{
+    let q1 = getUnsubmergedFlow(code, h1, culvert);
+    let q2 = getSubmergedFlow(code, h2, culvert);
+    let q = q1 + (q2 - q1) * (h - h1) / (h2 - h1);
+    culvert.dQdH = (q2 - q1) / (h2 - h1);
+    return q;
+}
+
+//=============================================================================
+// double h, TCulvert* culvert
+function getForm1Flow(h, culvert)
+//
+//  Input:   h       = inlet water depth above culvert invert (ft)
+//           culvert = ptr. to a culvert data structure
+//  Output:  returns inlet controlled flow rate (cfs)
+//  Purpose: computes inlet-controlled flow rate for unsubmerged culvert
+//           using FHWA Equation Form 1.
+//
+//  See pages 195-196 of FHWA HDS-5 (2001) for details.
+//
+{
+    // ret facil
+    let returnObj;
+    let returnVal;
+
+    // --- save re-used terms in culvert structure
+    culvert.hPlus = h / culvert.yFull + culvert.scf;
+
+    // --- use Ridder's method to solve Equation Form 1 for critical depth
+    //     between a range of 0.01h and h
+    ////////////////////////////////////
+    returnObj = {p: culvert}
+    returnVal = findroot_Ridder(0.01*h, h, 0.001, form1Eqn, returnObj)
+    culvert = returnObj.p;
+    ////////////////////////////////////
+    //findroot_Ridder(0.01*h, h, 0.001, form1Eqn, culvert);
+
+    // --- return the flow value used in evaluating Equation Form 1
+    return culvert.qc;
+}
+
+//=============================================================================
+// double yc, void* p
+function form1Eqn(yc, inObj)
+//
+//  Input:   yc = critical depth
+//           p  = pointer to a TCulvert object
+//  Output:  returns residual error
+//  Purpose: evaluates the error in satisfying FHWA culvert Equation Form 1:
+//
+//  h/yFull + 0.5*s = yc/yFull + yh/2/yFull + K[ac/ad*(g*yh)^0.5]^M
+//
+//  for a given value of critical depth yc where:
+//    h = inlet depth above culvert invert
+//    s = culvert slope
+//    yFull = full depth of culvert
+//    yh = hydraulic depth at critical depth
+//    ac = flow area at critical depth
+//    g = accel. of gravity
+//    K and M = coefficients
+//
+{
+    let ac, wc, yh;
+    let dHdQ;
+    //TCulvert* culvert = (TCulvert *)p;
+    let culvert = inObj.p;
+
+    ac = xsect_getAofY(culvert.xsect, yc);
+    wc = xsect_getWofY(culvert.xsect, yc);
+    yh = ac/wc;
+
+    culvert.qc = ac * Math.sqrt(GRAVITY * yh);
+
+    // --- derivative of head w.r.t. flow (critical energy term plus
+    //     the unsubmerged inlet loss term) used for dQ/dH
+    dHdQ = 1.0 / (wc * Math.sqrt(GRAVITY * yh)) + culvert.yFull * culvert.kk *
+           culvert.mm * Math.pow(culvert.qc/culvert.ad, culvert.mm - 1.0) /
+           culvert.ad;
+    culvert.dQdH = 1.0 / dHdQ;
+
+    return (yc + yh/2.0) / culvert.yFull +
+           culvert.kk * Math.pow(culvert.qc / culvert.ad, culvert.mm) -
+           culvert.hPlus;
+}
@@ -470,21 +470,21 @@ function datetime_strToTime(s, inObj)
     let  n, hr = 0, min = 0, sec = 0;
 
     // Attempt to read time as decimal hours
-    inObj.t = parseInt(s);
-    if ( inObj.t == NaN )
+    //   (the whole string must be numeric, as with strtod in getDouble)
+    if ( s.trim().length > 0 && !isNaN(Number(s)) )
     {
-        inObj.t /= 24.0;
-        return t;
+        inObj.t = Number(s) / 24.0;
+        return 1;
     }
 
     // Read time in hr:min:sec format
     inObj.t = 0.0;
     //n = sscanf(s, "%d:%d:%d", &hr, &min, &sec);
-    vals = s.split(/[:]+/)
-            n = vals.length
-            if(n === 3) hr = parseInt(vals[0])
-            min = parseInt(vals[n-2])
-            sec = parseInt(vals[n-1])
+    let vals = s.split(/[:]+/);
+    n = 0;
+    if ( vals.length > 0 && !isNaN(parseInt(vals[0])) ) hr = parseInt(vals[0]), n++;
+    if ( n == 1 && vals.length > 1 && !isNaN(parseInt(vals[1])) ) min = parseInt(vals[1]), n++;
+    if ( n == 2 && vals.length > 2 && !isNaN(parseInt(vals[2])) ) sec = parseInt(vals[2]), n++;
     if ( n == 0 ) return 0;
     if(isNaN(hr)) hr = 0;
     if(isNaN(min)) min = 0;
@@ -110,6 +110,7 @@ var SAVE_FILE = 3                        // save file currently in use
 
 var RAIN_TSERIES = 0                     // rainfall from user-supplied time series
 var RAIN_FILE = 1                        // rainfall from external file
+var RAIN_API = 2                         // rainfall set by swmm_setValue
 
 //-------------------------------------
 // Cross section shape types
@@ -0,0 +1,267 @@
+//-----------------------------------------------------------------------------
+//   exfil.c
+//
+//   Project:  EPA SWMM5
+//   Version:  5.1
+//   Date:     09/15/14   (Build 5.1.007)
+//             03/19/15   (Build 5.1.008)
+//             08/05/15   (Build 5.1.010)
+//             03/14/17   (Build 5.1.012)
+//             05/10/18   (Build 5.1.013)
+//   Author:   L. Rossman
+//
+//   Storage unit exfiltration functions.
+//
+//   Build 5.1.008:
+//   - Monthly conductivity adjustment applied to exfiltration rate.
+//
+//   Build 5.1.010:
+//   - New modified version of Green-Ampt used for exfiltration.
+//
+//   Build 5.1.012:
+//   - Entire exfiltration rate now computed in this module.
+//
+//   Build 5.1.013:
+//   - Infiltration adjustment factor set to global conductivity
+//     adjustment before computing exfiltration.
+//
+//   JavaScript port:
+//   - The TExfil structure from exfil.h is declared in this file.
+//-----------------------------------------------------------------------------
+
+//-----------------------------------------------------------------------------
+//  Exfiltration Object
+//-----------------------------------------------------------------------------
+class TExfil
+{
+    constructor(){
+        this.btmExfil;          // TGrnAmpt* Green-Ampt object for bottom
+        this.bankExfil;         // TGrnAmpt* Green-Ampt object for banks
+        this.btmArea;           // bottom area (ft2)
+        this.bankMinDepth;      // min. depth of bank area (ft)
+        this.bankMaxDepth;      // max. depth of bank area (ft)
+        this.bankMaxArea;       // max. bank area (ft2)
+    }
+}  ;
+
+//-----------------------------------------------------------------------------
+//  Local Functions
+//-----------------------------------------------------------------------------
+//static int  createStorageExfil(int k, double x[]);
+
+//=============================================================================
+// int k, char* tok[], int ntoks, int n
+function exfil_readStorageParams(k, tok, ntoks, n)
+//
+//  Input:   k = storage unit index
+//           tok[] = array of string tokens
+//           ntoks = number of tokens
+//           n = last token processed
+//  Output:  returns an error code
+//  Purpose: reads a storage unit's exfiltration parameters from a
+//           tokenized line of input.
+//
+{
+    let i;
+    let x = new Array(3);       //suction head, Ksat, IMDmax
+
+    // ret facil
+    let returnObj;
+    let returnVal;
+
+    // --- read exfiltration parameters if present
+    if ( ntoks > n )
+    {
+        if ( ntoks < n + 3 ) return error_setInpError(ERR_ITEMS, "");
+        for (i = 0; i < 3; i++)
+        {
+            ////////////////////////////////////
+            returnObj = {y: x[i]}
+            returnVal = getDouble(tok[n+i], returnObj);
+            x[i] = returnObj.y;
+            ////////////////////////////////////
+            if( !returnVal )
+            //if ( ! getDouble(tok[n+i], &x[i]) )
+                return error_setInpError(ERR_NUMBER, tok[n+i]);
+        }
+        return createStorageExfil(k, x);
+    }
+    return 0;
+}
+
+//=============================================================================
+// int k
+function exfil_initState(k)
+//
+//  Input:   k = storage unit index
+//  Output:  none
+//  Purpose: initializes the state of a storage unit's exfiltration object.
+//
+{
+    let i;
+    let a, alast, d;
+    //TTable* aCurve;
+    let aCurve;
+    //TExfil* exfil = Storage[k].exfil;
+    let exfil = Storage[k].exfil;
+
+    // ret facil
+    let returnObj;
+    let returnVal;
+
+    if ( exfil != null )
+    {
+        // --- initialize the Green-Ampt infiltation parameters
+        grnampt_initState(exfil.btmExfil);
+        grnampt_initState(exfil.bankExfil);
+
+        // --- shape given by a Storage Curve
+        i = Storage[k].aCurve;
+        if ( i >= 0 )
+        {
+            // --- get bottom area
+            aCurve = Curve[i];
+            exfil.btmArea = table_lookupEx(aCurve, 0.0);
+
+            // --- find min/max bank depths and max. bank area
+            ////////////////////////////////////
+            returnObj = {x: d, y: a}
+            returnVal = table_getFirstEntry(Curve[i], returnObj);
+            d = returnObj.x;
+            a = returnObj.y;
+            ////////////////////////////////////
+            //table_getFirstEntry(&Curve[i], &d, &a);
+            exfil.bankMinDepth = 0.0;
+            exfil.bankMaxDepth = 0.0;
+            exfil.bankMaxArea = 0.0;
+            alast = a;
+            while ( true )
+            {
+                ////////////////////////////////////
+                returnObj = {x: d, y: a}
+                returnVal = table_getNextEntry(Curve[i], returnObj);
+                d = returnObj.x;
+                a = returnObj.y;
+                ////////////////////////////////////
+                //while ( table_getNextEntry(&Curve[i], &d, &a) )
+                if ( !returnVal ) break;
+                if ( a < alast ) break;
+                else if ( a > alast )
+                {
+                    exfil.bankMaxArea = a;
+                    exfil.bankMaxDepth = d;
+                }
+                else if ( exfil.bankMaxArea == 0.0 )
+                    exfil.bankMinDepth = d;
+                else break;
+                alast = a;
+            }
+
+            // --- convert from user units to internal units
+            exfil.btmArea /= UCF(LENGTH) * UCF(LENGTH);
+            exfil.bankMaxArea /= UCF(LENGTH) * UCF(LENGTH);
+            exfil.bankMinDepth /= UCF(LENGTH);
+            exfil.bankMaxDepth /= UCF(LENGTH);
+        }
+
+        // --- functional storage shape curve
+        else
+        {
+            exfil.btmArea = Storage[k].aConst;
+            if ( Storage[k].aExpon == 0.0 ) exfil.btmArea += Storage[k].aCoeff;
+            exfil.bankMinDepth = 0.0;
+            exfil.bankMaxDepth = BIG;
+            exfil.bankMaxArea = BIG;
+        }
+    }
+}
+
+//=============================================================================
+// TExfil* exfil, double tStep, double depth, double area
+function exfil_getLoss(exfil, tStep, depth, area)
+//
+//  Input:   exfil = ptr. to a storage exfiltration object
+//           tStep = time step (sec)
+//           depth = water height above bottom of storage unit (ft)
+//           area = surface area of storage unit at that height (ft2)
+//  Output:  returns exfiltration rate out of storage unit (cfs)
+//  Purpose: computes rate of water exfiltrated from a storage node into
+//           the soil beneath it.
+//
+{
+    let exfilRate = 0.0;
+
+    // --- use global conductivity adjustment for the native soil
+    infil_setInfilFactor(-1);                                              //(5.1.013)
+
+    // --- find infiltration through bottom of unit
+    if ( exfil.btmArea > 0.0 ) exfilRate = grnampt_getInfil(exfil.btmExfil,
+        tStep, 0.0, depth, MOD_GREEN_AMPT) * exfil.btmArea;
+
+    // --- find infiltration through sloped banks
+    if ( exfil.bankMaxArea > 0.0 && depth > exfil.bankMinDepth )
+    {
+        // --- wetted bank area is surface area less bottom area
+        area = MIN(area, exfil.bankMaxArea) - exfil.btmArea;
+        if ( area > 0.0 )
+        {
+            // --- if water level above top of bank then use depth
+            //     above mid-point of bank as the ponded depth
+            if ( depth > exfil.bankMaxDepth )
+            {
+                depth = depth - exfil.bankMaxDepth +
+                        (exfil.bankMaxDepth - exfil.bankMinDepth) / 2.0;
+            }
+
+            // --- otherwise use half of the water height above bank bottom
+            else depth = (depth - exfil.bankMinDepth) / 2.0;
+
+            // --- infiltration rate through wetted bank area
+            exfilRate += grnampt_getInfil(exfil.bankExfil, tStep, 0.0, depth,
+                MOD_GREEN_AMPT) * area;
+        }
+    }
+    return exfilRate;
+}
+
+//=============================================================================
+// int k, double x[]
+function createStorageExfil(k, x)
+//
+//  Input:   k = index of storage unit node
+//           x = array of Green-Ampt infiltration parameters
+//  Output:  returns an error code.
+//  Purpose: creates an exfiltration object for a storage node.
+//
+//  Note: the exfiltration object is freed in project.c.
+//
+{
+    //TExfil* exfil;
+    let exfil;
+
+    // --- create an exfiltration object for the storage node
+    exfil = Storage[k].exfil;
+    if ( exfil == null )
+    {
+        //exfil = (TExfil *) malloc(sizeof(TExfil));
+        exfil = new TExfil();
+        if ( exfil == null ) return error_setInpError(ERR_MEMORY, "");
+        Storage[k].exfil = exfil;
+
+        // --- create Green-Ampt infiltration objects for bottom & banks
+        exfil.btmExfil = null;
+        exfil.bankExfil = null;
+        //exfil.btmExfil = (TGrnAmpt *) malloc(sizeof(TGrnAmpt));
+        exfil.btmExfil = new TGrnAmpt();
+        if ( exfil.btmExfil == null ) return error_setInpError(ERR_MEMORY, "");
+        //exfil.bankExfil = (TGrnAmpt *) malloc(sizeof(TGrnAmpt));
+        exfil.bankExfil = new TGrnAmpt();
+        if ( exfil.bankExfil == null ) return error_setInpError(ERR_MEMORY, "");
+    }
+
+    // --- initialize the Green-Ampt parameters
+    if ( !grnampt_setParams(exfil.btmExfil, x) )
+        return error_setInpError(ERR_NUMBER, "");
+    grnampt_setParams(exfil.bankExfil, x);
+    return 0;
+}
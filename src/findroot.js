@@ -163,7 +163,7 @@ function findroot_Ridder(x1, x2, xacc, func, inObj)
             fm = returnVal;
             ////////////////////////////////////
             //fm = func(xm, inObj.p);
-            s = sqrt( fm*fm - flo*fhi );
+            s = Math.sqrt( fm*fm - flo*fhi );
             if (s == 0.0) return ans;
             xnew = xm + (xm-xlo)*( (flo >= fhi ? 1.0 : -1.0)*fm/s );
             if ( Math.abs(xnew - ans) <= xacc ) break;
@@ -16,6 +16,10 @@
 //   Build 5.1.013:
 //   - Validation no longer performed on unused gages.
 //
+//   JavaScript port:
+//   - Rainfall for a gage whose data source is RAIN_API is supplied by
+//     swmm_setValue (see toolkit.js) instead of a time series or file.
+//
 //-----------------------------------------------------------------------------
 
 //-----------------------------------------------------------------------------
@@ -86,8 +90,10 @@ function gage_readParams(j, tok, ntoks)
     else if ( k == RAIN_FILE    )
     {
         if ( ntoks < 8 ) return error_setInpError(ERR_ITEMS, "");
-        sstrncpy(fname, tok[5], MAXFNAME);
-        sstrncpy(staID, tok[6], MAXMSG);
+        //sstrncpy(fname, tok[5], MAXFNAME);
+        fname = tok[5];
+        //sstrncpy(staID, tok[6], MAXMSG);
+        staID = tok[6];
         err = readGageFileFormat(tok, ntoks, x);
     }
     else return error_setInpError(ERR_KEYWORD, tok[4]);
@@ -104,8 +110,10 @@ function gage_readParams(j, tok, ntoks)
     else                        Gage[j].dataSource = RAIN_FILE;
     if ( Gage[j].dataSource == RAIN_FILE )
     {
-        sstrncpy(Gage[j].fname, fname, MAXFNAME);
-        sstrncpy(Gage[j].staID, staID, MAXMSG);
+        //sstrncpy(Gage[j].fname, fname, MAXFNAME);
+        Gage[j].fname = fname;
+        //sstrncpy(Gage[j].staID, staID, MAXMSG);
+        Gage[j].staID = staID;
         Gage[j].startFileDate = x[4];
         Gage[j].endFileDate = x[5];
     }
@@ -199,24 +207,33 @@ function readGageFileFormat(tok, ntoks, x)
     x[1] = m;
 
     // --- get data time interval & convert to seconds
-    ////////////////////////////////////
-    returnObj = {y: x[2]}
-    returnVal1 = getDouble(tok[2], returnObj);
-    x[2] = returnObj.y;
-    ////////////////////////////////////
-
-    ////////////////////////////////////
-    returnObj = {t: aTime}
-    returnVal2 = datetime_strToTime(tok[2], returnObj);
-    aTime = returnObj.t;
-    ////////////////////////////////////
-    if (  !returnVal1 ) x[2] *= 3600;
-    //else if ( datetime_strToTime(tok[2], aTime) )
-    else if(returnVal2)
+    // If there arent any colons ':' in tok[2], then it
+    // is a float representing hours.
+    if ( tok[2].indexOf(':') < 0 )
     {
-        x[2] = Math.floor(aTime*SECperDAY + 0.5);
+        ////////////////////////////////////
+        returnObj = {y: x[2]}
+        returnVal1 = getDouble(tok[2], returnObj);
+        x[2] = returnObj.y;
+        ////////////////////////////////////
+        //if ( getDouble(tok[2], &x[2]) ) x[2] *= 3600;
+        if ( returnVal1 ) x[2] = Math.floor(x[2]*3600 + 0.5);
+        else return error_setInpError(ERR_DATETIME, tok[2]);
+    }
+    else
+    {
+        ////////////////////////////////////
+        returnObj = {t: aTime}
+        returnVal2 = datetime_strToTime(tok[2], returnObj);
+        aTime = returnObj.t;
+        ////////////////////////////////////
+        //else if ( datetime_strToTime(tok[2], &aTime) )
+        if ( returnVal2 )
+        {
+            x[2] = Math.floor(aTime*SECperDAY + 0.5);
+        }
+        else return error_setInpError(ERR_DATETIME, tok[2]);
     }
-    else return error_setInpError(ERR_DATETIME, tok[2]);
     if ( x[2] <= 0.0 ) return error_setInpError(ERR_DATETIME, tok[2]);
 
     // --- get snow catch deficiency factor
@@ -382,6 +399,13 @@ function gage_setState(j, t)
         return;
     }
 
+    // --- use rainfall supplied through the API
+    if ( Gage[j].dataSource == RAIN_API )
+    {
+        Gage[j].rainfall = Gage[j].externalRain;
+        return;
+    }
+
     // --- use rainfall from co-gage (gage with lower index that uses
     //     same rainfall time series or file) if it exists
     if ( Gage[j].coGage >= 0)
@@ -448,6 +472,11 @@ function gage_getNextRainDate(j, aDate)
 //
 {
     if ( Gage[j].isUsed == false ) return aDate;
+
+    // --- rainfall supplied through the API can change at any time
+    //     so don't let runoff get more than a wet time step ahead
+    if ( Gage[j].dataSource == RAIN_API )
+        return datetime_addSeconds(aDate, WetStep);
     aDate += OneSecond;
     if ( aDate < Gage[j].startDate ) return Gage[j].startDate;
     if ( aDate < Gage[j].endDate   ) return Gage[j].endDate;
@@ -500,6 +529,13 @@ function gage_setReportRainfall(j, reportDate)
         return;
     }
 
+    // --- rainfall supplied through the API is reported as is
+    if ( Gage[j].dataSource == RAIN_API )
+    {
+        Gage[j].reportRainfall = Gage[j].rainfall;
+        return;
+    }
+
     // --- otherwise increase reporting time by 1 second to avoid
     //     roundoff problems
     reportDate += OneSecond;
@@ -547,10 +583,13 @@ function getFirstRainfall(j)
         if ( Frain.file && Gage[j].endFilePos > Gage[j].startFilePos )
         {
             // --- retrieve 1st date & rainfall volume from file
-            fseek(Frain.file, Gage[j].startFilePos, SEEK_SET);
-            fread(Gage[j].startDate, sizeof(DateTime), 1, Frain.file);
-            fread(vFirst, sizeof, 1, Frain.file);
-            Gage[j].currentFilePos = ftell(Frain.file);
+            //fseek(Frain.file, Gage[j].startFilePos, SEEK_SET);
+            bfseek(Frain.file, Gage[j].startFilePos);
+            //fread(&Gage[j].startDate, sizeof(DateTime), 1, Frain.file);
+            Gage[j].startDate = bfreadDouble(Frain.file);
+            //fread(&vFirst, sizeof(float), 1, Frain.file);
+            vFirst = bfreadFloat(Frain.file);
+            Gage[j].currentFilePos = bftell(Frain.file);
 
             // --- convert rainfall to intensity
             Gage[j].rainfall = convertRainfall(j, vFirst);
@@ -613,10 +652,13 @@ function getNextRainfall(j)
         {
             if ( Frain.file && Gage[j].currentFilePos < Gage[j].endFilePos )
             {
-                fseek(Frain.file, Gage[j].currentFilePos, SEEK_SET);
-                fread(Gage[j].nextDate, sizeof(DateTime), 1, Frain.file);
-                fread(vNext, sizeof, 1, Frain.file);
-                Gage[j].currentFilePos = ftell(Frain.file);
+                //fseek(Frain.file, Gage[j].currentFilePos, SEEK_SET);
+                bfseek(Frain.file, Gage[j].currentFilePos);
+                //fread(&Gage[j].nextDate, sizeof(DateTime), 1, Frain.file);
+                Gage[j].nextDate = bfreadDouble(Frain.file);
+                //fread(&vNext, sizeof(float), 1, Frain.file);
+                vNext = bfreadFloat(Frain.file);
+                Gage[j].currentFilePos = bftell(Frain.file);
                 rNext = convertRainfall(j, vNext);
             }
             else return 0;
@@ -40,6 +40,11 @@
 //
 //   Build 5.1.015:
 //   - Support added for multiple infiltration methods within a project.
+//
+//   Hot start files are kept in memory (see MemFiles in macros.js):
+//   a USE file is read from the contents stored under its name and a
+//   SAVE file is left as an ArrayBuffer in Fhotstart2.contents and
+//   stored under its name so that a later run can use it.
 //-----------------------------------------------------------------------------
 
 //-----------------------------------------------------------------------------
@@ -72,7 +77,10 @@ function hotstart_close()
     {
         saveRunoff();
         saveRouting();
-        fclose(Fhotstart2.file);
+        //fclose(Fhotstart2.file);
+        Fhotstart2.contents = bfclose(Fhotstart2.file);
+        Fhotstart2.file = null;
+        memfile_write(Fhotstart2.name, Fhotstart2.contents);
     }
 }
 
@@ -91,33 +99,40 @@ function openHotstartFile1()
     let   nPollut;
     let   nLandUses;
     let   flowUnits;
-    let  fStamp     = "SWMM5-HOTSTART";
+    let  fStamp;
     let  fileStamp  = "SWMM5-HOTSTART";
-    let  fStampx    = "SWMM5-HOTSTARTx";
+    let  fStampx;
     let  fileStamp2 = "SWMM5-HOTSTART2";
     let  fileStamp3 = "SWMM5-HOTSTART3";
     let  fileStamp4 = "SWMM5-HOTSTART4";
+    let  contents;
 
     // --- try to open the file
     if ( Fhotstart1.mode != USE_FILE ) return TRUE;
-    if ( (Fhotstart1.file = fopen(Fhotstart1.name, "r+b")) == NULL)
+    //if ( (Fhotstart1.file = fopen(Fhotstart1.name, "r+b")) == NULL)
+    if ( (contents = memfile_read(Fhotstart1.name)) == null )
     {
         report_writeErrorMsg(ERR_HOTSTART_FILE_OPEN, Fhotstart1.name);
         return FALSE;
     }
+    Fhotstart1.file = bfopen(contents);
 
     // --- check that file contains proper header records
-    fread(fStampx, sizeof(char), fileStamp2.length, Fhotstart1.file);
-    if      ( strcmp(fStampx, fileStamp4) == 0 ) fileVersion = 4;
-    else if ( strcmp(fStampx, fileStamp3) == 0 ) fileVersion = 3;
-    else if ( strcmp(fStampx, fileStamp2) == 0 ) fileVersion = 2;
+    //fread(fStampx, sizeof(char), strlen(fileStamp2), Fhotstart1.file);
+    fStampx = bfreadChars(Fhotstart1.file, fileStamp2.length);
+    if      ( fStampx == fileStamp4 ) fileVersion = 4;
+    else if ( fStampx == fileStamp3 ) fileVersion = 3;
+    else if ( fStampx == fileStamp2 ) fileVersion = 2;
     else
     {
-        rewind(Fhotstart1.file);
-        fread(fStamp, sizeof(char), fileStamp.length, Fhotstart1.file);
-        if ( strcmp(fStamp, fileStamp) != 0 )
+        //rewind(Fhotstart1.file);
+        bfseek(Fhotstart1.file, 0);
+        //fread(fStamp, sizeof(char), strlen(fileStamp), Fhotstart1.file);
+        fStamp = bfreadChars(Fhotstart1.file, fileStamp.length);
+        if ( fStamp != fileStamp )
         {
             report_writeErrorMsg(ERR_HOTSTART_FILE_FORMAT, "");
+            Fhotstart1.file = null;
             return FALSE;
         }
         fileVersion = 1;
@@ -131,18 +146,24 @@ function openHotstartFile1()
     flowUnits = -1;
     if ( fileVersion >= 2 )
     {    
-        fread(nSubcatch, sizeof(int), 1, Fhotstart1.file);
+        //fread(&nSubcatch, sizeof(int), 1, Fhotstart1.file);
+        nSubcatch = bfreadInt(Fhotstart1.file);
     }
     else nSubcatch = Nobjects[SUBCATCH];
     if ( fileVersion >= 3 )
     {
-        fread(nLandUses, sizeof(int), 1, Fhotstart1.file);
+        //fread(&nLandUses, sizeof(int), 1, Fhotstart1.file);
+        nLandUses = bfreadInt(Fhotstart1.file);
     }
     else nLandUses = Nobjects[LANDUSE];
-    fread(nNodes, sizeof(int), 1, Fhotstart1.file);
-    fread(nLinks, sizeof(int), 1, Fhotstart1.file);
-    fread(nPollut, sizeof(int), 1, Fhotstart1.file);
-    fread(flowUnits, sizeof(int), 1, Fhotstart1.file);
+    //fread(&nNodes, sizeof(int), 1, Fhotstart1.file);
+    nNodes = bfreadInt(Fhotstart1.file);
+    //fread(&nLinks, sizeof(int), 1, Fhotstart1.file);
+    nLinks = bfreadInt(Fhotstart1.file);
+    //fread(&nPollut, sizeof(int), 1, Fhotstart1.file);
+    nPollut = bfreadInt(Fhotstart1.file);
+    //fread(&flowUnits, sizeof(int), 1, Fhotstart1.file);
+    flowUnits = bfreadInt(Fhotstart1.file);
     if ( nSubcatch != Nobjects[SUBCATCH] 
     ||   nLandUses != Nobjects[LANDUSE]
     ||   nNodes    != Nobjects[NODE]
@@ -151,13 +172,15 @@ function openHotstartFile1()
     ||   flowUnits != FlowUnits )
     {
          report_writeErrorMsg(ERR_HOTSTART_FILE_FORMAT, "");
+         Fhotstart1.file = null;
          return FALSE;
     }
 
     // --- read contents of the file and close it
     if ( fileVersion >= 3 ) readRunoff();
     readRouting();
-    fclose(Fhotstart1.file);
+    //fclose(Fhotstart1.file);
+    Fhotstart1.file = null;
     if ( ErrorCode ) return FALSE;
     else return TRUE;
 }
@@ -181,7 +204,8 @@ function openHotstartFile2()
 
     // --- try to open file
     if ( Fhotstart2.mode != SAVE_FILE ) return TRUE;
-    if ( (Fhotstart2.file = fopen(Fhotstart2.name, "w+b")) == NULL)
+    //if ( (Fhotstart2.file = fopen(Fhotstart2.name, "w+b")) == NULL)
+    if ( (Fhotstart2.file = bfopen()) == null )
     {
         report_writeErrorMsg(ERR_HOTSTART_FILE_OPEN, Fhotstart2.name);
         return FALSE;
@@ -194,13 +218,20 @@ function openHotstartFile2()
     nLinks = Nobjects[LINK];
     nPollut = Nobjects[POLLUT];
     flowUnits = FlowUnits;
-    fwrite(fileStamp, sizeof(char), fileStamp.length, Fhotstart2.file);
-    fwrite(nSubcatch, sizeof(int), 1, Fhotstart2.file);
-    fwrite(nLandUses, sizeof(int), 1, Fhotstart2.file);
-    fwrite(nNodes, sizeof(int), 1, Fhotstart2.file);
-    fwrite(nLinks, sizeof(int), 1, Fhotstart2.file);
-    fwrite(nPollut, sizeof(int), 1, Fhotstart2.file);
-    fwrite(flowUnits, sizeof(int), 1, Fhotstart2.file);
+    //fwrite(fileStamp, sizeof(char), strlen(fileStamp), Fhotstart2.file);
+    bfwriteChars(Fhotstart2.file, fileStamp);
+    //fwrite(&nSubcatch, sizeof(int), 1, Fhotstart2.file);
+    bfwriteInt(Fhotstart2.file, nSubcatch);
+    //fwrite(&nLandUses, sizeof(int), 1, Fhotstart2.file);
+    bfwriteInt(Fhotstart2.file, nLandUses);
+    //fwrite(&nNodes, sizeof(int), 1, Fhotstart2.file);
+    bfwriteInt(Fhotstart2.file, nNodes);
+    //fwrite(&nLinks, sizeof(int), 1, Fhotstart2.file);
+    bfwriteInt(Fhotstart2.file, nLinks);
+    //fwrite(&nPollut, sizeof(int), 1, Fhotstart2.file);
+    bfwriteInt(Fhotstart2.file, nPollut);
+    //fwrite(&flowUnits, sizeof(int), 1, Fhotstart2.file);
+    bfwriteInt(Fhotstart2.file, flowUnits);
     return TRUE;
 }
 
@@ -215,24 +246,28 @@ function  saveRouting()
 {
     let   i, j;
     let x = new Array(3);
+    let f = Fhotstart2.file;
 
     for (i = 0; i < Nobjects[NODE]; i++)
     {
         x[0] = Node[i].newDepth;
         x[1] = Node[i].newLatFlow;
-        fwrite(x, sizeof(float), 2, Fhotstart2.file);
+        //fwrite(x, sizeof(float), 2, Fhotstart2.file);
+        bfwriteFloats(f, x, 2);
 
         if ( Node[i].type == STORAGE )
         {
             j = Node[i].subIndex;
             x[0] = Storage[j].hrt;
-            fwrite(x[0], sizeof(float), 1, Fhotstart2.file);
+            //fwrite(&x[0], sizeof(float), 1, Fhotstart2.file);
+            bfwriteFloat(f, x[0]);
         }
 
         for (j = 0; j < Nobjects[POLLUT]; j++)
         {
             x[0] = Node[i].newQual[j];
-            fwrite(x[0], sizeof(float), 1, Fhotstart2.file);
+            //fwrite(&x[0], sizeof(float), 1, Fhotstart2.file);
+            bfwriteFloat(f, x[0]);
         }
     }
     for (i = 0; i < Nobjects[LINK]; i++)
@@ -240,11 +275,13 @@ function  saveRouting()
         x[0] = Link[i].newFlow;
         x[1] = Link[i].newDepth;
         x[2] = Link[i].setting;
-        fwrite(x, sizeof(float), 3, Fhotstart2.file);
+        //fwrite(x, sizeof(float), 3, Fhotstart2.file);
+        bfwriteFloats(f, x, 3);
         for (j = 0; j < Nobjects[POLLUT]; j++)
         {
             x[0] = Link[i].newQual[j];
-            fwrite(x[0], sizeof(float), 1, Fhotstart2.file);
+            //fwrite(&x[0], sizeof(float), 1, Fhotstart2.file);
+            bfwriteFloat(f, x[0]);
         }
     }
 }
@@ -262,6 +299,8 @@ function readRouting()
     let   i, j;
     let x;
     let xgw = new Array(4);
+    // readFloat returns the value it reads in inObj.x
+    let inObj = {x: 0.0};
     //FILE* f = Fhotstart1.file;
     let f = Fhotstart1.file;
 
@@ -274,35 +313,35 @@ function readRouting()
         for (i = 0; i < Nobjects[SUBCATCH]; i++)
         {
             // --- read moisture content and water table elevation as floats
-            if ( !readFloat(x, f) ) return;
-            xgw[0] = x;
-            if ( !readFloat(x, f) ) return;
-            xgw[1] = x;
+            if ( !readFloat(inObj, f) ) return;
+            xgw[0] = inObj.x;
+            if ( !readFloat(inObj, f) ) return;
+            xgw[1] = inObj.x;
 
             // --- set GW state
-            if ( Subcatch[i].groundwater != NULL ) gwater_setState(i, xgw);
+            if ( Subcatch[i].groundwater != null ) gwater_setState(i, xgw);
         }
     }
 
     // --- read node states
     for (i = 0; i < Nobjects[NODE]; i++)
     {
-        if ( !readFloat(x, f) ) return;
-        Node[i].newDepth = x;
-        if ( !readFloat(x, f) ) return;
-        Node[i].newLatFlow = x;
+        if ( !readFloat(inObj, f) ) return;
+        Node[i].newDepth = inObj.x;
+        if ( !readFloat(inObj, f) ) return;
+        Node[i].newLatFlow = inObj.x;
 
         if ( fileVersion >= 4 &&  Node[i].type == STORAGE )
         {
-            if ( !readFloat(x, f) ) return;
+            if ( !readFloat(inObj, f) ) return;
             j = Node[i].subIndex;
-            Storage[j].hrt = x;
+            Storage[j].hrt = inObj.x;
         }
 
         for (j = 0; j < Nobjects[POLLUT]; j++)
         {
-            if ( !readFloat(x, f) ) return;
-            Node[i].newQual[j] = x;
+            if ( !readFloat(inObj, f) ) return;
+            Node[i].newQual[j] = inObj.x;
         }
 
         // --- read in zeros here for backwards compatibility
@@ -310,7 +349,7 @@ function readRouting()
         {
             for (j = 0; j < Nobjects[POLLUT]; j++)
             {
-                if ( !readFloat(x, f) ) return;
+                if ( !readFloat(inObj, f) ) return;
             }
         }
     }
@@ -318,11 +357,12 @@ function readRouting()
     // --- read link states
     for (i = 0; i < Nobjects[LINK]; i++)
     {
-        if ( !readFloat(x, f) ) return;
-        Link[i].newFlow = x;
-        if ( !readFloat(x, f) ) return;
-        Link[i].newDepth = x;
-        if ( !readFloat(x, f) ) return;
+        if ( !readFloat(inObj, f) ) return;
+        Link[i].newFlow = inObj.x;
+        if ( !readFloat(inObj, f) ) return;
+        Link[i].newDepth = inObj.x;
+        if ( !readFloat(inObj, f) ) return;
+        x = inObj.x;
         Link[i].setting = x;
 
         // --- set link's target setting to saved setting 
@@ -332,8 +372,8 @@ function readRouting()
 
         for (j = 0; j < Nobjects[POLLUT]; j++)
         {
-            if ( !readFloat(x, f) ) return;
-            Link[i].newQual[j] = x;
+            if ( !readFloat(inObj, f) ) return;
+            Link[i].newQual[j] = inObj.x;
         }
 
     }
@@ -355,34 +395,38 @@ function  saveRunoff()
 
     sizeX = Math.max(6, Nobjects[POLLUT]+1);
     //x = (double *) calloc(sizeX, sizeof(double));
-    x = new Array(sizeX);
+    x = new Array(sizeX).fill(0.0);
 
     for (i = 0; i < Nobjects[SUBCATCH]; i++)
     {
         // Ponded depths for each sub-area & total runoff (4 elements)
         for (j = 0; j < 3; j++) x[j] = Subcatch[i].subArea[j].depth;
         x[3] = Subcatch[i].newRunoff;
-        fwrite(x, sizeof(double), 4, f);
+        //fwrite(x, sizeof(double), 4, f);
+        bfwriteDoubles(f, x, 4);
 
         // Infiltration state (max. of 6 elements)
         for (j=0; j<sizeX; j++) x[j] = 0.0;
         infil_getState(i, x);                                                  //(5.1.015)
-        fwrite(x, sizeof(double), 6, f);
+        //fwrite(x, sizeof(double), 6, f);
+        bfwriteDoubles(f, x, 6);
 
         // Groundwater state (4 elements)
-        if ( Subcatch[i].groundwater != NULL )
+        if ( Subcatch[i].groundwater != null )
         {
             gwater_getState(i, x);
-            fwrite(x, sizeof(double), 4, f);
+            //fwrite(x, sizeof(double), 4, f);
+            bfwriteDoubles(f, x, 4);
         }
 
         // Snowpack state (5 elements for each of 3 snow surfaces)
-        if ( Subcatch[i].snowpack != NULL )
+        if ( Subcatch[i].snowpack != null )
         {
             for (j=0; j<3; j++)
             {
                 snow_getState(i, j, x);
-                fwrite(x, sizeof(double), 5, f);
+                //fwrite(x, sizeof(double), 5, f);
+                bfwriteDoubles(f, x, 5);
             }
         }
 
@@ -391,20 +435,24 @@ function  saveRunoff()
         {
             // Runoff quality
             for (j=0; j<Nobjects[POLLUT]; j++) x[j] = Subcatch[i].newQual[j];
-            fwrite(x, sizeof(double), Nobjects[POLLUT], f);
+            //fwrite(x, sizeof(double), Nobjects[POLLUT], f);
+            bfwriteDoubles(f, x, Nobjects[POLLUT]);
 
             // Ponded quality
             for (j=0; j<Nobjects[POLLUT]; j++) x[j] = Subcatch[i].pondedQual[j];
-            fwrite(x, sizeof(double), Nobjects[POLLUT], f);
+            //fwrite(x, sizeof(double), Nobjects[POLLUT], f);
+            bfwriteDoubles(f, x, Nobjects[POLLUT]);
             
             // Buildup and when streets were last swept
             for (k=0; k<Nobjects[LANDUSE]; k++)
             {
                 for (j=0; j<Nobjects[POLLUT]; j++)
                     x[j] = Subcatch[i].landFactor[k].buildup[j];
-                fwrite(x, sizeof(double), Nobjects[POLLUT], f);
+                //fwrite(x, sizeof(double), Nobjects[POLLUT], f);
+                bfwriteDoubles(f, x, Nobjects[POLLUT]);
                 x[0] = Subcatch[i].landFactor[k].lastSwept;
-                fwrite(x, sizeof(double), 1, f);
+                //fwrite(x, sizeof(double), 1, f);
+                bfwriteDouble(f, x[0]);
             }
         }
     }
@@ -422,6 +470,8 @@ function  readRunoff()
 {
     let    i, j, k;
     let x = new Array(6);
+    // readDouble returns the value it reads in inObj.x
+    let inObj = {x: 0.0};
     //FILE*  f = Fhotstart1.file;
     let f = Fhotstart1.file;
 
@@ -430,27 +480,41 @@ function  readRunoff()
         // Ponded depths & runoff (4 elements)
         for (j = 0; j < 3; j++)
         {
-            if ( !readDouble(Subcatch[i].subArea[j].depth, f) ) return;
+            if ( !readDouble(inObj, f) ) return;
+            Subcatch[i].subArea[j].depth = inObj.x;
         }
-        if ( !readDouble(Subcatch[i].newRunoff, f) ) return;
+        if ( !readDouble(inObj, f) ) return;
+        Subcatch[i].newRunoff = inObj.x;
 
         // Infiltration state (max. of 6 elements)
-        for (j=0; j<6; j++) if ( !readDouble(x[j], f) ) return;
+        for (j=0; j<6; j++)
+        {
+            if ( !readDouble(inObj, f) ) return;
+            x[j] = inObj.x;
+        }
         infil_setState(i, x);                                                  //(5.1.015)
 
         // Groundwater state (4 elements)
-        if ( Subcatch[i].groundwater != NULL )
+        if ( Subcatch[i].groundwater != null )
         {
-            for (j=0; j<4; j++) if ( !readDouble(x[j], f) ) return;
+            for (j=0; j<4; j++)
+            {
+                if ( !readDouble(inObj, f) ) return;
+                x[j] = inObj.x;
+            }
             gwater_setState(i, x);
         }
 
         // Snowpack state (5 elements for each of 3 snow surfaces)
-        if ( Subcatch[i].snowpack != NULL )
+        if ( Subcatch[i].snowpack != null )
         {
             for (j=0; j<3; j++) 
             {
-                for (k=0; k<5; k++) if ( !readDouble(x[k], f) ) return;
+                for (k=0; k<5; k++)
+                {
+                    if ( !readDouble(inObj, f) ) return;
+                    x[k] = inObj.x;
+                }
                 snow_setState(i, j, x);
             }
         }
@@ -460,22 +524,28 @@ function  readRunoff()
         {
             // Runoff quality
             for (j=0; j<Nobjects[POLLUT]; j++)
-                if ( ! readDouble(Subcatch[i].newQual[j], f) ) return;
+            {
+                if ( !readDouble(inObj, f) ) return;
+                Subcatch[i].newQual[j] = inObj.x;
+            }
 
             // Ponded quality
             for (j=0; j<Nobjects[POLLUT]; j++)
-                if ( !readDouble(Subcatch[i].pondedQual[j], f) ) return;
+            {
+                if ( !readDouble(inObj, f) ) return;
+                Subcatch[i].pondedQual[j] = inObj.x;
+            }
             
             // Buildup and when streets were last swept
             for (k=0; k<Nobjects[LANDUSE]; k++)
             {
                 for (j=0; j<Nobjects[POLLUT]; j++)
                 {
-                    if ( !readDouble(
-                        Subcatch[i].landFactor[k].buildup[j], f) ) return;
+                    if ( !readDouble(inObj, f) ) return;
+                    Subcatch[i].landFactor[k].buildup[j] = inObj.x;
                 }
-                if ( !readDouble(Subcatch[i].landFactor[k].lastSwept, f) )
-                    return;
+                if ( !readDouble(inObj, f) ) return;
+                Subcatch[i].landFactor[k].lastSwept = inObj.x;
             }
         }
     }
@@ -483,49 +553,54 @@ function  readRunoff()
 
 //=============================================================================
 // float *x, FILE* f
-function  readFloat(x, f)
+function  readFloat(inObj, f)
 //
-//  Input:   none
-//  Output:  x  = pointer to a float variable
+//  Input:   f = hot start file
+//  Output:  inObj.x = value read from the file
 //  Purpose: reads a floating point value from a hot start file
 //
 {
     // --- read a value from the file
-    fread(x, sizeof(float), 1, f);
+    //fread(x, sizeof(float), 1, f);
+    let x = bfreadFloat(f);
 
     // --- test if the value is NaN (not a number)
-    if ( (x) != (x) )
+    //     (or if the end of the file was reached)
+    if ( x == null || x != x )
     {
         report_writeErrorMsg(ERR_HOTSTART_FILE_READ, "");
-        (x) = 0.0;
+        inObj.x = 0.0;
         return FALSE;
     }
+    inObj.x = x;
     return TRUE;
 }
 
 //=============================================================================
 // double* x, FILE* f
-function  readDouble(x, f)
+function  readDouble(inObj, f)
 //
-//  Input:   none
-//  Output:  x  = pointer to a double variable
+//  Input:   f = hot start file
+//  Output:  inObj.x = value read from the file
 //  Purpose: reads a floating point value from a hot start file
 //
 {
     // --- read a value from the file
-    if ( feof(f) )
+    //fread(x, sizeof(double), 1, f);
+    let x = bfreadDouble(f);
+    if ( x == null )
     {    
-        (x) = 0.0;
+        inObj.x = 0.0;
         report_writeErrorMsg(ERR_HOTSTART_FILE_READ, "");
         return FALSE;
     }
-    fread(x, sizeof(double), 1, f);
 
     // --- test if the value is NaN (not a number)
-    if ( (x) != (x) )
+    if ( x != x )
     {
-        (x) = 0.0;
+        inObj.x = 0.0;
         return FALSE;
     }
+    inObj.x = x;
     return TRUE;
 }
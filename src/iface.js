@@ -42,6 +42,11 @@ var NewIfaceDate;          // next date of interface values
 //  iface_getIfaceQual       (called by addIfaceInflows in routing.c)
 //  iface_saveOutletResults  (called by output_saveResults)
 
+//  Routing interface files are text files kept in memory (see MemFiles
+//  in macros.js). A USE INFLOWS file is read from the text stored under
+//  its name; a SAVE OUTFLOWS file is left in Foutflows.contents when the
+//  routing files are closed and stored under its name.
+
 
 //=============================================================================
 // char* tok[], int ntoks
@@ -72,42 +77,42 @@ function iface_readFileParams(tok, ntoks)
     {
       case RAINFALL_FILE:
         Frain.mode = k;
-        sstrncpy(Frain.name, tok[2], MAXFNAME);
+        Frain.name = tok[2];
         break;
 
       case RUNOFF_FILE:
         Frunoff.mode = k;
-        sstrncpy(Frunoff.name, tok[2], MAXFNAME);
+        Frunoff.name = tok[2];
         break;
 
       case HOTSTART_FILE:
         if ( k == USE_FILE )
         {
             Fhotstart1.mode = k;
-            sstrncpy(Fhotstart1.name, tok[2], MAXFNAME);
+            Fhotstart1.name = tok[2];
         }
         else if ( k == SAVE_FILE )
         {
             Fhotstart2.mode = k;
-            sstrncpy(Fhotstart2.name, tok[2], MAXFNAME);
+            Fhotstart2.name = tok[2];
         }
         break;
 
       case RDII_FILE:
         Frdii.mode = k;
-        sstrncpy(Frdii.name, tok[2], MAXFNAME);
+        Frdii.name = tok[2];
         break;
 
       case INFLOWS_FILE:
         if ( k != USE_FILE ) return error_setInpError(ERR_ITEMS, "");
         Finflows.mode = k;
-        sstrncpy(Finflows.name, tok[2], MAXFNAME);
+        Finflows.name = tok[2];
         break;
 
       case OUTFLOWS_FILE:
         if ( k != SAVE_FILE ) return error_setInpError(ERR_ITEMS, "");
         Foutflows.mode = k;
-        sstrncpy(Foutflows.name, tok[2], MAXFNAME);
+        Foutflows.name = tok[2];
         break;
     }
     return 0;
@@ -158,8 +163,15 @@ function iface_closeRoutingFiles()
     FREE(IfaceNodes);
     if ( OldIfaceValues != null ) project_freeMatrix(OldIfaceValues);
     if ( NewIfaceValues != null ) project_freeMatrix(NewIfaceValues);
-    if ( Finflows.file )  fclose(Finflows.file);
-    if ( Foutflows.file ) fclose(Foutflows.file);
+    //if ( Finflows.file )  fclose(Finflows.file);
+    Finflows.file = null;
+    //if ( Foutflows.file ) fclose(Foutflows.file);
+    if ( Foutflows.file )
+    {
+        Foutflows.contents = Foutflows.file.text;
+        Foutflows.file = null;
+        memfile_write(Foutflows.name, Foutflows.contents);
+    }
 }
 
 //=============================================================================
@@ -279,7 +291,7 @@ function iface_saveOutletResults(reportDate, file)
     ////////////////////////////////////
     //datetime_decodeTime(reportDate, hr, min, sec);
     ////////////////////////////////////
-    returnObj = {h: hr, min: m, s: sec}
+    returnObj = {h: hr, m: min, s: sec}
     datetime_decodeTime(reportDate, returnObj);
     hr = returnObj.h;
     min = returnObj.m;
@@ -292,6 +304,7 @@ function iface_saveOutletResults(reportDate, file)
     let val4 = hr.toString().padStart(2, '0')
     let val5 = min.toString().padStart(2, '0')
     let val6 = sec.toString().padStart(2, '0')
+    //sprintf(theDate, " %04d %02d  %02d  %02d  %02d  %02d ", yr, mon, day, hr, min, sec);
     theDate = ` ${val1} ${val2}  ${val3}  ${val4}  ${val5}  ${val6} `;
     for (i=0; i<Nobjects[NODE]; i++)
     {
@@ -299,12 +312,16 @@ function iface_saveOutletResults(reportDate, file)
         if ( !isOutletNode(i) ) continue;
 
         // --- write node ID, date, flow, and quality to file
-        fprintf(file, "\n%-16s", Node[i].ID);
-        fprintf(file, "%s", theDate);
-        fprintf(file, " %-10f", Node[i].inflow * UCF(FLOW));
+        //fprintf(file, "\n%-16s", Node[i].ID);
+        tfwrite(file, "\n" + Node[i].ID.padEnd(16));
+        //fprintf(file, "%s", theDate);
+        tfwrite(file, theDate);
+        //fprintf(file, " %-10f", Node[i].inflow * UCF(FLOW));
+        tfwrite(file, " " + (Node[i].inflow * UCF(FLOW)).toFixed(6).padEnd(10));
         for ( p = 0; p < Nobjects[POLLUT]; p++ )
         {
-            fprintf(file, " %-10f", Node[i].newQual[p]);
+            //fprintf(file, " %-10f", Node[i].newQual[p]);
+            tfwrite(file, " " + Node[i].newQual[p].toFixed(6).padEnd(10));
         }
     }
 }
@@ -321,7 +338,8 @@ function openFileForOutput()
     let i, n;
 
     // --- open the routing file for writing text
-    Foutflows.file = fopen(Foutflows.name, "wt");
+    //Foutflows.file = fopen(Foutflows.name, "wt");
+    Foutflows.file = tfopen();
     if ( Foutflows.file == null )
     {
         report_writeErrorMsg(ERR_ROUTING_FILE_OPEN, Foutflows.name);
@@ -329,17 +347,18 @@ function openFileForOutput()
     }
 
     // --- write title & reporting time step to file
-    fprintf(Foutflows.file, "SWMM5 Interface File");
-    fprintf(Foutflows.file, "\n%s", Title[0]);
-    fprintf(Foutflows.file, "\n%-4d - reporting time step in sec", ReportStep);
+    tfwrite(Foutflows.file, "SWMM5 Interface File");
+    tfwrite(Foutflows.file, "\n" + Title[0]);
+    tfwrite(Foutflows.file, "\n" + ReportStep.toString().padEnd(4) +
+        " - reporting time step in sec");
 
     // --- write number & names of each constituent (including flow) to file
-    fprintf(Foutflows.file, "\n%-4d - number of constituents as listed below:",
-            Nobjects[POLLUT] + 1);
-    fprintf(Foutflows.file, "\nFLOW %s", FlowUnitWords[FlowUnits]);
+    tfwrite(Foutflows.file, "\n" + (Nobjects[POLLUT] + 1).toString().padEnd(4) +
+        " - number of constituents as listed below:");
+    tfwrite(Foutflows.file, "\nFLOW " + FlowUnitWords[FlowUnits]);
     for (i=0; i<Nobjects[POLLUT]; i++)
     {
-        fprintf(Foutflows.file, "\n%s %s", Pollut[i].ID,
+        tfwrite(Foutflows.file, "\n" + Pollut[i].ID + " " +
             QualUnitsWords[Pollut[i].units]);
     }
 
@@ -351,19 +370,20 @@ function openFileForOutput()
     }
 
     // --- write number and names of outlet nodes to file
-    fprintf(Foutflows.file, "\n%-4d - number of nodes as listed below:", n);
+    tfwrite(Foutflows.file, "\n" + n.toString().padEnd(4) +
+        " - number of nodes as listed below:");
     for (i=0; i<Nobjects[NODE]; i++)
     {
           if ( isOutletNode(i) )
-            fprintf(Foutflows.file, "\n%s", Node[i].ID);
+            tfwrite(Foutflows.file, "\n" + Node[i].ID);
     }
 
     // --- write column headings
-    fprintf(Foutflows.file,
+    tfwrite(Foutflows.file,
         "\nNode             Year Mon Day Hr  Min Sec FLOW      ");
     for (i=0; i<Nobjects[POLLUT]; i++)
     {
-        fprintf(Foutflows.file, " %-10s", Pollut[i].ID);
+        tfwrite(Foutflows.file, " " + Pollut[i].ID.padEnd(10));
     }
 
     // --- if reporting starts immediately, save initial outlet values
@@ -385,18 +405,23 @@ function openFileForInput()
     let   err;                         // error code
     let  line;             // line from Routing interface file
     let  s;                // general string variable
+    let  contents;         // text of the interface file
 
     // --- open the routing interface file for reading text
-    Finflows.file = fopen(Finflows.name, "rt");
-    if ( Finflows.file == null )
+    //Finflows.file = fopen(Finflows.name, "rt");
+    contents = memfile_readText(Finflows.name);
+    if ( contents == null )
     {
         report_writeErrorMsg(ERR_ROUTING_FILE_OPEN, Finflows.name);
         return;
     }
+    Finflows.file = tfopen(contents);
 
     // --- check for correct file type
-    fgets(line, MAXLINE, Finflows.file);
-    sscanf(line, "%s", s);
+    //fgets(line, MAXLINE, Finflows.file);
+    //sscanf(line, "%s", s);
+    line = tfgets(Finflows.file);
+    s = sscanf(line, "%s")[0] || "";
     if ( !strcomp(s, "SWMM5") )
     {
         report_writeErrorMsg(ERR_ROUTING_FILE_FORMAT, Finflows.name);
@@ -404,12 +429,14 @@ function openFileForInput()
     }
 
     // --- skip title line
-    fgets(line, MAXLINE, Finflows.file);
+    tfgets(Finflows.file);
 
     // --- read reporting time step (sec)
     IfaceStep = 0;
-    fgets(line, MAXLINE, Finflows.file);
-    sscanf(line, "%d", IfaceStep);
+    //fgets(line, MAXLINE, Finflows.file);
+    //sscanf(line, "%d", IfaceStep);
+    line = tfgets(Finflows.file);
+    IfaceStep = sscanf(line, "%d")[0] || 0;
     if ( IfaceStep <= 0 )
     {
         report_writeErrorMsg(ERR_ROUTING_FILE_FORMAT, Finflows.name);
@@ -463,14 +490,18 @@ function  getIfaceFilePolluts()
     let  s2;         
 
     // --- read number of pollutants (minus FLOW)
-    fgets(line, MAXLINE, Finflows.file);
-    sscanf(line, "%d", NumIfacePolluts);
+    //fgets(line, MAXLINE, Finflows.file);
+    //sscanf(line, "%d", &NumIfacePolluts);
+    line = tfgets(Finflows.file);
+    NumIfacePolluts = sscanf(line, "%d")[0] || 0;
     NumIfacePolluts--;
     if ( NumIfacePolluts < 0 ) return ERR_ROUTING_FILE_FORMAT;
 
     // --- read flow units
-    fgets(line, MAXLINE, Finflows.file);
-    sscanf(line, "%s %s", s1, s2);
+    //fgets(line, MAXLINE, Finflows.file);
+    //sscanf(line, "%s %s", s1, s2);
+    line = tfgets(Finflows.file);
+    [s1 = "", s2 = ""] = sscanf(line, "%s %s");
     if ( !strcomp(s1, "FLOW") )  return ERR_ROUTING_FILE_FORMAT;
     IfaceFlowUnits = findmatch(s2, FlowUnitWords);
     if ( IfaceFlowUnits < 0 ) return ERR_ROUTING_FILE_FORMAT;
@@ -490,9 +521,11 @@ function  getIfaceFilePolluts()
         // --- check each pollutant name on file with project's pollutants
         for (i=0; i<NumIfacePolluts; i++)
         {
-            if ( feof(Finflows.file) ) return ERR_ROUTING_FILE_FORMAT;
-            fgets(line, MAXLINE, Finflows.file);
-            sscanf(line, "%s %s", s1, s2);
+            if ( tfeof(Finflows.file) ) return ERR_ROUTING_FILE_FORMAT;
+            //fgets(line, MAXLINE, Finflows.file);
+            //sscanf(line, "%s %s", s1, s2);
+            line = tfgets(Finflows.file);
+            [s1 = "", s2 = ""] = sscanf(line, "%s %s");
             if ( Nobjects[POLLUT] > 0 )
             {
                 j = project_findObject(POLLUT, s1);
@@ -520,8 +553,10 @@ function getIfaceFileNodes()
     let  s;                // general string variable
 
     // --- read number of interface nodes
-    fgets(line, MAXLINE, Finflows.file);
-    sscanf(line, "%d", NumIfaceNodes);
+    //fgets(line, MAXLINE, Finflows.file);
+    //sscanf(line, "%d", &NumIfaceNodes);
+    line = tfgets(Finflows.file);
+    NumIfaceNodes = sscanf(line, "%d")[0] || 0;
     if ( NumIfaceNodes <= 0 ) return ERR_ROUTING_FILE_FORMAT;
 
     // --- allocate memory for interface nodes index array
@@ -532,15 +567,17 @@ function getIfaceFileNodes()
     // --- read names of interface nodes from file & save their indexes
     for ( i=0; i<NumIfaceNodes; i++ )
     {
-        if ( feof(Finflows.file) ) return ERR_ROUTING_FILE_FORMAT;
-        fgets(line, MAXLINE, Finflows.file);
-        sscanf(line, "%s", s);
+        if ( tfeof(Finflows.file) ) return ERR_ROUTING_FILE_FORMAT;
+        //fgets(line, MAXLINE, Finflows.file);
+        //sscanf(line, "%s", s);
+        line = tfgets(Finflows.file);
+        s = sscanf(line, "%s")[0] || "";
         IfaceNodes[i] = project_findObject(NODE, s);
     }
 
     // --- skip over column headings line
-    if ( feof(Finflows.file) ) return ERR_ROUTING_FILE_FORMAT;
-    fgets(line, MAXLINE, Finflows.file);
+    if ( tfeof(Finflows.file) ) return ERR_ROUTING_FILE_FORMAT;
+    tfgets(Finflows.file);
     return 0;
 }
 
@@ -558,46 +595,34 @@ function readNewIfaceValues()
     let    yr = 0, mon = 0, day = 0,
 		   hr = 0, min = 0, sec = 0;   // year, month, day, hour, minute, second
     let   line;            // line from interface file
+    let   tok;             // tokens on the line
 
     // --- read a line for each interface node
     NewIfaceDate = NO_DATE;
     for (i=0; i<NumIfaceNodes; i++)
     {
-        if ( feof(Finflows.file) ) return;
-        fgets(line, MAXLINE, Finflows.file);
+        if ( tfeof(Finflows.file) ) return;
+        //fgets(line, MAXLINE, Finflows.file);
+        line = tfgets(Finflows.file);
 
         // --- parse date & time from line
-        if ( strtok(line, SEPSTR) == null ) return;
-        s = strtok(null, SEPSTR);
-        if ( s == null ) return;
-        yr  = atoi(s);
-        s = strtok(null, SEPSTR);
-        if ( s == null ) return;
-        mon = atoi(s);
-        s = strtok(null, SEPSTR);
-        if ( s == null ) return;
-        day = atoi(s);
-        s = strtok(null, SEPSTR);
-        if ( s == null ) return;
-        hr  = atoi(s);
-        s = strtok(null, SEPSTR);
-        if ( s == null ) return;
-        min = atoi(s);
-        s = strtok(null, SEPSTR);
-        if ( s == null ) return;
-        sec = atoi(s);
+        //     (tokens are node ID, yr, mon, day, hr, min, sec, flow, quality)
+        tok = line.trim().split(/[\s\t\n\r]+/);
+        if ( tok.length < 8 + NumIfacePolluts ) return;
+        yr  = parseInt(tok[1]);
+        mon = parseInt(tok[2]);
+        day = parseInt(tok[3]);
+        hr  = parseInt(tok[4]);
+        min = parseInt(tok[5]);
+        sec = parseInt(tok[6]);
 
         // --- parse flow value
-        s = strtok(null, SEPSTR);
-        if ( s == null ) return;
-        NewIfaceValues[i][0] = atof(s) / Qcf[IfaceFlowUnits]; 
+        NewIfaceValues[i][0] = parseFloat(tok[7]) / Qcf[IfaceFlowUnits]; 
 
         // --- parse pollutant values
         for (j=1; j<=NumIfacePolluts; j++)
         {
-            s = strtok(null, SEPSTR);
-            if ( s == null ) return;
-            NewIfaceValues[i][j] = atof(s);
+            NewIfaceValues[i][j] = parseFloat(tok[7+j]);
         }
 
     }
@@ -48,6 +48,7 @@ function input_countObjects()
     let  line;             // line from input data file     
     let  wLine;            // working copy of input line   
     let  tok;                        // first string token of line          
+    let  toks;                       // all string tokens of line
     let  sect = -1, newsect;          // input data sections          
     let  errcode = 0;                 // error code
     let  errsum = 0;                  // number of errors found                   
@@ -80,7 +81,8 @@ function input_countObjects()
         wLine = line;           // make working copy of line
         //tok = strtok(wLine, SEPSTR);   // get first text token on line
         wLine = wLine.trim();
-        tok = wLine.split(/[\s\t\n\r]+/)[0];
+        toks = wLine.split(/[\s\t\n\r]+/);
+        tok = toks[0];
         if ( tok == null || tok == '' ) continue;
         if ( tok[0] == ';' ) continue;
 
@@ -104,7 +106,7 @@ function input_countObjects()
         // --- if in OPTIONS section then read the option setting
         //     otherwise add object and its ID name (tok) to project
         if ( sect == s_OPTION ) errcode = readOption(line);
-        else if ( sect >= 0 )   errcode = addObject(sect, tok);
+        else if ( sect >= 0 )   errcode = addObject(sect, tok, toks);
 
         // --- report any error found
         if ( errcode )
@@ -241,10 +243,11 @@ function input_readData()
 
 //=============================================================================
 // int objType, char* id
-function  addObject(objType, id)
+function  addObject(objType, id, toks)
 //
 //  Input:   objType = object type index
 //           id = object's ID string
+//           toks = all string tokens on the line (replaces strtok)
 //  Output:  returns an error code
 //  Purpose: adds a new object to the project.
 //
@@ -384,7 +387,8 @@ function  addObject(objType, id)
             Nobjects[CURVE]++;
 
             // --- check for a conduit shape curve
-            id = strtok(null, SEPSTR);
+            //id = strtok(null, SEPSTR);
+            id = toks[1];
             if ( findmatch(id, CurveTypeWords) == SHAPE_CURVE )
                 Nobjects[SHAPE]++;
         }
@@ -408,7 +412,8 @@ function  addObject(objType, id)
         // --- for TRANSECTS, ID name appears as second entry on X1 line
         if ( match(id, "X1") )
         {
-            id = strtok(null, SEPSTR);
+            //id = strtok(null, SEPSTR);
+            id = toks[1];
             if ( id ) 
             {
                 if ( !project_addObject(TRANSECT, id, Nobjects[TRANSECT]) )
@@ -806,9 +811,11 @@ function   match(str, substr)
 
     // --- check if substr matches remainder of str
     //for (i = i,j = 0; substr[j] !== undefined && str[i] !== undefined; i++,j++)
-    for (i = i,j = 0; j < substr.length && i < str.length; i++,j++)
+    //    (fails if str ends before all of substr is matched)
+    for (i = i,j = 0; j < substr.length; i++,j++)
     {
-        if (!str[i] || str[i].toUpperCase() != substr[j].toUpperCase()) return 0;
+        if ( i >= str.length || !str[i] ||
+             str[i].toUpperCase() != substr[j].toUpperCase() ) return 0;
     }
     return 1;
 }
@@ -890,10 +897,17 @@ function  getTokens(s)
 //           in CONSTS.H. Text between quotes is treated as a single token.
 //
 {
-    let  len, fullLen, m, n;
+    let  len, m, n;
     let  c;
-    // copy of s
-    let s_full = (' ' + s).slice(1);
+
+    // --- returns the length of the start of str that has none of the
+    //     characters in chars (C's strcspn)
+    let strcspn = function(str, chars)
+    {
+        let i = 0;
+        while (i < str.length && chars.indexOf(str[i]) < 0) i++;
+        return i;
+    };
 
     // --- begin with no tokens
     for (n = 0; n < MAXTOKS; n++) Tok[n] = null;
@@ -901,43 +915,27 @@ function  getTokens(s)
 
     // --- truncate s at start of comment 
     c = s.indexOf(';');
-    if (c >= 0) c = '\0';
+    if (c >= 0) s = s.substring(0, c);
     len = s.length;
-    fullLen = len;
 
     // --- scan s for tokens until nothing left
     while (len > 0 && n < MAXTOKS)
     {
-        // Remove leading spaces
-        while(s[0] == ' '){
-          len--;
-          s = s.substring(1);
-        }       
-        let x = s.split(/[\s\t\n\r]+/g);
-        if(s.split(/[\s\t\n\r]+/)[n]){
-          m = s.split(/[\s\t\n\r]+/)[n].length    // find token length             
-          if (m == 0){                           // no token found
-            len--;                                // reduce the size of the string
-            s = s.substring(1);                  // Remove the first letter
-          }
-          else
-          {
-              if (s[0] == '"')                  // token begins with quote
-              {
-                  s = s.subtstring(1);          // start token after quote
-                  len--;                        // reduce length of s
-                  //m = strcspn(s,"\"\n");      // find end quote or new line
-                  m = s.split(/["\n]+/)[n].length
-              }
-              Tok[n] = s.split(/["\s\t\n\r]+/)[n];
-              len = fullLen - (s_full.indexOf(Tok[n]) + Tok[n].length)
-              n++;                            // update token count
-          }
-        } else {
-          len--;                                // reduce the size of the string
-          s = s.substring(1);                  // Remove the first letter
+        m = strcspn(s, SEPSTR);             // find token length 
+        if (m == 0) s = s.substring(1);     // no token found
+        else
+        {
+            if (s[0] == '"')                // token begins with quote
+            {
+                s = s.substring(1);         // start token after quote
+                len--;                      // reduce length of s
+                m = strcspn(s, "\"\n");     // find end quote or new line
+            }
+            Tok[n] = s.substring(0, m);     // save the token
+            n++;                            // update token count
+            s = s.substring(m+1);           // begin next token
         }
-        //len -= m+1;                           // indicate how many letters are left in the line
+        len -= m+1;                         // update length of s
     }
     return(n);
 }
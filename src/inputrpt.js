@@ -0,0 +1,380 @@
+//-----------------------------------------------------------------------------
+//   inputrpt.c
+//
+//   Project:  EPA SWMM5
+//   Version:  5.1
+//   Date:     03/20/14   (Build 5.1.001)
+//   Author:   L. Rossman
+//
+//   Report writing functions for input data summary.
+//-----------------------------------------------------------------------------
+
+function WRITE(x) {report_writeLine((x))}
+
+//=============================================================================
+
+function inputrpt_writeInput()
+//
+//  Input:   none
+//  Output:  none
+//  Purpose: writes summary of input data to report file.
+//
+{
+    let i, k;
+    let lidCount = 0;
+    if ( ErrorCode ) return;
+
+    WRITE("");
+    WRITE("*************");
+    WRITE("Element Count");
+    WRITE("*************");
+    Frpt.contents += `\n  Number of rain gages ...... ${Nobjects[GAGE]}`;
+    Frpt.contents += `\n  Number of subcatchments ... ${Nobjects[SUBCATCH]}`;
+    Frpt.contents += `\n  Number of nodes ........... ${Nobjects[NODE]}`;
+    Frpt.contents += `\n  Number of links ........... ${Nobjects[LINK]}`;
+    Frpt.contents += `\n  Number of pollutants ...... ${Nobjects[POLLUT]}`;
+    Frpt.contents += `\n  Number of land uses ....... ${Nobjects[LANDUSE]}`;
+
+    if ( Nobjects[POLLUT] > 0 )
+    {
+        WRITE("");
+        WRITE("");
+        WRITE("*****************");
+        WRITE("Pollutant Summary");
+        WRITE("*****************");
+        Frpt.contents +=
+"\n                               Ppt.      GW         Kdecay";
+        Frpt.contents +=
+"\n  Name                 Units   Concen.   Concen.    1/days    CoPollutant";
+        Frpt.contents +=
+"\n  -----------------------------------------------------------------------";
+        for (i = 0; i < Nobjects[POLLUT]; i++)
+        {
+            //fprintf(Frpt.file, "\n  %-20s %5s%10.2f%10.2f%10.2f", Pollut[i].ID,
+            //    QualUnitsWords[Pollut[i].units], Pollut[i].pptConcen,
+            //    Pollut[i].gwConcen, Pollut[i].kDecay*SECperDAY);
+            Frpt.contents += `\n  ${Pollut[i].ID.padEnd(20, ' ')} ` +
+                `${QualUnitsWords[Pollut[i].units].padStart(5, ' ')}` +
+                `${Pollut[i].pptConcen.toFixed(2).padStart(10, ' ')}` +
+                `${Pollut[i].gwConcen.toFixed(2).padStart(10, ' ')}` +
+                `${(Pollut[i].kDecay*SECperDAY).toFixed(2).padStart(10, ' ')}`;
+            if ( Pollut[i].coPollut >= 0 )
+            {
+                //fprintf(Frpt.file, "    %-s  (%.2f)",
+                //    Pollut[Pollut[i].coPollut].ID, Pollut[i].coFraction);
+                Frpt.contents += `    ${Pollut[Pollut[i].coPollut].ID}  ` +
+                    `(${Pollut[i].coFraction.toFixed(2)})`;
+            }
+        }
+    }
+
+    if ( Nobjects[LANDUSE] > 0 )
+    {
+        WRITE("");
+        WRITE("");
+        WRITE("***************");
+        WRITE("Landuse Summary");
+        WRITE("***************");
+        Frpt.contents +=
+"\n                         Sweeping   Maximum      Last";
+        Frpt.contents +=
+"\n  Name                   Interval   Removal     Swept";
+        Frpt.contents +=
+"\n  ---------------------------------------------------";
+        for (i=0; i<Nobjects[LANDUSE]; i++)
+        {
+            //fprintf(Frpt.file, "\n  %-20s %10.2f%10.2f%10.2f", Landuse[i].ID,
+            //    Landuse[i].sweepInterval, Landuse[i].sweepRemoval,
+            //    Landuse[i].sweepDays0);
+            Frpt.contents += `\n  ${Landuse[i].ID.padEnd(20, ' ')} ` +
+                `${Landuse[i].sweepInterval.toFixed(2).padStart(10, ' ')}` +
+                `${Landuse[i].sweepRemoval.toFixed(2).padStart(10, ' ')}` +
+                `${Landuse[i].sweepDays0.toFixed(2).padStart(10, ' ')}`;
+        }
+    }
+
+    if ( Nobjects[GAGE] > 0 )
+    {
+        WRITE("");
+        WRITE("");
+        WRITE("****************");
+        WRITE("Raingage Summary");
+        WRITE("****************");
+        Frpt.contents +=
+"\n                                                      Data       Recording";
+        Frpt.contents +=
+"\n  Name                 Data Source                    Type       Interval ";
+        Frpt.contents +=
+"\n  ------------------------------------------------------------------------";
+        for (i = 0; i < Nobjects[GAGE]; i++)
+        {
+            if ( Gage[i].tSeries >= 0 )
+            {
+                //fprintf(Frpt.file, "\n  %-20s %-30s ",
+                //    Gage[i].ID, Tseries[Gage[i].tSeries].ID);
+                //fprintf(Frpt.file, "%-10s %3d min.",
+                //    RainTypeWords[Gage[i].rainType],
+                //    (Gage[i].rainInterval)/60);
+                Frpt.contents += `\n  ${Gage[i].ID.padEnd(20, ' ')} ` +
+                    `${Tseries[Gage[i].tSeries].ID.padEnd(30, ' ')} `;
+                Frpt.contents += `${RainTypeWords[Gage[i].rainType].padEnd(10, ' ')} ` +
+                    `${Math.floor(Gage[i].rainInterval/60).toString().padStart(3, ' ')} min.`;
+            }
+            else
+            {
+                //fprintf(Frpt.file, "\n  %-20s %-30s", Gage[i].ID,
+                //    Gage[i].fname);
+                Frpt.contents += `\n  ${Gage[i].ID.padEnd(20, ' ')} ` +
+                    `${Gage[i].fname.padEnd(30, ' ')}`;
+            }
+        }
+    }
+
+    if ( Nobjects[SUBCATCH] > 0 )
+    {
+        WRITE("");
+        WRITE("");
+        WRITE("********************");
+        WRITE("Subcatchment Summary");
+        WRITE("********************");
+        Frpt.contents +=
+"\n  Name                       Area     Width   %Imperv    %Slope Rain Gage            Outlet              ";
+        Frpt.contents +=
+"\n  -----------------------------------------------------------------------------------------------------------";
+        for (i = 0; i < Nobjects[SUBCATCH]; i++)
+        {
+            //fprintf(Frpt.file,"\n  %-20s %10.2f%10.2f%10.2f%10.4f %-20s ",
+            //    Subcatch[i].ID, Subcatch[i].area*UCF(LANDAREA),
+            //    Subcatch[i].width*UCF(LENGTH),  Subcatch[i].fracImperv*100.0,
+            //    Subcatch[i].slope*100.0, Gage[Subcatch[i].gage].ID);
+            Frpt.contents += `\n  ${Subcatch[i].ID.padEnd(20, ' ')} ` +
+                `${(Subcatch[i].area*UCF(LANDAREA)).toFixed(2).padStart(10, ' ')}` +
+                `${(Subcatch[i].width*UCF(LENGTH)).toFixed(2).padStart(10, ' ')}` +
+                `${(Subcatch[i].fracImperv*100.0).toFixed(2).padStart(10, ' ')}` +
+                `${(Subcatch[i].slope*100.0).toFixed(4).padStart(10, ' ')} ` +
+                `${(Subcatch[i].gage >= 0 ? Gage[Subcatch[i].gage].ID : '').padEnd(20, ' ')} `;
+            if ( Subcatch[i].outNode >= 0 )
+            {
+                //fprintf(Frpt.file, "%-20s", Node[Subcatch[i].outNode].ID);
+                Frpt.contents += Node[Subcatch[i].outNode].ID.padEnd(20, ' ');
+            }
+            else if ( Subcatch[i].outSubcatch >= 0 )
+            {
+                //fprintf(Frpt.file, "%-20s", Subcatch[Subcatch[i].outSubcatch].ID);
+                Frpt.contents += Subcatch[Subcatch[i].outSubcatch].ID.padEnd(20, ' ');
+            }
+            if ( Subcatch[i].lidArea ) lidCount++;
+        }
+    }
+    if ( lidCount > 0 ) lid_writeSummary();
+
+    if ( Nobjects[NODE] > 0 )
+    {
+        WRITE("");
+        WRITE("");
+        WRITE("************");
+        WRITE("Node Summary");
+        WRITE("************");
+        Frpt.contents +=
+"\n                                           Invert      Max.    Ponded    External";
+        Frpt.contents +=
+"\n  Name                 Type                 Elev.     Depth      Area    Inflow  ";
+        Frpt.contents +=
+"\n  -------------------------------------------------------------------------------";
+        for (i = 0; i < Nobjects[NODE]; i++)
+        {
+            //fprintf(Frpt.file, "\n  %-20s %-16s%10.2f%10.2f%10.1f", Node[i].ID,
+            //    NodeTypeWords[Node[i].type-JUNCTION],
+            //    Node[i].invertElev*UCF(LENGTH),
+            //    Node[i].fullDepth*UCF(LENGTH),
+            //    Node[i].pondedArea*UCF(LENGTH)*UCF(LENGTH));
+            Frpt.contents += `\n  ${Node[i].ID.padEnd(20, ' ')} ` +
+                `${NodeTypeWords[Node[i].type-JUNCTION].padEnd(16, ' ')}` +
+                `${(Node[i].invertElev*UCF(LENGTH)).toFixed(2).padStart(10, ' ')}` +
+                `${(Node[i].fullDepth*UCF(LENGTH)).toFixed(2).padStart(10, ' ')}` +
+                `${(Node[i].pondedArea*UCF(LENGTH)*UCF(LENGTH)).toFixed(1).padStart(10, ' ')}`;
+            if ( Node[i].extInflow || Node[i].dwfInflow || Node[i].rdiiInflow )
+            {
+                Frpt.contents += "    Yes";
+            }
+        }
+    }
+
+    if ( Nobjects[LINK] > 0 )
+    {
+        WRITE("");
+        WRITE("");
+        WRITE("************");
+        WRITE("Link Summary");
+        WRITE("************");
+        Frpt.contents +=
+"\n  Name             From Node        To Node          Type            Length    %Slope Roughness";
+        Frpt.contents +=
+"\n  ---------------------------------------------------------------------------------------------";
+        for (i = 0; i < Nobjects[LINK]; i++)
+        {
+            // --- list end nodes in their original orientation
+            if ( Link[i].direction == 1 )
+            {
+                //fprintf(Frpt.file, "\n  %-16s %-16s %-16s ",
+                //    Link[i].ID, Node[Link[i].node1].ID, Node[Link[i].node2].ID);
+                Frpt.contents += `\n  ${Link[i].ID.padEnd(16, ' ')} ` +
+                    `${Node[Link[i].node1].ID.padEnd(16, ' ')} ` +
+                    `${Node[Link[i].node2].ID.padEnd(16, ' ')} `;
+            }
+            else
+            {
+                //fprintf(Frpt.file, "\n  %-16s %-16s %-16s ",
+                //    Link[i].ID, Node[Link[i].node2].ID, Node[Link[i].node1].ID);
+                Frpt.contents += `\n  ${Link[i].ID.padEnd(16, ' ')} ` +
+                    `${Node[Link[i].node2].ID.padEnd(16, ' ')} ` +
+                    `${Node[Link[i].node1].ID.padEnd(16, ' ')} `;
+            }
+
+            // --- list link type
+            if ( Link[i].type == PUMP )
+            {
+                k = Link[i].subIndex;
+                //fprintf(Frpt.file, "%-5s PUMP  ",
+                //    PumpTypeWords[Pump[k].type]);
+                Frpt.contents += `${PumpTypeWords[Pump[k].type].padEnd(5, ' ')} PUMP  `;
+            }
+            else
+            {
+                //fprintf(Frpt.file, "%-12s",
+                //    LinkTypeWords[Link[i].type-CONDUIT]);
+                Frpt.contents += LinkTypeWords[Link[i].type-CONDUIT].padEnd(12, ' ');
+            }
+
+            // --- list length, slope and roughness for conduit links
+            if (Link[i].type == CONDUIT)
+            {
+                k = Link[i].subIndex;
+                //fprintf(Frpt.file, "%10.1f%10.4f%10.4f",
+                //    Conduit[k].length*UCF(LENGTH),
+                //    Conduit[k].slope*100.0*Link[i].direction,
+                //    Conduit[k].roughness);
+                Frpt.contents +=
+                    `${(Conduit[k].length*UCF(LENGTH)).toFixed(1).padStart(10, ' ')}` +
+                    `${(Conduit[k].slope*100.0*Link[i].direction).toFixed(4).padStart(10, ' ')}` +
+                    `${Conduit[k].roughness.toFixed(4).padStart(10, ' ')}`;
+            }
+        }
+
+        WRITE("");
+        WRITE("");
+        WRITE("*********************");
+        WRITE("Cross Section Summary");
+        WRITE("*********************");
+        Frpt.contents +=
+"\n                                        Full     Full     Hyd.     Max.   No. of     Full";
+        Frpt.contents +=
+"\n  Conduit          Shape               Depth     Area     Rad.    Width  Barrels     Flow";
+        Frpt.contents +=
+"\n  ---------------------------------------------------------------------------------------";
+        for (i = 0; i < Nobjects[LINK]; i++)
+        {
+            if (Link[i].type == CONDUIT)
+            {
+                k = Link[i].subIndex;
+                //fprintf(Frpt.file, "\n  %-16s ", Link[i].ID);
+                Frpt.contents += `\n  ${Link[i].ID.padEnd(16, ' ')} `;
+                if ( Link[i].xsect.type == CUSTOM )
+                {
+                    //fprintf(Frpt.file, "%-16s ", Curve[Link[i].xsect.transect].ID);
+                    Frpt.contents += `${Curve[Link[i].xsect.transect].ID.padEnd(16, ' ')} `;
+                }
+                else if ( Link[i].xsect.type == IRREGULAR )
+                {
+                    //fprintf(Frpt.file, "%-16s ",
+                    //Transect[Link[i].xsect.transect].ID);
+                    Frpt.contents += `${Transect[Link[i].xsect.transect].ID.padEnd(16, ' ')} `;
+                }
+                else
+                {
+                    //fprintf(Frpt.file, "%-16s ",
+                    //XsectTypeWords[Link[i].xsect.type]);
+                    Frpt.contents += `${XsectTypeWords[Link[i].xsect.type].padEnd(16, ' ')} `;
+                }
+                //fprintf(Frpt.file, "%8.2f %8.2f %8.2f %8.2f      %3d %8.2f",
+                //    Link[i].xsect.yFull*UCF(LENGTH),
+                //    Link[i].xsect.aFull*UCF(LENGTH)*UCF(LENGTH),
+                //    Link[i].xsect.rFull*UCF(LENGTH),
+                //    Link[i].xsect.wMax*UCF(LENGTH),
+                //    Conduit[k].barrels,
+                //    Link[i].qFull*UCF(FLOW));
+                Frpt.contents +=
+                    `${(Link[i].xsect.yFull*UCF(LENGTH)).toFixed(2).padStart(8, ' ')} ` +
+                    `${(Link[i].xsect.aFull*UCF(LENGTH)*UCF(LENGTH)).toFixed(2).padStart(8, ' ')} ` +
+                    `${(Link[i].xsect.rFull*UCF(LENGTH)).toFixed(2).padStart(8, ' ')} ` +
+                    `${(Link[i].xsect.wMax*UCF(LENGTH)).toFixed(2).padStart(8, ' ')}      ` +
+                    `${Conduit[k].barrels.toString().padStart(3, ' ')} ` +
+                    `${(Link[i].qFull*UCF(FLOW)).toFixed(2).padStart(8, ' ')}`;
+            }
+        }
+    }
+
+    if (Nobjects[SHAPE] > 0)
+    {
+        WRITE("");
+        WRITE("");
+        WRITE("*************");
+        WRITE("Shape Summary");
+        WRITE("*************");
+        for (i = 0; i < Nobjects[SHAPE]; i++)
+        {
+            k = Shape[i].curve;
+            Frpt.contents += `\n\n  Shape ${Curve[k].ID}`;
+            Frpt.contents += "\n  Area:  ";
+            Frpt.contents += writeGeomTable(Shape[i].areaTbl, N_SHAPE_TBL);
+            Frpt.contents += "\n  Hrad:  ";
+            Frpt.contents += writeGeomTable(Shape[i].hradTbl, N_SHAPE_TBL);
+            Frpt.contents += "\n  Width: ";
+            Frpt.contents += writeGeomTable(Shape[i].widthTbl, N_SHAPE_TBL);
+        }
+    }
+
+    if (Nobjects[TRANSECT] > 0)
+    {
+        WRITE("");
+        WRITE("");
+        WRITE("****************");
+        WRITE("Transect Summary");
+        WRITE("****************");
+        for (i = 0; i < Nobjects[TRANSECT]; i++)
+        {
+            Frpt.contents += `\n\n  Transect ${Transect[i].ID}`;
+            Frpt.contents += "\n  Area:  ";
+            Frpt.contents += writeGeomTable(Transect[i].areaTbl, N_TRANSECT_TBL);
+            Frpt.contents += "\n  Hrad:  ";
+            Frpt.contents += writeGeomTable(Transect[i].hradTbl, N_TRANSECT_TBL);
+            Frpt.contents += "\n  Width: ";
+            Frpt.contents += writeGeomTable(Transect[i].widthTbl, N_TRANSECT_TBL);
+        }
+    }
+    WRITE("");
+}
+
+//=============================================================================
+// double* tbl
+// int n
+function writeGeomTable(tbl, n)
+//
+//  Input:   tbl = normalized geometry table (area, hyd. radius or width)
+//           n = size of the table
+//  Output:  returns table entries formatted five to a line
+//  Purpose: formats the entries of a shape or transect geometry table
+//           for the input summary.
+//
+{
+    let m;
+    let s = "";
+    for ( m = 1; m < n; m++)
+    {
+        //if ( m % 5 == 1 ) fprintf(Frpt.file,"\n          ");
+        //fprintf(Frpt.file, "%10.4f ", tbl[m]);
+        if ( m % 5 == 1 ) s += "\n          ";
+        s += `${tbl[m].toFixed(4).padStart(10, ' ')} `;
+    }
+    return s;
+}
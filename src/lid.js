@@ -172,7 +172,9 @@ class TWaterBalance
 class TLidRptFile
 {
     constructor(){
-        this.file = new FILE();               // file pointer
+        //this.file;               // file pointer
+        this.name;               // name of report file
+        this.contents;           // text written to the report file
         this.wasDry;             // number of successive dry periods
         this.results;//[256];       // results for current time period
     }
@@ -461,7 +463,8 @@ function lid_create(lidCount, subcatchCount)
     if ( GroupCount > 0 )
     {
         //LidGroups = (TLidGroup *) calloc(GroupCount, sizeof(TLidGroup));
-        for(let i = 0; i < GroupCount; i++){LidGroups.push(new TLidGroup())}
+        //   (TLidGroup is a pointer type in C, so each entry starts out null)
+        for(let i = 0; i < GroupCount; i++){LidGroups.push(null)}
         if ( LidGroups.length == 0 )
         {
             ErrorCode = ERR_MEMORY;
@@ -498,9 +501,36 @@ function lid_create(lidCount, subcatchCount)
         LidProcs[j].drain.offset = 0.0;
         LidProcs[j].drainMat.thickness = 0.0;
         LidProcs[j].drainMat.roughness = 0.0;
+
+        //... remaining layer parameters are zeroed by calloc in the C engine
+        LidProcs[j].surface.sideSlope = 0.0;
+        LidProcs[j].surface.alpha = 0.0;
+        LidProcs[j].surface.canOverflow = 0;
+        LidProcs[j].pavement.voidFrac = 0.0;
+        LidProcs[j].pavement.impervFrac = 0.0;
+        LidProcs[j].pavement.kSat = 0.0;
+        LidProcs[j].pavement.clogFactor = 0.0;
+        LidProcs[j].pavement.regenDays = 0.0;
+        LidProcs[j].pavement.regenDegree = 0.0;
+        LidProcs[j].soil.porosity = 0.0;
+        LidProcs[j].soil.fieldCap = 0.0;
+        LidProcs[j].soil.wiltPoint = 0.0;
+        LidProcs[j].soil.suction = 0.0;
+        LidProcs[j].soil.kSat = 0.0;
+        LidProcs[j].soil.kSlope = 0.0;
+        LidProcs[j].storage.voidFrac = 0.0;
+        LidProcs[j].storage.clogFactor = 0.0;
+        LidProcs[j].drain.expon = 0.0;
+        LidProcs[j].drain.delay = 0.0;
+        LidProcs[j].drain.hOpen = 0.0;
+        LidProcs[j].drain.hClose = 0.0;
+        LidProcs[j].drain.qCurve = -1;     // no drain control curve
+        LidProcs[j].drainMat.voidFrac = 0.0;
+        LidProcs[j].drainMat.alpha = 0.0;
         LidProcs[j].drainRmvl = null;                                          //(5.1.013)
-        LidProcs[j].drainRmvl =                                      //
-                                calloc(Nobjects[POLLUT], sizeof(double));      //
+        //LidProcs[j].drainRmvl = (double *)                                   //
+        //                        calloc(Nobjects[POLLUT], sizeof(double));    //
+        LidProcs[j].drainRmvl = new Array(Nobjects[POLLUT]).fill(0.0);         //
         if (LidProcs[j].drainRmvl == null)                                     //
         {                                                                      //
             ErrorCode = ERR_MEMORY;                                            //
@@ -548,7 +578,11 @@ function freeLidGroup(j)
         lidUnit = lidList.lidUnit;
         if ( lidUnit.rptFile )
         {
-            if ( lidUnit.rptFile.file ) fclose(lidUnit.rptFile.file);
+            //if ( lidUnit.rptFile.file ) fclose(lidUnit.rptFile.file);
+            if ( lidUnit.rptFile.contents != null )
+            {
+                memfile_write(lidUnit.rptFile.name, lidUnit.rptFile.contents);
+            }
             lidUnit.rptFile = null;
         }
         nextLidUnit = lidList.nextLidUnit;
@@ -690,10 +724,12 @@ function lid_readGroupParams(toks, ntoks)
         return error_setInpError(ERR_NUMBER, toks[i+3]);
 
     //... read optional report file name
-    if ( ntoks >= 9 && strcmp(toks[8], "*") != 0 ) fname = toks[8];
+    //if ( ntoks >= 9 && strcmp(toks[8], "*") != 0 ) fname = toks[8];
+    if ( ntoks >= 9 && toks[8] != "*" ) fname = toks[8];
 
     //... read optional underdrain outlet
-    if ( ntoks >= 10 && strcmp(toks[9], "*") != 0 )
+    //if ( ntoks >= 10 && strcmp(toks[9], "*") != 0 )
+    if ( ntoks >= 10 && toks[9] != "*" )
     {
         drainSubcatch = project_findObject(SUBCATCH, toks[9]);
         if ( drainSubcatch < 0 )
@@ -804,8 +840,10 @@ function createLidRptFile(lidUnit, fname)
     rptFile = new TLidRptFile();
     if ( rptFile == null ) return 0;
     lidUnit.rptFile = rptFile;
-    rptFile.contents = fopen(fname, "wt");
-    if ( rptFile.file == null ) return 0;
+    //rptFile->file = fopen(fname, "wt");
+    //if ( rptFile->file == NULL ) return 0;
+    rptFile.name = fname;
+    rptFile.contents = "";
     return 1;
 }
 
@@ -1193,7 +1231,7 @@ function lid_writeSummary()
 
 
     Frpt.contents +=  
-`\n                                   No. of        Unit        Unit      %% Area    %% Imperv      %% Perv`; //(5.1.013)
+`\n                                   No. of        Unit        Unit       % Area    % Imperv      % Perv`; //(5.1.013)
     Frpt.contents +=                                                                                           //
 `\n  Subcatchment     LID Control      Units        Area       Width     Covered     Treated     Treated`;    //
     Frpt.contents +=                                                                                         //
@@ -1211,13 +1249,17 @@ function lid_writeSummary()
             pctArea = lidUnit.area * lidUnit.number / Subcatch[j].area * 100.0;
             Frpt.contents += `\n  ${Subcatch[j].ID.padEnd(16, ' ')} ${LidProcs[k].ID.padEnd(16, ' ')}`
 
-            val1 = lidUnit.number.padStart(6, ' ')
+            //fprintf(Frpt.file, "%6d  %10.2f  %10.2f  %10.2f  %10.2f  %10.2f",
+            //    lidUnit->number, lidUnit->area * SQR(UCF(LENGTH)),
+            //    lidUnit->fullWidth * UCF(LENGTH), pctArea,
+            //    lidUnit->fromImperv*100.0, lidUnit->fromPerv*100.0);
+            val1 = lidUnit.number.toString().padStart(6, ' ')
             val2 = (lidUnit.area * SQR(UCF(LENGTH))).toFixed(2).padStart(10, ' ')
             val3 = (lidUnit.fullWidth * UCF(LENGTH)).toFixed(2).padStart(10, ' ')
             val4 = pctArea.toFixed(2).padStart(10, ' ')
             val5 = (lidUnit.fromImperv*100.0).toFixed(2).padStart(10, ' ')
             val6 = (lidUnit.fromPerv*100.0).toFixed(2).padStart(10, ' ')
-            Frpt.contents += `%6d  %10.2f  %10.2f  %10.2f  %10.2f  %10.2f`  //(5.1.013)
+            Frpt.contents += `${val1}  ${val2}  ${val3}  ${val4}  ${val5}  ${val6}`  //(5.1.013)
 
             lidList = lidList.nextLidUnit;
         }
@@ -1290,8 +1332,9 @@ function validateLidProc(j)
         ||   LidProcs[j].pavement.impervFrac >  1.0 )
 
         {
-            strcpy(Msg, LidProcs[j].ID);
-            strcat(Msg, ERR_PAVE_LAYER);
+            //strcpy(Msg, LidProcs[j].ID);
+            //strcat(Msg, ERR_PAVE_LAYER);
+            Msg = LidProcs[j].ID + ERR_PAVE_LAYER;
             report_writeErrorMsg(ERR_LID_PARAMS, Msg);
         }
     }
@@ -1305,8 +1348,9 @@ function validateLidProc(j)
         ||   LidProcs[j].soil.kSat          <= 0.0
         ||   LidProcs[j].soil.kSlope        <  0.0 )
         {
-            strcpy(Msg, LidProcs[j].ID);
-            strcat(Msg, ERR_SOIL_LAYER);
+            //strcpy(Msg, LidProcs[j].ID);
+            //strcat(Msg, ERR_SOIL_LAYER);
+            Msg = LidProcs[j].ID + ERR_SOIL_LAYER;
             report_writeErrorMsg(ERR_LID_PARAMS, Msg);
         }
     }
@@ -1317,8 +1361,9 @@ function validateLidProc(j)
         if ( LidProcs[j].storage.voidFrac <= 0.0 ||
              LidProcs[j].storage.voidFrac > 1.0 )
         {
-            strcpy(Msg, LidProcs[j].ID);
-            strcat(Msg, ERR_STOR_LAYER);
+            //strcpy(Msg, LidProcs[j].ID);
+            //strcat(Msg, ERR_STOR_LAYER);
+            Msg = LidProcs[j].ID + ERR_STOR_LAYER;
             report_writeErrorMsg(ERR_LID_PARAMS, Msg);
         }
     }
@@ -1334,8 +1379,9 @@ function validateLidProc(j)
     if (LidProcs[j].drain.hOpen > 0.0 &&                                       //
         LidProcs[j].drain.hOpen <= LidProcs[j].drain.hClose)                   //
     {                                                                          //
-        strcpy(Msg, LidProcs[j].ID);                                           //
-        strcat(Msg, ERR_DRAIN_HEADS);                                          //
+        //strcpy(Msg, LidProcs[j].ID);
+        //strcat(Msg, ERR_DRAIN_HEADS);
+        Msg = LidProcs[j].ID + ERR_DRAIN_HEADS;
         report_writeErrorMsg(ERR_LID_PARAMS, Msg);                             //
     }                                                                          //
 
@@ -1347,8 +1393,9 @@ function validateLidProc(j)
              LidProcs[j].surface.thickness == 0.0
            )
         {
-            strcpy(Msg, LidProcs[j].ID);
-            strcat(Msg, ERR_SWALE_SURF);
+            //strcpy(Msg, LidProcs[j].ID);
+            //strcat(Msg, ERR_SWALE_SURF);
+            Msg = LidProcs[j].ID + ERR_SWALE_SURF;
             report_writeErrorMsg(ERR_LID_PARAMS, Msg);
         }
         else LidProcs[j].surface.alpha = 
@@ -1461,8 +1508,9 @@ function validateLidGroup(j)
                    (1.0 - lidUnit.initSat);
             if ( grnampt_setParams((lidUnit.soilInfil), p) == false )
             {
-                strcpy(Msg, LidProcs[k].ID);
-                strcat(Msg, ERR_SOIL_LAYER);
+                //strcpy(Msg, LidProcs[k].ID);
+                //strcat(Msg, ERR_SOIL_LAYER);
+                Msg = LidProcs[k].ID + ERR_SOIL_LAYER;
                 report_writeErrorMsg(ERR_LID_PARAMS, Msg);
             }
         }
@@ -1476,15 +1524,17 @@ function validateLidGroup(j)
                 grnampt_getParams(j, p);                                       //(5.1.015)
                 if ( grnampt_setParams((lidUnit.soilInfil), p) == false )
                 {
-                    strcpy(Msg, LidProcs[k].ID);
-                    strcat(Msg, ERR_GREEN_AMPT);
+                    //strcpy(Msg, LidProcs[k].ID);
+                    //strcat(Msg, ERR_GREEN_AMPT);
+                    Msg = LidProcs[k].ID + ERR_GREEN_AMPT;
                     report_writeErrorMsg(ERR_LID_PARAMS, Msg);
                 }
             }
             if ( lidUnit.fullWidth <= 0.0 )
             {
-                strcpy(Msg, LidProcs[k].ID);
-                strcat(Msg, ERR_SWALE_WIDTH);
+                //strcpy(Msg, LidProcs[k].ID);
+                //strcat(Msg, ERR_SWALE_WIDTH);
+                Msg = LidProcs[k].ID + ERR_SWALE_WIDTH;
                 report_writeErrorMsg(ERR_LID_PARAMS, Msg);
             }
         }
@@ -1944,6 +1994,7 @@ function lid_getRunoff(j, tStep)
     let qRunoff = 0.0;         // surface runoff from all LID units (cfs)
     let qDrain = 0.0;          // drain flow from all LID units (cfs)
     let qReturn = 0.0;         // LID outflow returned to pervious area (cfs) 
+    let returnObj;
 
     //... return if there are no LID's
     theLidGroup = LidGroups[j];
@@ -1995,8 +2046,15 @@ function lid_getRunoff(j, tStep)
             //... evaluate the LID unit's performance, updating the LID group's
             //    total surface runoff, drain flow, and flow returned to
             //    pervious area 
-            evalLidUnit(j, lidUnit, lidArea, lidInflow, tStep,
-                        qRunoff, qDrain, qReturn);
+            //evalLidUnit(j, lidUnit, lidArea, lidInflow, tStep,
+            //            &qRunoff, &qDrain, &qReturn);
+            ////////////////////////////////////
+            returnObj = {qRunoff: qRunoff, qDrain: qDrain, qReturn: qReturn}
+            evalLidUnit(j, lidUnit, lidArea, lidInflow, tStep, returnObj);
+            qRunoff = returnObj.qRunoff;
+            qDrain = returnObj.qDrain;
+            qReturn = returnObj.qReturn;
+            ////////////////////////////////////
         }
         lidList = lidList.nextLidUnit;
     }
@@ -2109,8 +2167,7 @@ function getPervAreaRunoff(j)
 //=============================================================================
 // int j, TLidUnit* lidUnit, double lidArea, double lidInflow,
 //    double tStep, double *qRunoff, double *qDrain, double *qReturn
-function evalLidUnit(j, lidUnit, lidArea, lidInflow,
-     tStep, qRunoff, qDrain, qReturn)
+function evalLidUnit(j, lidUnit, lidArea, lidInflow, tStep, inObj)
 //
 //  Purpose: evaluates performance of a specific LID unit over current time step.
 //  Input:   j         = subcatchment index
@@ -2118,9 +2175,9 @@ function evalLidUnit(j, lidUnit, lidArea, lidInflow,
 //           lidArea   = area of LID unit
 //           lidInflow = inflow to LID unit (ft/s)
 //           tStep     = time step (sec)
-//  Output:  qRunoff   = sum of surface runoff from all LIDs (cfs)
-//           qDrain    = sum of drain flows from all LIDs (cfs)
-//           qReturn   = sum of LID flows returned to pervious area (cfs)
+//  Output:  inObj.qRunoff = sum of surface runoff from all LIDs (cfs)
+//           inObj.qDrain  = sum of drain flows from all LIDs (cfs)
+//           inObj.qReturn = sum of LID flows returned to pervious area (cfs)
 //
 {
     let lidProc;   // TLidProc*    // LID process associated with lidUnit
@@ -2128,6 +2185,7 @@ function evalLidUnit(j, lidUnit, lidArea, lidInflow,
            lidEvap,          // evaporation rate from LID unit (ft/s)
            lidInfil,         // infiltration rate from LID unit (ft/s)
            lidDrain;         // drain flow rate from LID unit (ft/s & cfs)
+    let returnObj;
 
     //... identify the LID process of the LID unit being analyzed
     lidProc = LidProcs[lidUnit.lidIndex];
@@ -2137,9 +2195,18 @@ function evalLidUnit(j, lidUnit, lidArea, lidInflow,
     lidInfil = 0.0;
 
     //... find surface runoff from the LID unit (in cfs)
+    //lidRunoff = lidproc_getOutflow(lidUnit, lidProc, lidInflow, EvapRate,
+    //                              NativeInfil, MaxNativeInfil, tStep,
+    //                              &lidEvap, &lidInfil, &lidDrain) * lidArea;
+    ////////////////////////////////////
+    returnObj = {lidEvap: lidEvap, lidInfil: lidInfil, lidDrain: lidDrain}
     lidRunoff = lidproc_getOutflow(lidUnit, lidProc, lidInflow, EvapRate,
                                   NativeInfil, MaxNativeInfil, tStep,
-                                  lidEvap, lidInfil, lidDrain) * lidArea;
+                                  returnObj) * lidArea;
+    lidEvap = returnObj.lidEvap;
+    lidInfil = returnObj.lidInfil;
+    lidDrain = returnObj.lidDrain;
+    ////////////////////////////////////
     
     //... convert drain flow to CFS
     lidDrain *= lidArea;
@@ -2148,14 +2215,14 @@ function evalLidUnit(j, lidUnit, lidArea, lidInflow,
     if ( lidUnit.toPerv && Subcatch[j].area > Subcatch[j].lidArea )
     {
         //... surface runoff is always returned
-        qReturn += lidRunoff;
+        inObj.qReturn += lidRunoff;
         lidRunoff = 0.0;
 
         //... drain flow returned if it has same outlet as subcatchment
         if ( lidUnit.drainNode == Subcatch[j].outNode &&
             lidUnit.drainSubcatch == Subcatch[j].outSubcatch )
         {
-            qReturn += lidDrain;
+            inObj.qReturn += lidDrain;
             lidDrain = 0.0;
         }
     }
@@ -2186,8 +2253,8 @@ function evalLidUnit(j, lidUnit, lidArea, lidInflow,
     lidproc_saveResults(lidUnit, UCF(RAINFALL), UCF(RAINDEPTH));
 
     //... update LID group totals
-    qRunoff += lidRunoff;
-    qDrain += lidDrain;
+    inObj.qRunoff += lidRunoff;
+    inObj.qDrain += lidDrain;
 }
 
 //=============================================================================
@@ -2231,11 +2298,11 @@ function lid_writeWaterBalance()
 +`\n                                         Total      Evap     Infil   Surface    Drain    Initial     Final  Continuity`
 +`\n                                        Inflow      Loss      Loss   Outflow   Outflow   Storage   Storage       Error`;
     if ( UnitSystem == US ) Frpt.contents +=
-`\n  Subcatchment      LID Control             in        in        in        in        in        in        in           %%`;
+`\n  Subcatchment      LID Control             in        in        in        in        in        in        in           %`;
     else Frpt.contents +=
-+`\n  Subcatchment      LID Control             mm        mm        mm        mm        mm        mm        mm           %%`;
+`\n  Subcatchment      LID Control             mm        mm        mm        mm        mm        mm        mm           %`;
     Frpt.contents +=
-+`\n  --------------------------------------------------------------------------------------------------------------------`;
+`\n  --------------------------------------------------------------------------------------------------------------------`;
 
     //... examine each LID unit in each subcatchment
     for ( j = 0; j < GroupCount; j++ )
@@ -2334,6 +2401,8 @@ function initLidRptFile(title, lidID, subcatchID, lidUnit)
     f += "\n----------- --------";
     for ( i = 1; i < colCount; i++) f += "\t" + line9;
 
+    lidUnit.rptFile.contents = f;
+
     //... initialize LID dryness state
     lidUnit.rptFile.wasDry = 1;
     lidUnit.rptFile.results = "";
@@ -64,82 +64,78 @@
 //   - Fixed failure to initialize all LID layer moisture volumes to 0 before
 //     computing LID unit performance in lidproc_getOutflow.
 //
+//   JavaScript port:
+//   - STOPTOL renamed LID_STOPTOL since flowrout.c's STOPTOL is also a global.
+//   - Tstep renamed LidTstep and getEvapRates renamed getLidEvapRates since
+//     gwater.c uses the same names.
+//   - EvapRate, MaxNativeInfil and the LidLayerTypes enumeration are shared
+//     with lid.c.
+//   - Detailed results are appended to the LID unit's in-memory report file.
+//
 //-----------------------------------------------------------------------------
-#define _CRT_SECURE_NO_DEPRECATE
-
-#include <stdlib.h>
-#include <string.h>
-#include <math.h>
-#include "lid.h"
-#include "headers.h"
 
 //-----------------------------------------------------------------------------
 //  Constants
 //-----------------------------------------------------------------------------
-#define STOPTOL  0.00328     // integration error tolerance in ft (= 1 mm)
-#define MINFLOW  2.3e-8      // flow cutoff for dry conditions (= 0.001 in/hr)
+var LID_STOPTOL = 0.00328;     // integration error tolerance in ft (= 1 mm)
+var MINFLOW     = 2.3e-8;      // flow cutoff for dry conditions (= 0.001 in/hr)
 
 //-----------------------------------------------------------------------------
 //  Enumerations
 //-----------------------------------------------------------------------------
-enum LidLayerTypes {
-    SURF,                    // surface layer
-    SOIL,                    // soil layer
-    STOR,                    // storage layer
-    PAVE,                    // pavement layer
-    DRAIN};                  // underdrain system
-
-enum LidRptVars {
-    SURF_INFLOW,             // inflow to surface layer
-    TOTAL_EVAP,              // evaporation rate from all layers
-    SURF_INFIL,              // infiltration into surface layer
-    PAVE_PERC,               // percolation through pavement layer
-    SOIL_PERC,               // percolation through soil layer
-    STOR_EXFIL,              // exfiltration out of storage layer
-    SURF_OUTFLOW,            // outflow from surface layer
-    STOR_DRAIN,              // outflow from storage layer
-    SURF_DEPTH,              // ponded depth on surface layer
-    PAVE_DEPTH,              // water level in pavement layer
-    SOIL_MOIST,              // moisture content of soil layer
-    STOR_DEPTH,              // water level in storage layer
-    MAX_RPT_VARS};
+// LidLayerTypes (SURF, SOIL, STOR, PAVE) are defined in lid.js
+
+// LidRptVars
+var SURF_INFLOW  = 0;          // inflow to surface layer
+var TOTAL_EVAP   = 1;          // evaporation rate from all layers
+var SURF_INFIL   = 2;          // infiltration into surface layer
+var PAVE_PERC    = 3;          // percolation through pavement layer
+var SOIL_PERC    = 4;          // percolation through soil layer
+var STOR_EXFIL   = 5;          // exfiltration out of storage layer
+var SURF_OUTFLOW = 6;          // outflow from surface layer
+var STOR_DRAIN   = 7;          // outflow from storage layer
+var SURF_DEPTH   = 8;          // ponded depth on surface layer
+var PAVE_DEPTH   = 9;          // water level in pavement layer
+var SOIL_MOIST   = 10;         // moisture content of soil layer
+var STOR_DEPTH   = 11;         // water level in storage layer
+var MAX_RPT_VARS = 12;
 
 //-----------------------------------------------------------------------------
-//  Imported variables 
+//  Imported variables
 //-----------------------------------------------------------------------------
-extern char HasWetLids;      // TRUE if any LIDs are wet (declared in runoff.c)
+//extern char HasWetLids;      // TRUE if any LIDs are wet (declared in runoff.c)
 
 //-----------------------------------------------------------------------------
 //  Local Variables
 //-----------------------------------------------------------------------------
-static TLidUnit*  theLidUnit;     // ptr. to a subcatchment's LID unit
-static TLidProc*  theLidProc;     // ptr. to a LID process
+var  theLidUnit;     // TLidUnit* ptr. to a subcatchment's LID unit
+var  theLidProc;     // TLidProc* ptr. to a LID process
 
-static double     Tstep;          // current time step (sec)
-static double     EvapRate;       // evaporation rate (ft/s)
-static double     MaxNativeInfil; // native soil infil. rate limit (ft/s)
+var  LidTstep;       // current time step (sec)
+//var  EvapRate;       // evaporation rate (ft/s)                  (in lid.js)
+//var  MaxNativeInfil; // native soil infil. rate limit (ft/s)     (in lid.js)
 
-static double     SurfaceInflow;  // precip. + runon to LID unit (ft/s)
-static double     SurfaceInfil;   // infil. rate from surface layer (ft/s)
-static double     SurfaceEvap;    // evap. rate from surface layer (ft/s)
-static double     SurfaceOutflow; // outflow from surface layer (ft/s)
-static double     SurfaceVolume;  // volume in surface storage (ft)
+var  SurfaceInflow;  // precip. + runon to LID unit (ft/s)
+var  SurfaceInfil;   // infil. rate from surface layer (ft/s)
+var  SurfaceEvap;    // evap. rate from surface layer (ft/s)
+var  SurfaceOutflow; // outflow from surface layer (ft/s)
+var  SurfaceVolume;  // volume in surface storage (ft)
 
-static double     PaveEvap;       // evap. from pavement layer (ft/s)
-static double     PavePerc;       // percolation from pavement layer (ft/s)
-static double     PaveVolume;     // volume stored in pavement layer  (ft)
+var  PaveEvap;       // evap. from pavement layer (ft/s)
+var  PavePerc;       // percolation from pavement layer (ft/s)
+var  PaveVolume;     // volume stored in pavement layer  (ft)
 
-static double     SoilEvap;       // evap. from soil layer (ft/s)
-static double     SoilPerc;       // percolation from soil layer (ft/s)
-static double     SoilVolume;     // volume in soil/pavement storage (ft)
+var  SoilEvap;       // evap. from soil layer (ft/s)
+var  SoilPerc;       // percolation from soil layer (ft/s)
+var  SoilVolume;     // volume in soil/pavement storage (ft)
 
-static double     StorageInflow;  // inflow rate to storage layer (ft/s)
-static double     StorageExfil;   // exfil. rate from storage layer (ft/s)
-static double     StorageEvap;    // evap.rate from storage layer (ft/s)
-static double     StorageDrain;   // underdrain flow rate layer (ft/s)
-static double     StorageVolume;  // volume in storage layer (ft)
+var  StorageInflow;  // inflow rate to storage layer (ft/s)
+var  StorageExfil;   // exfil. rate from storage layer (ft/s)
+var  StorageEvap;    // evap.rate from storage layer (ft/s)
+var  StorageDrain;   // underdrain flow rate layer (ft/s)
+var  StorageVolume;  // volume in storage layer (ft)
 
-static double     Xold[MAX_LAYERS];  // previous moisture level in LID layers
+var  Xold = [];       // previous moisture level in LID layers [MAX_LAYERS]
 
 //-----------------------------------------------------------------------------
 //  External Functions (declared in lid.h)
@@ -148,41 +144,9 @@ static double     Xold[MAX_LAYERS];  // previous moisture level in LID layers
 // lidproc_getOutflow        (called by evalLidUnit in lid.c)
 // lidproc_saveResults       (called by evalLidUnit in lid.c)
 
-//-----------------------------------------------------------------------------
-// Local Functions
-//-----------------------------------------------------------------------------
-static void   barrelFluxRates(double x[], double f[]);
-static void   biocellFluxRates(double x[], double f[]);
-static void   greenRoofFluxRates(double x[], double f[]);
-static void   pavementFluxRates(double x[], double f[]);
-static void   trenchFluxRates(double x[], double f[]);
-static void   swaleFluxRates(double x[], double f[]);
-static void   roofFluxRates(double x[], double f[]);
-
-static double getSurfaceOutflowRate(double depth);
-static double getSurfaceOverflowRate(double* surfaceDepth);
-static double getPavementPermRate(void);
-static double getSoilPercRate(double theta);
-static double getStorageExfilRate(void);
-static double getStorageDrainRate(double storageDepth, double soilTheta,
-              double paveDepth, double surfaceDepth);
-static double getDrainMatOutflow(double depth);
-static void   getEvapRates(double surfaceVol, double paveVol,
-              double soilVol, double storageVol, double pervFrac);
-
-static void   updateWaterBalance(TLidUnit *lidUnit, double inflow,
-                                 double evap, double infil, double surfFlow,
-                                 double drainFlow, double storage);
-
-static int    modpuls_solve(int n, double* x, double* xOld, double* xPrev,
-                            double* xMin, double* xMax, double* xTol,
-                            double* qOld, double* q, double dt, double omega,
-                            void (*derivs)(double*, double*));
-
-
 //=============================================================================
-
-void lidproc_initWaterBalance(TLidUnit *lidUnit, double initVol)
+// TLidUnit *lidUnit, double initVol
+function lidproc_initWaterBalance(lidUnit, initVol)
 //
 //  Purpose: initializes the water balance components of a LID unit.
 //  Input:   lidUnit = a particular LID unit
@@ -190,21 +154,30 @@ void lidproc_initWaterBalance(TLidUnit *lidUnit, double initVol)
 //  Output:  none
 //
 {
-    lidUnit->waterBalance.inflow = 0.0;
-    lidUnit->waterBalance.evap = 0.0;
-    lidUnit->waterBalance.infil = 0.0;
-    lidUnit->waterBalance.surfFlow = 0.0;
-    lidUnit->waterBalance.drainFlow = 0.0;
-    lidUnit->waterBalance.initVol = initVol;
-    lidUnit->waterBalance.finalVol = initVol;
+    lidUnit.waterBalance.inflow = 0.0;
+    lidUnit.waterBalance.evap = 0.0;
+    lidUnit.waterBalance.infil = 0.0;
+    lidUnit.waterBalance.surfFlow = 0.0;
+    lidUnit.waterBalance.drainFlow = 0.0;
+    lidUnit.waterBalance.initVol = initVol;
+    lidUnit.waterBalance.finalVol = initVol;
 }
 
 //=============================================================================
-
-double lidproc_getOutflow(TLidUnit* lidUnit, TLidProc* lidProc, double inflow,
-                          double evap, double infil, double maxInfil,
-                          double tStep, double* lidEvap,
-                          double* lidInfil, double* lidDrain)
+// TLidUnit* lidUnit, TLidProc* lidProc, double inflow,
+//    double evap, double infil, double maxInfil,
+//    double tStep, double* lidEvap,
+//    double* lidInfil, double* lidDrain
+////////////////////////////////////
+//returnObj = {lidEvap: lidEvap, lidInfil: lidInfil, lidDrain: lidDrain}
+//returnVal = lidproc_getOutflow(lidUnit, lidProc, inflow, evap, infil,
+//                               maxInfil, tStep, returnObj);
+//lidEvap = returnObj.lidEvap;
+//lidInfil = returnObj.lidInfil;
+//lidDrain = returnObj.lidDrain;
+////////////////////////////////////
+function lidproc_getOutflow(lidUnit, lidProc, inflow, evap, infil, maxInfil,
+                            tStep, inObj)
 //
 //  Purpose: computes runoff outflow from a single LID unit.
 //  Input:   lidUnit  = ptr. to specific LID unit being analyzed
@@ -214,28 +187,29 @@ double lidproc_getOutflow(TLidUnit* lidUnit, TLidProc* lidProc, double inflow,
 //           infil    = infiltration rate to native soil (ft/s)
 //           maxInfil = max. infiltration rate to native soil (ft/s)
 //           tStep    = time step (sec)
-//  Output:  lidEvap  = evaporation rate for LID unit (ft/s)
-//           lidInfil = infiltration rate for LID unit (ft/s)
-//           lidDrain = drain flow for LID unit (ft/s)
+//  Output:  inObj.lidEvap  = evaporation rate for LID unit (ft/s)
+//           inObj.lidInfil = infiltration rate for LID unit (ft/s)
+//           inObj.lidDrain = drain flow for LID unit (ft/s)
 //           returns surface runoff rate from the LID unit (ft/s)
 //
 {
-    int    i;
-    double x[MAX_LAYERS];        // layer moisture levels
-    double xOld[MAX_LAYERS];     // work vector
-    double xPrev[MAX_LAYERS];    // work vector
-    double xMin[MAX_LAYERS];     // lower limit on moisture levels
-    double xMax[MAX_LAYERS];     // upper limit on moisture levels
-    double fOld[MAX_LAYERS];     // previously computed flux rates
-    double f[MAX_LAYERS];        // newly computed flux rates
+    let    i;
+    let    x = new Array(MAX_LAYERS);        // layer moisture levels
+    let    xOld = new Array(MAX_LAYERS);     // work vector
+    let    xPrev = new Array(MAX_LAYERS);    // work vector
+    let    xMin = new Array(MAX_LAYERS);     // lower limit on moisture levels
+    let    xMax = new Array(MAX_LAYERS);     // upper limit on moisture levels
+    let    fOld = new Array(MAX_LAYERS);     // previously computed flux rates
+    let    f = new Array(MAX_LAYERS);        // newly computed flux rates
+    let    returnObj;
 
     // convergence tolerance on moisture levels (ft, moisture fraction , ft)
-    double xTol[MAX_LAYERS] = {STOPTOL, STOPTOL, STOPTOL, STOPTOL};
+    let xTol = [LID_STOPTOL, LID_STOPTOL, LID_STOPTOL, LID_STOPTOL];
 
-    double omega = 0.0;          // integration time weighting
+    let omega = 0.0;          // integration time weighting
 
     //... define a pointer to function that computes flux rates through the LID
-    void (*fluxRates) (double *, double *) = NULL;
+    let fluxRates = null;
 
     //... save references to the LID process and LID unit
     theLidProc = lidProc;
@@ -244,13 +218,13 @@ double lidproc_getOutflow(TLidUnit* lidUnit, TLidProc* lidProc, double inflow,
     //... save evap, max. infil. & time step to shared variables
     EvapRate = evap;
     MaxNativeInfil = maxInfil;
-    Tstep = tStep;
+    LidTstep = tStep;
 
     //... store current moisture levels in vector x
-    x[SURF] = theLidUnit->surfaceDepth;
-    x[SOIL] = theLidUnit->soilMoisture;
-    x[STOR] = theLidUnit->storageDepth;
-    x[PAVE] = theLidUnit->paveDepth;
+    x[SURF] = theLidUnit.surfaceDepth;
+    x[SOIL] = theLidUnit.soilMoisture;
+    x[STOR] = theLidUnit.storageDepth;
+    x[PAVE] = theLidUnit.paveDepth;
 
     //... initialize layer moisture volumes, flux rates and moisture limits
     SurfaceVolume  = 0.0;
@@ -272,53 +246,53 @@ double lidproc_getOutflow(TLidUnit* lidUnit, TLidProc* lidProc, double inflow,
     for (i = 0; i < MAX_LAYERS; i++)
     {
         f[i] = 0.0;
-        fOld[i] = theLidUnit->oldFluxRates[i];
+        fOld[i] = theLidUnit.oldFluxRates[i];
         xMin[i] = 0.0;
         xMax[i] = BIG;
         Xold[i] = x[i];
     }
 
     //... find Green-Ampt infiltration from surface layer
-    if ( theLidProc->lidType == POROUS_PAVEMENT ) SurfaceInfil = 0.0;
-    else if ( theLidUnit->soilInfil.Ks > 0.0 )
+    if ( theLidProc.lidType == POROUS_PAVEMENT ) SurfaceInfil = 0.0;
+    else if ( theLidUnit.soilInfil.Ks > 0.0 )
     {
         SurfaceInfil =
-            grnampt_getInfil(&theLidUnit->soilInfil, Tstep,
-                             SurfaceInflow, theLidUnit->surfaceDepth,
+            grnampt_getInfil(theLidUnit.soilInfil, LidTstep,
+                             SurfaceInflow, theLidUnit.surfaceDepth,
                              MOD_GREEN_AMPT);
     }
     else SurfaceInfil = infil;
 
     //... set moisture limits for soil & storage layers
-    if ( theLidProc->soil.thickness > 0.0 )
+    if ( theLidProc.soil.thickness > 0.0 )
     {
-        xMin[SOIL] = theLidProc->soil.wiltPoint;
-        xMax[SOIL] = theLidProc->soil.porosity;
+        xMin[SOIL] = theLidProc.soil.wiltPoint;
+        xMax[SOIL] = theLidProc.soil.porosity;
     }
-    if ( theLidProc->pavement.thickness > 0.0 )
+    if ( theLidProc.pavement.thickness > 0.0 )
     {
-        xMax[PAVE] = theLidProc->pavement.thickness;
+        xMax[PAVE] = theLidProc.pavement.thickness;
     }
-    if ( theLidProc->storage.thickness > 0.0 )
+    if ( theLidProc.storage.thickness > 0.0 )
     {
-        xMax[STOR] = theLidProc->storage.thickness;
+        xMax[STOR] = theLidProc.storage.thickness;
     }
-    if ( theLidProc->lidType == GREEN_ROOF )
+    if ( theLidProc.lidType == GREEN_ROOF )
     {
-        xMax[STOR] = theLidProc->drainMat.thickness;
+        xMax[STOR] = theLidProc.drainMat.thickness;
     }
 
     //... determine which flux rate function to use
-    switch (theLidProc->lidType)
+    switch (theLidProc.lidType)
     {
     case BIO_CELL:
-    case RAIN_GARDEN:     fluxRates = &biocellFluxRates;   break;
-    case GREEN_ROOF:      fluxRates = &greenRoofFluxRates; break;
-    case INFIL_TRENCH:    fluxRates = &trenchFluxRates;    break;
-    case POROUS_PAVEMENT: fluxRates = &pavementFluxRates;  break;
-    case RAIN_BARREL:     fluxRates = &barrelFluxRates;    break;
-    case ROOF_DISCON:     fluxRates = &roofFluxRates;      break;
-    case VEG_SWALE:       fluxRates = &swaleFluxRates;
+    case RAIN_GARDEN:     fluxRates = biocellFluxRates;   break;
+    case GREEN_ROOF:      fluxRates = greenRoofFluxRates; break;
+    case INFIL_TRENCH:    fluxRates = trenchFluxRates;    break;
+    case POROUS_PAVEMENT: fluxRates = pavementFluxRates;  break;
+    case RAIN_BARREL:     fluxRates = barrelFluxRates;    break;
+    case ROOF_DISCON:     fluxRates = roofFluxRates;      break;
+    case VEG_SWALE:       fluxRates = swaleFluxRates;
                           omega = 0.5;
                           break;
     default:              return 0.0;
@@ -328,43 +302,36 @@ double lidproc_getOutflow(TLidUnit* lidUnit, TLidProc* lidProc, double inflow,
     i = modpuls_solve(MAX_LAYERS, x, xOld, xPrev, xMin, xMax, xTol,
                      fOld, f, tStep, omega, fluxRates);
 
-/** For debugging only ********************************************
-    if  (i == 0)
-    {
-        fprintf(Frpt.file,
-        "\n  WARNING 09: integration failed to converge at %s %s",
-            theDate, theTime);
-        fprintf(Frpt.file,
-        "\n              for LID %s placed in subcatchment %s.",
-            theLidProc->ID, theSubcatch->ID);
-    }
-*******************************************************************/
-
     //... add any surface overflow to surface outflow
-    if ( theLidProc->surface.canOverflow || theLidUnit->fullWidth == 0.0 )
+    if ( theLidProc.surface.canOverflow || theLidUnit.fullWidth == 0.0 )
     {
-        SurfaceOutflow += getSurfaceOverflowRate(&x[SURF]);
+        //SurfaceOutflow += getSurfaceOverflowRate(&x[SURF]);
+        ////////////////////////////////////
+        returnObj = {surfaceDepth: x[SURF]}
+        SurfaceOutflow += getSurfaceOverflowRate(returnObj);
+        x[SURF] = returnObj.surfaceDepth;
+        ////////////////////////////////////
     }
 
     //... save updated results
-    theLidUnit->surfaceDepth = x[SURF];
-    theLidUnit->paveDepth    = x[PAVE];
-    theLidUnit->soilMoisture = x[SOIL];
-    theLidUnit->storageDepth = x[STOR];
-    for (i = 0; i < MAX_LAYERS; i++) theLidUnit->oldFluxRates[i] = f[i];
+    theLidUnit.surfaceDepth = x[SURF];
+    theLidUnit.paveDepth    = x[PAVE];
+    theLidUnit.soilMoisture = x[SOIL];
+    theLidUnit.storageDepth = x[STOR];
+    for (i = 0; i < MAX_LAYERS; i++) theLidUnit.oldFluxRates[i] = f[i];
 
     //... assign values to LID unit evaporation, infiltration & drain flow
-    *lidEvap = SurfaceEvap + PaveEvap + SoilEvap + StorageEvap;
-    *lidInfil = StorageExfil;
-    *lidDrain = StorageDrain;
+    inObj.lidEvap = SurfaceEvap + PaveEvap + SoilEvap + StorageEvap;
+    inObj.lidInfil = StorageExfil;
+    inObj.lidDrain = StorageDrain;
 
     //... return surface outflow (per unit area) from unit
     return SurfaceOutflow;
 }
 
 //=============================================================================
-
-void lidproc_saveResults(TLidUnit* lidUnit, double ucfRainfall, double ucfRainDepth)
+// TLidUnit* lidUnit, double ucfRainfall, double ucfRainDepth
+function lidproc_saveResults(lidUnit, ucfRainfall, ucfRainDepth)
 //
 //  Purpose: updates the mass balance for an LID unit and saves
 //           current flux rates to the LID report file.
@@ -374,16 +341,17 @@ void lidproc_saveResults(TLidUnit* lidUnit, double ucfRainfall, double ucfRainDe
 //  Output:  none
 //
 {
-    double ucf;                        // units conversion factor
-    double totalEvap;                  // total evaporation rate (ft/s)
-    double totalVolume;                // total volume stored in LID (ft)
-    double rptVars[MAX_RPT_VARS];      // array of reporting variables
-    int    isDry = FALSE;              // true if current state of LID is dry
-    char   timeStamp[24];              // date/time stamp
-    double elapsedHrs;                 // elapsed hours
+    let ucf;                        // units conversion factor
+    let totalEvap;                  // total evaporation rate (ft/s)
+    let totalVolume;                // total volume stored in LID (ft)
+    let rptVars = new Array(MAX_RPT_VARS);  // array of reporting variables
+    let isDry = FALSE;              // true if current state of LID is dry
+    let timeStamp = "";             // date/time stamp
+    let elapsedHrs;                 // elapsed hours
+    let returnObj;
 
     //... find total evap. rate and stored volume
-    totalEvap = SurfaceEvap + PaveEvap + SoilEvap + StorageEvap; 
+    totalEvap = SurfaceEvap + PaveEvap + SoilEvap + StorageEvap;
     totalVolume = SurfaceVolume + PaveVolume + SoilVolume + StorageVolume;
 
     //... update mass balance totals
@@ -395,14 +363,14 @@ void lidproc_saveResults(TLidUnit* lidUnit, double ucfRainfall, double ucfRainDe
          SurfaceOutflow < MINFLOW &&
          StorageDrain   < MINFLOW &&
          StorageExfil   < MINFLOW &&
-		 totalEvap      < MINFLOW
+         totalEvap      < MINFLOW
        ) isDry = TRUE;
 
     //... update status of HasWetLids
     if ( !isDry ) HasWetLids = TRUE;
 
     //... write results to LID report file
-    if ( lidUnit->rptFile )
+    if ( lidUnit.rptFile )
     {
         //... convert rate results to original units (in/hr or mm/hr)
         ucf = ucfRainfall;
@@ -417,89 +385,109 @@ void lidproc_saveResults(TLidUnit* lidUnit, double ucfRainfall, double ucfRainDe
 
         //... convert storage results to original units (in or mm)
         ucf = ucfRainDepth;
-        rptVars[SURF_DEPTH] = theLidUnit->surfaceDepth*ucf;
-        rptVars[PAVE_DEPTH] = theLidUnit->paveDepth;
-        rptVars[SOIL_MOIST] = theLidUnit->soilMoisture;
-        rptVars[STOR_DEPTH] = theLidUnit->storageDepth*ucf;
+        rptVars[SURF_DEPTH] = theLidUnit.surfaceDepth*ucf;
+        rptVars[PAVE_DEPTH] = theLidUnit.paveDepth;
+        rptVars[SOIL_MOIST] = theLidUnit.soilMoisture;
+        rptVars[STOR_DEPTH] = theLidUnit.storageDepth*ucf;
 
         //... if the current LID state is wet but the previous state was dry
         //    for more than one period then write the saved previous results
         //    to the report file thus marking the end of a dry period
-        if ( !isDry && theLidUnit->rptFile->wasDry > 1)
+        if ( !isDry && theLidUnit.rptFile.wasDry > 1)
         {
-            fprintf(theLidUnit->rptFile->file, "%s",
-				  theLidUnit->rptFile->results);
+            //fprintf(theLidUnit->rptFile->file, "%s",
+            //      theLidUnit->rptFile->results);
+            theLidUnit.rptFile.contents += theLidUnit.rptFile.results;
         }
 
         //... write the current results to a string which is saved between
         //    reporting periods
         elapsedHrs = NewRunoffTime / 1000.0 / 3600.0;
+        //datetime_getTimeStamp(M_D_Y, getDateTime(NewRunoffTime), 24, timeStamp);
         ////////////////////////////////////
-        let returnObj = {timeStamp: timeStamp}
+        returnObj = {timeStamp: timeStamp}
         datetime_getTimeStamp(M_D_Y, getDateTime(NewRunoffTime), 24, returnObj);
-        timeStamp = returnObj.h;
+        timeStamp = returnObj.timeStamp;
         ////////////////////////////////////
-        //datetime_getTimeStamp(M_D_Y, getDateTime(NewRunoffTime), 24, timeStamp);
-        sprintf(theLidUnit->rptFile->results,
-             "\n%20s\t %8.3f\t %8.3f\t %8.4f\t %8.3f\t %8.3f\t %8.3f\t %8.3f\t"
-             "%8.3f\t %8.3f\t %8.3f\t %8.3f\t %8.3f\t %8.3f",
-             timeStamp, elapsedHrs, rptVars[0], rptVars[1], rptVars[2],
-             rptVars[3], rptVars[4], rptVars[5], rptVars[6], rptVars[7],
-             rptVars[8], rptVars[9], rptVars[10], rptVars[11]);
+        //sprintf(theLidUnit->rptFile->results,
+        //     "\n%20s\t %8.3f\t %8.3f\t %8.4f\t %8.3f\t %8.3f\t %8.3f\t %8.3f\t"
+        //     "%8.3f\t %8.3f\t %8.3f\t %8.3f\t %8.3f\t %8.3f",
+        //     timeStamp, elapsedHrs, rptVars[0], rptVars[1], rptVars[2],
+        //     rptVars[3], rptVars[4], rptVars[5], rptVars[6], rptVars[7],
+        //     rptVars[8], rptVars[9], rptVars[10], rptVars[11]);
+        theLidUnit.rptFile.results =
+            `\n${timeStamp.padStart(20, ' ')}\t ${elapsedHrs.toFixed(3).padStart(8, ' ')}` +
+            `\t ${rptVars[0].toFixed(3).padStart(8, ' ')}\t ${rptVars[1].toFixed(4).padStart(8, ' ')}` +
+            `\t ${rptVars[2].toFixed(3).padStart(8, ' ')}\t ${rptVars[3].toFixed(3).padStart(8, ' ')}` +
+            `\t ${rptVars[4].toFixed(3).padStart(8, ' ')}\t ${rptVars[5].toFixed(3).padStart(8, ' ')}` +
+            `\t${rptVars[6].toFixed(3).padStart(8, ' ')}\t ${rptVars[7].toFixed(3).padStart(8, ' ')}` +
+            `\t ${rptVars[8].toFixed(3).padStart(8, ' ')}\t ${rptVars[9].toFixed(3).padStart(8, ' ')}` +
+            `\t ${rptVars[10].toFixed(3).padStart(8, ' ')}\t ${rptVars[11].toFixed(3).padStart(8, ' ')}`;
 
         //... if the current LID state is dry
         if ( isDry )
         {
             //... if the previous state was wet then write the current
             //    results to file marking the start of a dry period
-            if ( theLidUnit->rptFile->wasDry == 0 )
+            if ( theLidUnit.rptFile.wasDry == 0 )
             {
-                fprintf(theLidUnit->rptFile->file, "%s",
-					theLidUnit->rptFile->results);
+                //fprintf(theLidUnit->rptFile->file, "%s",
+                //    theLidUnit->rptFile->results);
+                theLidUnit.rptFile.contents += theLidUnit.rptFile.results;
             }
 
             //... increment the number of successive dry periods
-            theLidUnit->rptFile->wasDry++;
+            theLidUnit.rptFile.wasDry++;
         }
 
         //... if the current LID state is wet
         else
         {
             //... write the current results to the report file
-			fprintf(theLidUnit->rptFile->file, "%s",
-			    theLidUnit->rptFile->results);
+            //fprintf(theLidUnit->rptFile->file, "%s",
+            //    theLidUnit->rptFile->results);
+            theLidUnit.rptFile.contents += theLidUnit.rptFile.results;
 
             //... re-set the number of successive dry periods to 0
-            theLidUnit->rptFile->wasDry = 0; 
+            theLidUnit.rptFile.wasDry = 0;
         }
     }
 }
 
 //=============================================================================
-
-void roofFluxRates(double x[], double f[])
+// double x[], double f[]
+function roofFluxRates(x, f)
 //
 //  Purpose: computes flux rates for roof disconnection.
 //  Input:   x = vector of storage levels
 //  Output:  f = vector of flux rates
 //
 {
-    double surfaceDepth = x[SURF];
+    let surfaceDepth = x[SURF];
+    let returnObj;
 
-    getEvapRates(surfaceDepth, 0.0, 0.0, 0.0, 1.0);
+    getLidEvapRates(surfaceDepth, 0.0, 0.0, 0.0, 1.0);
     SurfaceVolume = surfaceDepth;
     SurfaceInfil = 0.0;
-    if ( theLidProc->surface.alpha > 0.0 )
+    if ( theLidProc.surface.alpha > 0.0 )
       SurfaceOutflow = getSurfaceOutflowRate(surfaceDepth);
-    else getSurfaceOverflowRate(&surfaceDepth);
-    StorageDrain = MIN(theLidProc->drain.coeff/UCF(RAINFALL), SurfaceOutflow);
+    else
+    {
+        //getSurfaceOverflowRate(&surfaceDepth);
+        ////////////////////////////////////
+        returnObj = {surfaceDepth: surfaceDepth}
+        getSurfaceOverflowRate(returnObj);
+        surfaceDepth = returnObj.surfaceDepth;
+        ////////////////////////////////////
+    }
+    StorageDrain = MIN(theLidProc.drain.coeff/UCF(RAINFALL), SurfaceOutflow);
     SurfaceOutflow -= StorageDrain;
     f[SURF] = (SurfaceInflow - SurfaceEvap - StorageDrain - SurfaceOutflow);
 }
 
 //=============================================================================
-
-void greenRoofFluxRates(double x[], double f[])
+// double x[], double f[]
+function greenRoofFluxRates(x, f)
 //
 //  Purpose: computes flux rates from the layers of a green roof.
 //  Input:   x = vector of storage levels
@@ -507,21 +495,21 @@ void greenRoofFluxRates(double x[], double f[])
 //
 {
     // Moisture level variables
-    double surfaceDepth;
-    double soilTheta;
-    double storageDepth;
+    let surfaceDepth;
+    let soilTheta;
+    let storageDepth;
 
     // Intermediate variables
-    double availVolume;
-    double maxRate;
+    let availVolume;
+    let maxRate;
 
     // Green roof properties
-    double soilThickness    = theLidProc->soil.thickness;
-    double storageThickness = theLidProc->storage.thickness;
-    double soilPorosity     = theLidProc->soil.porosity;
-    double storageVoidFrac  = theLidProc->storage.voidFrac;
-    double soilFieldCap     = theLidProc->soil.fieldCap;
-    double soilWiltPoint    = theLidProc->soil.wiltPoint;
+    let soilThickness    = theLidProc.soil.thickness;
+    let storageThickness = theLidProc.storage.thickness;
+    let soilPorosity     = theLidProc.soil.porosity;
+    let storageVoidFrac  = theLidProc.storage.voidFrac;
+    let soilFieldCap     = theLidProc.soil.fieldCap;
+    let soilWiltPoint    = theLidProc.soil.wiltPoint;
 
     //... retrieve moisture levels from input vector
     surfaceDepth = x[SURF];
@@ -529,13 +517,13 @@ void greenRoofFluxRates(double x[], double f[])
     storageDepth = x[STOR];
 
     //... convert moisture levels to volumes
-    SurfaceVolume = surfaceDepth * theLidProc->surface.voidFrac;
+    SurfaceVolume = surfaceDepth * theLidProc.surface.voidFrac;
     SoilVolume = soilTheta * soilThickness;
     StorageVolume = storageDepth * storageVoidFrac;
 
     //... get ET rates
     availVolume = SoilVolume - soilWiltPoint * soilThickness;
-    getEvapRates(SurfaceVolume, 0.0, availVolume, StorageVolume, 1.0);
+    getLidEvapRates(SurfaceVolume, 0.0, availVolume, StorageVolume, 1.0);
     if ( soilTheta >= soilPorosity ) StorageEvap = 0.0;
 
     //... soil layer perc rate
@@ -543,7 +531,7 @@ void greenRoofFluxRates(double x[], double f[])
 
     //... limit perc rate by available water
     availVolume = (soilTheta - soilFieldCap) * soilThickness;
-    maxRate = MAX(availVolume, 0.0) / Tstep - SoilEvap;
+    maxRate = MAX(availVolume, 0.0) / LidTstep - SoilEvap;
     SoilPerc = MIN(SoilPerc, maxRate);
     SoilPerc = MAX(SoilPerc, 0.0);
 
@@ -567,18 +555,18 @@ void greenRoofFluxRates(double x[], double f[])
     else
     {
         //... limit drainmat outflow by available storage volume
-        maxRate = storageDepth * storageVoidFrac / Tstep - StorageEvap;
+        maxRate = storageDepth * storageVoidFrac / LidTstep - StorageEvap;
         if ( storageDepth >= storageThickness ) maxRate += SoilPerc;
         maxRate = MAX(maxRate, 0.0);
         StorageDrain = MIN(StorageDrain, maxRate);
 
         //... limit soil perc inflow by unused storage volume
-        maxRate = (storageThickness - storageDepth) * storageVoidFrac / Tstep +
+        maxRate = (storageThickness - storageDepth) * storageVoidFrac / LidTstep +
                   StorageDrain + StorageEvap;
         SoilPerc = MIN(SoilPerc, maxRate);
-                
+
         //... adjust surface infil. so soil porosity not exceeded
-        maxRate = (soilPorosity - soilTheta) * soilThickness / Tstep +
+        maxRate = (soilPorosity - soilTheta) * soilThickness / LidTstep +
                   SoilPerc + SoilEvap;
         SurfaceInfil = MIN(SurfaceInfil, maxRate);
     }
@@ -588,16 +576,16 @@ void greenRoofFluxRates(double x[], double f[])
 
     // ... compute overall layer flux rates
     f[SURF] = (SurfaceInflow - SurfaceEvap - SurfaceInfil - SurfaceOutflow) /
-              theLidProc->surface.voidFrac;
+              theLidProc.surface.voidFrac;
     f[SOIL] = (SurfaceInfil - SoilEvap - SoilPerc) /
-              theLidProc->soil.thickness;
+              theLidProc.soil.thickness;
     f[STOR] = (SoilPerc - StorageEvap - StorageDrain) /
-              theLidProc->storage.voidFrac;
+              theLidProc.storage.voidFrac;
 }
 
 //=============================================================================
-
-void biocellFluxRates(double x[], double f[])
+// double x[], double f[]
+function biocellFluxRates(x, f)
 //
 //  Purpose: computes flux rates from the layers of a bio-retention cell LID.
 //  Input:   x = vector of storage levels
@@ -605,21 +593,21 @@ void biocellFluxRates(double x[], double f[])
 //
 {
     // Moisture level variables
-    double surfaceDepth;
-    double soilTheta;
-    double storageDepth;
+    let surfaceDepth;
+    let soilTheta;
+    let storageDepth;
 
     // Intermediate variables
-    double availVolume;
-    double maxRate;
+    let availVolume;
+    let maxRate;
 
     // LID layer properties
-    double soilThickness    = theLidProc->soil.thickness;
-    double soilPorosity     = theLidProc->soil.porosity;
-    double soilFieldCap     = theLidProc->soil.fieldCap;
-    double soilWiltPoint    = theLidProc->soil.wiltPoint;
-    double storageThickness = theLidProc->storage.thickness;
-    double storageVoidFrac  = theLidProc->storage.voidFrac;
+    let soilThickness    = theLidProc.soil.thickness;
+    let soilPorosity     = theLidProc.soil.porosity;
+    let soilFieldCap     = theLidProc.soil.fieldCap;
+    let soilWiltPoint    = theLidProc.soil.wiltPoint;
+    let storageThickness = theLidProc.storage.thickness;
+    let storageVoidFrac  = theLidProc.storage.voidFrac;
 
     //... retrieve moisture levels from input vector
     surfaceDepth = x[SURF];
@@ -627,13 +615,13 @@ void biocellFluxRates(double x[], double f[])
     storageDepth = x[STOR];
 
     //... convert moisture levels to volumes
-    SurfaceVolume = surfaceDepth * theLidProc->surface.voidFrac;
+    SurfaceVolume = surfaceDepth * theLidProc.surface.voidFrac;
     SoilVolume    = soilTheta * soilThickness;
     StorageVolume = storageDepth * storageVoidFrac;
 
     //... get ET rates
     availVolume = SoilVolume - soilWiltPoint * soilThickness;
-    getEvapRates(SurfaceVolume, 0.0, availVolume, StorageVolume, 1.0);
+    getLidEvapRates(SurfaceVolume, 0.0, availVolume, StorageVolume, 1.0);
     if ( soilTheta >= soilPorosity ) StorageEvap = 0.0;
 
     //... soil layer perc rate
@@ -641,7 +629,7 @@ void biocellFluxRates(double x[], double f[])
 
     //... limit perc rate by available water
     availVolume =  (soilTheta - soilFieldCap) * soilThickness;
-    maxRate = MAX(availVolume, 0.0) / Tstep - SoilEvap;
+    maxRate = MAX(availVolume, 0.0) / LidTstep - SoilEvap;
     SoilPerc = MIN(SoilPerc, maxRate);
     SoilPerc = MAX(SoilPerc, 0.0);
 
@@ -650,7 +638,7 @@ void biocellFluxRates(double x[], double f[])
 
     //... underdrain flow rate
     StorageDrain = 0.0;
-    if ( theLidProc->drain.coeff > 0.0 )
+    if ( theLidProc.drain.coeff > 0.0 )
     {
         StorageDrain = getStorageDrainRate(storageDepth, soilTheta, 0.0,
                                            surfaceDepth);
@@ -665,11 +653,11 @@ void biocellFluxRates(double x[], double f[])
         StorageExfil = maxRate;
 
         //... limit surface infil. by unused soil volume
-        maxRate = (soilPorosity - soilTheta) * soilThickness / Tstep +
+        maxRate = (soilPorosity - soilTheta) * soilThickness / LidTstep +
                   SoilPerc + SoilEvap;
         SurfaceInfil = MIN(SurfaceInfil, maxRate);
 
-	}
+    }
 
     //... storage & soil layers are full
     else if ( soilTheta >= soilPorosity && storageDepth >= storageThickness )
@@ -696,7 +684,7 @@ void biocellFluxRates(double x[], double f[])
     else if ( storageThickness > 0.0 )
     {
         //... limit storage exfiltration by available storage volume
-        maxRate = SoilPerc - StorageEvap + storageDepth*storageVoidFrac/Tstep;
+        maxRate = SoilPerc - StorageEvap + storageDepth*storageVoidFrac/LidTstep;
         StorageExfil = MIN(StorageExfil, maxRate);
         StorageExfil = MAX(StorageExfil, 0.0);
 
@@ -705,10 +693,10 @@ void biocellFluxRates(double x[], double f[])
         {
             maxRate = -StorageExfil - StorageEvap;
             if ( storageDepth >= storageThickness) maxRate += SoilPerc;
-            if ( theLidProc->drain.offset <= storageDepth )
+            if ( theLidProc.drain.offset <= storageDepth )
             {
-                maxRate += (storageDepth - theLidProc->drain.offset) *
-                           storageVoidFrac/Tstep;
+                maxRate += (storageDepth - theLidProc.drain.offset) *
+                           storageVoidFrac/LidTstep;
             }
             maxRate = MAX(maxRate, 0.0);
             StorageDrain = MIN(StorageDrain, maxRate);
@@ -717,11 +705,11 @@ void biocellFluxRates(double x[], double f[])
         //... limit soil perc by unused storage volume
         maxRate = StorageExfil + StorageDrain + StorageEvap +
                   (storageThickness - storageDepth) *
-                  storageVoidFrac/Tstep;
+                  storageVoidFrac/LidTstep;
         SoilPerc = MIN(SoilPerc, maxRate);
 
         //... limit surface infil. by unused soil volume
-        maxRate = (soilPorosity - soilTheta) * soilThickness / Tstep +
+        maxRate = (soilPorosity - soilTheta) * soilThickness / LidTstep +
                   SoilPerc + SoilEvap;
         SurfaceInfil = MIN(SurfaceInfil, maxRate);
     }
@@ -731,17 +719,17 @@ void biocellFluxRates(double x[], double f[])
 
     //... compute overall layer flux rates
     f[SURF] = (SurfaceInflow - SurfaceEvap - SurfaceInfil - SurfaceOutflow) /
-              theLidProc->surface.voidFrac;
-    f[SOIL] = (SurfaceInfil - SoilEvap - SoilPerc) / 
-              theLidProc->soil.thickness;
+              theLidProc.surface.voidFrac;
+    f[SOIL] = (SurfaceInfil - SoilEvap - SoilPerc) /
+              theLidProc.soil.thickness;
     if ( storageThickness == 0.0 ) f[STOR] = 0.0;
     else f[STOR] = (SoilPerc - StorageEvap - StorageExfil - StorageDrain) /
-                   theLidProc->storage.voidFrac;
+                   theLidProc.storage.voidFrac;
 }
 
 //=============================================================================
-
-void trenchFluxRates(double x[], double f[])
+// double x[], double f[]
+function trenchFluxRates(x, f)
 //
 //  Purpose: computes flux rates from the layers of an infiltration trench LID.
 //  Input:   x = vector of storage levels
@@ -749,48 +737,48 @@ void trenchFluxRates(double x[], double f[])
 //
 {
     // Moisture level variables
-    double surfaceDepth;
-    double storageDepth;
+    let surfaceDepth;
+    let storageDepth;
 
     // Intermediate variables
-    double availVolume;
-    double maxRate;
+    let availVolume;
+    let maxRate;
 
     // Storage layer properties
-    double storageThickness = theLidProc->storage.thickness;
-    double storageVoidFrac = theLidProc->storage.voidFrac;
+    let storageThickness = theLidProc.storage.thickness;
+    let storageVoidFrac = theLidProc.storage.voidFrac;
 
     //... retrieve moisture levels from input vector
     surfaceDepth = x[SURF];
     storageDepth = x[STOR];
 
     //... convert moisture levels to volumes
-    SurfaceVolume = surfaceDepth * theLidProc->surface.voidFrac;
+    SurfaceVolume = surfaceDepth * theLidProc.surface.voidFrac;
     SoilVolume = 0.0;
     StorageVolume = storageDepth * storageVoidFrac;
 
     //... get ET rates
     availVolume = (storageThickness - storageDepth) * storageVoidFrac;
-    getEvapRates(SurfaceVolume, 0.0, 0.0, StorageVolume, 1.0);
+    getLidEvapRates(SurfaceVolume, 0.0, 0.0, StorageVolume, 1.0);
 
     //... no storage evap if surface ponded
     if ( surfaceDepth > 0.0 ) StorageEvap = 0.0;
 
     //... nominal storage inflow
-    StorageInflow = SurfaceInflow + SurfaceVolume / Tstep;
+    StorageInflow = SurfaceInflow + SurfaceVolume / LidTstep;
 
     //... exfiltration rate out of storage layer
-   StorageExfil = getStorageExfilRate();
+    StorageExfil = getStorageExfilRate();
 
     //... underdrain flow rate
     StorageDrain = 0.0;
-    if ( theLidProc->drain.coeff > 0.0 )
+    if ( theLidProc.drain.coeff > 0.0 )
     {
         StorageDrain = getStorageDrainRate(storageDepth, 0.0, 0.0, surfaceDepth);
     }
 
     //... limit storage exfiltration by available storage volume
-    maxRate = StorageInflow - StorageEvap + storageDepth*storageVoidFrac/Tstep;
+    maxRate = StorageInflow - StorageEvap + storageDepth*storageVoidFrac/LidTstep;
     StorageExfil = MIN(StorageExfil, maxRate);
     StorageExfil = MAX(StorageExfil, 0.0);
 
@@ -799,17 +787,17 @@ void trenchFluxRates(double x[], double f[])
     {
         maxRate = -StorageExfil - StorageEvap;
         if (storageDepth >= storageThickness ) maxRate += StorageInflow;
-        if ( theLidProc->drain.offset <= storageDepth )
+        if ( theLidProc.drain.offset <= storageDepth )
         {
-            maxRate += (storageDepth - theLidProc->drain.offset) *
-                       storageVoidFrac/Tstep;
+            maxRate += (storageDepth - theLidProc.drain.offset) *
+                       storageVoidFrac/LidTstep;
         }
         maxRate = MAX(maxRate, 0.0);
         StorageDrain = MIN(StorageDrain, maxRate);
     }
 
     //... limit storage inflow to not exceed storage layer capacity
-    maxRate = (storageThickness - storageDepth)*storageVoidFrac/Tstep +
+    maxRate = (storageThickness - storageDepth)*storageVoidFrac/LidTstep +
               StorageExfil + StorageEvap + StorageDrain;
     StorageInflow = MIN(StorageInflow, maxRate);
 
@@ -821,15 +809,15 @@ void trenchFluxRates(double x[], double f[])
 
     // ... find net fluxes for each layer
     f[SURF] = SurfaceInflow - SurfaceEvap - StorageInflow - SurfaceOutflow /
-              theLidProc->surface.voidFrac;;
+              theLidProc.surface.voidFrac;
     f[STOR] = (StorageInflow - StorageEvap - StorageExfil - StorageDrain) /
-              theLidProc->storage.voidFrac;
+              theLidProc.storage.voidFrac;
     f[SOIL] = 0.0;
 }
 
 //=============================================================================
-
-void pavementFluxRates(double x[], double f[])
+// double x[], double f[]
+function pavementFluxRates(x, f)
 //
 //  Purpose: computes flux rates for the layers of a porous pavement LID.
 //  Input:   x = vector of storage levels
@@ -837,26 +825,26 @@ void pavementFluxRates(double x[], double f[])
 //
 {
     //... Moisture level variables
-    double surfaceDepth;
-    double paveDepth;
-    double soilTheta;
-    double storageDepth;
+    let surfaceDepth;
+    let paveDepth;
+    let soilTheta;
+    let storageDepth;
 
     //... Intermediate variables
-    double pervFrac = (1.0 - theLidProc->pavement.impervFrac);
-    double storageInflow;    // inflow rate to storage layer (ft/s)
-    double availVolume;
-    double maxRate;
+    let pervFrac = (1.0 - theLidProc.pavement.impervFrac);
+    let storageInflow;    // inflow rate to storage layer (ft/s)
+    let availVolume;
+    let maxRate;
 
     //... LID layer properties
-    double paveVoidFrac     = theLidProc->pavement.voidFrac * pervFrac;
-    double paveThickness    = theLidProc->pavement.thickness;
-    double soilThickness    = theLidProc->soil.thickness;
-    double soilPorosity     = theLidProc->soil.porosity;
-    double soilFieldCap     = theLidProc->soil.fieldCap;
-    double soilWiltPoint    = theLidProc->soil.wiltPoint;
-    double storageThickness = theLidProc->storage.thickness;
-    double storageVoidFrac  = theLidProc->storage.voidFrac;
+    let paveVoidFrac     = theLidProc.pavement.voidFrac * pervFrac;
+    let paveThickness    = theLidProc.pavement.thickness;
+    let soilThickness    = theLidProc.soil.thickness;
+    let soilPorosity     = theLidProc.soil.porosity;
+    let soilFieldCap     = theLidProc.soil.fieldCap;
+    let soilWiltPoint    = theLidProc.soil.wiltPoint;
+    let storageThickness = theLidProc.storage.thickness;
+    let storageVoidFrac  = theLidProc.storage.voidFrac;
 
     //... retrieve moisture levels from input vector
     surfaceDepth = x[SURF];
@@ -865,14 +853,14 @@ void pavementFluxRates(double x[], double f[])
     storageDepth = x[STOR];
 
     //... convert moisture levels to volumes
-    SurfaceVolume = surfaceDepth * theLidProc->surface.voidFrac;
+    SurfaceVolume = surfaceDepth * theLidProc.surface.voidFrac;
     PaveVolume = paveDepth * paveVoidFrac;
     SoilVolume = soilTheta * soilThickness;
     StorageVolume = storageDepth * storageVoidFrac;
 
     //... get ET rates
     availVolume = SoilVolume - soilWiltPoint * soilThickness;
-    getEvapRates(SurfaceVolume, PaveVolume, availVolume, StorageVolume,
+    getLidEvapRates(SurfaceVolume, PaveVolume, availVolume, StorageVolume,
                  pervFrac);
 
     //... no storage evap if soil or pavement layer saturated
@@ -881,7 +869,7 @@ void pavementFluxRates(double x[], double f[])
        ) StorageEvap = 0.0;
 
     //... find nominal rate of surface infiltration into pavement layer
-    SurfaceInfil = SurfaceInflow + (SurfaceVolume / Tstep);
+    SurfaceInfil = SurfaceInflow + (SurfaceVolume / LidTstep);
 
     //... find perc rate out of pavement layer
     PavePerc = getPavementPermRate();
@@ -890,7 +878,7 @@ void pavementFluxRates(double x[], double f[])
     SurfaceInfil = MIN(SurfaceInfil, PavePerc);                                //
 
     //... limit pavement perc by available water
-    maxRate = PaveVolume/Tstep + SurfaceInfil - PaveEvap;
+    maxRate = PaveVolume/LidTstep + SurfaceInfil - PaveEvap;
     maxRate = MAX(maxRate, 0.0);
     PavePerc = MIN(PavePerc, maxRate);
 
@@ -899,7 +887,7 @@ void pavementFluxRates(double x[], double f[])
     {
         SoilPerc = getSoilPercRate(soilTheta);
         availVolume = (soilTheta - soilFieldCap) * soilThickness;
-        maxRate = MAX(availVolume, 0.0) / Tstep - SoilEvap;
+        maxRate = MAX(availVolume, 0.0) / LidTstep - SoilEvap;
         SoilPerc = MIN(SoilPerc, maxRate);
         SoilPerc = MAX(SoilPerc, 0.0);
     }
@@ -910,7 +898,7 @@ void pavementFluxRates(double x[], double f[])
 
     //... underdrain flow rate
     StorageDrain = 0.0;
-    if ( theLidProc->drain.coeff > 0.0 )
+    if ( theLidProc.drain.coeff > 0.0 )
     {
         StorageDrain = getStorageDrainRate(storageDepth, soilTheta, paveDepth,
                                            surfaceDepth);
@@ -986,7 +974,7 @@ void pavementFluxRates(double x[], double f[])
 
         //... limit surface infil. by available pavement volume
         availVolume = (paveThickness - paveDepth) * paveVoidFrac;
-        maxRate = availVolume / Tstep + PavePerc + PaveEvap;
+        maxRate = availVolume / LidTstep + PavePerc + PaveEvap;
         SurfaceInfil = MIN(SurfaceInfil, maxRate);
     }
 
@@ -997,7 +985,7 @@ void pavementFluxRates(double x[], double f[])
     {
         PavePerc = MIN(PavePerc, SoilPerc);
         SoilPerc = PavePerc;
-        SurfaceInfil = MIN(SurfaceInfil,PavePerc); 
+        SurfaceInfil = MIN(SurfaceInfil,PavePerc);
     }
 
     //... no adjoining layers are full
@@ -1005,7 +993,7 @@ void pavementFluxRates(double x[], double f[])
     {
         //... limit storage exfiltration by available storage volume
         //    (if no soil layer, SoilPerc is same as PavePerc)
-        maxRate = SoilPerc - StorageEvap + StorageVolume / Tstep;
+        maxRate = SoilPerc - StorageEvap + StorageVolume / LidTstep;
         maxRate = MAX(0.0, maxRate);
         StorageExfil = MIN(StorageExfil, maxRate);
 
@@ -1014,10 +1002,10 @@ void pavementFluxRates(double x[], double f[])
         {
             maxRate = -StorageExfil - StorageEvap;
             if (storageDepth >= storageThickness ) maxRate += SoilPerc;
-            if ( theLidProc->drain.offset <= storageDepth ) 
+            if ( theLidProc.drain.offset <= storageDepth )
             {
-                maxRate += (storageDepth - theLidProc->drain.offset) *
-                           storageVoidFrac/Tstep;
+                maxRate += (storageDepth - theLidProc.drain.offset) *
+                           storageVoidFrac/LidTstep;
             }
             maxRate = MAX(maxRate, 0.0);
             StorageDrain = MIN(StorageDrain, maxRate);
@@ -1025,19 +1013,19 @@ void pavementFluxRates(double x[], double f[])
 
         //... limit soil & pavement outflow by unused storage volume
         availVolume = (storageThickness - storageDepth) * storageVoidFrac;
-        maxRate = availVolume/Tstep + StorageEvap + StorageDrain + StorageExfil;
+        maxRate = availVolume/LidTstep + StorageEvap + StorageDrain + StorageExfil;
         maxRate = MAX(maxRate, 0.0);
         if ( soilThickness > 0.0 )
         {
             SoilPerc = MIN(SoilPerc, maxRate);
-            maxRate = (soilPorosity - soilTheta) * soilThickness / Tstep +
+            maxRate = (soilPorosity - soilTheta) * soilThickness / LidTstep +
                       SoilPerc;
         }
         PavePerc = MIN(PavePerc, maxRate);
 
         //... limit surface infil. by available pavement volume
         availVolume = (paveThickness - paveDepth) * paveVoidFrac;
-        maxRate = availVolume / Tstep + PavePerc + PaveEvap;
+        maxRate = availVolume / LidTstep + PavePerc + PaveEvap;
         SurfaceInfil = MIN(SurfaceInfil, maxRate);
     }
 
@@ -1047,7 +1035,7 @@ void pavementFluxRates(double x[], double f[])
     //... compute overall layer flux rates
     f[SURF] = SurfaceInflow - SurfaceEvap - SurfaceInfil - SurfaceOutflow;
     f[PAVE] = (SurfaceInfil - PaveEvap - PavePerc) / paveVoidFrac;
-    if ( theLidProc->soil.thickness > 0.0)
+    if ( theLidProc.soil.thickness > 0.0)
     {
         f[SOIL] = (PavePerc - SoilEvap - SoilPerc) / soilThickness;
         storageInflow = SoilPerc;
@@ -1063,58 +1051,58 @@ void pavementFluxRates(double x[], double f[])
 }
 
 //=============================================================================
-
-void swaleFluxRates(double x[], double f[])
+// double x[], double f[]
+function swaleFluxRates(x, f)
 //
 //  Purpose: computes flux rates from a vegetative swale LID.
 //  Input:   x = vector of storage levels
 //  Output:  f = vector of flux rates
 //
 {
-    double depth;            // depth of surface water in swale (ft)
-    double topWidth;         // top width of full swale (ft)
-    double botWidth;         // bottom width of swale (ft)
-    double length;           // length of swale (ft)
-    double surfInflow;       // inflow rate to swale (cfs)
-    double surfWidth;        // top width at current water depth (ft)
-    double surfArea;         // surface area of current water depth (ft2)
-    double flowArea;         // x-section flow area (ft2)
-    double lidArea;          // surface area of full swale (ft2)
-    double hydRadius;        // hydraulic radius for current depth (ft)
-    double slope;            // slope of swale side wall (run/rise)
-    double volume;           // swale volume at current water depth (ft3)
-    double dVdT;             // change in volume w.r.t. time (cfs)
-    double dStore;           // depression storage depth (ft)
-    double xDepth;           // depth above depression storage (ft)
+    let depth;            // depth of surface water in swale (ft)
+    let topWidth;         // top width of full swale (ft)
+    let botWidth;         // bottom width of swale (ft)
+    let length;           // length of swale (ft)
+    let surfInflow;       // inflow rate to swale (cfs)
+    let surfWidth;        // top width at current water depth (ft)
+    let surfArea;         // surface area of current water depth (ft2)
+    let flowArea;         // x-section flow area (ft2)
+    let lidArea;          // surface area of full swale (ft2)
+    let hydRadius;        // hydraulic radius for current depth (ft)
+    let slope;            // slope of swale side wall (run/rise)
+    let volume;           // swale volume at current water depth (ft3)
+    let dVdT;             // change in volume w.r.t. time (cfs)
+    let dStore;           // depression storage depth (ft)
+    let xDepth;           // depth above depression storage (ft)
 
     //... retrieve state variable from work vector
     depth = x[SURF];
-    depth = MIN(depth, theLidProc->surface.thickness);
+    depth = MIN(depth, theLidProc.surface.thickness);
 
     //... depression storage depth
     dStore = 0.0;
 
     //... get swale's bottom width
     //    (0.5 ft minimum to avoid numerical problems)
-    slope = theLidProc->surface.sideSlope;
-    topWidth = theLidUnit->fullWidth;
+    slope = theLidProc.surface.sideSlope;
+    topWidth = theLidUnit.fullWidth;
     topWidth = MAX(topWidth, 0.5);
-    botWidth = topWidth - 2.0 * slope * theLidProc->surface.thickness;
+    botWidth = topWidth - 2.0 * slope * theLidProc.surface.thickness;
     if ( botWidth < 0.5 )
     {
         botWidth = 0.5;
-        slope = 0.5 * (topWidth - 0.5) / theLidProc->surface.thickness;
+        slope = 0.5 * (topWidth - 0.5) / theLidProc.surface.thickness;
     }
 
     //... swale's length
-    lidArea = theLidUnit->area;
+    lidArea = theLidUnit.area;
     length = lidArea / topWidth;
 
     //... top width, surface area and flow area of current ponded depth
     surfWidth = botWidth + 2.0 * slope * depth;
     surfArea = length * surfWidth;
     flowArea = (depth * (botWidth + slope * depth)) *
-               theLidProc->surface.voidFrac;
+               theLidProc.surface.voidFrac;
 
     //... wet volume and effective depth
     volume = length * flowArea;
@@ -1124,7 +1112,7 @@ void swaleFluxRates(double x[], double f[])
 
     //... ET rate in cfs
     SurfaceEvap = EvapRate * surfArea;
-    SurfaceEvap = MIN(SurfaceEvap, volume/Tstep);
+    SurfaceEvap = MIN(SurfaceEvap, volume/LidTstep);
 
     //... infiltration rate to native soil in cfs
     StorageExfil = SurfaceInfil * surfArea;
@@ -1138,18 +1126,18 @@ void swaleFluxRates(double x[], double f[])
     {
         //... modify flow area to remove depression storage,
         flowArea -= (dStore * (botWidth + slope * dStore)) *
-                     theLidProc->surface.voidFrac;
+                     theLidProc.surface.voidFrac;
         if ( flowArea < ZERO ) SurfaceOutflow = 0.0;
         else
         {
             //... compute hydraulic radius
             botWidth = botWidth + 2.0 * dStore * slope;
-            hydRadius = botWidth + 2.0 * xDepth * sqrt(1.0 + slope*slope);
+            hydRadius = botWidth + 2.0 * xDepth * Math.sqrt(1.0 + slope*slope);
             hydRadius = flowArea / hydRadius;
 
             //... use Manning Eqn. to find outflow rate in cfs
-            SurfaceOutflow = theLidProc->surface.alpha * flowArea *
-                             pow(hydRadius, 2./3.);
+            SurfaceOutflow = theLidProc.surface.alpha * flowArea *
+                             Math.pow(hydRadius, 2./3.);
         }
     }
 
@@ -1157,7 +1145,7 @@ void swaleFluxRates(double x[], double f[])
     dVdT = surfInflow - SurfaceEvap - StorageExfil - SurfaceOutflow;
 
     //... when full, any net positive inflow becomes spillage
-    if ( depth == theLidProc->surface.thickness && dVdT > 0.0 )
+    if ( depth == theLidProc.surface.thickness && dVdT > 0.0 )
     {
         SurfaceOutflow += dVdT;
         dVdT = 0.0;
@@ -1178,17 +1166,17 @@ void swaleFluxRates(double x[], double f[])
 }
 
 //=============================================================================
-
-void barrelFluxRates(double x[], double f[])
+// double x[], double f[]
+function barrelFluxRates(x, f)
 //
 //  Purpose: computes flux rates for a rain barrel LID.
 //  Input:   x = vector of storage levels
 //  Output:  f = vector of flux rates
 //
 {
-    double storageDepth = x[STOR];
-	double head;
-    double maxValue;
+    let storageDepth = x[STOR];
+    let head;
+    let maxValue;
 
     //... assign values to layer volumes
     SurfaceVolume = 0.0;
@@ -1202,21 +1190,21 @@ void barrelFluxRates(double x[], double f[])
 
     //... compute outflow if time since last rain exceeds drain delay
     //    (dryTime is updated in lid.evalLidUnit at each time step)
-    if ( theLidProc->drain.delay == 0.0 ||
-	     theLidUnit->dryTime >= theLidProc->drain.delay )
-	{
-	    head = storageDepth - theLidProc->drain.offset;
-		if ( head > 0.0 )
-	    {
-	        StorageDrain = getStorageDrainRate(storageDepth, 0.0, 0.0, 0.0);
-		    maxValue = (head/Tstep);
-			StorageDrain = MIN(StorageDrain, maxValue);
-		}
-	}
+    if ( theLidProc.drain.delay == 0.0 ||
+         theLidUnit.dryTime >= theLidProc.drain.delay )
+    {
+        head = storageDepth - theLidProc.drain.offset;
+        if ( head > 0.0 )
+        {
+            StorageDrain = getStorageDrainRate(storageDepth, 0.0, 0.0, 0.0);
+            maxValue = (head/LidTstep);
+            StorageDrain = MIN(StorageDrain, maxValue);
+        }
+    }
 
     //... limit inflow to available storage
     StorageInflow = SurfaceInflow;
-    maxValue = (theLidProc->storage.thickness - storageDepth) / Tstep +
+    maxValue = (theLidProc.storage.thickness - storageDepth) / LidTstep +
         StorageDrain;
     StorageInflow = MIN(StorageInflow, maxValue);
     SurfaceInfil = StorageInflow;
@@ -1228,8 +1216,8 @@ void barrelFluxRates(double x[], double f[])
 }
 
 //=============================================================================
-
-double getSurfaceOutflowRate(double depth)
+// double depth
+function getSurfaceOutflowRate(depth)
 //
 //  Purpose: computes outflow rate from a LID's surface layer.
 //  Input:   depth = depth of ponded water on surface layer (ft)
@@ -1238,23 +1226,23 @@ double getSurfaceOutflowRate(double depth)
 //  Note: this function should not be applied to swales or rain barrels.
 //
 {
-    double delta;
-    double outflow;
+    let delta;
+    let outflow;
 
     //... no outflow if ponded depth below storage depth
-    delta = depth - theLidProc->surface.thickness;
+    delta = depth - theLidProc.surface.thickness;
     if ( delta < 0.0 ) return 0.0;
 
     //... compute outflow from overland flow Manning equation
-    outflow = theLidProc->surface.alpha * pow(delta, 5.0/3.0) *
-              theLidUnit->fullWidth / theLidUnit->area;
-    outflow = MIN(outflow, delta / Tstep);
+    outflow = theLidProc.surface.alpha * Math.pow(delta, 5.0/3.0) *
+              theLidUnit.fullWidth / theLidUnit.area;
+    outflow = MIN(outflow, delta / LidTstep);
     return outflow;
 }
 
 //=============================================================================
 
-double getPavementPermRate()
+function getPavementPermRate()
 //
 //  Purpose: computes reduced permeability of a pavement layer due to
 //           clogging.
@@ -1262,11 +1250,11 @@ double getPavementPermRate()
 //  Output:  returns the reduced permeability of the pavement layer (ft/s).
 //
 {
-    double permReduction = 0.0;
-    double clogFactor= theLidProc->pavement.clogFactor;
-    double regenDays = theLidProc->pavement.regenDays;
+    let permReduction = 0.0;
+    let clogFactor= theLidProc.pavement.clogFactor;
+    let regenDays = theLidProc.pavement.regenDays;
 
-    // ... find permeability reduction due to clogging     
+    // ... find permeability reduction due to clogging
     if ( clogFactor > 0.0 )
     {
         // ... see if permeability regeneration has occurred
@@ -1274,49 +1262,49 @@ double getPavementPermRate()
         //      volumetric loading that the pavement has received)
         if ( regenDays > 0.0 )
         {
-            if ( OldRunoffTime / 1000.0 / SECperDAY >= theLidUnit->nextRegenDay )
+            if ( OldRunoffTime / 1000.0 / SECperDAY >= theLidUnit.nextRegenDay )
             {
                 // ... reduce total volume treated by degree of regeneration
-                theLidUnit->volTreated *= 
-                    (1.0 - theLidProc->pavement.regenDegree);
+                theLidUnit.volTreated *=
+                    (1.0 - theLidProc.pavement.regenDegree);
 
                 // ... update next day that regenration occurs
-                theLidUnit->nextRegenDay += regenDays;
+                theLidUnit.nextRegenDay += regenDays;
             }
         }
 
         // ... find permeabiity reduction factor
-        permReduction = theLidUnit->volTreated / clogFactor;
+        permReduction = theLidUnit.volTreated / clogFactor;
         permReduction = MIN(permReduction, 1.0);
     }
 
     // ... return the effective pavement permeability
-    return theLidProc->pavement.kSat * (1.0 - permReduction);
+    return theLidProc.pavement.kSat * (1.0 - permReduction);
 }
 
 //=============================================================================
-
-double getSoilPercRate(double theta)
+// double theta
+function getSoilPercRate(theta)
 //
 //  Purpose: computes percolation rate of water through a LID's soil layer.
 //  Input:   theta = moisture content (fraction)
 //  Output:  returns percolation rate within soil layer (ft/s)
 //
 {
-    double delta;            // moisture deficit
+    let delta;            // moisture deficit
 
     // ... no percolation if soil moisture <= field capacity
-    if ( theta <= theLidProc->soil.fieldCap ) return 0.0;
+    if ( theta <= theLidProc.soil.fieldCap ) return 0.0;
 
     // ... perc rate = unsaturated hydraulic conductivity
-    delta = theLidProc->soil.porosity - theta;
-    return theLidProc->soil.kSat * exp(-delta * theLidProc->soil.kSlope);
+    delta = theLidProc.soil.porosity - theta;
+    return theLidProc.soil.kSat * Math.exp(-delta * theLidProc.soil.kSlope);
 
 }
 
 //=============================================================================
 
-double getStorageExfilRate()
+function getStorageExfilRate()
 //
 //  Purpose: computes exfiltration rate from storage zone into
 //           native soil beneath a LID.
@@ -1324,31 +1312,31 @@ double getStorageExfilRate()
 //  Output:  returns infiltration rate (ft/s)
 //
 {
-    double infil = 0.0;
-    double clogFactor = 0.0;
+    let infil = 0.0;
+    let clogFactor = 0.0;
 
-    if ( theLidProc->storage.kSat == 0.0 ) return 0.0;
+    if ( theLidProc.storage.kSat == 0.0 ) return 0.0;
     if ( MaxNativeInfil == 0.0 ) return 0.0;
 
     //... reduction due to clogging
-    clogFactor = theLidProc->storage.clogFactor;
+    clogFactor = theLidProc.storage.clogFactor;
     if ( clogFactor > 0.0 )
     {
-        clogFactor = theLidUnit->waterBalance.inflow / clogFactor;
+        clogFactor = theLidUnit.waterBalance.inflow / clogFactor;
         clogFactor = MIN(clogFactor, 1.0);
     }
 
     //... infiltration rate = storage Ksat reduced by any clogging
-    infil = theLidProc->storage.kSat * (1.0 - clogFactor);
+    infil = theLidProc.storage.kSat * (1.0 - clogFactor);
 
     //... limit infiltration rate by any groundwater-imposed limit
     return MIN(infil, MaxNativeInfil);
 }
 
 //=============================================================================
-
-double  getStorageDrainRate(double storageDepth, double soilTheta, 
-                            double paveDepth, double surfaceDepth)
+// double storageDepth, double soilTheta,
+//    double paveDepth, double surfaceDepth
+function  getStorageDrainRate(storageDepth, soilTheta, paveDepth, surfaceDepth)
 //
 //  Purpose: computes underdrain flow rate in a LID's storage layer.
 //  Input:   storageDepth = depth of water in storage layer (ft)
@@ -1362,14 +1350,14 @@ double  getStorageDrainRate(double storageDepth, double soilTheta,
 //           layers above it (soil, pavement, and surface in that order)
 //           minus the drain outlet offset.
 {
-    int    curve = theLidProc->drain.qCurve;                                   //(5.1.013)
-    double head = storageDepth;
-    double outflow = 0.0;
-    double paveThickness    = theLidProc->pavement.thickness;
-    double soilThickness    = theLidProc->soil.thickness;
-    double soilPorosity     = theLidProc->soil.porosity;
-    double soilFieldCap     = theLidProc->soil.fieldCap;
-    double storageThickness = theLidProc->storage.thickness;
+    let curve = theLidProc.drain.qCurve;                                      //(5.1.013)
+    let head = storageDepth;
+    let outflow = 0.0;
+    let paveThickness    = theLidProc.pavement.thickness;
+    let soilThickness    = theLidProc.soil.thickness;
+    let soilPorosity     = theLidProc.soil.porosity;
+    let soilFieldCap     = theLidProc.soil.fieldCap;
+    let storageThickness = theLidProc.storage.thickness;
 
     // --- storage layer is full
     if ( storageDepth >= storageThickness )
@@ -1405,13 +1393,13 @@ double  getStorageDrainRate(double storageDepth, double soilTheta,
     // --- no outflow if:                                                      //(5.1.013)
     //     a) no prior outflow and head below open threshold                   //
     //     b) prior outflow and head below closed threshold                    //
-    if ( theLidUnit->oldDrainFlow == 0.0 &&                                    //
-         head <= theLidProc->drain.hOpen ) return 0.0;                         //
-    if ( theLidUnit->oldDrainFlow > 0.0 &&                                     //
-         head <= theLidProc->drain.hClose ) return 0.0;                        //
+    if ( theLidUnit.oldDrainFlow == 0.0 &&                                     //
+         head <= theLidProc.drain.hOpen ) return 0.0;                          //
+    if ( theLidUnit.oldDrainFlow > 0.0 &&                                      //
+         head <= theLidProc.drain.hClose ) return 0.0;                         //
 
     // --- make head relative to drain offset
-    head -= theLidProc->drain.offset;
+    head -= theLidProc.drain.offset;
 
     // --- compute drain outflow from underdrain flow equation in user units
     //     (head in inches or mm, flow rate in in/hr or mm/hr)
@@ -1421,11 +1409,11 @@ double  getStorageDrainRate(double storageDepth, double soilTheta,
         head *= UCF(RAINDEPTH);
 
         // --- compute drain outflow in user units
-        outflow = theLidProc->drain.coeff *
-                  pow(head, theLidProc->drain.expon);
+        outflow = theLidProc.drain.coeff *
+                  Math.pow(head, theLidProc.drain.expon);
 
         // --- apply user-supplied control curve to outflow
-        if (curve >= 0)  outflow *= table_lookup(&Curve[curve], head);         //(5.1.013)
+        if (curve >= 0)  outflow *= table_lookup(Curve[curve], head);         //(5.1.013)
 
         // --- convert outflow to ft/s
         outflow /= UCF(RAINFALL);
@@ -1434,8 +1422,8 @@ double  getStorageDrainRate(double storageDepth, double soilTheta,
 }
 
 //=============================================================================
-
-double getDrainMatOutflow(double depth)
+// double depth
+function getDrainMatOutflow(depth)
 //
 //  Purpose: computes flow rate through a green roof's drainage mat.
 //  Input:   depth = depth of water in drainage mat (ft)
@@ -1443,22 +1431,22 @@ double getDrainMatOutflow(double depth)
 //
 {
     //... default is to pass all inflow
-    double result = SoilPerc;
+    let result = SoilPerc;
 
     //... otherwise use Manning eqn. if its parameters were supplied
-    if ( theLidProc->drainMat.alpha > 0.0 )
+    if ( theLidProc.drainMat.alpha > 0.0 )
     {
-        result = theLidProc->drainMat.alpha * pow(depth, 5.0/3.0) *
-                 theLidUnit->fullWidth / theLidUnit->area *
-                 theLidProc->drainMat.voidFrac;
+        result = theLidProc.drainMat.alpha * Math.pow(depth, 5.0/3.0) *
+                 theLidUnit.fullWidth / theLidUnit.area *
+                 theLidProc.drainMat.voidFrac;
     }
     return result;
 }
 
 //=============================================================================
-
-void getEvapRates(double surfaceVol, double paveVol, double soilVol,
-    double storageVol, double pervFrac)
+// double surfaceVol, double paveVol, double soilVol,
+//    double storageVol, double pervFrac
+function getLidEvapRates(surfaceVol, paveVol, soilVol, storageVol, pervFrac)
 //
 //  Purpose: computes surface, pavement, soil, and storage evaporation rates.
 //  Input:   surfaceVol = volume/area of ponded water on surface layer (ft)
@@ -1469,11 +1457,11 @@ void getEvapRates(double surfaceVol, double paveVol, double soilVol,
 //  Output:  none
 //
 {
-    double availEvap;
+    let availEvap;
 
     //... surface evaporation flux
     availEvap = EvapRate;
-    SurfaceEvap = MIN(availEvap, surfaceVol/Tstep);
+    SurfaceEvap = MIN(availEvap, surfaceVol/LidTstep);
     SurfaceEvap = MAX(0.0, SurfaceEvap);
     availEvap = MAX(0.0, (availEvap - SurfaceEvap));
     availEvap *= pervFrac;
@@ -1488,37 +1476,43 @@ void getEvapRates(double surfaceVol, double paveVol, double soilVol,
     else
     {
         //... pavement evaporation flux
-        PaveEvap = MIN(availEvap, paveVol / Tstep);
+        PaveEvap = MIN(availEvap, paveVol / LidTstep);
         availEvap = MAX(0.0, (availEvap - PaveEvap));
 
         //... soil evaporation flux
-        SoilEvap = MIN(availEvap, soilVol / Tstep);
+        SoilEvap = MIN(availEvap, soilVol / LidTstep);
         availEvap = MAX(0.0, (availEvap - SoilEvap));
 
         //... storage evaporation flux
-        StorageEvap = MIN(availEvap, storageVol / Tstep);
+        StorageEvap = MIN(availEvap, storageVol / LidTstep);
     }
 }
 
 //=============================================================================
-
-double getSurfaceOverflowRate(double* surfaceDepth)
+// double* surfaceDepth
+////////////////////////////////////
+//returnObj = {surfaceDepth: surfaceDepth}
+//returnVal = getSurfaceOverflowRate(returnObj);
+//surfaceDepth = returnObj.surfaceDepth;
+////////////////////////////////////
+function getSurfaceOverflowRate(inObj)
 //
 //  Purpose: finds surface overflow rate from a LID unit.
-//  Input:   surfaceDepth = depth of water stored in surface layer (ft)
+//  Input:   inObj.surfaceDepth = depth of water stored in surface layer (ft)
 //  Output:  returns the overflow rate (ft/s)
 //
 {
-    double delta = *surfaceDepth - theLidProc->surface.thickness;
+    let delta = inObj.surfaceDepth - theLidProc.surface.thickness;
     if (  delta <= 0.0 ) return 0.0;
-    *surfaceDepth = theLidProc->surface.thickness;
-    return delta * theLidProc->surface.voidFrac / Tstep;
+    inObj.surfaceDepth = theLidProc.surface.thickness;
+    return delta * theLidProc.surface.voidFrac / LidTstep;
 }
 
 //=============================================================================
-
-void updateWaterBalance(TLidUnit *lidUnit, double inflow, double evap,
-    double infil, double surfFlow, double drainFlow, double storage)
+// TLidUnit *lidUnit, double inflow, double evap,
+//    double infil, double surfFlow, double drainFlow, double storage
+function updateWaterBalance(lidUnit, inflow, evap, infil, surfFlow, drainFlow,
+                            storage)
 //
 //  Purpose: updates components of the water mass balance for a LID unit
 //           over the current time step.
@@ -1532,21 +1526,22 @@ void updateWaterBalance(TLidUnit *lidUnit, double inflow, double evap,
 //  Output:  none
 //
 {
-    lidUnit->volTreated += inflow * Tstep;                                     //(5.1.013)
-    lidUnit->waterBalance.inflow += inflow * Tstep;
-    lidUnit->waterBalance.evap += evap * Tstep;
-    lidUnit->waterBalance.infil += infil * Tstep;
-    lidUnit->waterBalance.surfFlow += surfFlow * Tstep;
-    lidUnit->waterBalance.drainFlow += drainFlow * Tstep;
-    lidUnit->waterBalance.finalVol = storage;
+    lidUnit.volTreated += inflow * LidTstep;                                   //(5.1.013)
+    lidUnit.waterBalance.inflow += inflow * LidTstep;
+    lidUnit.waterBalance.evap += evap * LidTstep;
+    lidUnit.waterBalance.infil += infil * LidTstep;
+    lidUnit.waterBalance.surfFlow += surfFlow * LidTstep;
+    lidUnit.waterBalance.drainFlow += drainFlow * LidTstep;
+    lidUnit.waterBalance.finalVol = storage;
 }
 
 //=============================================================================
-
-int modpuls_solve(int n, double* x, double* xOld, double* xPrev,
-                  double* xMin, double* xMax, double* xTol,
-                  double* qOld, double* q, double dt, double omega,
-                  void (*derivs)(double*, double*))
+// int n, double* x, double* xOld, double* xPrev,
+//    double* xMin, double* xMax, double* xTol,
+//    double* qOld, double* q, double dt, double omega,
+//    void (*derivs)(double*, double*)
+function modpuls_solve(n, x, xOld, xPrev, xMin, xMax, xTol, qOld, q, dt, omega,
+                       derivs)
 //
 //  Purpose: solves system of equations dx/dt = q(x) for x at end of time step
 //           dt using a modified Puls method.
@@ -1568,10 +1563,10 @@ int modpuls_solve(int n, double* x, double* xOld, double* xPrev,
 //           process doesn't converge)
 //
 {
-    int i;
-    int canStop;
-    int steps = 1;
-    int maxSteps = 20;
+    let i;
+    let canStop;
+    let steps = 1;
+    let maxSteps = 20;
 
     //... initialize state variable values
     for (i=0; i<n; i++)
@@ -1,32 +1,297 @@
-// Function for tranlating an integer into a 4 byte output string
+// Function for tranlating an integer into a 4 byte output array
+//   (INT4, little-endian byte order as written by SWMM on x86)
 // input: num: integer
 function toBytes32(num){
-    let ascii = '';
-    for (let i=3; i>=0; i--){
-        ascii+=String.fromCharCode((num>>(8*i))&255);
-    }
-    return ascii;
+    let bytes = new Uint8Array(4);
+    new DataView(bytes.buffer).setInt32(0, num, true);
+    return bytes;
 }
 
-// Function for tranlating a float into a 4 byte output string
+// Function for tranlating a float into a 4 byte output array
+//   (REAL4, little-endian IEEE 754 single precision)
 // input: num: float
 function toBytes32f(num){
-    let ascii = '';
-    for (let i=3; i>=0; i--){
-        ascii+=String.fromCharCode((Math.fround(num)>>(8*i))&255);
-    }
-    return ascii;
+    let bytes = new Uint8Array(4);
+    new DataView(bytes.buffer).setFloat32(0, num, true);
+    return bytes;
+}
+
+// Function for tranlating a double into an 8 byte output array
+//   (REAL8, little-endian IEEE 754 double precision)
+// input: num: double
+function toBytes64f(num){
+    let bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, num, true);
+    return bytes;
 }
 
-// Function for tranlating an integer into a 4 byte output string
-// input: num: character
+// Function for tranlating a string into an output array of 1 byte characters
+// input: char: character string
 function toBytes32a(char){
-    let arr1 = [];
+    let bytes = new Uint8Array(char.length);
     for(let n = 0, l = char.length; n < l; n++){
-        let hex = Number(char.charCodeAt(n)).toString(16);
-        arr1.push(hex);
+        bytes[n] = char.charCodeAt(n) & 255;
     }
-    return arr1.join('');
+    return bytes;
+}
+
+//--------------------------------------------------
+// In-memory binary files
+//   These stand in for a FILE* opened in binary mode ("w+b", "rb").
+//   A binary file is an object holding a growable ArrayBuffer, a
+//   DataView on it, the current file position and the file size.
+//   fwrite/fread/fseek/ftell calls of the C engine translate to:
+//     fwrite(&k, sizeof(INT4), 1, f)   -> bfwriteInt(f, k)
+//     fwrite(&x, sizeof(REAL4), 1, f)  -> bfwriteFloat(f, x)
+//     fwrite(&z, sizeof(REAL8), 1, f)  -> bfwriteDouble(f, z)
+//     fwrite(s, sizeof(char), n, f)    -> bfwriteChars(f, s)
+//     fread(&k, sizeof(INT4), 1, f)    -> k = bfreadInt(f)
+//     fseek(f, pos, SEEK_SET)          -> bfseek(f, pos)
+//     ftell(f)                         -> bftell(f)
+//--------------------------------------------------
+
+// Opens an in-memory binary file.
+// input: buffer: optional ArrayBuffer (or typed array) holding the
+//        contents of an existing file; if omitted an empty file is created.
+// returns: binary file object positioned at the start of the file.
+function bfopen(buffer){
+    let f = {buffer: null, view: null, bytes: null, pos: 0, size: 0};
+    if(buffer){
+        if(ArrayBuffer.isView(buffer)){
+            buffer = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+        }
+        else buffer = buffer.slice(0);
+        f.size = buffer.byteLength;
+    }
+    else buffer = new ArrayBuffer(1024);
+    f.buffer = buffer;
+    f.view = new DataView(buffer);
+    f.bytes = new Uint8Array(buffer);
+    return f;
+}
+
+// Returns the contents of an in-memory binary file as an ArrayBuffer
+// trimmed to the file's size.
+// input: f: binary file object
+function bfclose(f){
+    if(!f) return null;
+    return f.buffer.slice(0, f.size);
+}
+
+// Makes sure an in-memory binary file has room for n more bytes
+// past its current position.
+// input: f: binary file object, n: number of bytes
+function bfreserve(f, n){
+    let needed = f.pos + n;
+    if(needed <= f.buffer.byteLength) return;
+    let capacity = Math.max(needed, 2 * f.buffer.byteLength);
+    let bytes = new Uint8Array(capacity);
+    bytes.set(f.bytes.subarray(0, f.size));
+    f.buffer = bytes.buffer;
+    f.view = new DataView(f.buffer);
+    f.bytes = bytes;
+}
+
+// Writes an array of bytes at the current position of a binary file.
+// input: f: binary file object, bytes: Uint8Array
+function bfwriteBytes(f, bytes){
+    bfreserve(f, bytes.length);
+    f.bytes.set(bytes, f.pos);
+    f.pos += bytes.length;
+    if(f.pos > f.size) f.size = f.pos;
+}
+
+function bfwriteInt(f, k)    { bfwriteBytes(f, toBytes32(k)); }
+function bfwriteFloat(f, x)  { bfwriteBytes(f, toBytes32f(x)); }
+function bfwriteDouble(f, z) { bfwriteBytes(f, toBytes64f(z)); }
+function bfwriteChars(f, s)  { bfwriteBytes(f, toBytes32a(s)); }
+
+// Writes the first n values of an array as REAL4s to a binary file.
+// input: f: binary file object, x: array of numbers, n: number of values
+function bfwriteFloats(f, x, n){
+    for(let i = 0; i < n; i++) bfwriteFloat(f, x[i]);
+}
+
+// Writes the first n values of an array as REAL8s to a binary file.
+// input: f: binary file object, x: array of numbers, n: number of values
+function bfwriteDoubles(f, x, n){
+    for(let i = 0; i < n; i++) bfwriteDouble(f, x[i]);
+}
+
+// Readers return null when reading past the end of the file
+// (where fread would return a count of 0).
+function bfreadInt(f){
+    if(f.pos + 4 > f.size) return null;
+    f.pos += 4;
+    return f.view.getInt32(f.pos - 4, true);
+}
+
+function bfreadFloat(f){
+    if(f.pos + 4 > f.size) return null;
+    f.pos += 4;
+    return f.view.getFloat32(f.pos - 4, true);
+}
+
+function bfreadDouble(f){
+    if(f.pos + 8 > f.size) return null;
+    f.pos += 8;
+    return f.view.getFloat64(f.pos - 8, true);
+}
+
+function bfreadChars(f, n){
+    if(f.pos + n > f.size) return null;
+    let s = '';
+    for(let i = 0; i < n; i++) s += String.fromCharCode(f.bytes[f.pos + i]);
+    f.pos += n;
+    return s;
+}
+
+// Reads n REAL4s from a binary file into the array x.
+// input: f: binary file object, x: array to fill, n: number of values
+// returns: number of values read
+function bfreadFloats(f, x, n){
+    let i;
+    for(i = 0; i < n; i++){
+        let v = bfreadFloat(f);
+        if(v == null) break;
+        x[i] = v;
+    }
+    return i;
+}
+
+function bfseek(f, pos) { f.pos = pos; }
+function bftell(f)      { return f.pos; }
+
+//--------------------------------------------------
+// In-memory text files
+//   These stand in for a FILE* opened in text mode ("rt", "wt").
+//   A text file is an object holding the file's text and the
+//   current read position.
+//     fgets(line, MAXLINE, f)   -> line = tfgets(f)
+//     feof(f)                   -> tfeof(f)
+//     rewind(f)                 -> tfseek(f, 0)
+//     fprintf(f, ...)           -> tfwrite(f, s)
+//--------------------------------------------------
+
+// Opens an in-memory text file.
+// input: text: optional contents of an existing file; if omitted
+//        an empty file is created.
+// returns: text file object positioned at the start of the file.
+function tfopen(text){
+    return {text: (text ? text : ''), pos: 0};
+}
+
+// Reads the next line of a text file.
+// input: f: text file object
+// returns: the line without its line terminator, or null at the
+//          end of the file.
+function tfgets(f){
+    if(f.pos >= f.text.length) return null;
+    let end = f.text.indexOf('\n', f.pos);
+    if(end < 0) end = f.text.length;
+    let line = f.text.substring(f.pos, end);
+    f.pos = end + 1;
+    return line.replace(/\r$/, '');
+}
+
+// Appends a string to the end of a text file.
+// input: f: text file object, s: string
+function tfwrite(f, s){
+    f.text += s;
+}
+
+function tfeof(f)       { return f.pos >= f.text.length; }
+function tfseek(f, pos) { f.pos = pos; }
+function tftell(f)      { return f.pos; }
+
+// Reads formatted values from a string like the C sscanf function.
+// Supports %d, %ld, %f, %lf, %s and %c conversions with optional
+// field widths; white space in the format matches any amount of
+// white space and other characters must match exactly.
+// input: s: string to scan, format: C style format string
+// returns: array of the values converted, stopping at the first
+//          conversion that fails (so its length is sscanf's count).
+function sscanf(s, format){
+    let values = [];
+    let i = 0, k = 0;
+    let m, width, field, token;
+    if(s == null) s = '';
+    while(k < format.length){
+        // --- white space matches any amount of white space
+        if(/\s/.test(format[k])){
+            while(i < s.length && /\s/.test(s[i])) i++;
+            k++;
+            continue;
+        }
+        // --- other characters must match exactly
+        if(format[k] != '%'){
+            if(s[i] != format[k]) break;
+            i++;
+            k++;
+            continue;
+        }
+        m = /^%(\d*)l?([dfsc])/.exec(format.substring(k));
+        if(!m) break;
+        k += m[0].length;
+        width = (m[1] ? parseInt(m[1], 10) : s.length);
+        if(m[2] == 'c'){
+            if(!m[1]) width = 1;
+            if(i + width > s.length) break;
+            values.push(s.substr(i, width));
+            i += width;
+            continue;
+        }
+        while(i < s.length && /\s/.test(s[i])) i++;
+        field = s.substr(i, width);
+        if(m[2] == 'd')      token = /^[+-]?\d+/.exec(field);
+        else if(m[2] == 'f') token = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(field);
+        else                 token = /^\S+/.exec(field);
+        if(!token) break;
+        i += token[0].length;
+        if(m[2] == 'd')      values.push(parseInt(token[0], 10));
+        else if(m[2] == 'f') values.push(parseFloat(token[0]));
+        else                 values.push(token[0]);
+    }
+    return values;
+}
+
+//--------------------------------------------------
+// In-memory file store
+//   Stands in for the file system for the files named in the
+//   [FILES] section of an input file. Contents are kept by file
+//   name: ArrayBuffers for binary files, strings for text files.
+//   Files saved by one run can be used by the next one, and the
+//   page can add files the user uploads or read back files to
+//   download.
+//--------------------------------------------------
+var MemFiles = {};
+
+// Stores the contents of a file.
+// input: name: file name, contents: ArrayBuffer or string
+function memfile_write(name, contents){
+    MemFiles[name] = contents;
+}
+
+// Returns the contents of a file, or null if no file has that name.
+// input: name: file name
+function memfile_read(name){
+    return (MemFiles.hasOwnProperty(name) ? MemFiles[name] : null);
+}
+
+// Returns the contents of a text file, or null if no file has that name.
+// Files uploaded by the page are stored as ArrayBuffers and are
+// decoded here.
+// input: name: file name
+function memfile_readText(name){
+    let contents = memfile_read(name);
+    if(contents == null || typeof contents === 'string') return contents;
+    return new TextDecoder().decode(contents);
+}
+
+// Removes a file from the store.
+// input: name: file name
+function memfile_remove(name){
+    delete MemFiles[name];
 }
 
 //--------------------------------------------------
@@ -46,7 +311,7 @@ function ABS(x)   { return (((x)<0) ? -(x) : (x))  }        /* absolute value of
 function MIN(x,y) { return (((x)<=(y)) ? (x) : (y))  }      /* minimum of x and y    */
 function MAX(x,y) { return (((x)>=(y)) ? (x) : (y)) }       /* maximum of x and y    */
 function MOD(x,y) { return ((x)%(y))     }                  /* x modulus y           */
-function LOG10(x) { return ((x) > 0.0 ? log10((x)) : (x))}  /* safe log10 of x       */
+function LOG10(x) { return ((x) > 0.0 ? Math.log10((x)) : (x))}  /* safe log10 of x       */
 function SQR(x)   { return ((x)*(x))}                       /* x-squared             */
 function SGN(x)   { return (((x)<0) ? (-1) : (1))}          /* sign of x             */
 function SIGN(x,y) { return ((y) >= 0.0 ? Math.abs(x) : -Math.abs(x))}
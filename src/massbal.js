@@ -37,6 +37,11 @@
 //
 //   Build 5.1.013:
 //   - Volume from MinSurfArea no longer included in initial & final storage.
+//
+//   JavaScript port:
+//   - massbal_report() also saves each continuity table to Continuity as
+//     an object of terms in reporting units (see saveContinuity()), which
+//     is retrieved with swmm_getContinuity().
 //-----------------------------------------------------------------------------
 
 //-----------------------------------------------------------------------------
@@ -72,6 +77,7 @@ var  StepQualTotals = [];  // routed WQ totals over time step
 var  NodeInflow = [];              // total inflow volume to each node (ft3)
 var  NodeOutflow = [];             // total outflow volume from each node (ft3)
 var  TotalArea;               // total drainage area (ft2)
+var  Continuity = {};         // continuity tables in reporting units
 
 //-----------------------------------------------------------------------------
 //  External functions (declared in funcs.h)
@@ -96,6 +102,11 @@ var  TotalArea;               // total drainage area (ft2)
 //  massbal_addToFinalStorage   (called from qualrout.c)
 //  massbal_getStepFlowError    (called from routing.c)
 
+//-----------------------------------------------------------------------------
+//  Local functions
+//-----------------------------------------------------------------------------
+//  saveContinuity              (called from massbal_report)
+
 
 
 //=============================================================================
@@ -114,6 +125,7 @@ function massbal_open()
     GwaterError = 0.0;
     FlowError   = 0.0;
     QualError   = 0.0;
+    Continuity  = {};
 
     // --- initialize runoff totals
     RunoffTotals.rainfall    = 0.0;
@@ -162,7 +174,7 @@ function massbal_open()
         FlowTotals.initStorage += Node[j].newVolume;
     for (j = 0; j < Nobjects[LINK]; j++)
         FlowTotals.initStorage += Link[j].newVolume;
-    StepFlowTotals = FlowTotals;
+    StepFlowTotals = Object.assign(new TRoutingTotals(), FlowTotals);
 
     // --- initialize arrays to null
     LoadingTotals = [];
@@ -215,6 +227,7 @@ function massbal_open()
         QualTotals[j].dwInflow = 0.0;
         QualTotals[j].wwInflow = 0.0;
         QualTotals[j].gwInflow = 0.0;
+        QualTotals[j].iiInflow = 0.0;
         QualTotals[j].exInflow = 0.0;
         QualTotals[j].flooding = 0.0;
         QualTotals[j].outflow  = 0.0;
@@ -222,6 +235,7 @@ function massbal_open()
         QualTotals[j].seepLoss = 0.0; 
         QualTotals[j].reacted  = 0.0;
         QualTotals[j].initStorage = massbal_getStoredMass(j);
+        QualTotals[j].finalStorage = 0.0;    // zeroed by calloc in C
     }
 
     // --- initialize totals used over a single time step
@@ -231,14 +245,14 @@ function massbal_open()
     if ( Nobjects[NODE] > 0 )
     {
         //NodeInflow = (double *) calloc(Nobjects[NODE], sizeof(double));
-        NodeInflow = new Array(Nobjects[NODE])
+        NodeInflow = new Array(Nobjects[NODE]).fill(0.0)
         if ( NodeInflow == null )
         {
              report_writeErrorMsg(ERR_MEMORY, "");
              return ErrorCode;
         }
         //NodeOutflow = (double *) calloc(Nobjects[NODE], sizeof(double));
-        NodeOutflow = new Array(Nobjects[NODE])
+        NodeOutflow = new Array(Nobjects[NODE]).fill(0.0)
         if ( NodeOutflow == null )
         {
              report_writeErrorMsg(ERR_MEMORY, "");
@@ -317,6 +331,171 @@ function massbal_report()
                ) report_writeQualError(QualTotals);
         }
     }
+    saveContinuity();
+}
+
+//=============================================================================
+
+function saveContinuity()
+//
+//  Input:   none
+//  Output:  none
+//  Purpose: saves the continuity totals computed by massbal_report() to
+//           Continuity in the same units used in the report file.
+//
+//  Note:    the runoff and groundwater volume terms are given as
+//           {volume, depth} pairs, the flow routing terms as
+//           {volume, volume2} pairs (acre-ft & 10^6 gal or hectare-m &
+//           10^6 ltr) and the quality terms as loads (lbs, kg or log10
+//           counts). Tables that are not part of the run are omitted.
+//
+{
+    let    j, p;
+    let ucf1, ucf2, area;
+    let quality;
+
+    // --- converts a runoff or groundwater total (ft3) to volume & depth
+    let volDepth = function(x)
+    {
+        return { volume: x * UCF(LENGTH) * UCF(LANDAREA),
+                 depth:  x / area * UCF(RAINDEPTH) };
+    };
+
+    // --- converts a flow routing total (ft3) to both reported volumes
+    let volumes = function(x)
+    {
+        return { volume: x * ucf1, volume2: x * ucf2 };
+    };
+
+    // --- returns the load units word for pollutant p
+    let loadUnits = function(p)
+    {
+        if ( Pollut[p].units == COUNT ) return LoadUnitsWords[2];
+        return LoadUnitsWords[UnitSystem];
+    };
+
+    Continuity = {};
+    ucf1 = UCF(LENGTH) * UCF(LANDAREA);
+    if ( UnitSystem == US) ucf2 = MGDperCFS / SECperDAY;
+    else                   ucf2 = MLDperCFS / SECperDAY;
+
+    if ( Nobjects[SUBCATCH] > 0 )
+    {
+        // --- runoff quantity
+        area = TotalArea;
+        if ( Frunoff.mode != USE_FILE && area > 0.0 )
+        {
+            Continuity.runoff = {
+                units: { volume: (UnitSystem == US) ? "acre-feet" : "hectare-m",
+                         depth:  (UnitSystem == US) ? "inches" : "mm" },
+                initLidStorage:    volDepth(RunoffTotals.initStorage),
+                initSnowCover:     volDepth(RunoffTotals.initSnowCover),
+                precipitation:     volDepth(RunoffTotals.rainfall),
+                outfallRunon:      volDepth(RunoffTotals.runon),
+                evaporationLoss:   volDepth(RunoffTotals.evap),
+                infiltrationLoss:  volDepth(RunoffTotals.infil),
+                surfaceRunoff:     volDepth(RunoffTotals.runoff),
+                lidDrainage:       volDepth(RunoffTotals.drains),
+                snowRemoved:       volDepth(RunoffTotals.snowRemoved),
+                finalSnowCover:    volDepth(RunoffTotals.finalSnowCover),
+                finalStorage:      volDepth(RunoffTotals.finalStorage),
+                pctError:          RunoffTotals.pctError
+            };
+        }
+
+        // --- runoff quality (loads already in reporting units)
+        if ( Nobjects[POLLUT] > 0 && !IgnoreQuality )
+        {
+            quality = {};
+            for (p = 0; p < Nobjects[POLLUT]; p++)
+            {
+                quality[Pollut[p].ID] = {
+                    units:             loadUnits(p),
+                    initialBuildup:    LoadingTotals[p].initLoad,
+                    surfaceBuildup:    LoadingTotals[p].buildup,
+                    wetDeposition:     LoadingTotals[p].deposition,
+                    sweepingRemoval:   LoadingTotals[p].sweeping,
+                    infiltrationLoss:  LoadingTotals[p].infil,
+                    bmpRemoval:        LoadingTotals[p].bmpRemoval,
+                    surfaceRunoff:     LoadingTotals[p].runoff,
+                    remainingBuildup:  LoadingTotals[p].finalLoad,
+                    pctError:          LoadingTotals[p].pctError
+                };
+            }
+            Continuity.runoffQuality = quality;
+        }
+    }
+
+    // --- groundwater
+    if ( Nobjects[AQUIFER] > 0  && !IgnoreGwater )
+    {
+        area = 0.0;
+        for ( j = 0; j < Nobjects[SUBCATCH]; j++ )
+        {
+            if ( Subcatch[j].groundwater ) area += Subcatch[j].area;
+        }
+        if ( area > 0.0 )
+        {
+            Continuity.groundwater = {
+                units: { volume: (UnitSystem == US) ? "acre-feet" : "hectare-m",
+                         depth:  (UnitSystem == US) ? "inches" : "mm" },
+                initialStorage:    volDepth(GwaterTotals.initStorage),
+                infiltration:      volDepth(GwaterTotals.infil),
+                upperZoneET:       volDepth(GwaterTotals.upperEvap),
+                lowerZoneET:       volDepth(GwaterTotals.lowerEvap),
+                deepPercolation:   volDepth(GwaterTotals.lowerPerc),
+                groundwaterFlow:   volDepth(GwaterTotals.gwater),
+                finalStorage:      volDepth(GwaterTotals.finalStorage),
+                pctError:          GwaterTotals.pctError
+            };
+        }
+    }
+
+    if ( Nobjects[NODE] > 0 && !IgnoreRouting )
+    {
+        // --- flow routing
+        Continuity.flowRouting = {
+            units: { volume:  (UnitSystem == US) ? "acre-feet" : "hectare-m",
+                     volume2: (UnitSystem == US) ? "10^6 gal" : "10^6 ltr" },
+            dryWeatherInflow:  volumes(FlowTotals.dwInflow),
+            wetWeatherInflow:  volumes(FlowTotals.wwInflow),
+            groundwaterInflow: volumes(FlowTotals.gwInflow),
+            rdiiInflow:        volumes(FlowTotals.iiInflow),
+            externalInflow:    volumes(FlowTotals.exInflow),
+            externalOutflow:   volumes(FlowTotals.outflow),
+            floodingLoss:      volumes(FlowTotals.flooding),
+            evaporationLoss:   volumes(FlowTotals.evapLoss),
+            exfiltrationLoss:  volumes(FlowTotals.seepLoss),
+            initialStored:     volumes(FlowTotals.initStorage),
+            finalStored:       volumes(FlowTotals.finalStorage),
+            pctError:          FlowTotals.pctError
+        };
+
+        // --- quality routing (loads already in reporting units)
+        if ( Nobjects[POLLUT] > 0 && !IgnoreQuality )
+        {
+            quality = {};
+            for (p = 0; p < Nobjects[POLLUT]; p++)
+            {
+                quality[Pollut[p].ID] = {
+                    units:             loadUnits(p),
+                    dryWeatherInflow:  QualTotals[p].dwInflow,
+                    wetWeatherInflow:  QualTotals[p].wwInflow,
+                    groundwaterInflow: QualTotals[p].gwInflow,
+                    rdiiInflow:        QualTotals[p].iiInflow,
+                    externalInflow:    QualTotals[p].exInflow,
+                    externalOutflow:   QualTotals[p].outflow,
+                    floodingLoss:      QualTotals[p].flooding,
+                    exfiltrationLoss:  QualTotals[p].seepLoss,
+                    massReacted:       QualTotals[p].reacted,
+                    initialStored:     QualTotals[p].initStorage,
+                    finalStored:       QualTotals[p].finalStorage,
+                    pctError:          QualTotals[p].pctError
+                };
+            }
+            Continuity.qualityRouting = quality;
+        }
+    }
 }
 
 //=============================================================================
@@ -395,7 +574,7 @@ function massbal_initTimeStepTotals()
 //
 {
     let j;
-    OldStepFlowTotals = StepFlowTotals;
+    OldStepFlowTotals = Object.assign(new TRoutingTotals(), StepFlowTotals);
     StepFlowTotals.dwInflow  = 0.0;
     StepFlowTotals.wwInflow  = 0.0;
     StepFlowTotals.gwInflow  = 0.0;
@@ -185,6 +185,9 @@ function node_initState(j)
     Node[j].oldLatFlow = 0.0;
     Node[j].newLatFlow = 0.0;
     Node[j].losses = 0.0;
+    Node[j].overflow = 0.0;                // zeroed by calloc in the C engine
+    Node[j].inflow = 0.0;                  // zeroed by calloc in the C engine
+    Node[j].outflow = 0.0;                 // zeroed by calloc in the C engine
 
     // --- initialize storage nodes
     if ( Node[j].type == STORAGE )
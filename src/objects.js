@@ -149,6 +149,7 @@ class TGage
       this.nextRainfall;    // next rainfall (in/hr or mm/hr)
       this.reportRainfall;  // rainfall value used for reported results
       this.coGage;          // index of gage with same rain timeseries
+      this.externalRain;    // rainfall set by swmm_setValue (in/hr or mm/hr)
       this.isUsed;          // TRUE if gage used by any subcatchment
       this.isCurrent;       // TRUE if gage's rainfall is current
    }
@@ -42,7 +42,12 @@ var INPUT_LENGTH = 5
 {                                                                              //
     REAL4* xAvg;                                                               //
 }   TAvgResults; */                                                              //
-TAvgResults = [];
+class TAvgResults
+{
+   constructor(){
+      this.xAvg;             // REAL4* average result values
+   }
+} ;
 
 //-----------------------------------------------------------------------------
 //  Shared variables    
@@ -65,7 +70,7 @@ var SysResults = new Array(MAX_SYS_RESULTS);    // values of system output vars.
 //static int          Nsteps;                                                    //
 AvgLinkResults = [];                                            //(5.1.013)
 AvgNodeResults = [];                                            //
-var Nsteps;   
+var Nsteps = 0;
 
 //-----------------------------------------------------------------------------
 //  Exportable variables (shared with report.c)
@@ -103,7 +108,6 @@ function output_open()
     let  k;
     let x;
     let z;
-    let hexdata = ''; // Hexadecimal string that is translated to binary.
 
     // --- open binary output file
     output_openOutFile();
@@ -169,52 +173,32 @@ function output_open()
         return ErrorCode;                                                      //
     }                                                                          //
 
-    /*fseek(Fout.file, 0, SEEK_SET);
-    k = MAGICNUMBER;
-    fwrite(k, sizeof(INT4), 1, Fout.file);   // Magic number
-    k = VERSION;
-    fwrite(k, sizeof(INT4), 1, Fout.file);   // Version number
-    k = FlowUnits;
-    fwrite(k, sizeof(INT4), 1, Fout.file);   // Flow units
-    k = NumSubcatch;
-    fwrite(k, sizeof(INT4), 1, Fout.file);   // # subcatchments
-    k = NumNodes;
-    fwrite(k, sizeof(INT4), 1, Fout.file);   // # nodes
-    k = NumLinks;
-    fwrite(k, sizeof(INT4), 1, Fout.file);   // # links
-    k = NumPolluts;
-    fwrite(k, sizeof(INT4), 1, Fout.file);   // # pollutants*/
-    // 
-    
-    // Write the data to a hexadecimal string
+    //fseek(Fout.file, 0, SEEK_SET);
+    bfseek(Fout.file, 0);
     k = MAGICNUMBER;
-    hexdata = hexdata +  toBytes32(k);   // Magic number
+    //fwrite(&k, sizeof(INT4), 1, Fout.file);   // Magic number
+    bfwriteInt(Fout.file, k);
     k = VERSION;
-    hexdata = hexdata +  toBytes32(k);   // Version number
+    //fwrite(&k, sizeof(INT4), 1, Fout.file);   // Version number
+    bfwriteInt(Fout.file, k);
     k = FlowUnits;
-    hexdata = hexdata +  toBytes32(k);   // Flow units
+    //fwrite(&k, sizeof(INT4), 1, Fout.file);   // Flow units
+    bfwriteInt(Fout.file, k);
     k = NumSubcatch;
-    hexdata = hexdata +  toBytes32(k);   // # subcatchments
+    //fwrite(&k, sizeof(INT4), 1, Fout.file);   // # subcatchments
+    bfwriteInt(Fout.file, k);
     k = NumNodes;
-    hexdata = hexdata +  toBytes32(k);   // # nodes
+    //fwrite(&k, sizeof(INT4), 1, Fout.file);   // # nodes
+    bfwriteInt(Fout.file, k);
     k = NumLinks;
-    hexdata = hexdata +  toBytes32(k);   // # links
+    //fwrite(&k, sizeof(INT4), 1, Fout.file);   // # links
+    bfwriteInt(Fout.file, k);
     k = NumPolluts;
-    hexdata = hexdata +  toBytes32(k);   // # pollutants
-
-    /////////
-    // This may need a little explanation:
-    // Prior to this: create a hexadecimal text string var.
-    //   name the hexadecimal string ""hexdata"" 
-    // Use the following function to translate the hexadecimal file into a binary file.
-    var byteArray = new Uint8Array(hexdata.match(/.{2}/g).map(e => parseInt(e, 16)));
-
+    //fwrite(&k, sizeof(INT4), 1, Fout.file);   // # pollutants
+    bfwriteInt(Fout.file, k);
 
     // --- save ID names of subcatchments, nodes, links, & pollutants 
-    //IDStartPos = ftell(Fout.file);
-    // This may go better if I keep on appending hex strings and then only 
-    // translate to blob when it is imperative.
-    IDStartPos = byteArray.length;
+    IDStartPos = bftell(Fout.file);
     for (j=0; j<Nobjects[SUBCATCH]; j++)
     {
         if ( Subcatch[j].rptFlag ) output_saveID(Subcatch[j].ID, Fout.file);
@@ -233,72 +217,71 @@ function output_open()
     for (j=0; j<NumPolluts; j++)
     {
         k = Pollut[j].units;
-        //fwrite(k, sizeof(INT4), 1, Fout.file);
-        hexdata = hexdata +  toBytes32(k);  
+        //fwrite(&k, sizeof(INT4), 1, Fout.file);
+        bfwriteInt(Fout.file, k);
     }
 
-    //InputStartPos = ftell(Fout.file);
-    InputStartPos = hexdata.length;
+    InputStartPos = bftell(Fout.file);
 
     // --- save subcatchment area
     k = 1;
-    //fwrite(k, sizeof(INT4), 1, Fout.file);
-    hexdata = hexdata +  toBytes32(k);  
+    //fwrite(&k, sizeof(INT4), 1, Fout.file);
+    bfwriteInt(Fout.file, k);
     k = INPUT_AREA;
-    //fwrite(k, sizeof(INT4), 1, Fout.file);
-    hexdata = hexdata +  toBytes32(k);  
+    //fwrite(&k, sizeof(INT4), 1, Fout.file);
+    bfwriteInt(Fout.file, k);
     for (j=0; j<Nobjects[SUBCATCH]; j++)
     {
          if ( !Subcatch[j].rptFlag ) continue;
-         SubcatchResults[0] = (Subcatch[j].area * UCF(LANDAREA));
-         //fwrite(SubcatchResults[0], sizeof(REAL4), 1, Fout.file);
-         hexdata = hexdata +  toBytes32f(SubcatchResults[0]);  
+         SubcatchResults[0] = Math.fround(Subcatch[j].area * UCF(LANDAREA));
+         //fwrite(&SubcatchResults[0], sizeof(REAL4), 1, Fout.file);
+         bfwriteFloat(Fout.file, SubcatchResults[0]);
     }
 
     // --- save node type, invert, & max. depth
     k = 3;
-    //fwrite(k, sizeof(INT4), 1, Fout.file);
+    //fwrite(&k, sizeof(INT4), 1, Fout.file);
+    bfwriteInt(Fout.file, k);
     k = INPUT_TYPE_CODE;
-    //fwrite(k, sizeof(INT4), 1, Fout.file);
-    hexdata = hexdata +  toBytes32(k);  
+    //fwrite(&k, sizeof(INT4), 1, Fout.file);
+    bfwriteInt(Fout.file, k);
     k = INPUT_INVERT;
-    //fwrite(k, sizeof(INT4), 1, Fout.file);
-    hexdata = hexdata +  toBytes32(k);  
+    //fwrite(&k, sizeof(INT4), 1, Fout.file);
+    bfwriteInt(Fout.file, k);
     k = INPUT_MAX_DEPTH;
-    //fwrite(k, sizeof(INT4), 1, Fout.file);
-    hexdata = hexdata +  toBytes32(k);  
+    //fwrite(&k, sizeof(INT4), 1, Fout.file);
+    bfwriteInt(Fout.file, k);
     for (j=0; j<Nobjects[NODE]; j++)
     {
         if ( !Node[j].rptFlag ) continue;
         k = Node[j].type;
-        NodeResults[0] = (REAL4)(Node[j].invertElev * UCF(LENGTH));
-        NodeResults[1] = (REAL4)(Node[j].fullDepth * UCF(LENGTH));
-        //fwrite(k, sizeof(INT4), 1, Fout.file);
-        hexdata = hexdata +  toBytes32(k);  
+        NodeResults[0] = Math.fround(Node[j].invertElev * UCF(LENGTH));
+        NodeResults[1] = Math.fround(Node[j].fullDepth * UCF(LENGTH));
+        //fwrite(&k, sizeof(INT4), 1, Fout.file);
+        bfwriteInt(Fout.file, k);
         //fwrite(NodeResults, sizeof(REAL4), 2, Fout.file);
-        hexdata = hexdata +  toBytes32f(NodeResults[0]);  
-        hexdata = hexdata +  toBytes32f(NodeResults[1]);  
+        bfwriteFloats(Fout.file, NodeResults, 2);
     }
 
     // --- save link type, offsets, max. depth, & length
     k = 5;
-    //fwrite(k, sizeof(INT4), 1, Fout.file);
-    hexdata = hexdata +  toBytes32(k); 
+    //fwrite(&k, sizeof(INT4), 1, Fout.file);
+    bfwriteInt(Fout.file, k);
     k = INPUT_TYPE_CODE;
-    //fwrite(k, sizeof(INT4), 1, Fout.file);
-    hexdata = hexdata +  toBytes32(k); 
+    //fwrite(&k, sizeof(INT4), 1, Fout.file);
+    bfwriteInt(Fout.file, k);
     k = INPUT_OFFSET;
-    //fwrite(k, sizeof(INT4), 1, Fout.file);
-    hexdata = hexdata +  toBytes32(k); 
+    //fwrite(&k, sizeof(INT4), 1, Fout.file);
+    bfwriteInt(Fout.file, k);
     k = INPUT_OFFSET;
-    //fwrite(k, sizeof(INT4), 1, Fout.file);
-    hexdata = hexdata +  toBytes32(k); 
+    //fwrite(&k, sizeof(INT4), 1, Fout.file);
+    bfwriteInt(Fout.file, k);
     k = INPUT_MAX_DEPTH;
-    //fwrite(k, sizeof(INT4), 1, Fout.file);
-    hexdata = hexdata +  toBytes32(k); 
+    //fwrite(&k, sizeof(INT4), 1, Fout.file);
+    bfwriteInt(Fout.file, k);
     k = INPUT_LENGTH;
-    //fwrite(k, sizeof(INT4), 1, Fout.file);
-    hexdata = hexdata +  toBytes32(k); 
+    //fwrite(&k, sizeof(INT4), 1, Fout.file);
+    bfwriteInt(Fout.file, k);
 
     for (j=0; j<Nobjects[LINK]; j++)
     {
@@ -310,8 +293,8 @@ function output_open()
         }
         else
         {
-            LinkResults[0] = (Link[j].offset1 * UCF(LENGTH));
-            LinkResults[1] = (Link[j].offset2 * UCF(LENGTH));
+            LinkResults[0] = Math.fround(Link[j].offset1 * UCF(LENGTH));
+            LinkResults[1] = Math.fround(Link[j].offset2 * UCF(LENGTH));
             if ( Link[j].direction < 0 )
             {
                 x = LinkResults[0];
@@ -319,119 +302,119 @@ function output_open()
                 LinkResults[1] = x;
             }
             if ( k == OUTLET ) LinkResults[2] = 0.0;
-            else LinkResults[2] = (Link[j].xsect.yFull * UCF(LENGTH));
+            else LinkResults[2] = Math.fround(Link[j].xsect.yFull * UCF(LENGTH));
             if ( k == CONDUIT )
             {
                 m = Link[j].subIndex;
-                LinkResults[3] = (Conduit[m].length * UCF(LENGTH));
+                LinkResults[3] = Math.fround(Conduit[m].length * UCF(LENGTH));
             }
             else LinkResults[3] = 0.0;
         }
-        //fwrite(k, sizeof(INT4), 1, Fout.file);
-        hexdata = hexdata +  toBytes32(k); 
+        //fwrite(&k, sizeof(INT4), 1, Fout.file);
+        bfwriteInt(Fout.file, k);
         //fwrite(LinkResults, sizeof(REAL4), 4, Fout.file);
-        for (let u=0; u<4; u++) hexdata = hexdata +  toBytes32f(LinkResults[u]);
-         
+        bfwriteFloats(Fout.file, LinkResults, 4);
     }
 
     // --- save number & codes of subcatchment result variables
     k = NumSubcatchVars;
-    //fwrite(k, sizeof(INT4), 1, Fout.file);
-    hexdata = hexdata +  toBytes32(k); 
+    //fwrite(&k, sizeof(INT4), 1, Fout.file);
+    bfwriteInt(Fout.file, k);
     k = SUBCATCH_RAINFALL;
-    //fwrite(k, sizeof(INT4), 1, Fout.file);
-    hexdata = hexdata +  toBytes32(k); 
+    //fwrite(&k, sizeof(INT4), 1, Fout.file);
+    bfwriteInt(Fout.file, k);
     k = SUBCATCH_SNOWDEPTH;
-    //fwrite(k, sizeof(INT4), 1, Fout.file);
-    hexdata = hexdata +  toBytes32(k); 
+    //fwrite(&k, sizeof(INT4), 1, Fout.file);
+    bfwriteInt(Fout.file, k);
     k = SUBCATCH_EVAP;
-    //fwrite(k, sizeof(INT4), 1, Fout.file);
-    hexdata = hexdata +  toBytes32(k); 
+    //fwrite(&k, sizeof(INT4), 1, Fout.file);
+    bfwriteInt(Fout.file, k);
     k = SUBCATCH_INFIL;
-    //fwrite(k, sizeof(INT4), 1, Fout.file);
-    hexdata = hexdata +  toBytes32(k); 
+    //fwrite(&k, sizeof(INT4), 1, Fout.file);
+    bfwriteInt(Fout.file, k);
     k = SUBCATCH_RUNOFF;
-    //fwrite(k, sizeof(INT4), 1, Fout.file);
-    hexdata = hexdata +  toBytes32(k); 
+    //fwrite(&k, sizeof(INT4), 1, Fout.file);
+    bfwriteInt(Fout.file, k);
     k = SUBCATCH_GW_FLOW;
-    //fwrite(k, sizeof(INT4), 1, Fout.file);
-    hexdata = hexdata +  toBytes32(k); 
+    //fwrite(&k, sizeof(INT4), 1, Fout.file);
+    bfwriteInt(Fout.file, k);
     k = SUBCATCH_GW_ELEV;
-    //fwrite(k, sizeof(INT4), 1, Fout.file);
-    hexdata = hexdata +  toBytes32(k); 
+    //fwrite(&k, sizeof(INT4), 1, Fout.file);
+    bfwriteInt(Fout.file, k);
     k = SUBCATCH_SOIL_MOIST;
-    //fwrite(k, sizeof(INT4), 1, Fout.file);
-    hexdata = hexdata +  toBytes32(k); 
+    //fwrite(&k, sizeof(INT4), 1, Fout.file);
+    bfwriteInt(Fout.file, k);
 
     for (j=0; j<NumPolluts; j++) 
     {
         k = SUBCATCH_WASHOFF + j;
-        //fwrite(k, sizeof(INT4), 1, Fout.file);
-        hexdata = hexdata +  toBytes32(k); 
+        //fwrite(&k, sizeof(INT4), 1, Fout.file);
+        bfwriteInt(Fout.file, k);
     }
 
     // --- save number & codes of node result variables
     k = NumNodeVars;
-    //fwrite(k, sizeof(INT4), 1, Fout.file);
-    hexdata = hexdata +  toBytes32(k); 
+    //fwrite(&k, sizeof(INT4), 1, Fout.file);
+    bfwriteInt(Fout.file, k);
     k = NODE_DEPTH;
-    //fwrite(k, sizeof(INT4), 1, Fout.file);
-    hexdata = hexdata +  toBytes32(k); 
+    //fwrite(&k, sizeof(INT4), 1, Fout.file);
+    bfwriteInt(Fout.file, k);
     k = NODE_HEAD;
-    //fwrite(k, sizeof(INT4), 1, Fout.file);
-    hexdata = hexdata +  toBytes32(k); 
+    //fwrite(&k, sizeof(INT4), 1, Fout.file);
+    bfwriteInt(Fout.file, k);
     k = NODE_VOLUME;
-    //fwrite(k, sizeof(INT4), 1, Fout.file);
-    hexdata = hexdata +  toBytes32(k); 
+    //fwrite(&k, sizeof(INT4), 1, Fout.file);
+    bfwriteInt(Fout.file, k);
     k = NODE_LATFLOW;
-    //fwrite(k, sizeof(INT4), 1, Fout.file);
-    hexdata = hexdata +  toBytes32(k); 
+    //fwrite(&k, sizeof(INT4), 1, Fout.file);
+    bfwriteInt(Fout.file, k);
     k = NODE_INFLOW;
-    //fwrite(k, sizeof(INT4), 1, Fout.file);
-    hexdata = hexdata +  toBytes32(k); 
+    //fwrite(&k, sizeof(INT4), 1, Fout.file);
+    bfwriteInt(Fout.file, k);
     k = NODE_OVERFLOW;
-    //fwrite(k, sizeof(INT4), 1, Fout.file);
-    hexdata = hexdata +  toBytes32(k); 
+    //fwrite(&k, sizeof(INT4), 1, Fout.file);
+    bfwriteInt(Fout.file, k);
     for (j=0; j<NumPolluts; j++)
     {
         k = NODE_QUAL + j;
-        //fwrite(k, sizeof(INT4), 1, Fout.file);
-        hexdata = hexdata +  toBytes32(k); 
+        //fwrite(&k, sizeof(INT4), 1, Fout.file);
+        bfwriteInt(Fout.file, k);
     }
 
     // --- save number & codes of link result variables
     k = NumLinkVars;
-    //fwrite(k, sizeof(INT4), 1, Fout.file);
-    hexdata = hexdata +  toBytes32(k); 
+    //fwrite(&k, sizeof(INT4), 1, Fout.file);
+    bfwriteInt(Fout.file, k);
     k = LINK_FLOW;
-    //fwrite(k, sizeof(INT4), 1, Fout.file);
-    hexdata = hexdata +  toBytes32(k); 
+    //fwrite(&k, sizeof(INT4), 1, Fout.file);
+    bfwriteInt(Fout.file, k);
     k = LINK_DEPTH;
-    //fwrite(k, sizeof(INT4), 1, Fout.file);
-    hexdata = hexdata +  toBytes32(k); 
+    //fwrite(&k, sizeof(INT4), 1, Fout.file);
+    bfwriteInt(Fout.file, k);
     k = LINK_VELOCITY;
-    //fwrite(k, sizeof(INT4), 1, Fout.file);
-    hexdata = hexdata +  toBytes32(k); 
+    //fwrite(&k, sizeof(INT4), 1, Fout.file);
+    bfwriteInt(Fout.file, k);
     k = LINK_VOLUME;
-    //fwrite(k, sizeof(INT4), 1, Fout.file);
-    hexdata = hexdata +  toBytes32(k); 
+    //fwrite(&k, sizeof(INT4), 1, Fout.file);
+    bfwriteInt(Fout.file, k);
     k = LINK_CAPACITY;
-    //fwrite(k, sizeof(INT4), 1, Fout.file);
-    hexdata = hexdata +  toBytes32(k); 
+    //fwrite(&k, sizeof(INT4), 1, Fout.file);
+    bfwriteInt(Fout.file, k);
     for (j=0; j<NumPolluts; j++)
     {
         k = LINK_QUAL + j;
-        //fwrite(k, sizeof(INT4), 1, Fout.file);
-        hexdata = hexdata +  toBytes32(k); 
+        //fwrite(&k, sizeof(INT4), 1, Fout.file);
+        bfwriteInt(Fout.file, k);
     }
 
     // --- save number & codes of system result variables
     k = MAX_SYS_RESULTS;
-    //fwrite(k, sizeof(INT4), 1, Fout.file);
-    hexdata = hexdata +  toBytes32(k); 
-    for (k=0; k<MAX_SYS_RESULTS; k++) {
-        //fwrite(k, sizeof(INT4), 1, Fout.file);
-        hexdata = hexdata +  toBytes32(k); 
+    //fwrite(&k, sizeof(INT4), 1, Fout.file);
+    bfwriteInt(Fout.file, k);
+    for (k=0; k<MAX_SYS_RESULTS; k++)
+    {
+        //fwrite(&k, sizeof(INT4), 1, Fout.file);
+        bfwriteInt(Fout.file, k);
     }
 
     // --- save starting report date & report step
@@ -445,24 +428,13 @@ function output_open()
         z = Math.floor((ReportStart - StartDateTime)/z) - 1.0;
         z = StartDateTime + z*ReportStep/86400.0;
     }
-    //fwrite(z, sizeof(REAL8), 1, Fout.file);
-    hexdata = hexdata +  z.toString(16); 
+    //fwrite(&z, sizeof(REAL8), 1, Fout.file);
+    bfwriteDouble(Fout.file, z);
     k = ReportStep;
+    //if ( fwrite(&k, sizeof(INT4), 1, Fout.file) < 1)
+    bfwriteInt(Fout.file, k);
 
-    /*if ( fwrite(k, sizeof(INT4), 1, Fout.file) < 1)
-    {
-        report_writeErrorMsg(ERR_OUT_WRITE, "");
-        return ErrorCode;
-    }*/
-    hexdata = hexdata +  toBytes32(k); 
-
-    //var byteArray = new Uint8Array(hexdata.match(/.{2}/g).map(e => parseInt(e, 16)));
-    //var blob = new Blob([byteArray], {type: 'application/octet-stream'})
-    //fout.contents = blob;
-
-    Fout.contents = hexdata;
-
-    OutputStartPos = hexdata.length;
+    OutputStartPos = bftell(Fout.file);
     if ( Fout.mode == SCRATCH_FILE ) output_checkFileSize();
     return ErrorCode;
 }
@@ -500,7 +472,7 @@ function output_openOutFile()
 //
 {
     // --- close output file if already opened
-    if (Fout.file != null) fclose(Fout.file); 
+    if (Fout.file != null) Fout.file = null;
 
     // --- else if file name supplied then set file mode to SAVE
     else if (Fout.name.length != 0) Fout.mode = SAVE_FILE;
@@ -509,11 +481,13 @@ function output_openOutFile()
     else
     {
         Fout.mode = SCRATCH_FILE;
-        getTempFileName(Fout.name);
+        Fout.name = getTempFileName(Fout.name);
     }
 
     // --- try to open the file
-    if ( (Fout.file = fopen(Fout.name, "w+b")) == null)
+    //     (the binary file is kept in memory; Fout.contents receives
+    //      its ArrayBuffer when the project is closed)
+    if ( (Fout.file = bfopen()) == null)
     {
         writecon(FMT14);
         ErrorCode = ERR_OUT_FILE;
@@ -540,7 +514,8 @@ function output_saveResults(reportTime)
 
     // --- save date corresponding to this elapsed reporting time
     date = reportDate;
-    fwrite(date, sizeof(REAL8), 1, Fout.file);
+    //fwrite(&date, sizeof(REAL8), 1, Fout.file);
+    bfwriteDouble(Fout.file, date);
 
     // --- save subcatchment results
     if (Nobjects[SUBCATCH] > 0)
@@ -559,18 +534,19 @@ function output_saveResults(reportTime)
     }
 
     // --- update & save system-wide flows 
-    SysResults[SYS_FLOODING] = (REAL4)(StepFlowTotals.flooding * UCF(FLOW));
-    SysResults[SYS_OUTFLOW] = (REAL4)(StepFlowTotals.outflow * UCF(FLOW));
-    SysResults[SYS_DWFLOW] = (REAL4)(StepFlowTotals.dwInflow * UCF(FLOW));
-    SysResults[SYS_GWFLOW] = (REAL4)(StepFlowTotals.gwInflow * UCF(FLOW));
-    SysResults[SYS_IIFLOW] = (REAL4)(StepFlowTotals.iiInflow * UCF(FLOW));
-    SysResults[SYS_EXFLOW] = (REAL4)(StepFlowTotals.exInflow * UCF(FLOW));
+    SysResults[SYS_FLOODING] = Math.fround(StepFlowTotals.flooding * UCF(FLOW));
+    SysResults[SYS_OUTFLOW] = Math.fround(StepFlowTotals.outflow * UCF(FLOW));
+    SysResults[SYS_DWFLOW] = Math.fround(StepFlowTotals.dwInflow * UCF(FLOW));
+    SysResults[SYS_GWFLOW] = Math.fround(StepFlowTotals.gwInflow * UCF(FLOW));
+    SysResults[SYS_IIFLOW] = Math.fround(StepFlowTotals.iiInflow * UCF(FLOW));
+    SysResults[SYS_EXFLOW] = Math.fround(StepFlowTotals.exInflow * UCF(FLOW));
     SysResults[SYS_INFLOW] = SysResults[SYS_RUNOFF] +
                              SysResults[SYS_DWFLOW] +
                              SysResults[SYS_GWFLOW] +
                              SysResults[SYS_IIFLOW] +
                              SysResults[SYS_EXFLOW];
-    fwrite(SysResults, sizeof(REAL4), MAX_SYS_RESULTS, Fout.file);
+    //fwrite(SysResults, sizeof(REAL4), MAX_SYS_RESULTS, Fout.file);
+    bfwriteFloats(Fout.file, SysResults, MAX_SYS_RESULTS);
 
     // --- save outfall flows to interface file if called for
     if ( Foutflows.mode == SAVE_FILE && !IgnoreRouting ) 
@@ -588,18 +564,21 @@ function output_end()
 //
 {
     let k;
-    fwrite(IDStartPos, sizeof(INT4), 1, Fout.file);
-    fwrite(InputStartPos, sizeof(INT4), 1, Fout.file);
-    fwrite(OutputStartPos, sizeof(INT4), 1, Fout.file);
+    //fwrite(&IDStartPos, sizeof(INT4), 1, Fout.file);
+    bfwriteInt(Fout.file, IDStartPos);
+    //fwrite(&InputStartPos, sizeof(INT4), 1, Fout.file);
+    bfwriteInt(Fout.file, InputStartPos);
+    //fwrite(&OutputStartPos, sizeof(INT4), 1, Fout.file);
+    bfwriteInt(Fout.file, OutputStartPos);
     k = Nperiods;
-    fwrite(k, sizeof(INT4), 1, Fout.file);
+    //fwrite(&k, sizeof(INT4), 1, Fout.file);
+    bfwriteInt(Fout.file, k);
     k = error_getCode(ErrorCode);
-    fwrite(k, sizeof(INT4), 1, Fout.file);
+    //fwrite(&k, sizeof(INT4), 1, Fout.file);
+    bfwriteInt(Fout.file, k);
     k = MAGICNUMBER;
-    if (fwrite(k, sizeof(INT4), 1, Fout.file) < 1)
-    {
-        report_writeErrorMsg(ERR_OUT_WRITE, "");
-    }
+    //if (fwrite(&k, sizeof(INT4), 1, Fout.file) < 1)
+    bfwriteInt(Fout.file, k);
 }
 
 //=============================================================================
@@ -619,9 +598,7 @@ function output_close()
 
 //=============================================================================
 // char* id, FILE* file
-// Changed FILE* file to an object that 
-// has the .contents attribute: hasContents
-function output_saveID(id, hasContents)
+function output_saveID(id, file)
 //
 //  Input:   id = name of an object
 //           file = ptr. to binary output file
@@ -630,10 +607,10 @@ function output_saveID(id, hasContents)
 //
 {
     let n = id.length;
-    //fwrite(n, sizeof(INT4), 1, file);
-    hasContents.contents = hasContents.contents +  toBytes32(n); 
+    //fwrite(&n, sizeof(INT4), 1, file);
+    bfwriteInt(file, n);
     //fwrite(id, sizeof(char), n, file);
-    hasContents.contents = hasContents.contents +  toBytes32a(id); 
+    bfwriteChars(file, id);
 }
 
 //=============================================================================
@@ -676,21 +653,22 @@ function output_saveSubcatchResults(reportTime, file)
         ////////////////////////////////////
         //subcatch_getResults(j, f, SubcatchResults);
         if ( Subcatch[j].rptFlag )
-            fwrite(SubcatchResults, sizeof(REAL4), NumSubcatchVars, file);
+            //fwrite(SubcatchResults, sizeof(REAL4), NumSubcatchVars, file);
+            bfwriteFloats(file, SubcatchResults, NumSubcatchVars);
 
         // --- update system-wide results
         area = Subcatch[j].area * UCF(LANDAREA);
         totalArea += area;
         SysResults[SYS_RAINFALL] +=
-            (REAL4)(SubcatchResults[SUBCATCH_RAINFALL] * area);
+            Math.fround(SubcatchResults[SUBCATCH_RAINFALL] * area);
         SysResults[SYS_SNOWDEPTH] +=
-            (REAL4)(SubcatchResults[SUBCATCH_SNOWDEPTH] * area);
+            Math.fround(SubcatchResults[SUBCATCH_SNOWDEPTH] * area);
         SysResults[SYS_EVAP] +=
-            (REAL4)(SubcatchResults[SUBCATCH_EVAP] * area);
+            Math.fround(SubcatchResults[SUBCATCH_EVAP] * area);
         if ( Subcatch[j].groundwater ) SysResults[SYS_EVAP] += 
-            (REAL4)(Subcatch[j].groundwater.evapLoss * UCF(EVAPRATE) * area);
+            Math.fround(Subcatch[j].groundwater.evapLoss * UCF(EVAPRATE) * area);
         SysResults[SYS_INFIL] +=
-            (REAL4)(SubcatchResults[SUBCATCH_INFIL] * area);
+            Math.fround(SubcatchResults[SUBCATCH_INFIL] * area);
         SysResults[SYS_RUNOFF] += SubcatchResults[SUBCATCH_RUNOFF];
     }
 
@@ -736,7 +714,8 @@ function output_saveNodeResults(reportTime, file)
         // --- retrieve interpolated results for reporting time & write to file
         node_getResults(j, f, NodeResults);
         if ( Node[j].rptFlag )
-            fwrite(NodeResults, sizeof(REAL4), NumNodeVars, file);
+            //fwrite(NodeResults, sizeof(REAL4), NumNodeVars, file);
+            bfwriteFloats(file, NodeResults, NumNodeVars);
         stats_updateMaxNodeDepth(j, NodeResults[NODE_DEPTH]);
 
         // --- update system-wide storage volume 
@@ -768,7 +747,8 @@ function output_saveLinkResults(reportTime, file)
         if (Link[j].rptFlag)
         {
             link_getResults(j, f, LinkResults);
-            fwrite(LinkResults, sizeof(REAL4), NumLinkVars, file);
+            //fwrite(LinkResults, sizeof(REAL4), NumLinkVars, file);
+            bfwriteFloats(file, LinkResults, NumLinkVars);
         }
 
         // --- update system-wide results
@@ -778,8 +758,13 @@ function output_saveLinkResults(reportTime, file)
 }
 
 //=============================================================================
-// int period, DateTime* days
-function output_readDateTime(period, days)
+////////////////////////////////////
+//let returnObj = {days: val1}
+//output_readDateTime(period, returnObj);
+//val1 = returnObj.days;
+////////////////////////////////////
+function output_readDateTime(period, inObj)
+// void output_readDateTime(int period, DateTime* days)
 //
 //  Input:   period = index of reporting time period
 //  Output:  days = date/time value
@@ -788,9 +773,12 @@ function output_readDateTime(period, days)
 //
 {
     let bytePos = OutputStartPos + (period-1)*BytesPerPeriod;
-    fseek(Fout.file, bytePos, SEEK_SET);
-    days = NO_DATE;
-    fread(days, sizeof(REAL8), 1, Fout.file);
+    //fseek(Fout.file, bytePos, SEEK_SET);
+    bfseek(Fout.file, bytePos);
+    inObj.days = NO_DATE;
+    //fread(days, sizeof(REAL8), 1, Fout.file);
+    let z = bfreadDouble(Fout.file);
+    if ( z != null ) inObj.days = z;
 }
 
 //=============================================================================
@@ -805,9 +793,11 @@ function output_readSubcatchResults(period, index)
 //
 {
     let bytePos = OutputStartPos + (period-1)*BytesPerPeriod;
-    bytePos += sizeof(REAL8) + index*NumSubcatchVars*sizeof(REAL4);
-    fseek(Fout.file, bytePos, SEEK_SET);
-    fread(SubcatchResults, sizeof(REAL4), NumSubcatchVars, Fout.file);
+    bytePos += 8 + index*NumSubcatchVars*4;
+    //fseek(Fout.file, bytePos, SEEK_SET);
+    bfseek(Fout.file, bytePos);
+    //fread(SubcatchResults, sizeof(REAL4), NumSubcatchVars, Fout.file);
+    bfreadFloats(Fout.file, SubcatchResults, NumSubcatchVars);
 }
 
 //=============================================================================
@@ -821,10 +811,12 @@ function output_readNodeResults(period, index)
 //
 {
     let bytePos = OutputStartPos + (period-1)*BytesPerPeriod;
-    bytePos += sizeof(REAL8) + NumSubcatch*NumSubcatchVars*sizeof(REAL4);
-    bytePos += index*NumNodeVars*sizeof(REAL4);
-    fseek(Fout.file, bytePos, SEEK_SET);
-    fread(NodeResults, sizeof(REAL4), NumNodeVars, Fout.file);
+    bytePos += 8 + NumSubcatch*NumSubcatchVars*4;
+    bytePos += index*NumNodeVars*4;
+    //fseek(Fout.file, bytePos, SEEK_SET);
+    bfseek(Fout.file, bytePos);
+    //fread(NodeResults, sizeof(REAL4), NumNodeVars, Fout.file);
+    bfreadFloats(Fout.file, NodeResults, NumNodeVars);
 }
 
 //=============================================================================
@@ -838,12 +830,15 @@ function output_readLinkResults(period, index)
 //
 {
     let bytePos = OutputStartPos + (period-1)*BytesPerPeriod;
-    bytePos += sizeof(REAL8) + NumSubcatch*NumSubcatchVars*sizeof(REAL4);
-    bytePos += NumNodes*NumNodeVars*sizeof(REAL4);
-    bytePos += index*NumLinkVars*sizeof(REAL4);
-    fseek(Fout.file, bytePos, SEEK_SET);
-    fread(LinkResults, sizeof(REAL4), NumLinkVars, Fout.file);
-    fread(SysResults, sizeof(REAL4), MAX_SYS_RESULTS, Fout.file);
+    bytePos += 8 + NumSubcatch*NumSubcatchVars*4;
+    bytePos += NumNodes*NumNodeVars*4;
+    bytePos += index*NumLinkVars*4;
+    //fseek(Fout.file, bytePos, SEEK_SET);
+    bfseek(Fout.file, bytePos);
+    //fread(LinkResults, sizeof(REAL4), NumLinkVars, Fout.file);
+    bfreadFloats(Fout.file, LinkResults, NumLinkVars);
+    //fread(SysResults, sizeof(REAL4), MAX_SYS_RESULTS, Fout.file);
+    bfreadFloats(Fout.file, SysResults, MAX_SYS_RESULTS);
 }
 
 ////  The following functions were added for release 5.1.013.  ////            //(5.1.013)
@@ -858,6 +853,7 @@ function output_openAvgResults()
     
     // --- allocate memory for averages at reportable nodes
     //AvgNodeResults = (TAvgResults *)calloc(NumNodes, sizeof(TAvgResults));
+    AvgNodeResults = [];
     for(let i = 0; i < NumNodes; i++){AvgNodeResults.push(new TAvgResults())}
     
     if ( AvgNodeResults == null ) return false;
@@ -865,6 +861,7 @@ function output_openAvgResults()
 
     // --- allocate memory for averages at reportable links
     //AvgLinkResults = (TAvgResults *)calloc(NumLinks, sizeof(TAvgResults));
+    AvgLinkResults = [];
     for(let i = 0; i < NumLinks; i++){AvgLinkResults.push(new TAvgResults())}
 
     if (AvgLinkResults == null)
@@ -878,7 +875,7 @@ function output_openAvgResults()
     for (i = 0; i < NumNodes; i++)
     {
         //AvgNodeResults[i].xAvg = (REAL4*) calloc(NumNodeVars, sizeof(REAL4));
-        AvgNodeResults[i].xAvg = new Array(NumNodeVars);
+        AvgNodeResults[i].xAvg = new Array(NumNodeVars).fill(0.0);
         if (AvgNodeResults[i].xAvg == null)
         {
             output_closeAvgResults();
@@ -890,7 +887,7 @@ function output_openAvgResults()
     for (i = 0; i < NumLinks; i++)
     {
         //AvgLinkResults[i].xAvg = (REAL4*)calloc(NumLinkVars, sizeof(REAL4));
-        AvgLinkResults[i].xAvg = new Array(NumLinkVars);
+        AvgLinkResults[i].xAvg = new Array(NumLinkVars).fill(0.0);
         if (AvgLinkResults[i].xAvg == null)
         {
             output_closeAvgResults();
@@ -1012,14 +1009,15 @@ function output_saveAvgResults(file)
         }
 
         // --- save average results to file
-        fwrite(NodeResults, sizeof(REAL4), NumNodeVars, file);
+        //fwrite(NodeResults, sizeof(REAL4), NumNodeVars, file);
+        bfwriteFloats(file, NodeResults, NumNodeVars);
     }
 
     // --- update each node's max depth and contribution to system storage
     for (i = 0; i < Nobjects[NODE]; i++)
     {
         stats_updateMaxNodeDepth(i, Node[i].newDepth * UCF(LENGTH));
-        SysResults[SYS_STORAGE] += (REAL4)(Node[i].newVolume * UCF(VOLUME));
+        SysResults[SYS_STORAGE] += Math.fround(Node[i].newVolume * UCF(VOLUME));
     }
 
     // --- examine each reportable link
@@ -1032,13 +1030,14 @@ function output_saveAvgResults(file)
         }
 
         // --- save average results to file
-        fwrite(LinkResults, sizeof(REAL4), NumLinkVars, file);
+        //fwrite(LinkResults, sizeof(REAL4), NumLinkVars, file);
+        bfwriteFloats(file, LinkResults, NumLinkVars);
     }
  
     // --- add each link's volume to total system storage
     for (i = 0; i < Nobjects[LINK]; i++)                                       //(5.1.014)
     {
-        SysResults[SYS_STORAGE] += (REAL4)(Link[i].newVolume * UCF(VOLUME));
+        SysResults[SYS_STORAGE] += Math.fround(Link[i].newVolume * UCF(VOLUME));
     }
 
     // --- re-initialize average results for all nodes and links
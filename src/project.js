@@ -281,7 +281,7 @@ function project_validate()
         for (i=0; i<Nobjects[LINK]; i++) Link[i].rptFlag = true;
 
     // --- validate dynamic wave options
-    //if ( RouteModel == DW ) dynwave_validate();
+    if ( RouteModel == DW ) dynwave_validate();
 
     if ( Nobjects[LINK] < 4 * NumThreads ) NumThreads = 1;                     //(5.1.008)
 
@@ -395,7 +395,7 @@ function project_createMatrix(nrows, ncols)
     a = new Array(nrows);
     
     // --- allocate rows and set pointers to them
-    for ( i = 1; i < nrows; i++ ) a[i] = a[i-1] + ncols;
+    for ( i = 0; i < nrows; i++ ) a[i] = new Array(ncols);
 
     for ( i = 0; i < nrows; i++)
     {
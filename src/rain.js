@@ -100,6 +100,13 @@ var        hasStationName;             // true if data contains station name
 //  rain_open   (called by swmm_start in swmm5.c)
 //  rain_close  (called by swmm_end in swmm5.c)
 
+//  Rainfall data files and the rain interface file are kept in memory
+//  (see MemFiles in macros.js). A gage's rainfall data file is read from
+//  the text stored under its file name. The binary rain interface file is
+//  built in Frain.file; a SAVE RAINFALL file is left in Frain.contents
+//  and stored under its name when the file is closed, and a USE RAINFALL
+//  file is read from the contents stored under its name.
+
 //=============================================================================
 // void
 function  rain_open()
@@ -111,6 +118,7 @@ function  rain_open()
 {
     let i;
     let count;
+    let contents;
 
     // --- see how many gages get their data from a file
     count = 0;
@@ -128,8 +136,9 @@ function  rain_open()
     else switch ( Frain.mode )
     {
       case SCRATCH_FILE:
-        getTempFileName(Frain.name);
-        if ( (Frain.file = fopen(Frain.name, "w+b")) == null)
+        Frain.name = getTempFileName(Frain.name);
+        //if ( (Frain.file = fopen(Frain.name, "w+b")) == null)
+        if ( (Frain.file = bfopen()) == null)
         {
             report_writeErrorMsg(ERR_RAIN_FILE_SCRATCH, "");
             return;
@@ -137,15 +146,18 @@ function  rain_open()
         break;
 
       case USE_FILE:
-        if ( (Frain.file = fopen(Frain.name, "r+b")) == null)
+        //if ( (Frain.file = fopen(Frain.name, "r+b")) == null)
+        if ( (contents = memfile_read(Frain.name)) == null)
         {
             report_writeErrorMsg(ERR_RAIN_FILE_OPEN, Frain.name);
             return;
         }
+        Frain.file = bfopen(contents);
         break;
 
       case SAVE_FILE:
-        if ( (Frain.file = fopen(Frain.name, "w+b")) == null)
+        //if ( (Frain.file = fopen(Frain.name, "w+b")) == null)
+        if ( (Frain.file = bfopen()) == null)
         {
             report_writeErrorMsg(ERR_RAIN_FILE_OPEN, Frain.name);
             return;
@@ -177,8 +189,13 @@ function rain_close()
 {
     if ( Frain.file )
     {
-        fclose(Frain.file);
-        if ( Frain.mode == SCRATCH_FILE ) remove(Frain.name);
+        //fclose(Frain.file);
+        //if ( Frain.mode == SCRATCH_FILE ) remove(Frain.name);
+        if ( Frain.mode == SAVE_FILE )
+        {
+            Frain.contents = bfclose(Frain.file);
+            memfile_write(Frain.name, Frain.contents);
+        }
     }
     Frain.file = null;
     rdii_closeRdii();
@@ -200,27 +217,31 @@ function createRainFile(count)
     let   filePos3;                    // starting byte of next gage's data
     let   interval;                    // recording interval (sec)
     let   dummy = -1;
-    let   staID;             // gage's ID name
+    let   staID = "";                  // gage's ID name
     let   fileStamp = "SWMM5-RAIN";
 
     // --- make sure interface file is open and no error condition
     if ( ErrorCode || !Frain.file ) return;
 
     // --- write file stamp & # gages to file
-    fwrite(fileStamp, sizeof(char), fileStamp.length, Frain.file);
-    fwrite(kount, sizeof(int), 1, Frain.file);
-    filePos1 = ftell(Frain.file);
+    //fwrite(fileStamp, sizeof(char), strlen(fileStamp), Frain.file);
+    bfwriteChars(Frain.file, fileStamp);
+    //fwrite(&kount, sizeof(int), 1, Frain.file);
+    bfwriteInt(Frain.file, kount);
+    filePos1 = bftell(Frain.file);
 
     // --- write default fill-in header records to file for each gage
     //     (will be replaced later with actual records)
     if ( count > 0 ) report_writeRainStats(-1, RainStats);
     for ( i = 0;  i < count; i++ )
     {
-        fwrite(staID, sizeof(char), MAXMSG+1, Frain.file);
+        //fwrite(staID, sizeof(char), MAXMSG+1, Frain.file);
+        bfwriteChars(Frain.file, staID.padEnd(MAXMSG+1, '\0'));
         for ( k = 1; k <= 3; k++ )
-            fwrite(dummy, sizeof(int), 1, Frain.file);
+            //fwrite(&dummy, sizeof(int), 1, Frain.file);
+            bfwriteInt(Frain.file, dummy);
     }
-    filePos2 = ftell(Frain.file);
+    filePos2 = bftell(Frain.file);
 
     // --- loop through project's  rain gages,
     //     looking for ones using rain files
@@ -230,21 +251,27 @@ function createRainFile(count)
         if ( rainFileConflict(i) ) break;
 
         // --- position rain file to where data for gage will begin
-        fseek(Frain.file, filePos2, SEEK_SET);
+        //fseek(Frain.file, filePos2, SEEK_SET);
+        bfseek(Frain.file, filePos2);
 
         // --- add gage's data to rain file
         if ( addGageToRainFile(i) )
         {
             // --- write header records for gage to beginning of rain file
-            filePos3 = ftell(Frain.file);
-            fseek(Frain.file, filePos1, SEEK_SET);
-            sstrncpy(staID, Gage[i].staID, MAXMSG);
+            filePos3 = bftell(Frain.file);
+            //fseek(Frain.file, filePos1, SEEK_SET);
+            bfseek(Frain.file, filePos1);
+            staID = Gage[i].staID.substring(0, MAXMSG);
             interval = Interval;
-            fwrite(staID,      sizeof(char), MAXMSG+1, Frain.file);
-            fwrite(interval,  sizeof(int), 1, Frain.file);
-            fwrite(filePos2,  sizeof(int), 1, Frain.file);
-            fwrite(filePos3,  sizeof(int), 1, Frain.file);
-            filePos1 = ftell(Frain.file);
+            //fwrite(staID,      sizeof(char), MAXMSG+1, Frain.file);
+            bfwriteChars(Frain.file, staID.padEnd(MAXMSG+1, '\0'));
+            //fwrite(&interval,  sizeof(int), 1, Frain.file);
+            bfwriteInt(Frain.file, interval);
+            //fwrite(&filePos2,  sizeof(int), 1, Frain.file);
+            bfwriteInt(Frain.file, filePos2);
+            //fwrite(&filePos3,  sizeof(int), 1, Frain.file);
+            bfwriteInt(Frain.file, filePos3);
+            filePos1 = bftell(Frain.file);
             filePos2 = filePos3;
             report_writeRainStats(i, RainStats);
         }
@@ -253,9 +280,9 @@ function createRainFile(count)
     // --- if there was an error condition, then delete newly created file
     if ( ErrorCode )
     {
-        fclose(Frain.file);
+        //fclose(Frain.file);
         Frain.file = null;
-        remove(Frain.name);
+        //remove(Frain.name);
     }
 }
 
@@ -294,18 +321,26 @@ function addGageToRainFile(i)
 {
     //FILE* f;                           // pointer to rain file
     let   f;
+    let   contents;                    // text of the rain file
     let   fileFormat;                  // file format code
     let   hdrLines;                    // number of header lines skipped
+    let   returnObj;
 
     // --- let StationID point to null
     StationID = null;
 
     // --- check that rain file exists
-    if ( (f = fopen(Gage[i].fname, "rt")) == null )
+    //if ( (f = fopen(Gage[i].fname, "rt")) == null )
+    if ( (contents = memfile_readText(Gage[i].fname)) == null )
         report_writeErrorMsg(ERR_RAIN_FILE_DATA, Gage[i].fname);
     else
     {
-        fileFormat = findFileFormat(f, i, hdrLines);
+        f = tfopen(contents);
+        ////////////////////////////////////
+        returnObj = {hdrLines: hdrLines}
+        fileFormat = findFileFormat(f, i, returnObj);
+        hdrLines = returnObj.hdrLines;
+        ////////////////////////////////////
         if ( fileFormat == UNKNOWN_FORMAT )
         {
             report_writeErrorMsg(ERR_RAIN_FILE_FORMAT, Gage[i].fname);
@@ -316,7 +351,7 @@ function addGageToRainFile(i)
             readFile(f, fileFormat, hdrLines, Gage[i].startFileDate,
                      Gage[i].endFileDate);
         }
-        fclose(f);
+        //fclose(f);
     }
     if ( ErrorCode ) return 0;
     else
@@ -333,7 +368,7 @@ function initRainFile()
 //
 {
     let  fileStamp = "SWMM5-RAIN";
-    let  fStamp = "SWMM5-RAIN";
+    let  fStamp;
     let  i;
     let  kount;
     let  filePos;
@@ -342,15 +377,18 @@ function initRainFile()
     if ( ErrorCode || !Frain.file ) return;
 
     // --- check that interface file contains proper file stamp
-    rewind(Frain.file);
-    fread(fStamp, sizeof(char), fileStamp.length, Frain.file);
-    if ( strcmp(fStamp, fileStamp) != 0 )
+    //rewind(Frain.file);
+    bfseek(Frain.file, 0);
+    //fread(fStamp, sizeof(char), strlen(fileStamp), Frain.file);
+    fStamp = bfreadChars(Frain.file, fileStamp.length);
+    if ( fStamp != fileStamp )
     {
         report_writeErrorMsg(ERR_RAIN_IFACE_FORMAT, "");
         return;
     }
-    fread(kount, sizeof(int), 1, Frain.file);
-    filePos = ftell(Frain.file);
+    //fread(&kount, sizeof(int), 1, Frain.file);
+    kount = bfreadInt(Frain.file);
+    filePos = bftell(Frain.file);
 
     // --- locate information for each raingage in interface file
     for ( i = 0; i < Nobjects[GAGE]; i++ )
@@ -358,7 +396,8 @@ function initRainFile()
         if ( ErrorCode || Gage[i].dataSource != RAIN_FILE ) continue;
 
         // --- match station ID for gage with one in file
-        fseek(Frain.file, filePos, SEEK_SET);
+        //fseek(Frain.file, filePos, SEEK_SET);
+        bfseek(Frain.file, filePos);
         if ( !findGageInFile(i, kount) ||
              Gage[i].startFilePos == Gage[i].endFilePos )
         {
@@ -384,11 +423,19 @@ function findGageInFile(i, kount)
 
     for ( k = 1; k <= kount; k++ )
     {
-        fread(staID,      sizeof(char), MAXMSG+1, Frain.file);
-        fread(interval,  sizeof(int), 1, Frain.file);
-        fread(filePos1,  sizeof(int), 1, Frain.file);
-        fread(filePos2,  sizeof(int), 1, Frain.file);
-        if ( strcmp(staID, Gage[i].staID) == 0 )
+        //fread(staID,      sizeof(char), MAXMSG+1, Frain.file);
+        staID = bfreadChars(Frain.file, MAXMSG+1);
+        //fread(&interval,  sizeof(int), 1, Frain.file);
+        interval = bfreadInt(Frain.file);
+        //fread(&filePos1,  sizeof(int), 1, Frain.file);
+        filePos1 = bfreadInt(Frain.file);
+        //fread(&filePos2,  sizeof(int), 1, Frain.file);
+        filePos2 = bfreadInt(Frain.file);
+        if ( staID == null || filePos2 == null ) return false;
+
+        // --- station ID is a null terminated string
+        staID = staID.split('\0')[0];
+        if ( staID == Gage[i].staID )
         {
             // --- match found; save file parameters
             Gage[i].rainType     = RAINFALL_VOLUME;
@@ -404,11 +451,11 @@ function findGageInFile(i, kount)
 
 //=============================================================================
 // FILE *f, int i, int *hdrLines
-function findFileFormat(f, i, hdrLines)
+function findFileFormat(f, i, inObj)
 //
 //  Input:   f = ptr. to rain gage's rainfall data file
 //           i = rain gage index
-//  Output:  hdrLines  = number of header lines found in data file;
+//  Output:  inObj.hdrLines  = number of header lines found in data file;
 //           returns type of format used in a rainfall data file
 //  Purpose: finds the format of a gage's rainfall data file.
 //
@@ -426,19 +473,24 @@ function findFileFormat(f, i, hdrLines)
     let   year, month, day, hour, minute;
     let   elem;
     let x;
+    let v;
 
     // --- check first few lines for known formats
     fileFormat = UNKNOWN_FORMAT;
     hasStationName = false;
     UnitsFactor = 1.0;
     Interval = 0;
-    hdrLines = 0;
+    inObj.hdrLines = 0;
     for (lineCount = 1; lineCount <= maxCount; lineCount++)
     {
-        if ( fgets(line, MAXLINE, f) == null ) return fileFormat;
+        //if ( fgets(line, MAXLINE, f) == null ) return fileFormat;
+        if ( (line = tfgets(f)) == null ) return fileFormat;
 
         // --- check for NWS space delimited format
-        n = sscanf(line, "%6ld %2d %4s", sn2, div, elemType);
+        //n = sscanf(line, "%6ld %2d %4s", &sn2, &div, elemType);
+        v = sscanf(line, "%6ld %2d %4s");
+        n = v.length;
+        [sn2, div, elemType] = v;
         if ( n == 3 )
         {
             Interval = getNWSInterval(elemType);
@@ -451,7 +503,10 @@ function findFileFormat(f, i, hdrLines)
         }
 
         // --- check for NWS space delimited format w/ station name
-        n = sscanf(line[37], "%2d %4s %2s %4d", div, elemType, recdType, year);
+        //n = sscanf(&line[37], "%2d %4s %2s %4d", &div, elemType, recdType, &year);
+        v = sscanf(line.substring(37), "%2d %4s %2s %4d");
+        n = v.length;
+        [div, elemType, recdType, year] = v;
         if ( n == 4 )
         {
             Interval = getNWSInterval(elemType);
@@ -465,7 +520,10 @@ function findFileFormat(f, i, hdrLines)
         }
 
         // --- check for NWS coma delimited format
-        n = sscanf(line, "%6ld,%2d,%4s", sn2, div, elemType);
+        //n = sscanf(line, "%6ld,%2d,%4s", &sn2, &div, elemType);
+        v = sscanf(line, "%6ld,%2d,%4s");
+        n = v.length;
+        [sn2, div, elemType] = v;
         if ( n == 3 )
         {
             Interval = getNWSInterval(elemType);
@@ -478,7 +536,10 @@ function findFileFormat(f, i, hdrLines)
         }
 
         // --- check for NWS comma delimited format w/ station name
-        n = sscanf(line[37], "%2d,%4s,%2s,%4d", div, elemType, recdType, year);
+        //n = sscanf(&line[37], "%2d,%4s,%2s,%4d", &div, elemType, recdType, &year);
+        v = sscanf(line.substring(37), "%2d,%4s,%2s,%4d");
+        n = v.length;
+        [div, elemType, recdType, year] = v;
         if ( n == 4 )
         {
             Interval = getNWSInterval(elemType);
@@ -492,7 +553,10 @@ function findFileFormat(f, i, hdrLines)
         }
 
         // --- check for NWS TAPE format
-        n = sscanf(line, "%3s%6ld%2d%4s", recdType, sn2, div, elemType);
+        //n = sscanf(line, "%3s%6ld%2d%4s", recdType, &sn2, &div, elemType);
+        v = sscanf(line, "%3s%6ld%2d%4s");
+        n = v.length;
+        [recdType, sn2, div, elemType] = v;
         if ( n == 4 )
         {
             Interval = getNWSInterval(elemType);
@@ -505,15 +569,21 @@ function findFileFormat(f, i, hdrLines)
         }
 
         // --- check for NWS Online Retrieval format
-        n = sscanf(line, "%5s%6ld", coopID, sn2);
-        if ( n == 2 && strcmp(coopID, "COOP:") == 0 )
+        //n = sscanf(line, "%5s%6ld", coopID, &sn2);
+        v = sscanf(line, "%5s%6ld");
+        n = v.length;
+        [coopID, sn2] = v;
+        if ( n == 2 && coopID == "COOP:" )
         {
-            fileFormat = findNWSOnlineFormat(f, line);
+            fileFormat = findNWSOnlineFormat(f);
             break;
         }
 
         // --- check for AES type
-        n = sscanf(line, "%7ld%3d%2d%2d%3d", sn2, year, month, day, elem);
+        //n = sscanf(line, "%7ld%3d%2d%2d%3d", &sn2, &year, &month, &day, &elem);
+        v = sscanf(line, "%7ld%3d%2d%2d%3d");
+        n = v.length;
+        [sn2, year, month, day, elem] = v;
         if ( n == 5 )
         {
             if ( elem == 123 && line.length >= 185 )
@@ -527,7 +597,10 @@ function findFileFormat(f, i, hdrLines)
         }
 
         // --- check for CMC types
-        n = sscanf(line, "%7ld%4d%2d%2d%3d", sn2, year, month, day, elem);
+        //n = sscanf(line, "%7ld%4d%2d%2d%3d", &sn2, &year, &month, &day, &elem);
+        v = sscanf(line, "%7ld%4d%2d%2d%3d");
+        n = v.length;
+        [sn2, year, month, day, elem] = v;
         if ( n == 5 )
         {
             if ( elem == 159 && line.length >= 691 )
@@ -549,7 +622,7 @@ function findFileFormat(f, i, hdrLines)
         }
 
         // --- check for standard format
-        if ( parseStdLine(line, year, month, day, hour, minute, x) )
+        if ( parseStdLine(line, {}) )
         {
             fileFormat = STD_SPACE_DELIMITED;
             RainType = Gage[i].rainType;
@@ -559,7 +632,7 @@ function findFileFormat(f, i, hdrLines)
             StationID = Gage[i].staID;
             break;
         }
-        (hdrLines)++;
+        (inObj.hdrLines)++;
 
     }
     if ( fileFormat != UNKNOWN_FORMAT ) Gage[i].rainInterval = Interval;
@@ -568,10 +641,9 @@ function findFileFormat(f, i, hdrLines)
 
 //=============================================================================
 // FILE *f, char *line
-function findNWSOnlineFormat(f, line)
+function findNWSOnlineFormat(f)
 //
 //  Input:   f = pointer to rainfall data file
-//           line = line read from rainfall data file
 //  Output:
 //  Purpose: determines the file format for an NWS Online Retrieval data file.
 //
@@ -579,26 +651,29 @@ function findNWSOnlineFormat(f, line)
     let n;
     let fileFormat = UNKNOWN_FORMAT;
     let str;
+    let line;
 
     // --- read in the first header line of the file
-    rewind(f);
-    fgets(line, MAXLINE, f);
+    //rewind(f);
+    tfseek(f, 0);
+    //fgets(line, MAXLINE, f);
+    line = tfgets(f);
 
     // --- if 'HPCP' appears then file is for hourly data
-    if ( (str = strstr(line, "HPCP")) != null )
+    if ( (str = line.indexOf("HPCP")) >= 0 )
     {
         Interval = 3600;
         TimeOffset = Interval;
-        ValueOffset = str - line;
+        ValueOffset = str;
         fileFormat = NWS_ONLINE_60;
     }
 
     // --- if 'QPCP" appears then file is for 15 minute data
-    else if ( (str = strstr(line, "QPCP")) != null )
+    else if ( (str = line.indexOf("QPCP")) >= 0 )
     {
         Interval = 900;
         TimeOffset = Interval;
-        ValueOffset = str - line;
+        ValueOffset = str;
         fileFormat = NWS_ONLINE_15;
     }
     else return UNKNOWN_FORMAT;
@@ -608,16 +683,14 @@ function findNWSOnlineFormat(f, line)
     // --- read in first line of data
     for (n = 1; n <= 5; n++)
     {
-        if ( fgets(line, MAXLINE, f) == null ) return UNKNOWN_FORMAT;
-        if ( strstr(line, "COOP:") == null ) continue;
-
-        // --- find pointer to last occurrence of time separator character (':')
-        str = strrchr(line, ':');
-        if ( str == null ) return UNKNOWN_FORMAT;
-
-        // --- use pointer arithmetic to convert pointer to character position
-        n = str - line;
-        DataOffset = n - 11;
+        //if ( fgets(line, MAXLINE, f) == null ) return UNKNOWN_FORMAT;
+        if ( (line = tfgets(f)) == null ) return UNKNOWN_FORMAT;
+        if ( line.indexOf("COOP:") < 0 ) continue;
+
+        // --- find position of last occurrence of time separator character (':')
+        str = line.lastIndexOf(':');
+        if ( str < 0 ) return UNKNOWN_FORMAT;
+        DataOffset = str - 11;
         return fileFormat;
     }
     return UNKNOWN_FORMAT;
@@ -632,9 +705,9 @@ function getNWSInterval(elemType)
 //  Purpose: decodes NWS rain gage recording interval value
 //
 {
-    if      ( strcmp(elemType, "HPCP") == 0 ) return 3600; // 1 hr rainfall
-    else if ( strcmp(elemType, "QPCP") == 0 ) return 900;  // 15 min rainfall
-    else if ( strcmp(elemType, "QGAG") == 0 ) return 900;  // 15 min rainfall
+    if      ( elemType == "HPCP" ) return 3600; // 1 hr rainfall
+    else if ( elemType == "QPCP" ) return 900;  // 15 min rainfall
+    else if ( elemType == "QGAG" ) return 900;  // 15 min rainfall
     else return 0;
 }
 
@@ -655,7 +728,8 @@ function readFile(f, fileFormat, hdrLines, day1, day2)
     let line;
     let  i, n;
 
-    rewind(f);
+    //rewind(f);
+    tfseek(f, 0);
     RainStats.startDate  = NO_DATE;
     RainStats.endDate    = NO_DATE;
     RainStats.periodsRain = 0;
@@ -667,9 +741,11 @@ function readFile(f, fileFormat, hdrLines, day1, day2)
 
     for (i = 1; i <= hdrLines; i++)
     {
-        if ( fgets(line, MAXLINE, f) == null ) return;
+        //if ( fgets(line, MAXLINE, f) == null ) return;
+        if ( tfgets(f) == null ) return;
     }
-    while ( fgets(line, MAXLINE, f) != null )
+    //while ( fgets(line, MAXLINE, f) != null )
+    while ( (line = tfgets(f)) != null )
     {
        switch (fileFormat)
        {
@@ -720,15 +796,21 @@ function readNWSLine(line, fileFormat, day1, day2)
     let      hour, minute;
     let      v;
     let      x;
-    let      lineLength = line.length-1;
+    // --- tfgets drops the newline that fgets keeps (line.length-1 in C)
+    let      lineLength = line.length;
     let      nameLength = 0;
+    let      vals;
+    let      returnObj;
 
     // --- get year, month, & day from line
     switch ( fileFormat )
     {
       case NWS_TAPE:
         if ( lineLength <= 30 ) return 0;
-        if (sscanf(line[17], "%4d%2d%4d%3d", y, m, d, n) < 4) return 0;
+        //if (sscanf(&line[17], "%4d%2d%4d%3d", &y, &m, &d, &n) < 4) return 0;
+        vals = sscanf(line.substring(17), "%4d%2d%4d%3d");
+        if ( vals.length < 4 ) return 0;
+        [y, m, d, n] = vals;
         k = 30;
         break;
 
@@ -736,20 +818,29 @@ function readNWSLine(line, fileFormat, day1, day2)
         if ( hasStationName ) nameLength = 31;
         if ( lineLength <= 28 + nameLength ) return 0;
         k = 18 + nameLength;
-        if (sscanf(line[k], "%4d %2d %2d", y, m, d) < 3) return 0;
+        //if (sscanf(&line[k], "%4d %2d %2d", &y, &m, &d) < 3) return 0;
+        vals = sscanf(line.substring(k), "%4d %2d %2d");
+        if ( vals.length < 3 ) return 0;
+        [y, m, d] = vals;
         k = k + 10;
         break;
 
       case NWS_COMMA_DELIMITED:
         if ( lineLength <= 28 ) return 0;
-        if ( sscanf(line[18], "%4d,%2d,%2d", y, m, d) < 3 ) return 0;
+        //if ( sscanf(&line[18], "%4d,%2d,%2d", &y, &m, &d) < 3 ) return 0;
+        vals = sscanf(line.substring(18), "%4d,%2d,%2d");
+        if ( vals.length < 3 ) return 0;
+        [y, m, d] = vals;
         k = 28;
         break;
 
       case NWS_ONLINE_60:
       case NWS_ONLINE_15:
         if ( lineLength <= DataOffset + 23 ) return 0;
-        if ( sscanf(line[DataOffset], "%4d%2d%2d", y, m, d) < 3 ) return 0;
+        //if ( sscanf(&line[DataOffset], "%4d%2d%2d", &y, &m, &d) < 3 ) return 0;
+        vals = sscanf(line.substring(DataOffset), "%4d%2d%2d");
+        if ( vals.length < 3 ) return 0;
+        [y, m, d] = vals;
         k = DataOffset + 8;
         break;
 
@@ -772,27 +863,45 @@ function readNWSLine(line, fileFormat, day1, day2)
         switch ( fileFormat )
         {
           case NWS_TAPE:
-            n = sscanf(line[k], "%2d%2d%6ld%c%c",
-                       hour, minute, v, flag1, flag2);
+            //n = sscanf(&line[k], "%2d%2d%6ld%c%c",
+            //           &hour, &minute, &v, &flag1, &flag2);
+            vals = sscanf(line.substring(k), "%2d%2d%6ld%c%c");
+            n = vals.length;
+            [hour = 25, minute = 0, v = 99999, flag1 = 0, flag2 = 0] = vals;
             k += 12;
             break;
 
           case NWS_SPACE_DELIMITED:
-            n = sscanf(line[k], " %2d%2d %6ld %c %c",
-                       hour, minute, v, flag1, flag2);
+            //n = sscanf(&line[k], " %2d%2d %6ld %c %c",
+            //           &hour, &minute, &v, &flag1, &flag2);
+            vals = sscanf(line.substring(k), " %2d%2d %6ld %c %c");
+            n = vals.length;
+            [hour = 25, minute = 0, v = 99999, flag1 = 0, flag2 = 0] = vals;
             k += 16;
             break;
 
           case NWS_COMMA_DELIMITED:
-            n = sscanf(line[k], ",%2d%2d,%6ld,%c,%c",
-                       hour, minute, v, flag1, flag2);
+            //n = sscanf(&line[k], ",%2d%2d,%6ld,%c,%c",
+            //           &hour, &minute, &v, &flag1, &flag2);
+            vals = sscanf(line.substring(k), ",%2d%2d,%6ld,%c,%c");
+            n = vals.length;
+            [hour = 25, minute = 0, v = 99999, flag1 = 0, flag2 = 0] = vals;
             k += 16;
             break;
 
           case NWS_ONLINE_60:
           case NWS_ONLINE_15:
-              n = sscanf(line[k], " %2d:%2d", hour, minute);
-              n += readNwsOnlineValue(line[ValueOffset], v, flag1);
+              //n = sscanf(&line[k], " %2d:%2d", &hour, &minute);
+              vals = sscanf(line.substring(k), " %2d:%2d");
+              n = vals.length;
+              [hour = 25, minute = 0] = vals;
+              //n += readNwsOnlineValue(&line[ValueOffset], &v, &flag1);
+              ////////////////////////////////////
+              returnObj = {v: v, flag: flag1}
+              n += readNwsOnlineValue(line.substring(ValueOffset), returnObj);
+              v = returnObj.v;
+              flag1 = returnObj.flag;
+              ////////////////////////////////////
 
               // --- ending hour 0 is really hour 24 of previous day
               if ( hour == 0 )
@@ -833,7 +942,7 @@ function readNWSLine(line, fileFormat, day1, day2)
         else
         {
             // --- convert rain measurement to inches & save it
-            x = v / 100.0;
+            x = Math.fround(v / 100.0);
             if ( x > 0 || isMissing )
                 saveRainfall(date1, hour, minute, x, isMissing);
         }
@@ -846,11 +955,11 @@ function readNWSLine(line, fileFormat, day1, day2)
 
 //=============================================================================
 // char* s, long* v, char* flag
-function readNwsOnlineValue(s, v, flag)
+function readNwsOnlineValue(s, inObj)
 //
 //  Input:   s = portion of rainfall record in NWS online format
-//  Output:  v = rainfall amount in hundreths of an inch
-//           flag = special condition flag
+//  Output:  inObj.v = rainfall amount in hundreths of an inch
+//           inObj.flag = special condition flag
 //           returns number of items read from s.
 //  Purpose: reads rainfall value and condition flag from a NWS online
 //           rainfall record.
@@ -858,18 +967,30 @@ function readNwsOnlineValue(s, v, flag)
 {
     let    n;
     let  x = 99.99;                                                         //(5.1.013)
+    let  vals;
 
     // --- check for newer format of decimal inches
-    if ( strchr(s, '.') )
+    if ( s.indexOf('.') >= 0 )
     {
-        n = sscanf(s, "%f %c", x, flag);
+        //n = sscanf(s, "%f %c", &x, flag);
+        vals = sscanf(s, "%f %c");
+        n = vals.length;
+        if ( n > 0 ) x = Math.fround(vals[0]);
+        if ( n > 1 ) inObj.flag = vals[1];
 
         // --- convert to integer hundreths of an inch
-        v = (100.0 * x + 0.5);
+        inObj.v = Math.floor(100.0 * x + 0.5);
     }
 
     // --- older format of hundreths of an inch
-    else n = sscanf(s, "%ld %c", v, flag);
+    else
+    {
+        //n = sscanf(s, "%ld %c", v, flag);
+        vals = sscanf(s, "%ld %c");
+        n = vals.length;
+        if ( n > 0 ) inObj.v = vals[0];
+        if ( n > 1 ) inObj.flag = vals[1];
+    }
     return n;
 }
 
@@ -915,20 +1036,27 @@ function readCMCLine(line, fileFormat, day1, day2)
     let     sn, v;
     let     col, j, jMax, elem, y, m, d, hour, minute;
     let     x;
+    let     vals;
 
     // --- get year, month, day & element code from line
     if ( fileFormat == AES_HLY )
     {
-        if ( sscanf(line, "%7ld%3d%2d%2d%3d", sn, y, m, d, elem) < 5 )
+        //if ( sscanf(line, "%7ld%3d%2d%2d%3d", &sn, &y, &m, &d, &elem) < 5 )
+        vals = sscanf(line, "%7ld%3d%2d%2d%3d");
+        if ( vals.length < 5 )
             return 0;
+        [sn, y, m, d, elem] = vals;
         if ( y < 100 ) y = y + 2000;
         else           y = y + 1000;
         col = 17;
     }
     else
     {
-        if ( sscanf(line, "%7ld%4d%2d%2d%3d", sn, y, m, d, elem) < 5 )
+        //if ( sscanf(line, "%7ld%4d%2d%2d%3d", &sn, &y, &m, &d, &elem) < 5 )
+        vals = sscanf(line, "%7ld%4d%2d%2d%3d");
+        if ( vals.length < 5 )
             return 0;
+        [sn, y, m, d, elem] = vals;
         col = 18;
     }
 
@@ -949,13 +1077,16 @@ function readCMCLine(line, fileFormat, day1, day2)
     if ( fileFormat == CMC_FIF ) jMax = 96;
     for (j=1; j<=jMax; j++)
     {
-        if ( sscanf(line[col], "%6ld%c", v, flag) < 2 ) return 0;
+        //if ( sscanf(&line[col], "%6ld%c", &v, &flag) < 2 ) return 0;
+        vals = sscanf(line.substring(col), "%6ld%c");
+        if ( vals.length < 2 ) return 0;
+        [v, flag] = vals;
         col += 7;
         if ( v == -99999 ) isMissing = true;
         else               isMissing = false;
 
         // --- convert rain measurement from 0.1 mm to inches and save it
-        x = (float)( v / 10.0 / MMperINCH);
+        x = Math.fround( v / 10.0 / MMperINCH);
         if ( x > 0 || isMissing)
         {
             saveRainfall(date1, hour, minute, x, isMissing);
@@ -993,9 +1124,20 @@ function readStdLine(line, day1, day2)
     let date2;
     let      year, month, day, hour, minute;
     let    x;
+    let    returnObj;
 
     // --- parse data from input line
-    if (!parseStdLine(line, year, month, day, hour, minute, x)) return 0;
+    //if (!parseStdLine(line, &year, &month, &day, &hour, &minute, &x)) return 0;
+    ////////////////////////////////////
+    returnObj = {}
+    if (!parseStdLine(line, returnObj)) return 0;
+    year = returnObj.year;
+    month = returnObj.month;
+    day = returnObj.day;
+    hour = returnObj.hour;
+    minute = returnObj.minute;
+    x = returnObj.value;
+    ////////////////////////////////////
 
     // --- see if date is within period of record requested
     date1 = datetime_encodeDate(year, month, day);
@@ -1037,15 +1179,15 @@ function readStdLine(line, day1, day2)
 //=============================================================================
 // char *line, int *year, int *month, int *day, int *hour,
 //    int *minute, float *value
-function parseStdLine(line, year, month, day, hour, minute, value)
+function parseStdLine(line, inObj)
 //
 //  Input:   line = line of data from a standard rainfall data file
-//  Output:  *year = year when rainfall occurs
-//           *month = month of year when rainfall occurs
-//           *day = day of month when rainfall occurs
-//           *hour = hour of day when rainfall occurs
-//           *minute = minute of hour when rainfall occurs
-//           *value = rainfall value (user units);
+//  Output:  inObj.year = year when rainfall occurs
+//           inObj.month = month of year when rainfall occurs
+//           inObj.day = day of month when rainfall occurs
+//           inObj.hour = hour of day when rainfall occurs
+//           inObj.minute = minute of hour when rainfall occurs
+//           inObj.value = rainfall value (user units);
 //           returns 0 if data line could not be parsed successfully or
 //           1 if line parsed successfully
 //  Purpose: parses a line of data from a standard rainfall data file.
@@ -1053,9 +1195,14 @@ function parseStdLine(line, year, month, day, hour, minute, value)
 {
     let n;
     let token;
+    let vals;
 
-    n = sscanf(line, "%s %d %d %d %d %d %f", token, year, month, day, hour, minute, value);
+    //n = sscanf(line, "%s %d %d %d %d %d %f", token, year, month, day, hour, minute, value);
+    vals = sscanf(line, "%s %d %d %d %d %d %f");
+    n = vals.length;
     if ( n < 7 ) return 0;
+    [token, inObj.year, inObj.month, inObj.day, inObj.hour, inObj.minute, inObj.value] = vals;
+    inObj.value = Math.fround(inObj.value);
     if ( StationID != null && !strcomp(token, StationID) ) return 0;
     return 1;
 }
@@ -1083,7 +1230,7 @@ function saveAccumRainfall(date1, hour, minute, v)
 
     // --- find number of recording intervals over accumulation period
     date2 = date1 + datetime_encodeTime(hour, minute, 0);
-    n = (datetime_timeDiff(date2, AccumStartDate) / Interval) + 1;
+    n = Math.floor(datetime_timeDiff(date2, AccumStartDate) / Interval) + 1;
 
     // --- update count of rain or missing periods
     if ( v == 99999 )
@@ -1094,7 +1241,7 @@ function saveAccumRainfall(date1, hour, minute, v)
     RainStats.periodsRain += n;
 
     // --- divide accumulated amount evenly into each period
-    x = v / n / 100.0;
+    x = Math.fround(v / n / 100.0);
 
     // --- save this amount to file for each period
     if ( x > 0.0 )
@@ -1103,8 +1250,10 @@ function saveAccumRainfall(date1, hour, minute, v)
         if ( RainStats.startDate == NO_DATE ) RainStats.startDate = date2;
         for (j = 0; j < n; j++)
         {
-            fwrite(date2, sizeof(DateTime), 1, Frain.file);
-            fwrite(x, sizeof(float), 1, Frain.file);
+            //fwrite(&date2, sizeof(DateTime), 1, Frain.file);
+            bfwriteDouble(Frain.file, date2);
+            //fwrite(&x, sizeof(float), 1, Frain.file);
+            bfwriteFloat(Frain.file, x);
             date2 = datetime_addSeconds(date2, Interval);
             RainStats.endDate = date2;
         }
@@ -1142,8 +1291,10 @@ function saveRainfall(date1, hour, minute, x, isMissing)
         date2 = datetime_addSeconds(date1, seconds);
 
         // --- write date & value (in inches) to interface file
-        fwrite(date2, sizeof(DateTime), 1, Frain.file);
-        fwrite(x, sizeof(float), 1, Frain.file);
+        //fwrite(&date2, sizeof(DateTime), 1, Frain.file);
+        bfwriteDouble(Frain.file, date2);
+        //fwrite(&x, sizeof(float), 1, Frain.file);
+        bfwriteFloat(Frain.file, x);
 
         // --- update actual start & end of record dates
         if ( RainStats.startDate == NO_DATE ) RainStats.startDate = date2;
@@ -374,8 +374,8 @@ function setUnitHydParams(j, i, m, x)
         t = x[1];
         k = x[2];
         tBase = t * (1.0 + k);                              // hours
-        UnitHyd[j].tPeak[m][i] = (long)(t * 3600.);         // seconds
-        UnitHyd[j].tBase[m][i] = (long)(tBase * 3600.);     // seconds
+        UnitHyd[j].tPeak[m][i] = Math.floor(t * 3600.);     // seconds
+        UnitHyd[j].tBase[m][i] = Math.floor(tBase * 3600.); // seconds
 
         // -- set initial abstraction parameters
         UnitHyd[j].iaMax[m][i]   = x[3];
@@ -411,7 +411,8 @@ function rdii_openRdii()
 //  Purpose: opens an exisiting RDII interface file or creates a new one.
 //
 {
-    let  fStamp = FILE_STAMP;
+    let  fStamp;
+    let  contents;
 
     RdiiNodeIndex = null;
     RdiiNodeFlow = null;
@@ -419,13 +420,27 @@ function rdii_openRdii()
     RdiiStartDate = NO_DATE;
 
     // --- create the RDII file if existing file not being used
+    //     (a newly created file is left in Frdii.contents while
+    //     a USE file is found under its name among the stored files)
     if ( IgnoreRDII ) return;
     if ( Frdii.mode != USE_FILE ) createRdiiFile();
     if ( Frdii.mode == NO_FILE || ErrorCode ) return;
+    if ( Frdii.mode == USE_FILE ) contents = memfile_read(Frdii.name);
+    else                          contents = Frdii.contents;
+
+    // --- a file stored as a string can only be a text file
+    if ( typeof contents === 'string' )
+    {
+        RdiiFileType = TEXT;
+        openRdiiTextFile(contents);
+        if ( !ErrorCode ) readRdiiFlows();
+        return;
+    }
 
     // --- try to open the RDII file in binary mode
-    Frdii.file = fopen(Frdii.name, "rb");
-    if ( Frdii.file == null)
+    //Frdii.file = fopen(Frdii.name, "rb");
+    //if ( Frdii.file == null)
+    if ( contents == null )
     {
         if ( Frdii.mode == SCRATCH_FILE )
         {
@@ -438,9 +453,12 @@ function rdii_openRdii()
         return;
     }
 
+    Frdii.file = bfopen(contents);
+
     // --- check for valid file stamp
-    fread(fStamp, sizeof(char), FileStamp.length, Frdii.file);
-    if ( strcmp(fStamp, FileStamp) == 0 )
+    //fread(fStamp, sizeof(char), strlen(FileStamp), Frdii.file);
+    fStamp = bfreadChars(Frdii.file, FileStamp.length);
+    if ( fStamp == FileStamp )
     {
         RdiiFileType = BINARY;
         ErrorCode = readRdiiFileHeader();
@@ -449,9 +467,10 @@ function rdii_openRdii()
     // --- if stamp invalid try to open the file in text mode
     else
     {
-        fclose(Frdii.file);
+        //fclose(Frdii.file);
+        Frdii.file = null;
         RdiiFileType = TEXT;
-        openRdiiTextFile();
+        openRdiiTextFile(new TextDecoder().decode(contents));
     }
 
     // --- catch any error
@@ -466,10 +485,17 @@ function rdii_openRdii()
 
 //=============================================================================
 
-function openRdiiTextFile()
+// char* text
+function openRdiiTextFile(text)
+//
+//  Input:   text = contents of the RDII file
+//  Output:  none
+//  Purpose: opens a RDII interface file in text mode and reads its header.
+//
 {
     // --- try to open the RDII file in text mode
-    Frdii.file = fopen(Frdii.name, "rt");
+    //Frdii.file = fopen(Frdii.name, "rt");
+    Frdii.file = tfopen(text);
     if ( Frdii.file == null)
     {
         if ( Frdii.mode == SCRATCH_FILE )
@@ -500,10 +526,15 @@ function rdii_closeRdii()
 //  Purpose: closes the RDII interface file.
 //
 {
-    if ( Frdii.file ) fclose(Frdii.file);
-    if ( Frdii.mode == SCRATCH_FILE ) remove(Frdii.name);
-    FREE(RdiiNodeIndex);
-    FREE(RdiiNodeFlow);
+    //if ( Frdii.file ) fclose(Frdii.file);
+    //if ( Frdii.mode == SCRATCH_FILE ) remove(Frdii.name);
+    if ( Frdii.mode == SAVE_FILE && Frdii.contents )
+    {
+        memfile_write(Frdii.name, Frdii.contents);
+    }
+    Frdii.file = null;
+    RdiiNodeIndex = null;
+    RdiiNodeFlow = null;
 }
 
 //=============================================================================
@@ -520,7 +551,9 @@ function rdii_getNumRdiiFlows(aDate)
     if ( !Frdii.file ) return 0;
 
     // --- keep reading RDII file as need be
-    while ( !feof(Frdii.file) )
+    //     (RdiiStartDate becomes NO_DATE once the end of file is reached)
+    //while ( !feof(Frdii.file) )
+    while ( Frdii.file )
     {
         // --- return if date of current RDII inflow not reached yet
         if ( RdiiStartDate == NO_DATE ) return 0;
@@ -538,19 +571,24 @@ function rdii_getNumRdiiFlows(aDate)
 
 //=============================================================================
 // int i, int* j, double* q
-function rdii_getRdiiFlow(i, j, q)
+////////////////////////////////////
+//returnObj = {j: j, q: q}
+//rdii_getRdiiFlow(i, returnObj);
+//j = returnObj.j;
+//q = returnObj.q;
+////////////////////////////////////
+function rdii_getRdiiFlow(i, inObj)
 //
 //  Input:   i = RDII node index
-//           j = pointer to project node index
-//           q = pointer to RDII flow rate
-//  Output:  sets node index and RDII inflow for node
+//  Output:  inObj.j = project node index
+//           inObj.q = RDII flow rate
 //  Purpose: finds index and current RDII inflow for an RDII node.
 //
 {
     if ( i >= 0 && i < NumRdiiNodes )
     {
-        j = RdiiNodeIndex[i];
-        q = RdiiNodeFlow[i];
+        inObj.j = RdiiNodeIndex[i];
+        inObj.q = RdiiNodeFlow[i];
     }
 }
 
@@ -566,28 +604,33 @@ function readRdiiFileHeader()
     let i, j;
 
     // --- extract time step and number of RDII nodes
-    fread(RdiiStep, sizeof(INT4), 1, Frdii.file);
-    if ( RdiiStep <= 0 ) return ERR_RDII_FILE_FORMAT;
-    fread(NumRdiiNodes, sizeof(INT4), 1, Frdii.file);
-    if ( NumRdiiNodes <= 0 ) return ERR_RDII_FILE_FORMAT;
+    //fread(&RdiiStep, sizeof(INT4), 1, Frdii.file);
+    RdiiStep = bfreadInt(Frdii.file);
+    if ( RdiiStep == null || RdiiStep <= 0 ) return ERR_RDII_FILE_FORMAT;
+    //fread(&NumRdiiNodes, sizeof(INT4), 1, Frdii.file);
+    NumRdiiNodes = bfreadInt(Frdii.file);
+    if ( NumRdiiNodes == null || NumRdiiNodes <= 0 ) return ERR_RDII_FILE_FORMAT;
 
     // --- allocate memory for RdiiNodeIndex & RdiiNodeFlow arrays
     //RdiiNodeIndex = (int *) calloc(NumRdiiNodes, sizeof(int));
     RdiiNodeIndex = new Array(NumRdiiNodes);
     if ( !RdiiNodeIndex ) return ERR_MEMORY;
     //RdiiNodeFlow = (REAL4 *) calloc(NumRdiiNodes, sizeof(REAL4));
-    RdiiNodeFlow = new Array(NumRdiiNodes);
+    RdiiNodeFlow = new Array(NumRdiiNodes).fill(0.0);
     if ( !RdiiNodeFlow ) return ERR_MEMORY;
 
     // --- read indexes of RDII nodes
-    if ( feof(Frdii.file) ) return ERR_RDII_FILE_FORMAT;
-    fread(RdiiNodeIndex, sizeof(INT4), NumRdiiNodes, Frdii.file);
+    //if ( feof(Frdii.file) ) return ERR_RDII_FILE_FORMAT;
+    //fread(RdiiNodeIndex, sizeof(INT4), NumRdiiNodes, Frdii.file);
     for ( i=0; i<NumRdiiNodes; i++ )
     {
-        j = RdiiNodeIndex[i];
+        j = bfreadInt(Frdii.file);
+        if ( j == null || j < 0 || j >= Nobjects[NODE] ) return ERR_RDII_FILE_FORMAT;
+        RdiiNodeIndex[i] = j;
         if ( Node[j].rdiiInflow == null ) return ERR_RDII_FILE_FORMAT;
     }
-    if ( feof(Frdii.file) ) return ERR_RDII_FILE_FORMAT;
+    //if ( feof(Frdii.file) ) return ERR_RDII_FILE_FORMAT;
+    if ( bftell(Frdii.file) >= Frdii.file.size ) return ERR_RDII_FILE_FORMAT;
     return 0;
 }
 
@@ -602,56 +645,72 @@ function readRdiiTextFileHeader()
 {
     let  i;
     let  line;             // line from RDII data file
-    let  s1;               // general string variable
-    let  s2;
+    let  s1 = "";          // general string variable
+    let  s2 = "";
+    let  vals;
 
     // --- check for correct file type
-    fgets(line, MAXLINE, Frdii.file);
-    sscanf(line, "%s", s1);
-    if ( strcmp(s1, "SWMM5") != 0 ) return ERR_RDII_FILE_FORMAT;
+    //fgets(line, MAXLINE, Frdii.file);
+    line = tfgets(Frdii.file);
+    //sscanf(line, "%s", s1);
+    s1 = sscanf(line, "%s")[0];
+    if ( s1 != "SWMM5" ) return ERR_RDII_FILE_FORMAT;
 
     // --- skip title line
-    fgets(line, MAXLINE, Frdii.file);
+    //fgets(line, MAXLINE, Frdii.file);
+    tfgets(Frdii.file);
 
     // --- read RDII UH time step interval (sec)
     RdiiStep = 0;
-    fgets(line, MAXLINE, Frdii.file);
-    sscanf(line, "%d", RdiiStep);
+    //fgets(line, MAXLINE, Frdii.file);
+    line = tfgets(Frdii.file);
+    //sscanf(line, "%d", &RdiiStep);
+    RdiiStep = sscanf(line, "%d")[0] || 0;
     if ( RdiiStep <= 0 ) return ERR_RDII_FILE_FORMAT;
 
     // --- skip over line with number of constituents (= 1 for RDII)
-    fgets(line, MAXLINE, Frdii.file);
+    //fgets(line, MAXLINE, Frdii.file);
+    tfgets(Frdii.file);
 
     // --- read flow units
-    fgets(line, MAXLINE, Frdii.file);
-    sscanf(line, "%s %s", s1, s2);
+    //fgets(line, MAXLINE, Frdii.file);
+    line = tfgets(Frdii.file);
+    //sscanf(line, "%s %s", s1, s2);
+    [s1 = "", s2 = ""] = sscanf(line, "%s %s");
     RdiiFlowUnits = findmatch(s2, FlowUnitWords);
     if ( RdiiFlowUnits < 0 ) return ERR_RDII_FILE_FORMAT;
 
     // --- read number of RDII nodes
-    fgets(line, MAXLINE, Frdii.file);
-    if ( sscanf(line, "%d", NumRdiiNodes) < 1 ) return ERR_RDII_FILE_FORMAT;
+    //fgets(line, MAXLINE, Frdii.file);
+    line = tfgets(Frdii.file);
+    //if ( sscanf(line, "%d", &NumRdiiNodes) < 1 ) return ERR_RDII_FILE_FORMAT;
+    vals = sscanf(line, "%d");
+    if ( vals.length < 1 ) return ERR_RDII_FILE_FORMAT;
+    NumRdiiNodes = vals[0];
 
     // --- allocate memory for RdiiNodeIndex & RdiiNodeFlow arrays
     //RdiiNodeIndex = calloc(NumRdiiNodes, sizeof(int));
     RdiiNodeIndex = new Array(NumRdiiNodes);
     if ( !RdiiNodeIndex ) return ERR_MEMORY;
     //RdiiNodeFlow = (REAL4 *) calloc(NumRdiiNodes, sizeof(REAL4));
-    RdiiNodeFlow = new Array(NumRdiiNodes)
+    RdiiNodeFlow = new Array(NumRdiiNodes).fill(0.0);
     if ( !RdiiNodeFlow ) return ERR_MEMORY;
 
     // --- read names of RDII nodes from file & save their indexes
     for ( i=0; i<NumRdiiNodes; i++ )
     {
-        if ( feof(Frdii.file) ) return ERR_RDII_FILE_FORMAT;
-        fgets(line, MAXLINE, Frdii.file);
-        sscanf(line, "%s", s1);
+        //if ( feof(Frdii.file) ) return ERR_RDII_FILE_FORMAT;
+        //fgets(line, MAXLINE, Frdii.file);
+        if ( (line = tfgets(Frdii.file)) == null ) return ERR_RDII_FILE_FORMAT;
+        //sscanf(line, "%s", s1);
+        s1 = sscanf(line, "%s")[0] || "";
         RdiiNodeIndex[i] = project_findObject(NODE, s1);
     }
 
     // --- skip column heading line
-    if ( feof(Frdii.file) ) return ERR_RDII_FILE_FORMAT;
-    fgets(line, MAXLINE, Frdii.file);
+    //if ( feof(Frdii.file) ) return ERR_RDII_FILE_FORMAT;
+    //fgets(line, MAXLINE, Frdii.file);
+    if ( tfgets(Frdii.file) == null ) return ERR_RDII_FILE_FORMAT;
     return 0;
 }
 
@@ -669,10 +728,13 @@ function readRdiiFlows()
     {
         RdiiStartDate = NO_DATE;
         RdiiEndDate = NO_DATE;
-        if ( feof(Frdii.file) ) return;
-        fread(RdiiStartDate, sizeof(DateTime), 1, Frdii.file);
+        //if ( feof(Frdii.file) ) return;
+        //fread(&RdiiStartDate, sizeof(DateTime), 1, Frdii.file);
+        RdiiStartDate = bfreadDouble(Frdii.file);
+        if ( RdiiStartDate == null ) RdiiStartDate = NO_DATE;
         if ( RdiiStartDate == NO_DATE ) return;
-        if ( fread(RdiiNodeFlow, sizeof(REAL4), NumRdiiNodes, Frdii.file) < NumRdiiNodes ) RdiiStartDate = NO_DATE;
+        //if ( fread(RdiiNodeFlow, sizeof(REAL4), NumRdiiNodes, Frdii.file) < NumRdiiNodes ) RdiiStartDate = NO_DATE;
+        if ( bfreadFloats(Frdii.file, RdiiNodeFlow, NumRdiiNodes) < NumRdiiNodes ) RdiiStartDate = NO_DATE;
         else RdiiEndDate = datetime_addSeconds(RdiiStartDate, RdiiStep);
     }
 }
@@ -692,16 +754,21 @@ function readRdiiTextFlows()
     let    x;                          // RDII flow in original units
     let    line;            // line from RDII data file
     let    s;               // node ID label (not used)
+    let    vals;
 
     RdiiStartDate = NO_DATE;
     for (i=0; i<NumRdiiNodes; i++)
     {
-        if ( feof(Frdii.file) ) return;
-        fgets(line, MAXLINE, Frdii.file);
-        n = sscanf(line, "%s %d %d %d %d %d %d %lf",
-            s, yr, mon, day, hr, min, sec, x);
+        //if ( feof(Frdii.file) ) return;
+        //fgets(line, MAXLINE, Frdii.file);
+        if ( (line = tfgets(Frdii.file)) == null ) return;
+        //n = sscanf(line, "%s %d %d %d %d %d %d %lf",
+        //    s, &yr, &mon, &day, &hr, &min, &sec, &x);
+        vals = sscanf(line, "%s %d %d %d %d %d %d %lf");
+        n = vals.length;
         if ( n < 8 ) return;
-        RdiiNodeFlow[i] = (REAL4)(x / Qcf[RdiiFlowUnits]);
+        [s, yr, mon, day, hr, min, sec, x] = vals;
+        RdiiNodeFlow[i] = Math.fround(x / Qcf[RdiiFlowUnits]);
     }
     RdiiStartDate = datetime_encodeDate(yr, mon, day) +
                     datetime_encodeTime(hr, min, sec);
@@ -929,7 +996,7 @@ function  allocRdiiMemory()
 
     // --- allocate memory for RDII processing data for UH groups
     // UHGroup = (TUHGroup *) calloc(Nobjects[UNITHYD], sizeof(TUHGroup));
-    var UHGroup = [];
+    UHGroup = [];
     for(let u = 0; u < Nobjects[UNITHYD]; u++){UHGroup.push(new TUHGroup())}
     if ( !UHGroup ) return false;
 
@@ -947,11 +1014,11 @@ function  allocRdiiMemory()
             {
                 UHGroup[i].uh[k].pastRain =
                     //(double *) calloc(n, sizeof(double));
-                    new Array(n);
+                    new Array(n).fill(0.0);
                 if ( !UHGroup[i].uh[k].pastRain ) return false;
                 UHGroup[i].uh[k].pastMonth =
                     //(char *) calloc(n, sizeof(char));
-                    new Array(n)
+                    new Array(n).fill(0)
                 if ( !UHGroup[i].uh[k].pastMonth ) return false;
             }
         }
@@ -962,7 +1029,7 @@ function  allocRdiiMemory()
     RdiiNodeIndex = new Array(NumRdiiNodes);
     if ( !RdiiNodeIndex ) return false;
     //RdiiNodeFlow = (REAL4 *) calloc(NumRdiiNodes, sizeof(REAL4));
-    RdiiNodeFlow = new Array(NumRdiiNodes)
+    RdiiNodeFlow = new Array(NumRdiiNodes).fill(0.0)
     if ( !RdiiNodeFlow ) return false;
     return true;
 }
@@ -1023,7 +1090,7 @@ function  getMaxPeriods(i, k)
     for (m=0; m<12; m++)
     {
         // --- compute number of time periods in UH base
-        n = (UnitHyd[i].tBase[m][k] / rainInterval) + 1;
+        n = Math.floor(UnitHyd[i].tBase[m][k] / rainInterval) + 1;
 
         // --- update number of time periods to be saved
         nMax = MAX(n, nMax);
@@ -1137,25 +1204,30 @@ function openNewRdiiFile()
     let j;                             // node index
 
     // --- create a temporary file name if scratch file being used
-    if ( Frdii.mode == SCRATCH_FILE ) getTempFileName(Frdii.name);
+    if ( Frdii.mode == SCRATCH_FILE ) Frdii.name = getTempFileName(Frdii.name);
 
     // --- open the RDII file as a formatted text file
-    Frdii.file = fopen(Frdii.name, "w+b");
+    //Frdii.file = fopen(Frdii.name, "w+b");
+    Frdii.file = bfopen();
     if ( Frdii.file == null )
     {
         return false;
     }
 
     // --- write file stamp to RDII file
-    fwrite(FileStamp, sizeof(char), FileStamp.length, Frdii.file);
+    //fwrite(FileStamp, sizeof(char), strlen(FileStamp), Frdii.file);
+    bfwriteChars(Frdii.file, FileStamp);
 
     // --- initialize the contents of the file with RDII time step (sec),
     //     number of RDII nodes, and index of each node
-    fwrite(RdiiStep, sizeof(INT4), 1, Frdii.file);
-    fwrite(NumRdiiNodes, sizeof(INT4), 1, Frdii.file);
+    //fwrite(&RdiiStep, sizeof(INT4), 1, Frdii.file);
+    bfwriteInt(Frdii.file, RdiiStep);
+    //fwrite(&NumRdiiNodes, sizeof(INT4), 1, Frdii.file);
+    bfwriteInt(Frdii.file, NumRdiiNodes);
     for (j=0; j<Nobjects[NODE]; j++)
     {
-        if ( Node[j].rdiiInflow ) fwrite(j, sizeof(INT4), 1, Frdii.file);
+        //if ( Node[j].rdiiInflow ) fwrite(&j, sizeof(INT4), 1, Frdii.file);
+        if ( Node[j].rdiiInflow ) bfwriteInt(Frdii.file, j);
     }
     return true;
 }
@@ -1490,8 +1562,10 @@ function saveRdiiFlows(currentDate)
 //  Purpose: saves current set of RDII inflows in current flow units to file.
 //
 {
-    fwrite(currentDate, sizeof(DateTime), 1, Frdii.file);
-    fwrite(RdiiNodeFlow, sizeof(REAL4), NumRdiiNodes, Frdii.file);
+    //fwrite(&currentDate, sizeof(DateTime), 1, Frdii.file);
+    bfwriteDouble(Frdii.file, currentDate);
+    //fwrite(RdiiNodeFlow, sizeof(REAL4), NumRdiiNodes, Frdii.file);
+    bfwriteFloats(Frdii.file, RdiiNodeFlow, NumRdiiNodes);
 }
 
 //=============================================================================
@@ -1510,8 +1584,11 @@ function  closeRdiiProcessor()
     }
 
     // --- free allocated memory and close RDII file
+    //     (its contents are kept for rdii_openRdii to read back)
     freeRdiiMemory();
-    if ( Frdii.file ) fclose(Frdii.file);
+    //if ( Frdii.file ) fclose(Frdii.file);
+    if ( Frdii.file ) Frdii.contents = bfclose(Frdii.file);
+    Frdii.file = null;
 }
 
 //=============================================================================
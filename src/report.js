@@ -198,10 +198,10 @@ function report_writeSysTime()
     if ( Frpt.contents )
     {
         //Frpt.contents += FMT20.format(ctime(SysTime));
-        Frpt.contents += format_time(SysTime);
+        Frpt.contents += FMT20.replace('{0}', format_time(SysTime)) + '\n';
         endTime = Math.floor(Date.now() / 1000);;
         //Frpt.contents += FMT20a.format(ctime(endTime));
-        Frpt.contents += format_time(endTime);
+        Frpt.contents += FMT20a.replace('{0}', format_time(endTime)) + '\n';
         elapsedTime = endTime - SysTime;
         Frpt.contents += FMT21;
         if ( elapsedTime < 1.0 ) Frpt.contents += "< 1 sec" //Frpt.contents += "< 1 sec");
@@ -211,7 +211,7 @@ function report_writeSysTime()
             if (elapsedTime >= 1.0)
             {
                 //Frpt.contents += "%d.", floor(elapsedTime));
-                Frpt.contents += `${elapsedTime}`
+                Frpt.contents += `${Math.floor(elapsedTime)}.`
                 elapsedTime -= Math.floor(elapsedTime);
             }
             theTime = datetime_timeToStr(elapsedTime, theTime);
@@ -391,7 +391,10 @@ function report_writeRainStats(i,  r)
     {
         if ( r.startDate != NO_DATE ) date1 = datetime_dateToStr(r.startDate, date1);
         if ( r.endDate   != NO_DATE ) date2 = datetime_dateToStr(r.endDate, date2);
-        Frpt.contents += `  ${staID} ${date1}  ${date2}  ${Gage[i].rainInterval/60} min    ${r.periodsRain}     ${r.periodsMissing}     ${r.periodsMalfunc}\n`
+        //fprintf(Frpt.file, "  %-10s %-11s  %-11s  %5d min    %6ld     %6ld     %6ld\n",
+        //    Gage[i].staID, date1, date2, Gage[i].rainInterval/60,
+        //    r->periodsRain, r->periodsMissing, r->periodsMalfunc);
+        Frpt.contents += `  ${Gage[i].staID.padEnd(10, ' ')} ${date1.padEnd(11, ' ')}  ${date2.padEnd(11, ' ')}  ${Math.floor(Gage[i].rainInterval/60).toString().padStart(5, ' ')} min    ${r.periodsRain.toString().padStart(6, ' ')}     ${r.periodsMissing.toString().padStart(6, ' ')}     ${r.periodsMalfunc.toString().padStart(6, ' ')}\n`
     }
 }
 
@@ -475,7 +478,7 @@ function   report_writeControlAction(aDate, linkID, value, ruleID)
     let val4 = value.toFixed(2).padStart(6)
     let val5 = ruleID
     Frpt.contents +=
-            `  ${val1}: ${val2} Link ${val3} setting changed to ${val5} by Control ${val5}\n`
+            `  ${val1}: ${val2} Link ${val3} setting changed to ${val4} by Control ${val5}\n`
 }
 
 
@@ -579,7 +582,7 @@ function report_writeRunoffError(totals, totalArea)
     val2 = (totals.finalStorage / totalArea * UCF(RAINDEPTH)).toFixed(3).padStart(14, ' ');
     Frpt.contents += `\n  Final Storage ............${val1}${val2}`
 
-    Frpt.contents += `\n  Continuity Error (%%) .....${totals.pctError}`
+    Frpt.contents += `\n  Continuity Error (%) .....${totals.pctError.toFixed(3).padStart(14, ' ')}`
     WRITE(``);
 }
 
@@ -685,7 +688,7 @@ function report_LoadingErrors(p1, p2, totals)
     {
         Frpt.contents += (totals[p].finalLoad*cf).toFixed(3).padStart(14, ' ');
     }
-    Frpt.contents += "\n  Continuity Error (%%) .....";
+    Frpt.contents += "\n  Continuity Error (%) .....";
     for (p = p1; p <= p2; p++)
     {
         Frpt.contents += (totals[p].pctError).toFixed(3).padStart(14, ' ');
@@ -745,7 +748,7 @@ function report_writeGwaterError(totals, gwArea)
     val2 = (totals.finalStorage / gwArea * UCF(RAINDEPTH)).toFixed(3).padStart(14, ' ');
     Frpt.contents += `\n  Final Storage ............${val1}${val2}`
             
-    Frpt.contents += `\n  Continuity Error (%%) .....${totals.pctError}`
+    Frpt.contents += `\n  Continuity Error (%) .....${totals.pctError.toFixed(3).padStart(14, ' ')}`
 
     WRITE("");
 }
@@ -823,7 +826,7 @@ function report_writeFlowError(totals)
     Frpt.contents += `\n  Final Stored Volume ......${val1}${val2}`
 
     val1 = (totals.pctError).toFixed(3).padStart(14, ' ');
-    Frpt.contents += `\n  Continuity Error (%%) .....${val1}`
+    Frpt.contents += `\n  Continuity Error (%) .....${val1}`
     WRITE("");
 }
 
@@ -948,7 +951,7 @@ function report_QualErrors(p1, p2, QualTotals)
         Frpt.contents += (QualTotals[p].finalStorage).toFixed(3).padStart(14, ' ');
     }
 
-    Frpt.contents += "\n  Continuity Error (%%) .....";
+    Frpt.contents += "\n  Continuity Error (%) .....";
     for (p = p1; p <= p2; p++)
     {
         Frpt.contents += (QualTotals[p].pctError).toFixed(3).padStart(14, ' ');
@@ -985,7 +988,7 @@ function report_writeMaxStats(maxMassBalErrs, maxCourantCrit, nMaxStats)
         {
             j = maxMassBalErrs[i].index;
             if ( j < 0 ) continue;
-            Frpt.contents += `\n  Node "+Node[j].ID+" (${maxMassBalErrs[i].value.toFixed(2)}%%)`
+            Frpt.contents += `\n  Node ${Node[j].ID} (${maxMassBalErrs[i].value.toFixed(2)}%)`
         }
         WRITE("");
     }
@@ -1004,7 +1007,7 @@ function report_writeMaxStats(maxMassBalErrs, maxCourantCrit, nMaxStats)
         if ( maxCourantCrit[i].objType == NODE )
              Frpt.contents += "\n  Node " + Node[j].ID;
         else Frpt.contents += "\n  Link " + Link[j].ID;
-        Frpt.contents += ` (${maxCourantCrit[i].value.toFixed(2)}%%)`
+        Frpt.contents += ` (${maxCourantCrit[i].value.toFixed(2)}%)`
     }
     if ( k == 0 ) Frpt.contents += "\n  None";
     WRITE("");
@@ -1038,7 +1041,7 @@ function report_writeMaxFlowTurns(flowTurns, nMaxStats)
         {
             j = flowTurns[i].index;
             if ( j < 0 ) continue;
-            Frpt.contents += "\n  Link "+Link[j].ID+` (${flowTurns[i].value.toFixed(0)}%.0f)`
+            Frpt.contents += "\n  Link "+Link[j].ID+` (${flowTurns[i].value.toFixed(0)})`
         }
     }
     WRITE("");
@@ -1106,7 +1109,7 @@ function report_RouteStepFreq(sysStats)
         let val2 = sysStats.timeStepIntervals[i].toFixed(3).padStart(6, ' ')
         let val3 = (100.0 * (sysStats.timeStepCounts[i]) / totalSteps).toFixed(2).padStart(7, ' ')
         Frpt.contents += 
-            `\n     ${val1} - ${val2} sec      :  ${val3} %%`
+            `\n     ${val1} - ${val2} sec      :  ${val3} %`
     }
 }
 
@@ -1149,6 +1152,9 @@ function report_Subcatchments()
     let days;
     let     theDate;
     let     theTime;
+
+    // return object for output_readDateTime
+    let returnObj;
     let      hasSnowmelt = (Nobjects[SNOWMELT] > 0 && !IgnoreSnowmelt);
     let      hasGwater   = (Nobjects[AQUIFER] > 0  && !IgnoreGwater);
     let      hasQuality  = (Nobjects[POLLUT] > 0 && !IgnoreQuality);
@@ -1166,7 +1172,11 @@ function report_Subcatchments()
             report_SubcatchHeader(Subcatch[j].ID);
             for ( period = 1; period <= Nperiods; period++ )
             {
-                output_readDateTime(period, days);
+                ////////////////////////////////////
+                returnObj = {days: days}
+                output_readDateTime(period, returnObj);
+                days = returnObj.days;
+                ////////////////////////////////////
                 theDate = datetime_dateToStr(days, theDate);
                 theTime = datetime_timeToStr(days, theTime);
                 output_readSubcatchResults(period, k);
@@ -1276,6 +1286,9 @@ function report_Nodes()
     let     theDate;
     let     theTime;
 
+    // return object for output_readDateTime
+    let returnObj;
+
     if ( Nobjects[NODE] == 0 ) return;
     WRITE("");
     WRITE("************");
@@ -1289,7 +1302,11 @@ function report_Nodes()
             report_NodeHeader(Node[j].ID);
             for ( period = 1; period <= Nperiods; period++ )
             {
-                output_readDateTime(period, days);
+                ////////////////////////////////////
+                returnObj = {days: days}
+                output_readDateTime(period, returnObj);
+                days = returnObj.days;
+                ////////////////////////////////////
                 theDate = datetime_dateToStr(days, theDate);
                 theTime = datetime_timeToStr(days, theTime);
                 output_readNodeResults(period, k);
@@ -1362,6 +1379,9 @@ function report_Links()
     let     theDate;
     let     theTime;
 
+    // return object for output_readDateTime
+    let returnObj;
+
     if ( Nobjects[LINK] == 0 ) return;
     WRITE("");
     WRITE("************");
@@ -1375,7 +1395,11 @@ function report_Links()
             report_LinkHeader(Link[j].ID);
             for ( period = 1; period <= Nperiods; period++ )
             {
-                output_readDateTime(period, days);
+                ////////////////////////////////////
+                returnObj = {days: days}
+                output_readDateTime(period, returnObj);
+                days = returnObj.days;
+                ////////////////////////////////////
                 theDate = datetime_dateToStr(days, theDate);
                 theTime = datetime_timeToStr(days, theTime);
                 output_readLinkResults(period, k);
@@ -1448,14 +1472,14 @@ function report_writeErrorMsg(code, s)
     if ( Frpt.contents )
     {
         WRITE("");
-        Frpt.contents += error_getMsg(code) + s;
+        Frpt.contents += error_getMsg(code).replace('%s', s);
     }
     ErrorCode = code;
 
     // --- save message to ErrorMsg if it's not for a line of input data
     if ( ErrorCode <= ERR_INPUT || ErrorCode >= ERR_FILE_NAME )
     {                                                
-        ErrorMsg = error_getMsg(ErrorCode) + s;
+        ErrorMsg = error_getMsg(ErrorCode).replace('%s', s);
     }
 }
 
@@ -1492,8 +1516,11 @@ function report_writeInputErrorMsg(k, sect, line, lineCount)
     if ( Frpt.contents )
     {
         report_writeErrorMsg(k, ErrString);
-        if ( sect < 0 ) Frpt.contents += lineCount.toString();
-        else            Frpt.contents += lineCount.toString() + SectWords[sect];
+        //if ( sect < 0 ) fprintf(Frpt.file, FMT17, lineCount);
+        //else            fprintf(Frpt.file, FMT18, lineCount, SectWords[sect]);
+        if ( sect < 0 ) Frpt.contents += FMT17.replace('%ld', lineCount);
+        else            Frpt.contents += FMT18.replace('%ld', lineCount)
+                                              .replace('%s', SectWords[sect]);
         Frpt.contents += "\n  " + line;
     }
 }
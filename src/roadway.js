@@ -0,0 +1,175 @@
+//-----------------------------------------------------------------------------
+//   roadway.c
+//
+//   Project:  EPA SWMM5
+//   Version:  5.1
+//   Date:     08/01/16   (Build 5.1.011)
+//   Author:   L. Rossman
+//
+//   Roadway Weir module for SWMM5
+//
+//   Computes flow overtopping a roadway (with a ROADWAY_WEIR object) using
+//   the FHWA HDS-5 methodology.
+//
+//   JavaScript port:
+//   - lookup renamed roadLookup since xsect.c's lookup is also a global.
+//
+//-----------------------------------------------------------------------------
+
+//-----------------------------------------------------------------------------
+//  Constants
+//-----------------------------------------------------------------------------
+//enum RoadSurface {PAVED = 1, GRAVEL = 2};
+var PAVED  = 1
+var GRAVEL = 2
+
+// --- discharge coefficients for paved and gravel roadways as a function
+//     of head over the roadway (ft) when HWr/Lr < 0.15
+//     (from Figure 10-2(b) of FHWA HDS-5)
+var N_CR_LOW = 8;
+var HwrLow         = [0.0,  0.2,  0.4,  0.6,  0.8,  1.0,  2.0,  3.0];
+var CrLow = [
+                     [2.85, 2.88, 2.93, 2.96, 2.98, 3.00, 3.05, 3.05],  // PAVED
+                     [2.50, 2.60, 2.75, 2.83, 2.88, 2.92, 3.00, 3.00]   // GRAVEL
+];
+
+// --- discharge coefficient as a function of HWr/Lr when HWr/Lr >= 0.15
+//     (from Figure 10-2(c) of FHWA HDS-5)
+var N_CR_HIGH = 4;
+var HwrLrHigh      = [0.15, 0.20, 0.25, 0.30];
+var CrHigh         = [3.00, 3.03, 3.05, 3.07];
+
+// --- submergence factors for paved and gravel roadways as a function of
+//     the ratio of tailwater to headwater above the roadway
+//     (from Figure 10-2(d) of FHWA HDS-5)
+var N_KT = 6;
+var HtHwr = [
+                     [0.80, 0.85, 0.90, 0.95, 0.98, 1.00],  // PAVED
+                     [0.75, 0.85, 0.90, 0.95, 0.98, 1.00]   // GRAVEL
+];
+var Kt = [
+                     [1.00, 0.98, 0.92, 0.80, 0.60, 0.00],  // PAVED
+                     [1.00, 0.96, 0.89, 0.75, 0.55, 0.00]   // GRAVEL
+];
+
+//-----------------------------------------------------------------------------
+//  External functions (declared in funcs.h)
+//-----------------------------------------------------------------------------
+//  roadway_getInflow       (called by weir_getInflow in link.c)
+
+//-----------------------------------------------------------------------------
+//  Local functions
+//-----------------------------------------------------------------------------
+//static double getCd(double hWr, double ht, double roadWidth,
+//              int roadSurf);
+//static double roadLookup(double x, double *xArray, double *yArray, int n);
+
+//=============================================================================
+// int j, double dir, double hcrest, double h1, double h2
+function roadway_getInflow(j, dir, hcrest, h1, h2)
+//
+//  Input:   j = index of a roadway weir link
+//           dir = direction of flow through weir (+1 or -1)
+//           hcrest = height of roadway (ft)
+//           h1 = head at upstream end of weir (ft)
+//           h2 = head at downstream end of weir (ft)
+//  Output:  returns flow rate over the roadway weir (cfs)
+//  Purpose: finds the flow over a roadway weir.
+//
+{
+    let k = Link[j].subIndex;
+    let n1 = Link[j].node1;
+    let n2 = Link[j].node2;
+    let roadSurf = Weir[k].roadSurface;
+    let length = Link[j].xsect.wMax;   // length of roadway crest (ft)
+    let hWr;                           // head above roadway (ft)
+    let ht;                            // tailwater above roadway (ft)
+    let cd;                            // discharge coeff. (ft^0.5/sec)
+    let q;                             // flow over roadway (cfs)
+
+    // --- return if roadway not overtopped or flap gate closed
+    Link[j].dqdh = 0.0;
+    hWr = h1 - hcrest;
+    if ( hWr <= FUDGE || link_setFlapGate(j, n1, n2, dir) )
+    {
+        Link[j].newDepth = 0.0;
+        Link[j].flowClass = DRY;
+        return 0.0;
+    }
+
+    // --- determine flow class
+    ht = h2 - hcrest;
+    Link[j].flowClass = SUBCRITICAL;
+    if ( ht <= 0.0 )
+    {
+        if ( dir == 1.0 ) Link[j].flowClass = DN_CRITICAL;
+        else              Link[j].flowClass = UP_CRITICAL;
+    }
+
+    // --- find discharge coeff. adjusted for submergence
+    if ( roadSurf != GRAVEL ) roadSurf = PAVED;
+    cd = getCd(hWr, ht, Weir[k].roadWidth, roadSurf);
+
+    // --- weir flow eqn. applied along length of roadway
+    q = cd * length * Math.pow(hWr, 1.5);
+
+    // --- derivative of flow w.r.t. upstream head
+    Link[j].dqdh = 1.5 * q / hWr;
+
+    Link[j].newDepth = MIN(hWr, Link[j].xsect.yFull);
+    return dir * q;
+}
+
+//=============================================================================
+// double hWr, double ht, double roadWidth, int roadSurf
+function getCd(hWr, ht, roadWidth, roadSurf)
+//
+//  Input:   hWr = head above roadway (ft)
+//           ht = tailwater head above roadway (ft)
+//           roadWidth = width of roadway in direction of flow (ft)
+//           roadSurf = type of road surface (PAVED or GRAVEL)
+//  Output:  returns a roadway weir discharge coefficient (ft^0.5/sec)
+//  Purpose: finds the discharge coefficient for a roadway weir from
+//           FHWA HDS-5 Figure 10-2 adjusted for tailwater submergence.
+//
+{
+    let i = roadSurf - 1;
+    let cr;
+    let kt = 1.0;
+
+    // --- base discharge coeff. depends on head to roadway width ratio
+    if ( roadWidth > 0.0 && hWr / roadWidth < 0.15 )
+        cr = roadLookup(hWr, HwrLow, CrLow[i], N_CR_LOW);
+    else if ( roadWidth > 0.0 )
+        cr = roadLookup(hWr / roadWidth, HwrLrHigh, CrHigh, N_CR_HIGH);
+    else cr = CrHigh[0];
+
+    // --- submergence factor
+    if ( ht > 0.0 ) kt = roadLookup(ht / hWr, HtHwr[i], Kt[i], N_KT);
+    return cr * kt;
+}
+
+//=============================================================================
+// double x, double *xArray, double *yArray, int n
+function roadLookup(x, xArray, yArray, n)
+//
+//  Input:   x = value of independent variable
+//           xArray = array of x-values in increasing order
+//           yArray = array of corresponding y-values
+//           n = number of entries in each array
+//  Output:  returns value of dependent variable
+//  Purpose: interpolates a value from a table of x-y pairs, holding
+//           the end values constant outside the table's range.
+//
+{
+    let i;
+
+    if ( x <= xArray[0] ) return yArray[0];
+    for (i = 1; i < n; i++)
+    {
+        if ( x <= xArray[i] )
+            return table_interpolate(x, xArray[i-1], yArray[i-1],
+                                     xArray[i], yArray[i]);
+    }
+    return yArray[n-1];
+}
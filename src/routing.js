@@ -440,7 +440,7 @@ function addDryWeatherInflows(currentDate)
             {
                 ////////////////////////////////////
                 returnObj = {inflow: inflow}
-                returnVal = inflow_getDwfInflow(inObj, month, day, hour)
+                returnVal = inflow_getDwfInflow(returnObj, month, day, hour)
                 inflow = returnObj.inflow;
                 ////////////////////////////////////
                 q = returnVal;
@@ -478,7 +478,7 @@ function addDryWeatherInflows(currentDate)
                 p = inflow.param;
                 ////////////////////////////////////
                 returnObj = {inflow: inflow}
-                returnVal = inflow_getDwfInflow(inObj, month, day, hour)
+                returnVal = inflow_getDwfInflow(returnObj, month, day, hour)
                 inflow = returnObj.inflow;
                 ////////////////////////////////////
                 w = q * returnVal
@@ -631,6 +631,7 @@ function addRdiiInflows(currentDate)
     let    i, j, p;
     let q, w;
     let    numRdiiNodes;
+    let    returnObj;
 
     // --- see if any nodes have RDII at current date
     numRdiiNodes = rdii_getNumRdiiFlows(currentDate);
@@ -638,7 +639,13 @@ function addRdiiInflows(currentDate)
     // --- add RDII flow to each node's lateral inflow
     for (i=0; i<numRdiiNodes; i++)
     {
-        rdii_getRdiiFlow(i, j, q);
+        //rdii_getRdiiFlow(i, &j, &q);
+        ////////////////////////////////////
+        returnObj = {j: j, q: q}
+        rdii_getRdiiFlow(i, returnObj);
+        j = returnObj.j;
+        q = returnObj.q;
+        ////////////////////////////////////
         if ( j < 0 ) continue;
         if ( Math.abs(q) < FLOW_TOL ) continue;
         Node[j].newLatFlow += q;
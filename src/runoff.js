@@ -136,7 +136,8 @@ function runoff_close()
     }
 
     // --- close climate file if in use
-    if ( Fclimate.file ) fclose(Fclimate.file);
+    //if ( Fclimate.file ) fclose(Fclimate.file);
+    Fclimate.file = null;
 }
 
 //=============================================================================
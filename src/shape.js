@@ -0,0 +1,215 @@
+//-----------------------------------------------------------------------------
+//   shape.c
+//
+//   Project:  EPA SWMM5
+//   Version:  5.1
+//   Date:     03/20/14   (Build 5.1.001)
+//   Author:   L. Rossman
+//
+//   Geometry functions for custom cross-section shapes.
+//-----------------------------------------------------------------------------
+
+//-----------------------------------------------------------------------------
+//  External functions (declared in funcs.h)
+//-----------------------------------------------------------------------------
+//  shape_validate       (called by project_validate in project.c)
+
+//-----------------------------------------------------------------------------
+//  Local functions
+//-----------------------------------------------------------------------------
+//static int    computeShapeTables(TShape *shape, TTable *curve);
+//static void   getSmax(TShape *shape);
+
+//=============================================================================
+// TShape *shape, TTable *curve
+function shape_validate(shape, curve)
+//
+//  Input:   shape = pointer to a TShape object
+//           curve = pointer to a TTable of width v. height for shape
+//  Output:  returns TRUE if successful, FALSE if not
+//  Purpose: computes the shape's geometry tables from its width v. height
+//           curve and checks that the curve's data are valid.
+//
+{
+    if ( curve == null ) return FALSE;
+    if ( curve.curveType != SHAPE_CURVE ) return FALSE;
+    if ( shape == null ) return FALSE;
+    if ( !computeShapeTables(shape, curve) ) return FALSE;
+    getSmax(shape);
+    return TRUE;
+}
+
+//=============================================================================
+// TShape *shape, TTable *curve
+function computeShapeTables(shape, curve)
+//
+//  Input:   shape = pointer to a TShape object
+//           curve = pointer to shape's table of width v. depth
+//  Output:  returns TRUE if successful, FALSE if not
+//  Purpose: computes the entries in a shape's geometry tables from
+//           the shape's width v. height curve normalized with repsect
+//           to full height.
+//
+//  Note:    the shape curve is a user-supplied table of width v. height
+//           for a custom shaped cross section of unit height.
+{
+    let    i, n;
+    let dy, h, h1, h2, w, w1, w2;
+    let dw, wLast, a, p, wMax;
+    let moreEntries = TRUE;
+
+    // ret facil
+    let returnObj;
+    let returnVal;
+
+    // --- get first entry of user's shape curve
+    ////////////////////////////////////
+    returnObj = {x: h1, y: w1}
+    returnVal = table_getFirstEntry(curve, returnObj);
+    h1 = returnObj.x;
+    w1 = returnObj.y;
+    ////////////////////////////////////
+    if ( !returnVal ) return FALSE;
+    //if ( !table_getFirstEntry(curve, &h1, &w1) ) return FALSE;
+    if ( h1 < 0.0 || h1 >= 1.0 || w1 < 0.0 ) return FALSE;
+    wMax = w1;
+
+    // --- if first entry not at zero ht. then add an initial entry
+    if ( h1 != 0.0 )
+    {
+        h2 = h1;
+        w2 = w1;
+        h1 = 0.0;
+        w1 = 0.0;
+    }
+
+    // --- otherwise get second entry in curve
+    else
+    {
+        ////////////////////////////////////
+        returnObj = {x: h2, y: w2}
+        returnVal = table_getNextEntry(curve, returnObj);
+        h2 = returnObj.x;
+        w2 = returnObj.y;
+        ////////////////////////////////////
+        if ( !returnVal ) return FALSE;
+        //if ( !table_getNextEntry(curve, &h2, &w2) ) return FALSE;
+        if ( h2 <= h1 || w2 < 0.0 ) return FALSE;
+    }
+    if ( w2 > wMax ) wMax = w2;
+
+    // --- determine number of entries in shape's geometry tables
+    n = N_SHAPE_TBL - 1;
+    dy = 1.0 / n;
+    shape.nTbl = N_SHAPE_TBL;
+
+    // --- initialize geometry tables at zero height
+    shape.areaTbl[0] = 0.0;
+    shape.hradTbl[0] = 0.0;
+    shape.widthTbl[0] = w1;
+    h = 0.0;
+    a = 0.0;
+    p = w1;
+    wLast = w1;
+
+    // --- compute width, area & hyd. radius at each height increment
+    for ( i = 1; i <= n; i++ )
+    {
+        // --- advance to next relative height level
+        h = i * dy;
+
+        // --- if height exceeds current curve interval then
+        //     move on to next interval of the shape curve
+        while ( h > h2 && moreEntries )
+        {
+            h1 = h2;
+            w1 = w2;
+            ////////////////////////////////////
+            returnObj = {x: h2, y: w2}
+            returnVal = table_getNextEntry(curve, returnObj);
+            ////////////////////////////////////
+            //if ( table_getNextEntry(curve, &h2, &w2) )
+            if ( returnVal )
+            {
+                h2 = returnObj.x;
+                w2 = returnObj.y;
+                if ( h2 <= h1 || w2 < 0.0 ) return FALSE;
+                if ( w2 > wMax ) wMax = w2;
+            }
+
+            // --- last curve entry below full height; hold its width
+            //     constant up to the top of the shape
+            else
+            {
+                moreEntries = FALSE;
+                h2 = 1.0;
+                w2 = w1;
+            }
+        }
+
+        // --- width at current height
+        if ( h >= h2 ) w = w2;
+        else w = w1 + (h - h1) * (w2 - w1) / (h2 - h1);
+
+        // --- add on area & wetted perimeter of this height increment
+        dw = w - wLast;
+        a += (w + wLast) / 2.0 * dy;
+        p += 2.0 * Math.sqrt(dy*dy + dw*dw/4.0);
+
+        // --- top of a closed shape is part of its full wetted perimeter
+        if ( i == n ) p += w;
+
+        shape.areaTbl[i] = a;
+        shape.hradTbl[i] = a / p;
+        shape.widthTbl[i] = w;
+        wLast = w;
+    }
+
+    // --- shape must have some area and width
+    if ( a <= 0.0 || wMax <= 0.0 ) return FALSE;
+
+    // --- save full area, hyd. radius & max. width
+    shape.aFull = shape.areaTbl[n];
+    shape.rFull = shape.hradTbl[n];
+    shape.wMax  = wMax;
+
+    // --- normalize geometry table entries by their full values
+    for ( i = 0; i <= n; i++ )
+    {
+        shape.areaTbl[i] /= shape.aFull;
+        shape.hradTbl[i] /= shape.rFull;
+        shape.widthTbl[i] /= shape.wMax;
+    }
+    return TRUE;
+}
+
+//=============================================================================
+// TShape *shape
+function getSmax(shape)
+//
+//  Input:   shape = pointer to a TShape object
+//  Output:  none
+//  Purpose: computes the max. section factor and area at which it occurs
+//           for a custom shape.
+//
+{
+    let    i;
+    let    n = shape.nTbl - 1;
+    let sf;
+
+    shape.sMax = 0.0;
+    shape.aMax = 0.0;
+    for ( i = 1; i <= n; i++ )
+    {
+        sf = shape.areaTbl[i] * Math.pow(shape.hradTbl[i], 2./3.);
+        if ( sf > shape.sMax )
+        {
+            shape.sMax = sf;
+            shape.aMax = shape.areaTbl[i];
+        }
+    }
+
+    // --- convert from normalized values to values for a shape of unit height
+    shape.sMax *= shape.aFull * Math.pow(shape.rFull, 2./3.);
+    shape.aMax *= shape.aFull;
+}
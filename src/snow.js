@@ -170,6 +170,7 @@ function snow_initSnowpack(j)
         snowpack.coldc[i] = 0.0;
         snowpack.ati[i]   = Snowmelt[k].tbase[i];
         snowpack.awe[i]   = 1.0;
+        snowpack.imelt[i] = 0.0;  // zeroed by calloc in the C engine
         snowDepth += snowpack.wsnow[i] * snowpack.fArea[i];
     }
     Subcatch[j].newSnowDepth = snowDepth;
@@ -772,7 +773,7 @@ function updateColdContent(snowpack, i, asc, snowfall,
 	else
 	{
 	    // convert ATI weighting factor from 6-hr to tStep time basis
-	    tipm = 1.0 - pow(1.0 - Snow.tipm, tStep / (6.0*3600.0));
+	    tipm = 1.0 - Math.pow(1.0 - Snow.tipm, tStep / (6.0*3600.0));
 		
 		// update ATI
 		ati += tipm * (Temp.ta - ati);
@@ -199,6 +199,7 @@ function  stats_open()
     if ( LinkStats ) for ( j = 0; j < Nobjects[LINK]; j++ )
     {
         LinkStats[j].maxFlow = 0.0;
+        LinkStats[j].maxFlowDate = StartDateTime;
         LinkStats[j].maxVeloc = 0.0;
         LinkStats[j].maxDepth = 0.0;
         LinkStats[j].timeSurcharged = 0.0;
@@ -207,6 +208,8 @@ function  stats_open()
         LinkStats[j].timeFullFlow = 0.0;
         LinkStats[j].timeCapacityLimited = 0.0;
         LinkStats[j].timeCourantCritical = 0.0;
+        LinkStats[j].timeNormalFlow = 0.0;
+        LinkStats[j].timeInletControl = 0.0;
         for (k=0; k<MAX_FLOW_CLASSES; k++)
             LinkStats[j].timeInFlowClass[k] = 0.0;
         LinkStats[j].flowTurns = 0;
@@ -290,7 +293,8 @@ function  stats_open()
             PumpStats[j].startUps = 0;
             PumpStats[j].offCurveLow = 0.0; 
             PumpStats[j].offCurveHigh = 0.0;
-        } 
+            PumpStats[j].totalPeriods = 0;
+        }
     } 
 
     // --- initialize system stats
@@ -335,7 +339,8 @@ function  stats_close()
     FREE(StorageStats); 
     if ( OutfallStats )
     {
-        for ( j=0; j<Nnodes[OUTFALL]; j++ )
+        // --- OutfallStats may not be filled in if the run failed to start
+        for ( j=0; j<OutfallStats.length; j++ )
             FREE(OutfallStats[j].totalLoad);
         FREE(OutfallStats);
     }
@@ -473,11 +478,11 @@ function   stats_updateFlowStats(tStep, aDate, stepCount,
 //#pragma omp parallel num_threads(NumThreads)
 //{
 //    #pragma omp for
-//    for ( j=0; j<Nobjects[NODE]; j++ )
-//        stats_updateNodeStats(j, tStep, aDate);
+    for ( j=0; j<Nobjects[NODE]; j++ )
+        stats_updateNodeStats(j, tStep, aDate);
 //    #pragma omp for
-//    for ( j=0; j<Nobjects[LINK]; j++ )
-//        stats_updateLinkStats(j, tStep, aDate);
+    for ( j=0; j<Nobjects[LINK]; j++ )
+        stats_updateLinkStats(j, tStep, aDate);
 //}
 
     // --- update count of times in steady state
@@ -30,6 +30,11 @@
 //
 //   Build 5.1.015:
 //   - Fixes bug in summary statistics when Report Start date > Start Date.
+//
+//   JavaScript port:
+//   - Each summary table is also saved to SummaryTables as an array of
+//     records (one object per table row, values in user's units) that can
+//     be retrieved with swmm_getSummaryTables().
 //-----------------------------------------------------------------------------
 
 //-----------------------------------------------------------------------------
@@ -53,6 +58,12 @@ function WRITE(x) {report_writeLine((x))}
 var FlowFmt = '';
 var Vcf;
 
+//-----------------------------------------------------------------------------
+//  Exportable variables (retrieved by swmm_getSummaryTables in swmm5.c)
+//-----------------------------------------------------------------------------
+var SummaryTables = {};      // summary tables keyed by name, each an array
+                             // of row records
+
 // string formatting function
 // can take in a number or a string
 // returns a string with a ' ' padding
@@ -72,6 +83,14 @@ function flowFmt(num){
     }
 }
 
+// formats a date as the elapsed time since the start of the simulation
+// in the report's "days hr:min" form
+function elapsedTimeFmt(aDate){
+    let returnObj = {days: 0, hrs: 0, mins: 0}
+    getElapsedTime(aDate, returnObj)
+    return `${returnObj.days} ${returnObj.hrs.toString().padStart(2, '0')}:${returnObj.mins.toString().padStart(2, '0')}`
+}
+
 //=============================================================================
 
 function statsrpt_writeReport()
@@ -89,6 +108,9 @@ function statsrpt_writeReport()
     if (UnitSystem == US) Vcf = 7.48 / 1.0e6;
     else                  Vcf = 28.317 / 1.0e6;
 
+    // --- start a new set of summary table records
+    SummaryTables = {};
+
     // --- report summary results for subcatchment runoff 
     if ( Nobjects[SUBCATCH] > 0 )
     {
@@ -128,6 +150,7 @@ function writeSubcatchRunoff()
     let a, x, r;
 
     if ( Nobjects[SUBCATCH] == 0 ) return;
+    SummaryTables.subcatchRunoff = [];
     WRITE("");
     WRITE("***************************");
     WRITE("Subcatchment Runoff Summary");
@@ -185,6 +208,20 @@ function writeSubcatchRunoff()
         r = SubcatchStats[j].precip + SubcatchStats[j].runon;
         if ( r > 0.0 ) r = SubcatchStats[j].runoff / r;
         Frpt.contents += ` ${(r).toFixed(3).padStart(8, ' ')}`
+
+        SummaryTables.subcatchRunoff.push({
+            subcatchment:   Subcatch[j].ID,
+            totalPrecip:    SubcatchStats[j].precip * UCF(RAINDEPTH) / a,
+            totalRunon:     SubcatchStats[j].runon * UCF(RAINDEPTH) / a,
+            totalEvap:      SubcatchStats[j].evap * UCF(RAINDEPTH) / a,
+            totalInfil:     SubcatchStats[j].infil * UCF(RAINDEPTH) / a,
+            impervRunoff:   SubcatchStats[j].impervRunoff * UCF(RAINDEPTH) / a,
+            pervRunoff:     SubcatchStats[j].pervRunoff * UCF(RAINDEPTH) / a,
+            totalRunoff:    SubcatchStats[j].runoff * UCF(RAINDEPTH) / a,
+            runoffVolume:   SubcatchStats[j].runoff * Vcf,
+            peakRunoff:     SubcatchStats[j].maxFlow * UCF(FLOW),
+            runoffCoeff:    r
+        });
     }
     WRITE("");
 }
@@ -321,6 +358,7 @@ function writeNodeDepths()
     let j, days, hrs, mins;
     let returnObj;
     if ( Nobjects[LINK] == 0 ) return;
+    SummaryTables.nodeDepth = [];
 
     WRITE(``);
     WRITE(`******************`);
@@ -342,7 +380,7 @@ function writeNodeDepths()
     for ( j = 0; j < Nobjects[NODE]; j++ )
     {
         Frpt.contents +=  `\n  `+  Node[j].ID.padEnd(20, ' ')
-        Frpt.contents +=  ` %-9s `, NodeTypeWords[Node[j].type].padEnd(9, ' ')
+        Frpt.contents +=  ` ${NodeTypeWords[Node[j].type].padEnd(9, ' ')} `
 
         ////////////////////////////////////////
         returnObj = {days: days, hrs: hrs, mins: mins}
@@ -361,6 +399,16 @@ function writeNodeDepths()
         val6 = (mins.toString()).padStart(2, '0')
         val7 = (NodeStats[j].maxRptDepth).toFixed(2).padStart(10, ' ')
         Frpt.contents +=  `${val1}  ${val2}  ${val3}  ${val4}  ${val5}:${val6}  ${val7}`
+
+        SummaryTables.nodeDepth.push({
+            node:           Node[j].ID,
+            type:           NodeTypeWords[Node[j].type],
+            averageDepth:   NodeStats[j].avgDepth / ReportStepCount * UCF(LENGTH),
+            maximumDepth:   NodeStats[j].maxDepth * UCF(LENGTH),
+            maximumHGL:     (NodeStats[j].maxDepth + Node[j].invertElev) * UCF(LENGTH),
+            timeOfMax:      elapsedTimeFmt(NodeStats[j].maxDepthDate),
+            reportedMaxDepth: NodeStats[j].maxRptDepth
+        });
     }
     WRITE(``);
 }
@@ -385,6 +433,7 @@ function writeNodeFlows()
     WRITE(`Node Inflow Summary`);
     WRITE(`*******************`);
     WRITE(``);
+    SummaryTables.nodeInflow = [];
 
     let val1 = FlowUnitWords[FlowUnits].padStart(3, ' ')
     let val2 = FlowUnitWords[FlowUnits].padStart(4, ' ')
@@ -416,14 +465,32 @@ function writeNodeFlows()
         Frpt.contents += flowFmt(NodeStats[j].maxInflow * UCF(FLOW));
         
         Frpt.contents += `  ${days1.toString().padStart(4, ' ')}  ${hrs1.toString().padStart(2, '0')}:${mins1.toString().padStart(2, '0')}`;
-        Frpt.contents += (NodeStats[j].totLatFlow * Vcf).toExponential(8).padStart(12);
-        Frpt.contents += (NodeInflow[j] * Vcf).toExponential(8).padStart(12);
+        Frpt.contents += ` ` + (NodeStats[j].totLatFlow * Vcf).toPrecision(3).padStart(12);
+        Frpt.contents += ` ` + (NodeInflow[j] * Vcf).toPrecision(3).padStart(12);
         if ( Math.abs(NodeOutflow[j]) < 1.0 )
             Frpt.contents += ((NodeInflow[j]-NodeOutflow[j])*Vcf*1.0e6).toFixed(3).padStart(12, ' ') + ` ` +
                 VolUnitsWords2[UnitSystem].padStart(3, ' ')
         else
             Frpt.contents += ((NodeInflow[j]-NodeOutflow[j]) /
                                           NodeOutflow[j]*100.).toFixed(3).padStart(12, ' ') 
+
+        SummaryTables.nodeInflow.push({
+            node:           Node[j].ID,
+            type:           NodeTypeWords[Node[j].type],
+            maxLateralInflow: NodeStats[j].maxLatFlow * UCF(FLOW),
+            maxTotalInflow: NodeStats[j].maxInflow * UCF(FLOW),
+            timeOfMax:      elapsedTimeFmt(NodeStats[j].maxInflowDate),
+            lateralInflowVolume: NodeStats[j].totLatFlow * Vcf,
+            totalInflowVolume: NodeInflow[j] * Vcf,
+
+            // --- balance error is a volume (in gal or ltr) for nodes with
+            //     negligible outflow, otherwise a percent
+            flowBalanceError: ( Math.abs(NodeOutflow[j]) < 1.0 ) ?
+                (NodeInflow[j]-NodeOutflow[j])*Vcf*1.0e6 :
+                (NodeInflow[j]-NodeOutflow[j]) / NodeOutflow[j]*100.,
+            flowBalanceErrorUnits: ( Math.abs(NodeOutflow[j]) < 1.0 ) ?
+                VolUnitsWords2[UnitSystem] : `Percent`
+        });
     }
     WRITE(``);
 }
@@ -440,6 +507,7 @@ function writeNodeSurcharge()
     WRITE(`Node Surcharge Summary`);
     WRITE(`**********************`);
     WRITE(``);
+    SummaryTables.nodeSurcharge = [];
 
     for ( j = 0; j < Nobjects[NODE]; j++ )
     {
@@ -462,12 +530,20 @@ function writeNodeSurcharge()
             n = 1;
         }
         Frpt.contents += `\n  ` + Node[j].ID.padEnd(20, ' ');
-        Frpt.contents += ` %-9s`, NodeTypeWords[Node[j].type].padEnd(9, ' ');
+        Frpt.contents += ` ${NodeTypeWords[Node[j].type].padEnd(9, ' ')}`;
         d1 = NodeStats[j].maxDepth + Node[j].invertElev - Node[j].crownElev;
         if ( d1 < 0.0 ) d1 = 0.0;
         d2 = Node[j].fullDepth - NodeStats[j].maxDepth;
         if ( d2 < 0.0 ) d2 = 0.0;
         Frpt.contents += `  ${t.toFixed(2).padStart(9, ' ')}      ${(d1*UCF(LENGTH)).toFixed(3).padStart(9, ' ')}    ${(d2*UCF(LENGTH)).toFixed(3).padStart(9, ' ')}`
+
+        SummaryTables.nodeSurcharge.push({
+            node:           Node[j].ID,
+            type:           NodeTypeWords[Node[j].type],
+            hoursSurcharged: t,
+            maxHeightAboveCrown: d1*UCF(LENGTH),
+            minDepthBelowRim: d2*UCF(LENGTH)
+        });
     }
     if ( n == 0 ) WRITE(`No nodes were surcharged.`);
     WRITE(``);
@@ -489,6 +565,7 @@ function writeNodeFlooding()
     WRITE(`Node Flooding Summary`);
     WRITE(`*********************`);
     WRITE(``);
+    SummaryTables.nodeFlooding = [];
 
     for ( j = 0; j < Nobjects[NODE]; j++ )
     {
@@ -525,7 +602,7 @@ function writeNodeFlooding()
         hrs = returnObj.hrs
         mins = returnObj.mins
         //getElapsedTime(NodeStats[j].maxOverflowDate, &days, &hrs, &mins);
-        Frpt.contents += `   ${days.padStart(4, ' ')}  ${hrs.padStart(2, '0')}:${mins.padStart(2, '0')}`
+        Frpt.contents += `   ${days.toString().padStart(4, ' ')}  ${hrs.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`
         Frpt.contents += (NodeStats[j].volFlooded * Vcf).toFixed(3).padStart(12, ' ');
         if ( RouteModel == DW )
             Frpt.contents += ` ` +
@@ -533,6 +610,19 @@ function writeNodeFlooding()
         else
             Frpt.contents += ` `+ 
                 (NodeStats[j].maxPondedVol / 1000.0 * UCF(VOLUME)).toFixed(3).padStart(9, ' ')
+
+        // --- max. ponded value is a depth for dynamic wave routing,
+        //     otherwise a volume in 1000's of ft3 or m3
+        SummaryTables.nodeFlooding.push({
+            node:           Node[j].ID,
+            hoursFlooded:   t,
+            maximumRate:    NodeStats[j].maxOverflow * UCF(FLOW),
+            timeOfMax:      elapsedTimeFmt(NodeStats[j].maxOverflowDate),
+            totalFloodVolume: NodeStats[j].volFlooded * Vcf,
+            maximumPonded:  ( RouteModel == DW ) ?
+                (NodeStats[j].maxDepth - Node[j].fullDepth) * UCF(LENGTH) :
+                NodeStats[j].maxPondedVol / 1000.0 * UCF(VOLUME)
+        });
     }
 
     if ( n == 0 ) WRITE(`No nodes were flooded.`);
@@ -554,6 +644,7 @@ function writeStorageVolumes()
 
     if ( Nnodes[STORAGE] > 0 )
     {
+        SummaryTables.storageVolume = [];
         WRITE(``);
         WRITE(`**********************`);
         WRITE(`Storage Volume Summary`);
@@ -609,8 +700,20 @@ function writeStorageVolumes()
             hrs = returnObj.hrs
             mins = returnObj.mins
             //getElapsedTime(StorageStats[k].maxVolDate, &days, &hrs, &mins);
-            Frpt.contents += `    ${days.padStart(4, ' ')}  ${hrs.padStart(2, '0')}:${mins.padStart(2, '0')}  `
+            Frpt.contents += `    ${days.toString().padStart(4, ' ')}  ${hrs.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}  `
             Frpt.contents += flowFmt(StorageStats[k].maxFlow*UCF(FLOW));
+
+            SummaryTables.storageVolume.push({
+                storageUnit:    Node[j].ID,
+                averageVolume:  avgVol*UCF(VOLUME)/1000.0,
+                avgPctFull:     pctAvgVol,
+                evapPctLoss:    pctEvapLoss,
+                exfilPctLoss:   pctSeepLoss,
+                maximumVolume:  maxVol*UCF(VOLUME)/1000.0,
+                maxPctFull:     pctMaxVol,
+                timeOfMax:      elapsedTimeFmt(StorageStats[k].maxVolDate),
+                maximumOutflow: StorageStats[k].maxFlow*UCF(FLOW)
+            });
         }
         WRITE(``);
     }
@@ -630,6 +733,7 @@ function writeOutfallLoads()
     let  x;
     let  outfallCount, flowCount;
     let  flowSum, freqSum, volSum;
+    let  rec;
     totals = [];
 
     if ( Nnodes[OUTFALL] > 0 )
@@ -641,6 +745,7 @@ function writeOutfallLoads()
         flowSum = 0.0;
         freqSum = 0.0;
         volSum  = 0.0;
+        SummaryTables.outfallLoading = [];
 
         // --- print table title
         WRITE(``);
@@ -689,11 +794,15 @@ function writeOutfallLoads()
             x = 100.*flowCount/ReportStepCount;                        //(5.1.015)
             Frpt.contents += x.toFixed(2).padStart(7)
             freqSum += x;
+            rec = {outfall: Node[j].ID, flowFreqPct: x, loads: {}};
             if ( flowCount > 0 )
                 x = OutfallStats[k].avgFlow*UCF(FLOW)/flowCount;
             else
                 x = 0.0;
             flowSum += x;
+            rec.avgFlow = x;
+            rec.maxFlow = OutfallStats[k].maxFlow*UCF(FLOW);
+            rec.totalVolume = NodeInflow[j] * Vcf;
 
             Frpt.contents += ` `
             Frpt.contents += flowFmt(x);
@@ -709,7 +818,9 @@ function writeOutfallLoads()
                 totals[p] += x;
                 if ( Pollut[p].units == COUNT ) x = LOG10(x);
                 Frpt.contents += x.toFixed(3).padStart(14, ' ')
+                rec.loads[Pollut[p].ID] = x;
             }
+            SummaryTables.outfallLoading.push(rec);
         }
 
         // --- print total outfall loads
@@ -724,12 +835,22 @@ function writeOutfallLoads()
         Frpt.contents += flowFmt(MaxOutfallFlow*UCF(FLOW));
         Frpt.contents += (volSum * Vcf).toFixed(3).padStart(12, ' ')
 
+        // --- system totals are kept apart from the outfall records
+        rec = {
+            flowFreqPct:    freqSum/outfallCount,
+            avgFlow:        flowSum,
+            maxFlow:        MaxOutfallFlow*UCF(FLOW),
+            totalVolume:    volSum * Vcf,
+            loads:          {}
+        };
         for (p = 0; p < Nobjects[POLLUT]; p++)
         {
             x = totals[p];
             if ( Pollut[p].units == COUNT ) x = LOG10(x);
             Frpt.contents += x.toFixed(3).padStart(14)
+            rec.loads[Pollut[p].ID] = x;
         }
+        SummaryTables.outfallLoadingSystem = rec;
         WRITE(``);
         //free(totals);
         totals = [];
@@ -747,8 +868,10 @@ function writeLinkFlows()
 {
     let j, k, days, hrs, mins;
     let v, fullDepth;
+    let rec;
 
     if (Nobjects[LINK] == 0) return;
+    SummaryTables.linkFlow = [];
     WRITE(``);
     WRITE(`********************`);
     WRITE(`Link Flow Summary`);
@@ -787,12 +910,27 @@ function writeLinkFlows()
         Frpt.contents += flowFmt(LinkStats[j].maxFlow*UCF(FLOW));
         Frpt.contents += `  ${days.toString().padStart(4, ' ')}  ${hrs.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`
 
+        // --- values left blank in the report are saved as null
+        rec = {
+            link:           Link[j].ID,
+            type:           ( Link[j].xsect.type == DUMMY ) ? `DUMMY` :
+                            ( Link[j].xsect.type == IRREGULAR ) ? `CHANNEL` :
+                            LinkTypeWords[Link[j].type],
+            maxFlow:        LinkStats[j].maxFlow*UCF(FLOW),
+            timeOfMax:      elapsedTimeFmt(LinkStats[j].maxFlowDate),
+            maxVelocity:    null,
+            maxFullFlow:    null,
+            maxFullDepth:   null
+        };
+        SummaryTables.linkFlow.push(rec);
+
         // --- print max flow / flow capacity for pumps
         if (Link[j].type == PUMP && Link[j].qFull > 0.0)
         {
             Frpt.contents +=  `          `
             Frpt.contents +=  `  ` + 
                 (LinkStats[j].maxFlow / Link[j].qFull).toFixed(2).padStart(6, ' ');
+            rec.maxFullFlow = LinkStats[j].maxFlow / Link[j].qFull;
             continue;
         }
 
@@ -810,6 +948,8 @@ function writeLinkFlows()
             else Frpt.contents +=  `   ` + v.toFixed(2).padStart(7, ' ')
             Frpt.contents +=  `  ` +
                 (LinkStats[j].maxFlow / Link[j].qFull / Conduit[k].barrels).toFixed(2).padStart(6, ' ');
+            rec.maxVelocity = v;
+            rec.maxFullFlow = LinkStats[j].maxFlow / Link[j].qFull / Conduit[k].barrels;
         }
         else Frpt.contents +=  `                  `;
 
@@ -820,6 +960,7 @@ function writeLinkFlows()
         if (fullDepth > 0.0)
         {
             Frpt.contents +=  `  ` + (LinkStats[j].maxDepth / fullDepth).toFixed(2).padStart(6);
+            rec.maxFullDepth = LinkStats[j].maxDepth / fullDepth;
         }
         else Frpt.contents +=  `        `;
     }
@@ -836,18 +977,20 @@ function writeFlowClass()
 //
 {
     let   i, j, k;
+    let   f = new Array(MAX_FLOW_CLASSES);
 
     if ( RouteModel != DW ) return;
+    SummaryTables.flowClass = [];
     WRITE(``);
     WRITE(`***************************`);
     WRITE(`Flow Classification Summary`);
     WRITE(`***************************`);
     WRITE(``);
     Frpt.contents +=  
-`\n  -------------------------------------------------------------------------------------`
-`\n                      Adjusted    ---------- Fraction of Time in Flow Class ---------- `
-`\n                       /Actual         Up    Down  Sub   Sup   Up    Down  Norm  Inlet `
-`\n  Conduit               Length    Dry  Dry   Dry   Crit  Crit  Crit  Crit  Ltd   Ctrl  `
+`\n  -------------------------------------------------------------------------------------`+
+`\n                      Adjusted    ---------- Fraction of Time in Flow Class ---------- `+
+`\n                       /Actual         Up    Down  Sub   Sup   Up    Down  Norm  Inlet `+
+`\n  Conduit               Length    Dry  Dry   Dry   Crit  Crit  Crit  Crit  Ltd   Ctrl  `+
 `\n  -------------------------------------------------------------------------------------`;
     for ( j = 0; j < Nobjects[LINK]; j++ )
     {
@@ -858,13 +1001,27 @@ function writeFlowClass()
         Frpt.contents += `  ${(Conduit[k].modLength / Conduit[k].length).toFixed(2).padStart(6)} `
         for ( i=0; i<MAX_FLOW_CLASSES; i++ )
         {
-            Frpt.contents += `  ` +
-                (LinkStats[j].timeInFlowClass[i] /= ReportStepCount).toFixed(2).padStart(4);   //(5.1.015)
+            f[i] = (LinkStats[j].timeInFlowClass[i] /= ReportStepCount);               //(5.1.015)
+            Frpt.contents += `  ` + f[i].toFixed(2).padStart(4);
         }
         Frpt.contents += `  ` + (LinkStats[j].timeNormalFlow /
                                       (NewRoutingTime/1000.0)).toFixed(2).padStart(4)
         Frpt.contents += `  ` + (LinkStats[j].timeInletControl /
                                       (NewRoutingTime/1000.0)).toFixed(2).padStart(4)
+
+        SummaryTables.flowClass.push({
+            conduit:        Link[j].ID,
+            adjustedActualLength: Conduit[k].modLength / Conduit[k].length,
+            dry:            f[DRY],
+            upDry:          f[UP_DRY],
+            downDry:        f[DN_DRY],
+            subCritical:    f[SUBCRITICAL],
+            supCritical:    f[SUPCRITICAL],
+            upCritical:     f[UP_CRITICAL],
+            downCritical:   f[DN_CRITICAL],
+            normalFlowLimited: LinkStats[j].timeNormalFlow / (NewRoutingTime/1000.0),
+            inletControl:   LinkStats[j].timeInletControl / (NewRoutingTime/1000.0)
+        });
     }
     WRITE(``);
 }
@@ -876,6 +1033,7 @@ function writeLinkSurcharge()
     let    i, j, n = 0;
     let t = new Array(5);
 
+    SummaryTables.conduitSurcharge = [];
     WRITE(``);
     WRITE(`*************************`);
     WRITE(`Conduit Surcharge Summary`);
@@ -909,6 +1067,15 @@ function writeLinkSurcharge()
         let val4 = t[3].toFixed(2).padStart(8, ' ')
         let val5 = t[4].toFixed(2).padStart(8, ' ')
         Frpt.contents += `    ${val1}  ${val2}  ${val3}  ${val4}     ${val5}`
+
+        SummaryTables.conduitSurcharge.push({
+            conduit:        Link[j].ID,
+            hoursFullBothEnds: t[0],
+            hoursFullUpstream: t[1],
+            hoursFullDnstream: t[2],
+            hoursAboveFullNormalFlow: t[3],
+            hoursCapacityLimited: t[4]
+        });
     }
     if ( n == 0 ) WRITE(`No conduits were surcharged.`);
     WRITE(``);
@@ -929,6 +1096,7 @@ function writePumpFlows()
     let var1, var2, var3, var4, var5, var6, var7;
 
     if ( Nlinks[PUMP] == 0 ) return;
+    SummaryTables.pumping = [];
 
     WRITE(``);
     WRITE(`***************`);
@@ -959,13 +1127,13 @@ function writePumpFlows()
             avgFlow /=  PumpStats[k].totalPeriods;
         
         var1 = pctUtilized.toFixed(2).padStart(8, ' ')
-        var2 = PumpStats[k].startUps.padStart(10, ' ')
+        var2 = PumpStats[k].startUps.toString().padStart(10, ' ')
         var3 = (PumpStats[k].minFlow*UCF(FLOW)).toFixed(2).padStart(9, ' ')
         var4 = (avgFlow*UCF(FLOW)).toFixed(2).padStart(9, ' ')
         var5 = (PumpStats[k].maxFlow*UCF(FLOW)).toFixed(2).padStart(9, ' ')
         var6 = (PumpStats[k].volume*Vcf).toFixed(3).padStart(9, ' ')
         var7 = PumpStats[k].energy.toFixed(2).padStart(9, ' ')
-        Frpt.contents += ` %8.2f  %10d %9.2f %9.2f %9.2f %9.3f %9.2f`
+        Frpt.contents += ` ${var1}  ${var2} ${var3} ${var4} ${var5} ${var6} ${var7}`
 
         pctOffCurve1 = PumpStats[k].offCurveLow;
         pctOffCurve2 = PumpStats[k].offCurveHigh;
@@ -976,7 +1144,20 @@ function writePumpFlows()
         }
         var1 = pctOffCurve1.toFixed(1).padStart(6, ' ')
         var2 = pctOffCurve2.toFixed(1).padStart(6, ' ')
-        Frpt.contents += ` %6.1f %6.1f` 
+        Frpt.contents += ` ${var1} ${var2}`
+
+        SummaryTables.pumping.push({
+            pump:           Link[j].ID,
+            percentUtilized: pctUtilized,
+            startUps:       PumpStats[k].startUps,
+            minFlow:        PumpStats[k].minFlow*UCF(FLOW),
+            avgFlow:        avgFlow*UCF(FLOW),
+            maxFlow:        PumpStats[k].maxFlow*UCF(FLOW),
+            totalVolume:    PumpStats[k].volume*Vcf,
+            powerUsage:     PumpStats[k].energy,
+            pctTimeOffCurveLow: pctOffCurve1,
+            pctTimeOffCurveHigh: pctOffCurve2
+        });
     }
     WRITE(``);
 }
@@ -990,7 +1171,10 @@ function writeLinkLoads()
     let  units;
     let  linkLine = `--------------------`;
     let  pollutLine   = `--------------`;
+    let  rec;
     
+    SummaryTables.linkPollutantLoad = [];
+
     // --- print the table headings 
     WRITE(``);
     WRITE(`***************************`);
@@ -1016,13 +1200,16 @@ function writeLinkLoads()
     for ( j = 0; j < Nobjects[LINK]; j++ )
     {
         Frpt.contents += `\n  ` + Link[j].ID.padEnd(20, ' ');
+        rec = {link: Link[j].ID, loads: {}};
         for (p = 0; p < Nobjects[POLLUT]; p++)
         {
             x = Link[j].totalLoad[p] * LperFT3 * Pollut[p].mcf;
             if ( Pollut[p].units == COUNT ) x = Math.log10(x);
             if ( x < 10000. ) Frpt.contents += x.toFixed(3).padStart(14);
-            else Frpt.contents += `%14.3e`, x.toExponential().padStart(14);
+            else Frpt.contents += x.toExponential(3).padStart(14);
+            rec.loads[Pollut[p].ID] = x;
         }
+        SummaryTables.linkPollutantLoad.push(rec);
     }
     WRITE(``);
     }
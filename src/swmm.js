@@ -489,11 +489,8 @@ d3.inp = function() {
         // Changing the tsplotselection-objecttype should fill the selection dropdown with available ids,
         // as well as filling the tsplotselection-variable drop down
         $('#tsplotselection-objecttype').on('change', function(){
-            input = new d3.swmmresult();
-            // data/out.out is the default location of the internally managed output file.
-            // This should be changed to a model-specific variable.  Keep in mind that there
-            // will be the option to load in an .out file without having an associated inp file.
-            val = input.parse('data/out.out');
+            // Only the ID tables of the results file are needed here.
+            let reader = swmmjs.getReader();
             let objectType = $('#tsplotselection-objecttype').val();
             // Use this variable to identify the appropriate object in the list as selected.
             let selected = 'selected'
@@ -504,9 +501,9 @@ d3.inp = function() {
 
             // Refill the object name select list. This list is for the user to identify the ID of the 
             // object(s) that will be charted.
-            Object.entries(val[1][objectType]).forEach(el => {
+            reader.getIDs(objectType).forEach(id => {
                 // populate #tsplotselection-objectname with <option> elements
-                $('#tsplotselection-objectname').append('<option value="'+el[0]+'" '+selected+'>'+el[0]+'</option>')
+                $('#tsplotselection-objectname').append('<option value="'+id+'" '+selected+'>'+id+'</option>')
                 selected = '';
             })
 
@@ -524,7 +521,7 @@ d3.inp = function() {
             }
             // Refill the variable select list. This list is for the user to identify the type
             // of information that will be charted.
-            Object.entries(input.VARCODE[objectVarType]).forEach(el => {
+            Object.entries(reader.VARCODE[objectVarType]).forEach(el => {
                 // populate #tsplotselection-variable with <option> elements
                 $('#tsplotselection-variable').append('<option value="'+el[0]+'" '+selected+'>'+el[1]+'</option>')
                 selected = '';
@@ -541,39 +538,18 @@ d3.inp = function() {
             // Identify where the chart will be drawn.
             let viz_svg01 = d3.select("#viz_svgTS");
 
-            // Get the swmmresult.  This should be redone once I can actually drag in single variables instead of 
-            // reading the whole file into objects.
-            input = new d3.swmmresult();
-            // Once again, this should be a model-associated constant.
-            //val = input.parseSingle('data/out.out', 0, 'NODE', 'x');
-            val = input.parse('data/out.out');
+            // Only the requested series is read from the results file.
+            let reader = swmmjs.getReader();
 
             // Get the ID and type of the object that will be charted, and get the type of information that is necessary as well.
             let objectName = document.getElementById('tsplotselection-objectname').value;
             let objectType = document.getElementById('tsplotselection-objecttype').value;
             let variable = document.getElementById('tsplotselection-variable').value;
-            // Create the absolute minimum required to build a chart.  This is embarassing: find the actual start times
-            // and end times of the model, utilize the user requested start and end time, and clean up the presentation as well:
-            // Better date/time axis, Use a title and a legend, maybe make the modal larger.
-            
-            // First: Utilize the start and end times of the model, along with the time step in order to create the fully realized chart.
-            // These values are controlled in the 'Dates' editor and the 'Time Steps' editor.
-            let reportStartDate = swmmjs.model['OPTIONS']['REPORT_START_DATE'].Value;
-            let reportStartTime = swmmjs.model['OPTIONS']['REPORT_START_TIME'].Value;
-            let reportStep =      swmmjs.model['OPTIONS']['REPORT_STEP'].Value
-
-            // Create a date object using the reportStartDate and reportStartTime.
-            let thisDateStep = moment(reportStartDate + ' ' + reportStartTime);
-            // Create a duration object using reportStep.
-            let stepDuration = moment.duration(reportStep)
-            // For every step, increase the time by the value of reportStep.
-            for(let i = 1; !!val[i]; i++){
-                // Use the incremented date object 
-                let thisDate = moment(new Date(thisDateStep));
-                //dataObj.push(new DataElement('00:'+i.toString().padStart(2, '0'), val[i][objectType][parseInt(objectName)][parseInt(variable)]));
-                dataObj.push(new DataElement(thisDate._d, val[i][objectType][parseInt(objectName)][parseInt(variable)]));
-                // increment thisDateStep
-                thisDateStep.add(stepDuration)
+            // Read the values for every reporting period. The dates of the periods
+            // are stored in the results file along with the values.
+            let series = reader.getSeries(objectType, objectName, parseInt(variable));
+            for(let i = 0; i < series.length; i++){
+                dataObj.push(new DataElement(reader.getDate(i+1), series[i]));
             }
         
             // Create a new chartSpecs object and populate it with the data.
@@ -855,7 +831,7 @@ d3.inp = function() {
                     // P1           WEIR            Min. Flow       numbers
                     // P2           WEIR            Max. Depth      numbers
                     // P3           Coefficient     Coefficient     numbers
-                    swmmjs.model.STORAGE[id] = {Description: '', Invert: 0, Dmax: 0, Dinit: 0, Curve: 'FUNCTIONAL', CurveName: '', Coefficient: 1000, Exponent: 0, Constant: 0, Aponded: 0, Fevap: 0, SeepRate: 0}
+                    swmmjs.model.STORAGE[id] = {Description: '', Invert: 0, Dmax: 0, Dinit: 0, Curve: 'FUNCTIONAL', CurveName: '', Coefficient: 1000, Exponent: 0, Constant: 0, Aponded: 0, Fevap: 0, SuctionHead: '', Ksat: '', IMDmax: ''}
 
                     swmmjs.model['COORDINATES'][id] = [];
                     swmmjs.model['COORDINATES'][id]['x'] = Math.floor(xy1[0])
@@ -1291,6 +1267,37 @@ d3.inp = function() {
                 modalEditTimeseries(id);
             }
 
+            if($('#subselectcaption').text() === 'Curves'){
+                // Open the Curves modal on a new curve; it is added to the
+                // model when it is saved.
+                switchContext('edit')
+                modalEditCurves();
+            }
+
+            if($('#subselectcaption').text() === 'Control Rules'){
+                // Create a control rule
+                switchContext('edit')
+                let name = addControlRule();
+                populateControlsList();
+
+                // open the Control Rules modal on the new rule
+                modalEditControls(name);
+            }
+
+            if($('#subselectcaption').text() === 'LID Controls'){
+                // Open the LID Controls modal on a new control; it is added
+                // to the model when it is saved.
+                switchContext('edit')
+                modalEditLidControls();
+            }
+
+            if($('#subselectcaption').text() === 'Time Patterns'){
+                // Open the Time Patterns modal on a new pattern; it is added
+                // to the model when it is saved.
+                switchContext('edit')
+                modalEditTimepattern();
+            }
+
         })
 
         //Bind project elements for click response.
@@ -1600,24 +1607,74 @@ d3.inp = function() {
             populateSelectList(listJSON);
         }
 
+        $('#pmCurves').click(function(e){
+            populateCurvesList();
+        })
+
+        function populateCurvesList(){
+            // Place 'Curves' in the subselectcaption text.
+            $('#subselectcaption').text('Curves');
+            let listJSON = [];
+
+            // Create the structure of the subselect list.
+            if(!!swmmjs.model.CURVES){
+                Object.keys(swmmjs.model.CURVES).forEach((id, i) => {
+                    listJSON.push({labelText: id,    elementId: 'subselectlist-curves' + i, function: modalEditCurves});
+                })
+            }
+
+            populateSelectList(listJSON);
+        }
+
+        $('#pmControls').click(function(e){
+            populateControlsList();
+        })
+
+        function populateControlsList(){
+            // Place 'Control Rules' in the subselectcaption text.
+            $('#subselectcaption').text('Control Rules');
+            let listJSON = [];
+
+            // Create the structure of the subselect list.
+            getControlRules().rules.forEach((rule, i) => {
+                listJSON.push({labelText: rule.name,    elementId: 'subselectlist-controls' + i, function: modalEditControls});
+            })
+
+            populateSelectList(listJSON);
+        }
+
+        $('#pmLIDControls').click(function(e){
+            populateLidControlsList();
+        })
+
+        function populateLidControlsList(){
+            // Place 'LID Controls' in the subselectcaption text.
+            $('#subselectcaption').text('LID Controls');
+            let listJSON = [];
+
+            // Create the structure of the subselect list.
+            if(!!swmmjs.model.LID_CONTROLS){
+                Object.keys(swmmjs.model.LID_CONTROLS).forEach((id, i) => {
+                    listJSON.push({labelText: id,    elementId: 'subselectlist-lidcontrols' + i, function: modalEditLidControls});
+                })
+            }
+
+            populateSelectList(listJSON);
+        }
+
         $('#pmTimePattern').click(function(e){
             populateTimePatternList();
         })
 
         function populateTimePatternList(){
-            // Place 'Time SEries' in the subselectcaption text.
+            // Place 'Time Patterns' in the subselectcaption text.
             $('#subselectcaption').text('Time Patterns');
             let listJSON = [];
-            let listVals = []
 
             // Create the structure of the subselect list.
-            if(!!swmmjs.model.TIMEPATTERNS){
-                Object.entries(swmmjs.model.TIMEPATTERNS).forEach(item => {
-                    // If this time pattern isn't in the list yet, add it to listJSON
-                    if(listVals.indexOf(item[1].TimePattern) === -1){
-                        listVals.push(item[1].TimePattern)
-                        listJSON.push({labelText: item[1].TimePattern,    elementId: 'subselectlist-timepattern' + item.key, function: modalEditTimepattern});
-                    }
+            if(!!swmmjs.model.PATTERNS){
+                Object.keys(swmmjs.model.PATTERNS).forEach((id, i) => {
+                    listJSON.push({labelText: id,    elementId: 'subselectlist-timepattern' + i, function: modalEditTimepattern});
                 })
             }
 
@@ -2077,10 +2134,38 @@ d3.inp = function() {
         /////////////////////////////////////////////////////////////
 
         var modalEditInterfacefiles = function(id){
+            populateInterfacefilesList();
             // Show the modal.
             $('#modalInterfacefiles').modal('toggle');
         }
 
+        // Lists the files in the engine's in-memory file store with a download
+        // button for each, and adds an upload control for interface files
+        // named in the [FILES] section (USE INFLOWS, USE HOTSTART, ...).
+        function populateInterfacefilesList(){
+            let parent = $('#modalInterfacefiles .modal-body');
+            parent.empty();
+
+            let upload = $('<input type="file" multiple id="interfacefiles-upload">');
+            upload.on('change', function(e){
+                swmmjs.uploadFiles(e.target.files, populateInterfacefilesList);
+            });
+            parent.append($('<label for="interfacefiles-upload">Upload interface files</label>'));
+            parent.append(upload);
+
+            let list = $('<ul class="list-group" id="interfacefiles-list"></ul>');
+            Object.keys(MemFiles).forEach(name => {
+                let item = $('<li class="list-group-item"></li>').text(name + ' ');
+                let button = $('<button type="button" class="btn btn-sm btn-secondary">Download</button>');
+                button.on('click', function(){
+                    swmmjs.downloadFile(name);
+                });
+                item.append(button);
+                list.append(item);
+            });
+            parent.append(list);
+        }
+
         $('#save-modal-interfacefiles').click(function(e){
             saveModalInterfacefiles()
         })
@@ -2134,6 +2219,18 @@ d3.inp = function() {
             // Add a default empty 'None' option to the timeseries select options.
             $('#temperature-ts').append('<option value="">None</option>')
 
+            // Show the climate file name, if one is in use, and mark the
+            // data source that is in use.
+            let tempData = swmmjs.model['TEMPERATURE'] || [];
+            $('#temperature-filename').val(tempData.File ? tempData.File.Value : '');
+            if(tempData.File){
+                document.getElementById('temperature-file').checked = true;
+            } else if(tempData.TimeSeries && tempData.TimeSeries.Value){
+                document.getElementById('temperature-timeseries').checked = true;
+            } else {
+                document.getElementById('temperature-nodata').checked = true;
+            }
+
             // If the value of any of these options matches the one in the model,
             // then mark that option as selected.
             // Make sure to check if the TEMPERATURE object exists.
@@ -2148,7 +2245,7 @@ d3.inp = function() {
                 // Get the value el.TimeSeries
                 if(tsNames.indexOf(el[1].TimeSeries) === -1){
                     let selected = '';
-                    if(swmmjs.model['TEMPERATURE'].TimeSeries.Value === el[1].TimeSeries){
+                    if(swmmjs.model['TEMPERATURE'].TimeSeries && swmmjs.model['TEMPERATURE'].TimeSeries.Value === el[1].TimeSeries){
                         selected = 'selected'
                     }
                     tsNames.push(el[1].TimeSeries)
@@ -2162,6 +2259,17 @@ d3.inp = function() {
             saveModalTemperature()
         })
 
+        // Store an uploaded climate file in memory so the engine can read it
+        // and use its name as the temperature data source.
+        $('#temperature-file-upload').change(function(e){
+            let files = e.target.files;
+            if(files.length === 0) return;
+            swmmjs.uploadFiles(files, function(){
+                $('#temperature-filename').val(files[0].name);
+                document.getElementById('temperature-file').checked = true;
+            });
+        })
+
         function saveModalTemperature(){
             // Show the modal.
             //$('#modalTemperature').modal('toggle');
@@ -2174,17 +2282,27 @@ d3.inp = function() {
                     swmmjs.model['TEMPERATURE'] = [];
                     swmmjs.model['TEMPERATURE'].TimeSeries = ''
                 }
-                swmmjs.model['TEMPERATURE']['TimeSeries'] = null;
+                delete swmmjs.model['TEMPERATURE']['TimeSeries'];
+                delete swmmjs.model['TEMPERATURE']['File'];
             } else if(document.getElementById('temperature-timeseries').checked === true){
                 // If there is no TEMPERATURE data interface, make one
                 if(typeof swmmjs.model['TEMPERATURE'] === 'undefined'){
                     swmmjs.model['TEMPERATURE'] = [];
                 }
+                delete swmmjs.model['TEMPERATURE']['File'];
                 swmmjs.model['TEMPERATURE']['TimeSeries'] = [];
                 // Use the selected option from the timeseries window
                 let thisEl = document.getElementById('temperature-ts')
                 swmmjs.model['TEMPERATURE']['TimeSeries'].Value = thisEl.options[thisEl.selectedIndex].value;
-            } 
+            } else if(document.getElementById('temperature-file').checked === true){
+                // If there is no TEMPERATURE data interface, make one
+                if(typeof swmmjs.model['TEMPERATURE'] === 'undefined'){
+                    swmmjs.model['TEMPERATURE'] = [];
+                }
+                delete swmmjs.model['TEMPERATURE']['TimeSeries'];
+                // Use the climate file name (and optional start date) from the file window
+                swmmjs.model['TEMPERATURE']['File'] = {Value: document.getElementById('temperature-filename').value.trim()};
+            }
         }
 
         /////////////////////////////////////////////////////////////
@@ -2434,6 +2552,7 @@ d3.inp = function() {
             if(id !== $('#junctions-name').val()) {
                 changeD3ObjectID(id, "JUNCTIONS", $('#junctions-name').val())
                 changeObjectID(id, "COORDINATES", $('#junctions-name').val())
+                changeDwfNode(id, $('#junctions-name').val())
         
                 id = parseInt($('#junctions-name').val()).toString();
             }
@@ -2479,6 +2598,7 @@ d3.inp = function() {
             if(id !== $('#outfalls-name').val()) {
                 changeD3ObjectID(id, "OUTFALLS", $('#outfalls-name').val())
                 changeObjectID(id, "COORDINATES", $('#outfalls-name').val())
+                changeDwfNode(id, $('#outfalls-name').val())
         
                 id = parseInt($('#outfalls-name').val()).toString();
             }
@@ -2771,6 +2891,8 @@ d3.inp = function() {
                 );
                 // Delete the old object
                 delete swmmjs.model['SUBAREAS'][id]
+
+                changeLidUsageSubcatchment(id, $('#subcatchments-name').val())
         
                 id = $('#subcatchments-name').val();
             }
@@ -3237,50 +3359,6 @@ d3.inp = function() {
             populateTimeseriesList();
         }
 
-        /////////////////////////////////////////////////////////////
-        // Time Pattern Modal 
-        /////////////////////////////////////////////////////////////
-
-        var modalEditTimepattern = function(id){
-            // Show the modal.
-            $('#modalTimeseries').modal('toggle');
-            $('#timeseries-form-id').val(id);
-            $('#timeseries-form-id').text(id);
-            $('#timeseries-name').val(id);
-
-            // Make sure to check if the TIMESERIES object exists.
-            if(typeof swmmjs.model['TIMESERIES'] === 'undefined'){
-                swmmjs.model['TIMESERIES'] = [];
-            }
-
-            // Create an editable object type for the time series table
-            // because the time series tables are all just one table in the data so:
-            let timeseriesTabulatorData = [];
-            swmmjs.model['TIMESERIES'].forEach(function(el){
-                if(el.TimeSeries === id){
-                    timeseriesTabulatorData.push({Date: el.Date, Time: el.Time, Value:el.Value})
-                }
-            })
-
-            // If the tabulator object already exists, load new data. Else create a tabulator table.
-            
-    ;
-            if(Tabulator.prototype.findTable('#tableTimeseries')){
-                let table = Tabulator.prototype.findTable('#tableTimeseries')[0];
-                table.replaceData(timeseriesTabulatorData);
-            } else {
-                let timeseriesTabulator = new Tabulator("#tableTimeseries", {
-                    data: timeseriesTabulatorData,
-                    selectable: true,
-                    clipboard: true,
-                    layout: "fitColumns",
-                    columns:[{title:"Date", sorter:"date", field:"Date", editor:"input"},
-                            {title:"Time", sorter:"number", field:"Time", editor:"input"},
-                            {title:"Value", field:"Value", editor:"number", editorParams:{min:0, step:0.01}},],
-                } );
-            }
-        }
-
         // Clicking on the timeseries-view button will bring up the timeseries chart modal.
         $('#timeseries-view').click(function(e){
             modalDisplayTimeseries();
@@ -3342,6 +3420,23 @@ d3.inp = function() {
     }
 
     inp.parse = function(text) {
+        // Splits the values of a line (the text after its key) on white
+        // space. Quoted values may hold spaces or be empty ("").
+        let values = function(line) {
+            return (line.trim().match(/"[^"]*"|[^\s]+/g) || []).map(s => s.replace(/^"(.*)"$/, '$1'));
+        };
+        // True if every value in list is a number.
+        let numbers = function(list) {
+            return list.every(s => s.trim() !== '' && !isNaN(Number(s)));
+        };
+        // Offsets and some weir values may be '*' to use the default.
+        let numbersOrStars = function(list) {
+            return list.every(s => s === '*' || numbers([s]));
+        };
+        let numberOrStar = function(s) {
+            return s === '*' ? s : parseFloat(s);
+        };
+
         var regex = {
             section: /^\s*\[\s*([^\]]*)\s*\].*$/,
             value: /\s*([^\s]+)([^;]*).*$/,
@@ -3350,16 +3445,10 @@ d3.inp = function() {
         },
         parser = {
             LOSSES: function(section, key, line) {
-                var m = [];
-                line = key + line;
-                m.push(line)
-                m.push(line.slice(17,28))
-                m.push(line.slice(28,39))
-                m.push(line.slice(39,50))
-                m.push(line.slice(50,61))
-                m.push(line.slice(61,line.length))
-                if (m && m.length)
-                        section[key] = {Kin: parseFloat(m[1]), Kout: m[2].trim(), Kavg: m[3].trim(), FlapGate: m[4].trim(), SeepRate: m[5].trim()};
+                var m = values(line);
+                if (m.length < 3 || m.length > 5 || !numbers(m.slice(0, 3)))
+                    return false;
+                section[key] = {Kin: parseFloat(m[0]), Kout: m[1], Kavg: m[2], FlapGate: m[3] || '', SeepRate: m[4] || ''};
             },
             // TITLE Title/Notes needs to consume all of the lines until the next section.
             // Older code just takes in a single line.
@@ -3367,13 +3456,35 @@ d3.inp = function() {
                 return;
             },
             OPTIONS: function(section, key, line) {
-                return;
+                section[key.toUpperCase()] = {Value: line.trim()};
             },
             EVAPORATION: function(section, key, line) {
                 return;
             },
+            // Each [TEMPERATURE] line is kept under its keyword so that it can be
+            // written back out. The two areal depletion curves are kept under
+            // 'ADC IMPERVIOUS' and 'ADC PERVIOUS'.
             TEMPERATURE: function(section, key, line) {
-                return;
+                let value = line.trim();
+                switch(key.toUpperCase()){
+                    case 'TIMESERIES':
+                        section['TimeSeries'] = {Value: value};
+                        break;
+                    case 'FILE':
+                        section['File'] = {Value: value};
+                        break;
+                    case 'WINDSPEED':
+                        section['WindSpeed'] = {Value: value};
+                        break;
+                    case 'SNOWMELT':
+                        section['SnowMelt'] = {Value: value};
+                        break;
+                    case 'ADC':
+                        let m = value.match(/^(\S+)\s+(.*)$/);
+                        if (m && m.length)
+                            section['ADC ' + m[1].toUpperCase()] = {Value: m[2]};
+                        break;
+                }
             },
             RAINGAGES: function(section, key, line) {
                 return
@@ -3382,236 +3493,134 @@ d3.inp = function() {
                     var m = line.match(/\s+([0-9\.]+)\s+([0-9\.]+)\s+([0-9\.]+)\s+([0-9\.]+)\s+([0-9\.]+)/);
                     if (m && m.length)
                         section[key] = {MaxRate: parseFloat(m[1]), MinRate: parseFloat(m[2]), Decay: parseFloat(m[3]), DryTime: parseFloat(m[4]), MaxInfil: parseFloat(m[5])};
+                    else return false;
             },
             JUNCTIONS: function(section, key, line, curDesc) {
-                    var m = line.match(/\s+([0-9\.]+)\s+([0-9\.]+)\s+([0-9\.]+)\s+([0-9\.]+)\s+([0-9\.]+)/);
-                    if (m && m.length)
-                        section[key] = {Invert: parseFloat(m[1]), Dmax: parseFloat(m[2]), Dinit: parseFloat(m[3]), Dsurch: parseFloat(m[4]), Aponded: parseFloat(m[5]), Description: curDesc};
+                    var m = values(line);
+                    if (m.length < 1 || m.length > 5 || !numbers(m))
+                        return false;
+                    section[key] = {Invert: parseFloat(m[0]), Dmax: parseFloat(m[1]) || 0, Dinit: parseFloat(m[2]) || 0, Dsurch: parseFloat(m[3]) || 0, Aponded: parseFloat(m[4]) || 0, Description: curDesc};
             },
-            OUTFALLS: function(section, key, line) {
-                var m = [];
-                line = key + line;
-                m.push(line)
-                m.push(line.slice(17,28))
-                m.push(line.slice(28,39))
-                m.push(line.slice(39,56))
-                m.push(line.slice(56,line.length))
-                if (m && m.length)
-                        section[key] = {Invert: parseFloat(m[1]), Type: m[2].trim(), StageData: m[3].trim(), Gated: m[4].trim()};
+            // Outfalls of type FIXED, TIDAL or TIMESERIES have stage data (a
+            // stage, curve or time series) before Gated; the others don't.
+            OUTFALLS: function(section, key, line, curDesc) {
+                var m = values(line),
+                    type = (m[1] || '').toUpperCase(),
+                    n = ['FIXED', 'TIDAL', 'TIMESERIES'].includes(type) ? 3 : 2;
+                if (!['FREE', 'NORMAL', 'FIXED', 'TIDAL', 'TIMESERIES'].includes(type) || 
+                    m.length < n || m.length > n + 2 || !numbers([m[0]]))
+                    return false;
+                section[key] = {Invert: parseFloat(m[0]), 
+                                Type: type, 
+                                StageData: n === 3 ? m[2] : '', 
+                                Gated: m[n] || 'NO', 
+                                RouteTo: m[n + 1] || '', 
+                                Description: curDesc};
             },
+            // A divider's type is followed by its parameters: none for OVERFLOW,
+            // the cutoff flow for CUTOFF, a curve for TABULAR and three values
+            // for WEIR. Dmax, Dinit, Dsurch and Aponded come after them.
             DIVIDERS: function(section, key, line) {
-                var m = [];
-                line = key + line;
-                m.push(line)
-                m.push(line.slice(17,28))  // Invert
-                m.push(line.slice(28,45))  // Diverted Link
-                m.push(line.slice(45,56))  // Type
-
-                if (m && m.length){
-                        if(m[3].trim() === 'WEIR'){
-                            m.push(line.slice(56,67))  // P1
-                            m.push(line.slice(67,78))  // P2
-                            m.push(line.slice(78,89))  // P3
-                            m.push(line.slice(89,100))  // P4
-                            m.push(line.slice(100,111))  // P5
-                            m.push(line.slice(111,122))  // P6
-                            m.push(line.slice(122,line.length))  // P7
-
-                            section[key] = {Invert: parseFloat(m[1]), 
-                                            DivertedLink: m[2].trim(), 
-                                            Type: m[3].trim(), 
-                                            P1: parseFloat(m[4]), 
-                                            P2: parseFloat(m[5]), 
-                                            P3: parseFloat(m[6]), 
-                                            Dmax: parseFloat(m[7]), 
-                                            Dinit: parseFloat(m[8]), 
-                                            Dsurch: parseFloat(m[9]), 
-                                            Aponded: parseFloat(m[10]), 
-                                            Description: curDesc}
-                        } else if (m[3].trim() === 'CUTOFF'){
-                            m.push(line.slice(56,67))  // P1
-                            m.push(line.slice(67,78))  // P2
-                            m.push(line.slice(78,89))  // P3
-                            m.push(line.slice(89,100))  // P4
-                            m.push(line.slice(100,line.length))  // P5
-
-                            section[key] = {Invert: parseFloat(m[1]), 
-                                            DivertedLink: m[2].trim(), 
-                                            Type: m[3].trim(), 
-                                            P1: parseFloat(m[4]), 
-                                            P2: 0, 
-                                            P3: 0, 
-                                            Dmax: parseFloat(m[5]), 
-                                            Dinit: parseFloat(m[6]), 
-                                            Dsurch: parseFloat(m[7]), 
-                                            Aponded: parseFloat(m[8]), 
-                                            Description: curDesc}
-                        } else if (m[3].trim() === 'TABULAR'){
-                            m.push(line.slice(56,73))  // P1, table name
-                            m.push(line.slice(73,84))  // P2, Dmax
-                            m.push(line.slice(84,95))  // P3, Dinit
-                            m.push(line.slice(95,106)) // P4, Dsurch
-                            m.push(line.slice(106,line.length)) // P5, Aponded
-
-                            section[key] = {Invert: parseFloat(m[1]), 
-                                            DivertedLink: m[2].trim(), 
-                                            Type: m[3].trim(), 
-                                            P1: m[4].trim(), 
-                                            P2: 0, 
-                                            P3: 0, 
-                                            Dmax: parseFloat(m[5]), 
-                                            Dinit: parseFloat(m[6]), 
-                                            Dsurch: parseFloat(m[7]), 
-                                            Aponded: parseFloat(m[8]), 
-                                            Description: curDesc}
-                        } else if (m[3].trim() === 'OVERFLOW'){
-                            m.push(line.slice(56,67))  // P1
-                            m.push(line.slice(67,78))  // P2
-                            m.push(line.slice(78,89))  // P3
-                            m.push(line.slice(89,line.length))  // P4
-                            section[key] = {Invert: parseFloat(m[1]), 
-                                            DivertedLink: m[2].trim(), 
-                                            Type: m[3].trim(), 
-                                            P1: 0, 
-                                            P2: 0, 
-                                            P3: 0, 
-                                            Dmax: parseFloat(m[4]), 
-                                            Dinit: parseFloat(m[5]), 
-                                            Dsurch: parseFloat(m[6]), 
-                                            Aponded: parseFloat(m[7]), 
-                                            Description: curDesc}
-                        }
-                }
-
+                var m = values(line),
+                    type = (m[2] || '').toUpperCase(),
+                    n = {OVERFLOW: 0, CUTOFF: 1, TABULAR: 1, WEIR: 3}[type];
+                if (n === undefined || m.length < 3 + n || m.length > 7 + n || 
+                    !numbers([m[0]].concat(m.slice(3 + n))) || 
+                    (type !== 'TABULAR' && !numbers(m.slice(3, 3 + n))))
+                    return false;
+                section[key] = {Invert: parseFloat(m[0]), 
+                                DivertedLink: m[1], 
+                                Type: type, 
+                                P1: type === 'TABULAR' ? m[3] : (n > 0 ? parseFloat(m[3]) : 0), 
+                                P2: n === 3 ? parseFloat(m[4]) : 0, 
+                                P3: n === 3 ? parseFloat(m[5]) : 0, 
+                                Dmax: parseFloat(m[3 + n]) || 0, 
+                                Dinit: parseFloat(m[4 + n]) || 0, 
+                                Dsurch: parseFloat(m[5 + n]) || 0, 
+                                Aponded: parseFloat(m[6 + n]) || 0, 
+                                Description: curDesc};
             },
+            // A FUNCTIONAL storage curve has three coefficients and a TABULAR
+            // one a curve name. Aponded and Fevap come after them, then either
+            // none or all three of the exfiltration parameters.
             STORAGE: function(section, key, line) {
-                var m = [];
-                line = key + line;
-                m.push(line)
-                m.push(line.slice(17,26))  // Invert
-                m.push(line.slice(26,35))  // Dmax
-                m.push(line.slice(35,45))  // Dinit
-                m.push(line.slice(45,56))  // Curve
-
-                if (m && m.length){
-                        if(m[4].trim() === 'FUNCTIONAL'){
-                            m.push(line.slice(56,66))  // P1
-                            m.push(line.slice(66,76))  // P2
-                            m.push(line.slice(76,85))  // P3
-                            m.push(line.slice(85,94))  // P4
-                            m.push(line.slice(94,103))  // P5
-                            m.push(line.slice(103,line.length))  // P6
-
-                            section[key] = {Invert: parseFloat(m[1]), 
-                                            Dmax: parseFloat(m[2]), 
-                                            Dinit: parseFloat(m[3]), 
-                                            Curve: m[4].trim(), 
-                                            Coefficient: parseFloat(m[5]), 
-                                            Exponent: parseFloat(m[6]), 
-                                            Constant: parseFloat(m[7]),
-                                            CurveName: '',
-                                            Aponded: parseFloat(m[8]), 
-                                            Fevap: parseFloat(m[9]), 
-                                            SeepRate: parseFloat(m[10]), 
-                                            Description: curDesc}
-                        } else if (m[4].trim() === 'TABULAR'){
-                            m.push(line.slice(56,85))  // P1
-                            m.push(line.slice(85,94))  // P4
-                            m.push(line.slice(94,103))  // P5
-                            m.push(line.slice(103,line.length))  // P6
-
-                            section[key] = {Invert: parseFloat(m[1]), 
-                                            Dmax: parseFloat(m[2]), 
-                                            Dinit: parseFloat(m[3]), 
-                                            Curve: m[4].trim(),
-                                            Coefficient: 0, 
-                                            Exponent: 0, 
-                                            Constant: 0,
-                                            CurveName: m[5].trim(),
-                                            Aponded: parseFloat(m[6]), 
-                                            Fevap: parseFloat(m[7]), 
-                                            SeepRate: parseFloat(m[8]), 
-                                            Description: curDesc}
-                        }
-                }
-
+                var m = values(line),
+                    shape = (m[3] || '').toUpperCase(),
+                    n = {FUNCTIONAL: 7, TABULAR: 5}[shape];
+                if (n === undefined || [n, n + 1, n + 2, n + 5].indexOf(m.length) < 0 || 
+                    !numbers(m.slice(0, 3).concat(m.slice(n))) || 
+                    (shape === 'FUNCTIONAL' && !numbers(m.slice(4, 7))))
+                    return false;
+                section[key] = {Invert: parseFloat(m[0]), 
+                                Dmax: parseFloat(m[1]), 
+                                Dinit: parseFloat(m[2]), 
+                                Curve: shape, 
+                                Coefficient: shape === 'FUNCTIONAL' ? parseFloat(m[4]) : 0, 
+                                Exponent: shape === 'FUNCTIONAL' ? parseFloat(m[5]) : 0, 
+                                Constant: shape === 'FUNCTIONAL' ? parseFloat(m[6]) : 0,
+                                CurveName: shape === 'TABULAR' ? m[4] : '',
+                                Aponded: parseFloat(m[n]) || 0, 
+                                Fevap: parseFloat(m[n + 1]) || 0, 
+                                SuctionHead: m.length > n + 2 ? parseFloat(m[n + 2]) : '', 
+                                Ksat: m.length > n + 2 ? parseFloat(m[n + 3]) : '', 
+                                IMDmax: m.length > n + 2 ? parseFloat(m[n + 4]) : '', 
+                                Description: curDesc};
             },
             COORDINATES: function(section, key, line) {
-                line = key + line;
-                let m = line.split(/\b\s+/)
-                if (m && m.length)
-                    section[key] = {x: parseFloat(m[1]), y: parseFloat(m[2])};
+                let m = values(line);
+                if (m.length !== 2 || !numbers(m))
+                    return false;
+                section[key] = {x: parseFloat(m[0]), y: parseFloat(m[1])};
             },
             Polygons: function(section, key, line) {
-                line = key + line;
-                m = line.split(/\b\s+/)
+                let m = values(line);
+                if (m.length !== 2 || !numbers(m))
+                    return false;
                 if (!section[key]) 
                     section[key] = [];
-                    
-                if (Object.keys(section[key]).length === 0)
-                    section[key] = [];
-
-                if (m && m.length) {
-                    var coord = {x: parseFloat(m[1]), y: parseFloat(m[2])};
-                    section[key].push(coord);
-                }
+                section[key].push({x: parseFloat(m[0]), y: parseFloat(m[1])});
             },
             LABELS: function(section, key, line) {
                 var m = line.match(/\s+([-?[0-9\.]+)\s+"([^"]+)"/);
                 if (m && m.length && 3 === m.length)
                     section[Object.keys(section).length] = {x: parseFloat(key), y: parseFloat(m[1]), label: m[2]};
+                else return false;
             },
             CONDUITS: function(section, key, line) {
-                var m = line.match(/\s*([^\s;]+)\s+([^\s;]+)\s+([0-9\.]+)\s+([0-9\.]+)\s+([0-9\.]+)\s+([0-9\.]+)\s+([0-9\.]+)\s+([^;]).*/);
-                if (m && m.length && (8 === m.length || 9 === m.length)) {
-                    section[key] = {FromNode: m[1], ToNode: m[2], 
-                    Length: parseFloat(m[3]), Roughness: parseFloat(m[4]),
-                    InOffset: parseFloat(m[5]), OutOffset: parseFloat(m[6]), InitFlow: m[7], MaxFlow: m[8], Description: curDesc};
-                }
+                var m = values(line);
+                if (m.length < 6 || m.length > 8 || !numbers(m.slice(2, 4)) || 
+                    !numbersOrStars(m.slice(4, 6)) || !numbers(m.slice(6)))
+                    return false;
+                section[key] = {FromNode: m[0], ToNode: m[1], 
+                Length: parseFloat(m[2]), Roughness: parseFloat(m[3]),
+                InOffset: numberOrStar(m[4]), OutOffset: numberOrStar(m[5]), InitFlow: m[6] || '0', MaxFlow: m[7] || '0', Description: curDesc};
             },
             SUBCATCHMENTS: function(section, key, line) {
                 return;
             },
             SUBAREAS: function(section, key, line) {
-                var m = [];
-                line = key + line;
-                m.push(line)
-                m.push(line.slice(17,28))
-                m.push(line.slice(28,39))
-                m.push(line.slice(39,50))
-                m.push(line.slice(50,61))
-                m.push(line.slice(61,72))
-                m.push(line.slice(72,83))
-                m.push(line.slice(83, line.length))
-                if (m && m.length)
-                        section[key] = {NImperv: parseFloat(m[1]), 
-                                        NPerv: parseFloat(m[2]), 
-                                        SImperv: parseFloat(m[3]), 
-                                        SPerv: parseFloat(m[4]), 
-                                        PctZero: parseFloat(m[5]), 
-                                        RouteTo: m[6].trim(), 
-                                        PctRouted: m[7].trim()};
+                var m = values(line);
+                if (m.length < 6 || m.length > 7 || !numbers(m.slice(0, 5)) || !numbers(m.slice(6)))
+                    return false;
+                section[key] = {NImperv: parseFloat(m[0]), 
+                                NPerv: parseFloat(m[1]), 
+                                SImperv: parseFloat(m[2]), 
+                                SPerv: parseFloat(m[3]), 
+                                PctZero: parseFloat(m[4]), 
+                                RouteTo: m[5], 
+                                PctRouted: m[6] || ''};
             },
             PUMPS: function(section, key, line) {
-                //var m = line.match(/\s*([^\s;]+)\s+([^\s;]+)\s+([^\s;]+)\s+([^\s;]+).*/);
-                var m = [];
-                line = key + line;
-                m.push(line)
-                m.push(line.slice(17,34))
-                m.push(line.slice(34,51))
-                m.push(line.slice(51,68))
-                m.push(line.slice(68,77))
-                m.push(line.slice(77,86))
-                m.push(line.slice(86, line.length))
-                if (m && m.length)
-                        section[key] = {Node1: parseFloat(m[1]), 
-                                        Node2: parseFloat(m[2]), 
-                                        Curve: m[3].trim(), 
-                                        Status: m[4].trim(), 
-                                        Dstart: parseFloat(m[5]), 
-                                        Doff: parseFloat(m[6]),
-                                        Description: curDesc
-                }
+                var m = values(line);
+                if (m.length < 3 || m.length > 6 || !numbers(m.slice(4)))
+                    return false;
+                section[key] = {Node1: m[0], 
+                                Node2: m[1], 
+                                Curve: m[2], 
+                                Status: m[3] || 'ON', 
+                                Dstart: parseFloat(m[4]) || 0, 
+                                Doff: parseFloat(m[5]) || 0,
+                                Description: curDesc};
             },
             /*
             [ORIFICES]
@@ -3620,26 +3629,18 @@ d3.inp = function() {
             3                9                19               SIDE         3          0.65       NO       4         
             */
             ORIFICES: function(section, key, line) {
-                var m = [];
-                line = key + line;
-                m.push(line)
-                m.push(line.slice(17,34))
-                m.push(line.slice(34,51))
-                m.push(line.slice(51,64))
-                m.push(line.slice(64,75))
-                m.push(line.slice(75,86))
-                m.push(line.slice(86,95))
-                m.push(line.slice(95, line.length))
-                if (m && m.length)
-                        section[key] = {FromNode: parseFloat(m[1]), 
-                                        ToNode: parseFloat(m[2]), 
-                                        Type: m[3].trim(), 
-                                        InletOffset: parseFloat(m[4]), 
-                                        Qcoeff: parseFloat(m[5]), 
-                                        Gated: m[6].trim(),
-                                        CloseTime: parseFloat(m[7]),
-                                        Description: curDesc
-                }
+                var m = values(line);
+                if (m.length < 5 || m.length > 7 || !numbersOrStars([m[3]]) || 
+                    !numbers([m[4]]) || !numbers(m.slice(6)))
+                    return false;
+                section[key] = {FromNode: m[0], 
+                                ToNode: m[1], 
+                                Type: m[2].toUpperCase(), 
+                                InletOffset: numberOrStar(m[3]), 
+                                Qcoeff: parseFloat(m[4]), 
+                                Gated: m[5] || 'NO',
+                                CloseTime: parseFloat(m[6]) || 0,
+                                Description: curDesc};
             },
             /*
             [WEIRS]
@@ -3647,29 +3648,26 @@ d3.inp = function() {
             ;;-------------- ---------------- ---------------- ------------ ---------- ---------- -------- -------- ----------
             9                20               24               SIDEFLOW     4          3.33       YES      1        6         
             */
+            // The values after EndCoeff are optional: surcharge, road width,
+            // road surface and the discharge coefficient curve.
             WEIRS: function(section, key, line) {
-                var m = [];
-                line = key + line;
-                m.push(line)
-                m.push(line.slice(17,34))
-                m.push(line.slice(34,51))
-                m.push(line.slice(51,64))
-                m.push(line.slice(64,75))
-                m.push(line.slice(75,86))
-                m.push(line.slice(86,95))
-                m.push(line.slice(95,104))
-                m.push(line.slice(104, line.length))
-                if (m && m.length)
-                        section[key] = {FromNode: parseFloat(m[1]), 
-                                        ToNode: parseFloat(m[2]), 
-                                        Type: m[3].trim(), 
-                                        InletOffset: parseFloat(m[4]), 
-                                        Qcoeff: parseFloat(m[5]), 
-                                        Gated: m[6].trim(),
-                                        EndCon: parseFloat(m[7]),
-                                        EndCoeff: parseFloat(m[8]),
-                                        Description: curDesc
-                }
+                var m = values(line);
+                if (m.length < 5 || m.length > 12 || !numbersOrStars([m[3]]) || 
+                    !numbers([m[4]]) || !numbersOrStars(m.slice(6, 8)))
+                    return false;
+                section[key] = {FromNode: m[0], 
+                                ToNode: m[1], 
+                                Type: m[2].toUpperCase(), 
+                                InletOffset: numberOrStar(m[3]), 
+                                Qcoeff: parseFloat(m[4]), 
+                                Gated: m[5] || 'NO',
+                                EndCon: m[6] ? numberOrStar(m[6]) : 0,
+                                EndCoeff: m[7] ? numberOrStar(m[7]) : 0,
+                                Surcharge: m[8] || '',
+                                RoadWidth: m[9] || '',
+                                RoadSurface: m[10] || '',
+                                CdCurve: m[11] || '',
+                                Description: curDesc};
             },
 
             /*
@@ -3678,154 +3676,119 @@ d3.inp = function() {
             ;;-------------- ---------------- ---------------- ---------- --------------- ---------------- ---------- --------
             17               21               16               1          TABULAR/DEPTH   curve22                     YES     
             */
+            // A TABULAR outlet has a curve where a FUNCTIONAL one has its
+            // coefficient and exponent.
             OUTLETS: function(section, key, line) {
-                var m = [];
-                line = key + line;
-                m.push(line)
-                m.push(line.slice(17,34))
-                m.push(line.slice(34,51))
-                m.push(line.slice(51,62))
-                m.push(line.slice(62,78))
-                m.push(line.slice(78,95))
-                m.push(line.slice(95,106))
-                m.push(line.slice(106, line.length))
-                if (m && m.length){
-                        let outletTableName = '*';
-                        let outletCoeff = 0;
-                        if(m[4].trim() === 'TABULAR/HEAD' || m[4].trim() === 'TABULAR/DEPTH'){
-                            outletTableName = m[5].trim();
-                        } else {
-                            outletCoeff = parseFloat(m[5]);
-                        }
-                        section[key] = {FromNode: parseFloat(m[1]), 
-                                        ToNode: parseFloat(m[2]), 
-                                        InletOffset: parseFloat(m[3]), 
-                                        Type: m[4].trim(),
-                                        Qcoeff: outletCoeff, 
-                                        QTable: outletTableName,
-                                        Qexpon: parseFloat(m[6]),
-                                        Gated: m[7].trim(),
-                                        Description: curDesc
-                        }
-                }
+                var m = values(line),
+                    type = (m[3] || '').toUpperCase(),
+                    tabular = type.startsWith('TABULAR'),
+                    n = tabular ? 5 : 6;
+                if (!/^(TABULAR|FUNCTIONAL)\/(DEPTH|HEAD)$/.test(type) || m.length < n || m.length > n + 1 || 
+                    !numbersOrStars([m[2]]) || (!tabular && !numbers(m.slice(4, 6))))
+                    return false;
+                section[key] = {FromNode: m[0], 
+                                ToNode: m[1], 
+                                InletOffset: numberOrStar(m[2]), 
+                                Type: type,
+                                Qcoeff: tabular ? 0 : parseFloat(m[4]), 
+                                QTable: tabular ? m[4] : '*',
+                                Qexpon: tabular ? '' : parseFloat(m[5]),
+                                Gated: m[n] || 'NO',
+                                Description: curDesc};
             },
+            // Values are kept in the order the engine reads them, so a CUSTOM
+            // shape's curve is Geom2 and an IRREGULAR or STREET shape's
+            // transect or street is Geom1. Barrels and Culvert (the culvert
+            // code) are optional and are '' when not given.
             XSECTIONS: function(section, key, line) {
-                var m = line.match(/\s*([^\s;]+)\s+([^\s;]+)\s+([0-9\.]+)\s+([^\s;]+)\s+([^\s;]+)\s+([0-9\.]+).*/);
-                if (m && m.length && 7 === m.length) {
-                    section[key] = {Shape: m[1], Geom1: m[2], Geom2: m[3], Geom3: m[4], Geom4: m[5], Barrels: m[6]};
-                }
+                var m = line.trim().split(/\s+/).filter(s => s.length > 0);
+                if (m.length < 2) return false;
+                section[key] = {Shape: m[0], 
+                                Geom1: m[1], 
+                                Geom2: m[2] || '0', 
+                                Geom3: m[3] || '0', 
+                                Geom4: m[4] || '0', 
+                                Barrels: m[5] || '', 
+                                Culvert: m[6] || ''};
             },
             POLLUTANTS: function(section, key, line) {
-                var m = [];
-                line = key + line;
-                m.push(line)
-                m.push(line.slice(17,24))
-                m.push(line.slice(24,35))
-                m.push(line.slice(35,46))
-                m.push(line.slice(46,57))
-                m.push(line.slice(57,68))
-                m.push(line.slice(68,79))
-                m.push(line.slice(79,96))
-                m.push(line.slice(96,107))
-                m.push(line.slice(107,118))
-                m.push(line.slice(118,line.length))
-                if (m && m.length)
-                        section[key] = {Units: m[1].trim(), 
-                                        Cppt: parseFloat(m[2]), 
-                                        Cgw: parseFloat(m[3]), 
-                                        Crdii: parseFloat(m[4]), 
-                                        Kdecay: parseFloat(m[5]), 
-                                        SnowOnly: m[6].trim(), 
-                                        CoPollutant: m[7].trim(), 
-                                        CoFrac: parseFloat(m[8]), 
-                                        Cdwf: parseFloat(m[9]),  
-                                        Cinit: parseFloat(m[10])};
+                var m = values(line);
+                if (m.length < 5 || m.length > 10 || !numbers(m.slice(1, 5)) || !numbers(m.slice(7)))
+                    return false;
+                section[key] = {Units: m[0], 
+                                Cppt: parseFloat(m[1]), 
+                                Cgw: parseFloat(m[2]), 
+                                Crdii: parseFloat(m[3]), 
+                                Kdecay: parseFloat(m[4]), 
+                                SnowOnly: m[5] || 'NO', 
+                                CoPollutant: m[6] || '*', 
+                                CoFrac: parseFloat(m[7]) || 0, 
+                                Cdwf: parseFloat(m[8]) || 0,  
+                                Cinit: parseFloat(m[9]) || 0};
             },
             LANDUSES: function(section, key, line) {
-                var m = [];
-                line = key + line;
-                m.push(line)
-                m.push(line.slice(17,28))
-                m.push(line.slice(28,39))
-                m.push(line.slice(39,line.length))
-                if (m && m.length)
-                        section[key] = {Interval: m[1].trim(), Available: m[2].trim(), Cleaned: m[3].trim()};
+                var m = values(line);
+                if (m.length > 3)
+                    return false;
+                section[key] = {Interval: m[0] || '0', Available: m[1] || '0', Cleaned: m[2] || '0'};
             },
+            // The model holds one land use for each subcatchment. Other land
+            // uses are kept as they are written.
             COVERAGES: function(section, key, line) {
-                var m = [];
-                line = key + line;
-                m.push(line)
-                m.push(line.slice(17,34))
-                m.push(line.slice(34,line.length))
-                if (m && m.length)
-                        section[key] = {LandUse: m[1].trim(), Percent: parseFloat(m[2])};
+                var m = values(line);
+                if (m.length !== 2 || !numbers([m[1]]) || section[key])
+                    return false;
+                section[key] = {LandUse: m[0], Percent: parseFloat(m[1])};
             },
+            // The model holds one initial loading for each subcatchment. Other
+            // loadings are kept as they are written.
             LOADINGS: function(section, key, line) {
-                var m = [];
-                line = key + line;
-                m.push(line)
-                m.push(line.slice(17,34))
-                m.push(line.slice(34,line.length))
-                if (m && m.length)
-                        section[key] = {Pollutant: m[1].trim(), InitLoad: parseFloat(m[2])};
+                var m = values(line);
+                if (m.length !== 2 || !numbers([m[1]]) || section[key])
+                    return false;
+                section[key] = {Pollutant: m[0], InitLoad: parseFloat(m[1])};
             },
             BUILDUP: function(section, key, line) {
-                var m = [];
-                line = key + line;
-                m.push(line)
-                m.push(line.slice(0, 17))
-                m.push(line.slice(17,34))
-                m.push(line.slice(34,45))
-                m.push(line.slice(45,56))
-                m.push(line.slice(56,67))
-                m.push(line.slice(67,78))
-                m.push(line.slice(78,line.length))
-                if (m && m.length)
-                        section[Object.keys(section).length] = {
-                                        LandUse: m[1].trim(), 
-                                        Pollutant: m[2].trim(), 
-                                        Function: m[3].trim(),
-                                        Coeff1: parseFloat(m[4]) || 0,
-                                        Coeff2: parseFloat(m[5]) || 0,
-                                        Coeff3: parseFloat(m[6]) || 0,
-                                        Normalizer: m[7].trim()};
+                var m = values(line);
+                if (m.length !== 6 || !numbers(m.slice(2, 5)))
+                    return false;
+                section[Object.keys(section).length] = {
+                                LandUse: key, 
+                                Pollutant: m[0], 
+                                Function: m[1].toUpperCase(),
+                                Coeff1: parseFloat(m[2]),
+                                Coeff2: parseFloat(m[3]),
+                                Coeff3: parseFloat(m[4]),
+                                Normalizer: m[5].toUpperCase()};
             },  
             WASHOFF: function(section, key, line) {
-                var m = [];
-                line = key + line;
-                m.push(line)
-                m.push(line.slice(0, 17))
-                m.push(line.slice(17,34))
-                m.push(line.slice(34,45))
-                m.push(line.slice(45,56))
-                m.push(line.slice(56,67))
-                m.push(line.slice(67,78))
-                m.push(line.slice(78,line.length))
-                if (m && m.length)
-                        section[Object.keys(section).length] = {
-                                        LandUse: m[1].trim(), 
-                                        Pollutant: m[2].trim(), 
-                                        Function: m[3].trim(),
-                                        Coeff1: parseFloat(m[4]) || 0,
-                                        Coeff2: parseFloat(m[5]) || 0,
-                                        Ecleaning: parseFloat(m[6]) || 0,
-                                        Ebmp: m[7].trim()};
+                var m = values(line);
+                if (m.length !== 6 || !numbers(m.slice(2)))
+                    return false;
+                section[Object.keys(section).length] = {
+                                LandUse: key, 
+                                Pollutant: m[0], 
+                                Function: m[1].toUpperCase(),
+                                Coeff1: parseFloat(m[2]),
+                                Coeff2: parseFloat(m[3]),
+                                Ecleaning: parseFloat(m[4]),
+                                Ebmp: m[5]};
             },  
+            // An inflow's time series may be "" (none). The type, conversion
+            // factor, scale factor, baseline and baseline pattern are optional.
             INFLOWS: function(section, key, line) {
-                var m = [];
-                line = key + line;
-                m.push(line)
-                m.push(line.slice(17,34))
-                m.push(line.slice(34,51))
-                m.push(line.slice(51,59))
-                m.push(line.slice(59,line.length))
-                if (m && m.length)
-                        section[Object.keys(section).length] = {
-                                        Node: key.trim(),
-                                        Parameter: m[1].trim(), 
-                                        TimeSeries: m[2].trim(),
-                                        ConcenMass: m[3].trim(),
-                                        Factor: parseFloat(m[4]) || ""};
+                var m = values(line);
+                if (m.length < 2 || m.length > 7 || !numbers(m.slice(3, 6)))
+                    return false;
+                section[Object.keys(section).length] = {
+                                Node: key,
+                                Parameter: m[0], 
+                                TimeSeries: m[1],
+                                ConcenMass: m[2] || (m[0].toUpperCase() === 'FLOW' ? 'FLOW' : 'CONCEN'),
+                                Factor: m[3] ? parseFloat(m[3]) : 1.0,
+                                ScaleFactor: m[4] ? parseFloat(m[4]) : 1.0,
+                                Baseline: m[5] ? parseFloat(m[5]) : 0,
+                                Pattern: m[6] || ''};
             },    
             /*
 [INFLOWS]
@@ -3835,38 +3798,109 @@ d3.inp = function() {
             TIMESERIES: function(section, key, line) {
                 return;
             },  
+            CURVES: function(section, key, line, desc) {
+                var m = line.trim().split(/\s+/).filter(s => s.length > 0),
+                    type = '';
+                // The first line of a curve gives its type before its points.
+                if (m.length && isNaN(parseFloat(m[0])))
+                    type = m.shift().toUpperCase();
+                if (m.length % 2 || !numbers(m))
+                    return false;
+                if (!section[key])
+                    section[key] = {Type: type, Description: desc, Points: []};
+                else if (type)
+                    section[key].Type = type;
+                for (var i = 0; i + 1 < m.length; i += 2)
+                    section[key].Points.push({x: parseFloat(m[i]), y: parseFloat(m[i+1])});
+            },
+            PATTERNS: function(section, key, line, desc) {
+                var m = line.trim().split(/\s+/).filter(s => s.length > 0),
+                    type = '';
+                // The first line of a pattern gives its type before its multipliers.
+                if (m.length && isNaN(parseFloat(m[0])))
+                    type = m.shift().toUpperCase();
+                if (!numbers(m))
+                    return false;
+                if (!section[key])
+                    section[key] = {Type: type, Description: desc, Factors: []};
+                else if (type)
+                    section[key].Type = type;
+                m.forEach(f => section[key].Factors.push(parseFloat(f)));
+            },
+            DWF: function(section, key, line, desc) {
+                // Pattern names may be quoted, and "" is an unused pattern.
+                var m = values(line);
+                if (m.length < 2 || m.length > 6 || !numbers([m[1]]))
+                    return false;
+                section[Object.keys(section).length] = {
+                                Node: key,
+                                Constituent: m[0] || 'FLOW',
+                                Baseline: parseFloat(m[1]) || 0,
+                                Patterns: [m[2] || '', m[3] || '', m[4] || '', m[5] || ''],
+                                Description: desc};
+            },
+            LID_CONTROLS: function(section, key, line, desc) {
+                var m = line.trim().split(/\s+/).filter(s => s.length > 0);
+                if (!section[key])
+                    section[key] = {Type: '', Description: desc, Layers: {}};
+                if (!m.length) return;
+                // A control's first line gives its type, the others a layer's parameters.
+                if (m.length === 1)
+                    section[key].Type = m[0].toUpperCase();
+                else if (m[0].toUpperCase() === 'REMOVALS' && section[key].Layers.REMOVALS)
+                    section[key].Layers.REMOVALS = section[key].Layers.REMOVALS.concat(m.slice(1));
+                else
+                    section[key].Layers[m[0].toUpperCase()] = m.slice(1);
+            },
+            LID_USAGE: function(section, key, line, desc) {
+                // The report file name may be quoted.
+                var m = values(line);
+                if (m.length < 7 || m.length > 10 || !numbers(m.slice(1, 7)))
+                    return false;
+                section[Object.keys(section).length] = {
+                                Subcatchment: key,
+                                LID: m[0] || '',
+                                Number: parseInt(m[1]) || 0,
+                                Area: parseFloat(m[2]) || 0,
+                                Width: parseFloat(m[3]) || 0,
+                                InitSat: parseFloat(m[4]) || 0,
+                                FromImp: parseFloat(m[5]) || 0,
+                                ToPerv: parseInt(m[6]) || 0,
+                                RptFile: m[7] || '*',
+                                DrainTo: m[8] || '*',
+                                FromPerv: parseFloat(m[9]) || 0,
+                                Description: desc};
+            },
             VERTICES: function(section, key, line) {
-                line = key + line;
-                let m = line.split(/\b\s+/)
-                v = section[key] || [],
-                c = {};
-                if (m && m.length) {
-                    c.x = parseFloat(m[1]);
-                    c.y = parseFloat(m[2]);
-                }
-                v[v.length] = c;
-                section[key] = v;
+                let m = values(line);
+                if (m.length !== 2 || !numbers(m))
+                    return false;
+                if (!section[key])
+                    section[key] = [];
+                section[key].push({x: parseFloat(m[0]), y: parseFloat(m[1])});
             },
             REPORT: function(section, key, line) {
-                var m = line.match(/\s+([//\-:a-zA-Z0-9\.]+)/);
-                if (m && m.length)
-                    section[key] = {Value: m[1]};
+                var value = line.trim();
+                // SUBCATCHMENTS, NODES and LINKS can be listed over several lines.
+                if (section[key] && ['SUBCATCHMENTS', 'NODES', 'LINKS'].includes(key.toUpperCase()))
+                    value = section[key].Value + ' ' + value;
+                section[key] = {Value: value};
+            },
+            MAP: function(section, key, line) {
+                section[key] = {Value: line.trim()};
             },
             TAGS: function(section, key, line) {
-                line = key + line;
-                let m = line.split(/\b\s+/)
-                if (m && m.length)
-                section.push({
-                                Type: m[0].trim(), 
-                                ID: m[1].trim(), 
-                                Tag: m[2].trim()});
+                let m = values(line);
+                if (m.length !== 2)
+                    return false;
+                section.push({Type: key, ID: m[0], Tag: m[1]});
             },
             SYMBOLS: function(section, key, line) {
-                line = key + line;
-                let m = line.split(/\b\s+/)
-                if (m && m.length)
-                        section[key] = {XCoord: parseFloat(m[1]), 
-                                        YCoord: parseFloat(m[2])};
+                let m = values(line);
+                if (m.length !== 2 || !numbers(m))
+                    return false;
+                section[key] = {XCoord: parseFloat(m[0]), 
+                                YCoord: parseFloat(m[1])};
             },  
             TIMES: function(section, key, line) { // to do: check
                 var m = line.match(/(CLOCKTIME|START|TIMESTEP)\s+([^\s].*[^\s])\s*/i);
@@ -3883,7 +3917,8 @@ d3.inp = function() {
                     EVAPORATION: [], SUBCATCHMENTS: [], SUBAREAS: [], CONDUITS: [], XSECTIONS: [], LOSSES: [],  PUMPS: [], ORIFICES: [], WEIRS: [], OUTLETS: [], 
                     TRANSECTS: [], CONTROLS: [], COORDINATES: [], Polygons: [], LABELS: [], SYMBOLS: [],
                     JUNCTIONS: [], STORAGE: [], OUTFALLS: [], DIVIDERS: [], RAINGAGES: [], TIMESERIES: [], TAGS: [],
-                    INFLOWS: [], TIMEPATTERNS: [], ADJUSTMENTS: [],
+                    INFLOWS: [], TIMEPATTERNS: [], ADJUSTMENTS: [], CURVES: [], PATTERNS: [], DWF: [],
+                    LID_CONTROLS: [], LID_USAGE: [],
 
                     // Loose model variables. Can refer to interface or input file.
                     Fclimate, Snow, Temp, Tseries: [], Wind,
@@ -3995,7 +4030,7 @@ d3.inp = function() {
         })
         
         //  [TEMPERATURE]
-        model.Temp.datasource = JX.Temp.dataSource;  
+        model.Temp.dataSource = JX.Temp.dataSource;  
         model.Temp.tSeries = JX.Temp.tSeries;
         //model.Tseries[model.Temp.tSeries].refersTo = TSERIES_TEMP;
         model.Fclimate.mode = JX.Fclimate.mode;
@@ -4057,11 +4092,25 @@ d3.inp = function() {
         // wasm swmm-js translations
         //////////////////////////////////////////////////////////
 
+        // Keep the text of every section so that the sections the model
+        // doesn't hold can be saved unchanged (see inp.addRawSections).
+        model.rawSections = inp.splitSections(lines);
+
+        // Comments after a section's first line of data and lines its parser
+        // can't read are kept as the section's extra lines, so that they are
+        // saved with the section when it is written from the model.
+        let headings = true;
+        let keepLine = function(line) {
+            let raw = model.rawSections[section.toUpperCase()];
+            if (raw) raw.extra.push(line);
+        };
+
         let curDesc = '';
         lines.forEach(function(line) {
             // If the entry is a comment, then attempt to assign it as the description for the current
             // object, or return nothing.
             if (regex.comment.test(line)) {
+                if (!headings) keepLine(line);
                 curDesc = '';
                 return;
             }
@@ -4071,15 +4120,24 @@ d3.inp = function() {
 
             } else if (regex.section.test(line)) {
                 var s = line.match(regex.section);
+                // Section names are not case sensitive, e.g. [POLYGONS] is read into model['Polygons'].
+                s[1] = s[1].trim();
+                s[1] = Object.keys(model).find(k => k.toUpperCase() === s[1].toUpperCase()) || s[1];
                 // If the section has not yet been created, create one.
                 if ('undefined' === typeof model[s[1]])
                     //model[s[1]] = {};
                     model[s[1]] = [];
                 section = s[1];
+                headings = true;
             } else if (regex.value.test(line)) {
                 var v = line.match(regex.value);
-                if (parser[section])
-                    parser[section](model[section], v[1], v[2], curDesc);
+                headings = false;
+                if (parser[section]) {
+                    if (parser[section](model[section], v[1], v[2], curDesc) === false) {
+                        if (curDesc) keepLine(';' + curDesc);
+                        keepLine(line);
+                    }
+                }
                 else
                     model[section][v[1]] = v[2];
                 curDesc = '';
@@ -4095,6 +4153,85 @@ d3.inp = function() {
 	    return model;
     };
 
+    // Splits the lines of an input file by section. Returns an object keyed
+    // by the upper case section name. Each entry holds the section's name as
+    // written in the file and its lines, comments and blank lines included,
+    // without trailing blank lines. Comment lines before the first section
+    // are kept under ''. The extra array is filled by inp.parse (see
+    // inp.addRawSections).
+    inp.splitSections = function(lines) {
+        var sections = {'': {name: '', lines: [], extra: []}},
+            current = sections[''];
+
+        lines.forEach(function(line) {
+            var m = line.match(/^\s*\[\s*([^\]]*?)\s*\]/);
+            if (m) {
+                // A section may be split over several parts of the file.
+                if (!sections[m[1].toUpperCase()])
+                    sections[m[1].toUpperCase()] = {name: m[1], lines: [], extra: []};
+                current = sections[m[1].toUpperCase()];
+            } else {
+                current.lines.push(line);
+            }
+        });
+        for (var key in sections) {
+            var l = sections[key].lines;
+            while (l.length && l[l.length - 1].trim() === '')
+                l.pop();
+        }
+        return sections;
+    };
+
+    // Adds the sections of model.rawSections that are not in inpString (the
+    // sections written from the model's data) to inpString, as they were read.
+    // The extra lines of a written section (comments and lines the model
+    // doesn't hold) are put at the end of that section. Comments from the
+    // top of the original file are put back at the top.
+    inp.addRawSections = function(model, inpString) {
+        var written = {},
+            head = '',
+            tail = '',
+            out = [],
+            current = '',
+            m;
+
+        // Adds the current section's extra lines ahead of its trailing
+        // blank lines.
+        var addExtra = function() {
+            var section = model.rawSections[current],
+                blank = [];
+            if (!section || !section.extra || !section.extra.length) return;
+            while (out.length && out[out.length - 1].trim() === '')
+                blank.unshift(out.pop());
+            out = out.concat(section.extra, blank);
+        };
+
+        if (!model.rawSections) return inpString;
+        inpString.split('\n').forEach(function(line) {
+            m = line.match(/^\[([^\]]*)\]/);
+            if (m) {
+                addExtra();
+                current = m[1].trim().toUpperCase();
+                written[current] = true;
+            }
+            out.push(line);
+        });
+        addExtra();
+        inpString = out.join('\n');
+
+        for (var key in model.rawSections) {
+            var section = model.rawSections[key];
+            if (key === '') {
+                if (section.lines.length) head = section.lines.join('\n') + '\n\n';
+            } else if (!written[key]) {
+                tail += '[' + section.name + ']\n';
+                if (section.lines.length) tail += section.lines.join('\n') + '\n';
+                tail += '\n';
+            }
+        }
+        return head + inpString + tail;
+    };
+
     return inp;
 };
 
@@ -4168,12 +4305,12 @@ d3.swmmresult = function() {
             4: 'LPS',
             5: 'LPD'
     };    
-    swmmresult.i4 = Module._malloc(4);
-    swmmresult.string = Module._malloc(255);
-
     swmmresult.parse = function(filename, size) {
         console.log('Parsing swmm results...')
-	    var c = (FS.findObject(filename) ? FS.findObject(filename).contents : (typeof filename === "object"? filename : undefined)),
+        // filename may be a path in the emscripten file system or the binary
+        // contents themselves (e.g. the ArrayBuffer left in Fout.contents by swmm_run).
+	    var c = (typeof filename === "object" ? filename :
+                    (typeof FS !== "undefined" && FS.findObject(filename) ? FS.findObject(filename).contents : undefined)),
 		r = {},
 		er = swmmresult;
         
@@ -4201,12 +4338,10 @@ d3.swmmresult = function() {
             offset, offset0;
             
         var stat = null;
-        try {
-            if (c)
-                stat = FS.stat(filename);
-        } catch (e) {
-            stat = size || "undefined";
-            console.log(e);
+        if (c) {
+            if (!(c instanceof Uint8Array))
+                c = new Uint8Array(c);
+            stat = size || c.byteLength;
         }
         
         if (stat) {
@@ -4245,8 +4380,9 @@ d3.swmmresult = function() {
             this.SysVars = er.readInt(c, offset + (this.SubcatchVars*RECORDSIZE) + (this.NodeVars*RECORDSIZE) + (this.LinkVars*RECORDSIZE), RECORDSIZE);
             
             offset = this.StartPos - 3*RECORDSIZE;
-            var days = (er.readInt(c, offset, 2*RECORDSIZE)+1);
-            this.SWMM_StartDate = new Date('12/31/1899');
+            // SWMM dates count days from 12/30/1899
+            var days = Math.floor(er.readDouble(c, offset, 2*RECORDSIZE));
+            this.SWMM_StartDate = new Date('12/30/1899');
             this.SWMM_StartDate = new Date(this.SWMM_StartDate.setDate(this.SWMM_StartDate.getDate() + days));
             this.SWMM_ReportStep = er.readInt(c, offset + 2*RECORDSIZE, RECORDSIZE);
             
@@ -4267,7 +4403,7 @@ d3.swmmresult = function() {
             var subcatch = {}, node = {}, link = {}, pollut = {};
             for (var i =0; i< this.SWMM_Nsubcatch; i++) {
                 var no = er.readInt(c, nr, RECORDSIZE);
-                subcatch[i] = [ Module.intArrayToString(Array.prototype.slice.call(c,nr, nr + no + RECORDSIZE)).replace(/[^a-z0-9_\.]/gi, '') ];
+                subcatch[i] = [ er.readString(c, nr + RECORDSIZE, no) ];
                 nr = nr + no + RECORDSIZE;
             }
             variables['SUBCATCH'] = {};
@@ -4275,7 +4411,7 @@ d3.swmmresult = function() {
             
             for (var i =0; i< this.SWMM_Nnodes; i++) {
                 var no = er.readInt(c, nr, RECORDSIZE);
-                node[i] = [ Module.intArrayToString(Array.prototype.slice.call(c,nr, nr + no + RECORDSIZE)).replace(/[^a-z0-9_\.]/gi, '') ];
+                node[i] = [ er.readString(c, nr + RECORDSIZE, no) ];
                 nr = nr + no + RECORDSIZE;
             }
             variables['NODE'] = {};
@@ -4283,7 +4419,7 @@ d3.swmmresult = function() {
             
             for (var i =0; i< this.SWMM_Nlinks; i++) {
                 var no = er.readInt(c, nr, RECORDSIZE);
-                link[i] = [ Module.intArrayToString(Array.prototype.slice.call(c,nr, nr + no + RECORDSIZE)).replace(/[^a-z0-9_\.]/gi, '') ];
+                link[i] = [ er.readString(c, nr + RECORDSIZE, no) ];
                 nr = nr + no + RECORDSIZE;
             }
             variables['LINK'] = {};
@@ -4291,7 +4427,7 @@ d3.swmmresult = function() {
             
             for (var i =0; i< this.SWMM_Npolluts; i++) {
                 var no = er.readInt(c, nr, RECORDSIZE);
-                pollut[i] = Module.intArrayToString(Array.prototype.slice.call(c,nr, nr + no + RECORDSIZE)).replace(/[^a-z0-9_\.]/gi, '');
+                pollut[i] = er.readString(c, nr + RECORDSIZE, no);
                 nr = nr + no + RECORDSIZE;
             }
             variables['POLLUT'] = {};
@@ -4479,23 +4615,258 @@ d3.swmmresult = function() {
         return offset1 + RECORDSIZE * offset2;
     };
     
+    // Binary output files are little-endian (INT4, REAL4 and REAL8 records).
     swmmresult.readInt = function(content, offset, recordsize) {
-        Module.HEAP8.set(new Int8Array(content.slice(offset, offset + recordsize)), swmmresult.i4);
-        return Module.getValue(swmmresult.i4, 'i32');
+        return new DataView(content.buffer, content.byteOffset + offset, recordsize).getInt32(0, true);
     };
 
     swmmresult.readFloat = function(content, offset, recordsize) {
-        Module.HEAP8.set(new Int8Array(content.slice(offset, offset + recordsize)), swmmresult.i4);
-        return Module.getValue(swmmresult.i4, 'float');
+        return new DataView(content.buffer, content.byteOffset + offset, recordsize).getFloat32(0, true);
+    };
+
+    swmmresult.readDouble = function(content, offset, recordsize) {
+        return new DataView(content.buffer, content.byteOffset + offset, recordsize).getFloat64(0, true);
+    };
+
+    swmmresult.readString = function(content, offset, length) {
+        return String.fromCharCode.apply(null, content.subarray(offset, offset + length));
     };
 
     return swmmresult;
 };
 
-var margin = {top: 1, right: 1, bottom: 6, left: 1},
-    width = 300 - margin.left - margin.right,
-    height = 500 - margin.top - margin.bottom;
-
+// Random access reader for SWMM binary result files.
+// Only the header and the object ID tables are decoded when the reader is
+// opened; results are read from the file's DataView as they are requested,
+// so long continuous simulations do not have to be parsed in full.
+//   contents: ArrayBuffer or Uint8Array holding the file (e.g. Fout.contents),
+//             or the path of a file in the emscripten file system.
+//   Periods are numbered 1 to Nperiods, as in d3.swmmresult().parse().
+d3.swmmreader = function(contents) {
+    const SUBCATCH = 0,
+        NODE     = 1,
+        LINK     = 2,
+        SYS      = 3,
+        RECORDSIZE = 4,                       // number of bytes per file record
+        MAGICNUMBER = 516114522;
+
+    var reader = {
+        error: 1,                   // 0 once a valid file has been opened
+        Nperiods: 0,                // number of reporting periods
+        FlowUnits: 0,               // flow units code
+        Nobjects: [0, 0, 0],        // number of subcatchments, nodes & links
+        Npolluts: 0,                // number of pollutants tracked
+        Nvars: [0, 0, 0, 0],        // number of subcatch, node, link & system variables
+        StartDate: null,            // start date of simulation (Date)
+        ReportStep: 0,              // reporting time step (seconds)
+        IDs: [[], [], []],          // subcatch, node & link IDs in file order
+        PollutIDs: [],              // pollutant IDs
+        VARCODE: d3.swmmresult().VARCODE
+    };
+
+    var view = null,
+        index = [{}, {}, {}],       // object ID -> position in file order
+        StartPos = 0,               // file position where results start
+        BytesPerPeriod = 0;         // bytes used for results in each period
+
+    function readInt(offset)   { return view.getInt32(offset, true); }
+    function readFloat(offset) { return view.getFloat32(offset, true); }
+    function readDouble(offset) { return view.getFloat64(offset, true); }
+
+    function readIDs(offset, n, ids) {
+        for (let i = 0; i < n; i++) {
+            let len = readInt(offset);
+            let bytes = new Uint8Array(view.buffer, view.byteOffset + offset + RECORDSIZE, len);
+            ids.push(String.fromCharCode.apply(null, bytes));
+            offset += RECORDSIZE + len;
+        }
+        return offset;
+    }
+
+    // SWMM dates count days from 12/30/1899 (local time)
+    function toDate(days) {
+        let d = Math.floor(days);
+        return new Date(1899, 11, 30 + d, 0, 0, Math.round((days - d) * 86400));
+    }
+
+    // Accepts 'SUBCATCH', 'NODE', 'LINK' or their numeric codes.
+    function typeCode(objectType) {
+        if ( typeof objectType === 'number' ) return objectType;
+        return {SUBCATCH: SUBCATCH, NODE: NODE, LINK: LINK, SYS: SYS}[objectType];
+    }
+
+    // Accepts an object ID or its position in file order.
+    function objectIndex(type, id) {
+        if ( typeof id === 'number' ) return id;
+        return index[type][id];
+    }
+
+    // Byte offset of a result value (variable v of object i) in period p.
+    function resultPos(type, i, v, p) {
+        let k;
+        if ( type === SUBCATCH ) k = 0;
+        else if ( type === NODE ) k = reader.Nobjects[SUBCATCH] * reader.Nvars[SUBCATCH];
+        else if ( type === LINK ) k = reader.Nobjects[SUBCATCH] * reader.Nvars[SUBCATCH] +
+                                      reader.Nobjects[NODE] * reader.Nvars[NODE];
+        else k = reader.Nobjects[SUBCATCH] * reader.Nvars[SUBCATCH] +
+                 reader.Nobjects[NODE] * reader.Nvars[NODE] +
+                 reader.Nobjects[LINK] * reader.Nvars[LINK];
+        if ( type !== SYS ) k += i * reader.Nvars[type];
+        return StartPos + (p-1)*BytesPerPeriod + 2*RECORDSIZE + RECORDSIZE*(k + v);
+    }
+
+    // Clamps a requested period range to the periods in the file.
+    function periodRange(startPeriod, endPeriod) {
+        let p1 = Math.max(1, startPeriod || 1);
+        let p2 = Math.min(reader.Nperiods, endPeriod || reader.Nperiods);
+        return [p1, p2];
+    }
+
+    // Reads the header and ID tables. Returns 0 on success, 1 if the
+    // contents are not a complete SWMM results file.
+    reader.open = function(contents) {
+        let c = contents;
+        if ( typeof c === 'string' ) {
+            c = (typeof FS !== 'undefined' && FS.findObject(c) ? FS.findObject(c).contents : null);
+        }
+        reader.error = 1;
+        if ( !c ) return reader.error;
+        if ( !(c instanceof Uint8Array) ) c = new Uint8Array(c);
+        view = new DataView(c.buffer, c.byteOffset, c.byteLength);
+
+        let size = view.byteLength;
+        if ( size < 14*RECORDSIZE ) return reader.error;
+        let IDStartPos = readInt(size - 6*RECORDSIZE);
+        let InputStartPos = readInt(size - 5*RECORDSIZE);
+        StartPos = readInt(size - 4*RECORDSIZE);
+        reader.Nperiods = readInt(size - 3*RECORDSIZE);
+        let errCode = readInt(size - 2*RECORDSIZE);
+        if ( readInt(0) !== MAGICNUMBER || readInt(size - RECORDSIZE) !== MAGICNUMBER ) return reader.error;
+        if ( errCode !== 0 || reader.Nperiods === 0 ) return reader.error;
+
+        reader.FlowUnits = readInt(2*RECORDSIZE);
+        reader.Nobjects = [readInt(3*RECORDSIZE), readInt(4*RECORDSIZE), readInt(5*RECORDSIZE)];
+        reader.Npolluts = readInt(6*RECORDSIZE);
+
+        // --- object IDs
+        let offset = IDStartPos;
+        reader.IDs = [[], [], []];
+        reader.PollutIDs = [];
+        for (let type = SUBCATCH; type <= LINK; type++) {
+            offset = readIDs(offset, reader.Nobjects[type], reader.IDs[type]);
+            index[type] = {};
+            reader.IDs[type].forEach((id, i) => index[type][id] = i);
+        }
+        readIDs(offset, reader.Npolluts, reader.PollutIDs);
+
+        // --- skip over saved subcatch/node/link input values
+        offset = InputStartPos
+               + (reader.Nobjects[SUBCATCH]+2) * RECORDSIZE
+               + (3*reader.Nobjects[NODE]+4) * RECORDSIZE
+               + (5*reader.Nobjects[LINK]+6) * RECORDSIZE;
+
+        // --- number of reporting variables (each is followed by its codes)
+        for (let type = SUBCATCH; type <= SYS; type++) {
+            reader.Nvars[type] = readInt(offset);
+            offset += (reader.Nvars[type] + 1) * RECORDSIZE;
+        }
+        reader.StartDate = toDate(readDouble(offset));
+        reader.ReportStep = readInt(offset + 2*RECORDSIZE);
+
+        BytesPerPeriod = RECORDSIZE*(2 +
+            reader.Nobjects[SUBCATCH]*reader.Nvars[SUBCATCH] +
+            reader.Nobjects[NODE]*reader.Nvars[NODE] +
+            reader.Nobjects[LINK]*reader.Nvars[LINK] +
+            reader.Nvars[SYS]);
+        reader.error = 0;
+        return reader.error;
+    };
+
+    // IDs of the subcatchments, nodes or links in file order.
+    reader.getIDs = function(objectType) {
+        return reader.IDs[typeCode(objectType)] || [];
+    };
+
+    // Date of a reporting period.
+    reader.getDate = function(period) {
+        if ( reader.error || period < 1 || period > reader.Nperiods ) return null;
+        return toDate(readDouble(StartPos + (period-1)*BytesPerPeriod));
+    };
+
+    // Values of one variable for one object from startPeriod to endPeriod
+    // (defaults to all periods).
+    reader.getSeries = function(objectType, id, variable, startPeriod, endPeriod) {
+        let type = typeCode(objectType);
+        let i = objectIndex(type, id);
+        let values = [];
+        if ( reader.error || type === undefined || type === SYS ) return values;
+        if ( i === undefined || i < 0 || i >= reader.Nobjects[type] ) return values;
+        if ( variable < 0 || variable >= reader.Nvars[type] ) return values;
+        let [p1, p2] = periodRange(startPeriod, endPeriod);
+        for (let p = p1; p <= p2; p++) {
+            values.push(readFloat(resultPos(type, i, variable, p)));
+        }
+        return values;
+    };
+
+    // Values of one variable for every object of a type in a single period,
+    // keyed by object ID.
+    reader.getSnapshot = function(period, objectType, variable) {
+        let type = typeCode(objectType);
+        let values = {};
+        if ( reader.error || type === undefined || type === SYS ) return values;
+        if ( period < 1 || period > reader.Nperiods ) return values;
+        if ( variable < 0 || variable >= reader.Nvars[type] ) return values;
+        reader.IDs[type].forEach((id, i) => {
+            values[id] = readFloat(resultPos(type, i, variable, period));
+        });
+        return values;
+    };
+
+    // Values of one system variable from startPeriod to endPeriod
+    // (defaults to all periods).
+    reader.getSystemSeries = function(variable, startPeriod, endPeriod) {
+        let values = [];
+        if ( reader.error || variable < 0 || variable >= reader.Nvars[SYS] ) return values;
+        let [p1, p2] = periodRange(startPeriod, endPeriod);
+        for (let p = p1; p <= p2; p++) {
+            values.push(readFloat(resultPos(SYS, 0, variable, p)));
+        }
+        return values;
+    };
+
+    // Values of every variable of every object in a single period, in the
+    // form d3.swmmresult().parse() gives each period:
+    // {SUBCATCH: {id: [values]}, NODE: {...}, LINK: {...}, SYS: [values]}.
+    reader.getPeriod = function(period) {
+        let result = {};
+        if ( reader.error || period < 1 || period > reader.Nperiods ) return null;
+        ['SUBCATCH', 'NODE', 'LINK'].forEach((name, type) => {
+            let values = {};
+            reader.IDs[type].forEach((id, i) => {
+                let el = [];
+                for (let v = 0; v < reader.Nvars[type]; v++) {
+                    el.push(readFloat(resultPos(type, i, v, period)));
+                }
+                values[id] = el;
+            });
+            result[name] = values;
+        });
+        result['SYS'] = [];
+        for (let v = 0; v < reader.Nvars[SYS]; v++) {
+            result['SYS'].push(readFloat(resultPos(SYS, 0, v, period)));
+        }
+        return result;
+    };
+
+    if ( contents ) reader.open(contents);
+    return reader;
+};
+
+var margin = {top: 1, right: 1, bottom: 6, left: 1},
+    width = 300 - margin.left - margin.right,
+    height = 500 - margin.top - margin.bottom;
+
 var formatNumber = d3.format(",.3f"),
     format = function(d) {
         var units = swmmjs.model['OPTIONS']['Units'].replace(/\s*/g,'') || 'CMD',
@@ -4516,13 +4887,32 @@ var swmmjs = function() {
     swmmjs.mode = swmmjs.INPUT;
     swmmjs.success = false;
     swmmjs.results = false;
+    swmmjs.reader = null;
     swmmjs.colors = {'NODES': false, 'LINKS': false};
     swmmjs.model = false;
     swmmjs.currentScale = 1;
     swmmjs.currentPosition = [];
     swmmjs.renderLegend = false;
     swmmjs.defaultColor = '#636363';
-    
+    // Continuity errors (%) larger than this are flagged on the continuity dashboard.
+    swmmjs.continuityThreshold = 10.0;
+    // Script run by swmmjs.runWorker (relative to the page) and the worker itself.
+    swmmjs.workerUrl = 'src/swmm_worker.js';
+    swmmjs.worker = null;
+    swmmjs.running = false;
+    // Worker used by swmmjs.checkInput, and the callbacks of its checks by id.
+    swmmjs.checkWorker = null;
+    swmmjs.checks = {};
+    swmmjs.checkCount = 0;
+    // Set by swmmjs.cancelRun to stop a run made by swmmjs.runInPage.
+    swmmjs.cancelled = false;
+    // Wall clock time (msec) swmmjs.runInPage steps the engine before
+    // letting the page repaint, and the run's elapsed time (decimal days)
+    // and last simulation hour reported.
+    swmmjs.runSlice = 50;
+    swmmjs.elapsedTime = 0.0;
+    swmmjs.oldHour = 0;
+
     swmmjs.setMode = function(mode) {
         swmmjs.mode = mode;
         if(swmmjs.renderLegend)
@@ -4724,6 +5114,51 @@ var swmmjs = function() {
         }
         inpString += '\n';
 
+        secStr = 'LID_CONTROLS';
+        inpString +='[LID_CONTROLS]\n;;Name           Type/Layer Parameters\n;;-------------- ---------- ----------\n'
+        for (let entry in model[secStr]) {
+            // Controls are separated by a blank line.
+            if(entry !== Object.keys(model[secStr])[0]){
+                inpString += '\n';
+            }
+            // If there is a description, save it.
+            if(typeof model[secStr][entry].Description !== 'undefined' && model[secStr][entry].Description.length > 0){
+                inpString += ';' + model[secStr][entry].Description + '\n';
+            }
+            // The control's type comes first, then one line for each of its layers.
+            inpString += entry.padEnd(17, ' ') + model[secStr][entry].Type + '\n';
+            for (let layer in model[secStr][entry].Layers) {
+                inpString += entry.padEnd(17, ' ');
+                inpString += layer.padEnd(11, ' ');
+                inpString += model[secStr][entry].Layers[layer].map(v => v.toString().padEnd(10, ' ')).join(' ');
+                inpString += '\n';
+            }
+        }
+        inpString += '\n';
+
+        secStr = 'LID_USAGE';
+        inpString +='[LID_USAGE]\n;;Subcatchment   LID Process      Number  Area       Width      InitSat    FromImp    ToPerv     RptFile                  DrainTo          FromPerv  \n;;-------------- ---------------- ------- ---------- ---------- ---------- ---------- ---------- ------------------------ ---------------- ----------\n'
+        for (let entry in model[secStr]) {
+            // If there is a description, save it.
+            if(typeof model[secStr][entry].Description !== 'undefined' && model[secStr][entry].Description.length > 0){
+                inpString += ';' + model[secStr][entry].Description + '\n';
+            }
+            inpString += model[secStr][entry].Subcatchment.padEnd(17, ' ');
+            inpString += model[secStr][entry].LID.padEnd(17, ' ');
+            inpString += model[secStr][entry].Number.toString().padEnd(8, ' ');
+            inpString += model[secStr][entry].Area.toString().padEnd(11, ' ');
+            inpString += model[secStr][entry].Width.toString().padEnd(11, ' ');
+            inpString += model[secStr][entry].InitSat.toString().padEnd(11, ' ');
+            inpString += model[secStr][entry].FromImp.toString().padEnd(11, ' ');
+            inpString += model[secStr][entry].ToPerv.toString().padEnd(11, ' ');
+            // A report file name with spaces in it is quoted.
+            inpString += (/\s/.test(model[secStr][entry].RptFile) ? '"' + model[secStr][entry].RptFile + '"' : model[secStr][entry].RptFile).padEnd(25, ' ');
+            inpString += model[secStr][entry].DrainTo.padEnd(17, ' ');
+            inpString += model[secStr][entry].FromPerv.toString().padEnd(11, ' ');
+            inpString += '\n';
+        }
+        inpString += '\n';
+
         secStr = 'JUNCTIONS';
         inpString +='[JUNCTIONS]\n;;Junction       Invert     Dmax       Dinit      Dsurch     Aponded   \n;;-------------- ---------- ---------- ---------- ---------- ----------\n'        
         for (let entry in model[secStr]) {
@@ -4742,7 +5177,7 @@ var swmmjs = function() {
         inpString += '\n';
 
         secStr = 'OUTFALLS';
-        inpString +='[OUTFALLS]\n;;Outfall        Invert     Type       Stage Data       Gated   \n;;-------------- ---------- ---------- ---------------- --------\n'        
+        inpString +='[OUTFALLS]\n;;Outfall        Invert     Type       Stage Data       Gated    Route To        \n;;-------------- ---------- ---------- ---------------- -------- ----------------\n'        
         for (let entry in model[secStr]) {
             // If there is a description, save it.
             if(typeof model[secStr][entry].Description !== 'undefined' && model[secStr][entry].Description.length > 0){
@@ -4753,6 +5188,7 @@ var swmmjs = function() {
             inpString += model[secStr][entry].Type.padEnd(11, ' ');
             inpString += model[secStr][entry].StageData.padEnd(17, ' ');
             inpString += model[secStr][entry].Gated.padEnd(9, ' ');
+            inpString += (model[secStr][entry].RouteTo || '').padEnd(17, ' ');
             inpString += '\n';
         }
         inpString += '\n';
@@ -4786,7 +5222,7 @@ var swmmjs = function() {
         inpString += '\n';
 
         secStr = 'STORAGE';
-        inpString +='[STORAGE]\n;;Storage Node   Invert   Dmax     Dinit     Curve      Name/Params                  Aponded  Fevap    SeepRate\n;;-------------- -------- -------- --------- ---------- ---------------------------- -------- -------- --------\n'        
+        inpString +='[STORAGE]\n;;Storage Node   Invert   Dmax     Dinit     Curve      Name/Params                  Aponded  Fevap    Psi      Ksat     IMD\n;;-------------- -------- -------- --------- ---------- ---------------------------- -------- -------- -------- -------- --------\n'        
         for (let entry in model[secStr]) {
             // If there is a description, save it.
             if(typeof model[secStr][entry].Description !== 'undefined' && model[secStr][entry].Description.length > 0){
@@ -4808,7 +5244,12 @@ var swmmjs = function() {
             }
             inpString += model[secStr][entry].Aponded.toString().padEnd(9, ' ');
             inpString += model[secStr][entry].Fevap.toString().padEnd(9, ' ');
-            inpString += model[secStr][entry].SeepRate.toString().padEnd(9, ' ');
+            // The exfiltration parameters are written only when the unit has them.
+            if(model[secStr][entry].Ksat !== ''){
+                inpString += model[secStr][entry].SuctionHead.toString().padEnd(9, ' ');
+                inpString += model[secStr][entry].Ksat.toString().padEnd(9, ' ');
+                inpString += model[secStr][entry].IMDmax.toString().padEnd(9, ' ');
+            }
             inpString += '\n';
         }
         inpString += '\n';
@@ -4883,7 +5324,7 @@ var swmmjs = function() {
         */
 
         secStr = 'WEIRS';
-        inpString +='[WEIRS]\n;;Weir           From Node        To Node          Type         CrestHt    Qcoeff     Gated    EndCon   EndCoeff  \n;;-------------- ---------------- ---------------- ------------ ---------- ---------- -------- -------- ----------\n'        
+        inpString +='[WEIRS]\n;;Weir           From Node        To Node          Type         CrestHt    Qcoeff     Gated    EndCon   EndCoeff   Surcharge  RoadWidth  RoadSurf   CdCurve   \n;;-------------- ---------------- ---------------- ------------ ---------- ---------- -------- -------- ---------- ---------- ---------- ---------- ----------\n'        
         for (let entry in model[secStr]) {
             // If there is a description, save it.
             if(typeof model[secStr][entry].Description !== 'undefined' && model[secStr][entry].Description.length > 0){
@@ -4898,6 +5339,11 @@ var swmmjs = function() {
             inpString += model[secStr][entry].Gated.toString().padEnd(9, ' ');
             inpString += model[secStr][entry].EndCon.toString().padEnd(9, ' ');
             inpString += model[secStr][entry].EndCoeff.toString().padEnd(10, ' ');
+            // Optional values are written up to the last one given, with
+            // '*' for the ones left out before it.
+            let more = ['Surcharge', 'RoadWidth', 'RoadSurface', 'CdCurve'].map(field => (model[secStr][entry][field] || '').toString());
+            while (more.length && more[more.length - 1] === '') more.pop();
+            more.forEach(value => inpString += ' ' + (value || '*').padEnd(10, ' '));
             inpString += '\n';
         }
         inpString += '\n';
@@ -4921,7 +5367,7 @@ var swmmjs = function() {
             inpString += model[secStr][entry].FromNode.toString().padEnd(17, ' ');
             inpString += model[secStr][entry].ToNode.toString().padEnd(17, ' ');
             inpString += model[secStr][entry].InletOffset.toString().padEnd(11, ' ');
-            inpString += model[secStr][entry].Type.toString().padEnd(16, ' ');
+            inpString += model[secStr][entry].Type.toString().padEnd(15, ' ') + ' ';
             // If the type is TABULAR/DEPTH or TABULAR/HEAD, then QTable is in QTable/Qcoeff, else, Qcoeff is in QTable/Qcoeff
             if(model[secStr][entry].Type === 'TABULAR/DEPTH' || model[secStr][entry].Type === 'TABULAR/HEAD'){
                 inpString += model[secStr][entry].QTable.toString().padEnd(17, ' ');
@@ -4935,7 +5381,7 @@ var swmmjs = function() {
         inpString += '\n';
 
         secStr = 'XSECTIONS';
-        inpString +='[XSECTIONS]\n;;Link           Shape        Geom1            Geom2      Geom3      Geom4      Barrels   \n;;-------------- ------------ ---------------- ---------- ---------- ---------- ----------\n'        
+        inpString +='[XSECTIONS]\n;;Link           Shape        Geom1            Geom2      Geom3      Geom4      Barrels    Culvert   \n;;-------------- ------------ ---------------- ---------- ---------- ---------- ---------- ----------\n'        
         for (let entry in model[secStr]) {
             inpString += entry.padEnd(17, ' ');
             inpString += model[secStr][entry].Shape.padEnd(13, ' ');
@@ -4943,7 +5389,14 @@ var swmmjs = function() {
             inpString += model[secStr][entry].Geom2.toString().padEnd(11, ' ');
             inpString += model[secStr][entry].Geom3.toString().padEnd(11, ' ');
             inpString += model[secStr][entry].Geom4.toString().padEnd(11, ' ');
-            inpString += model[secStr][entry].Barrels.toString().padEnd(11, ' ');
+            // Barrels and the culvert code are optional, but a culvert
+            // code needs the barrels before it.
+            let barrels = (model[secStr][entry].Barrels || '').toString();
+            let culvert = (model[secStr][entry].Culvert || '').toString();
+            if (barrels.length || culvert.length)
+                inpString += (barrels || '1').padEnd(11, ' ');
+            if (culvert.length)
+                inpString += culvert.padEnd(11, ' ');
             inpString += '\n';
         }
         inpString += '\n';
@@ -5039,13 +5492,18 @@ var swmmjs = function() {
         inpString += '\n';
 
         secStr = 'INFLOWS';
-        inpString +='[INFLOWS]\n;;                                                   Concen   Conversion\n;;Node             Parameter        Time Series      /Mass    Factor    \n;;----------------------------------------------------------------------\n'        
+        inpString +='[INFLOWS]\n;;                                                   Concen   Conversion Scale    Baseline Baseline\n;;Node             Parameter        Time Series      /Mass    Factor     Factor   Value    Pattern\n;;-------------------------------------------------------------------------------------------------\n'        
         for (let entry in model[secStr]) {
-            inpString += model[secStr][entry].Node.padEnd(17, ' ');
-            inpString += model[secStr][entry].Parameter.padEnd(17, ' ');
-            inpString += model[secStr][entry].TimeSeries.padEnd(17, ' ');
-            inpString += model[secStr][entry].ConcenMass.toString().padEnd(9, ' ');
-            inpString += model[secStr][entry].Factor.toString().padEnd(9, ' ');
+            let inflow = model[secStr][entry];
+            inpString += inflow.Node.padEnd(17, ' ');
+            inpString += inflow.Parameter.padEnd(17, ' ');
+            // An inflow without a time series is written as "".
+            inpString += (inflow.TimeSeries || '""').padEnd(17, ' ');
+            inpString += inflow.ConcenMass.toString().padEnd(9, ' ');
+            inpString += inflow.Factor.toString().padEnd(11, ' ');
+            inpString += (typeof inflow.ScaleFactor === 'undefined' ? 1.0 : inflow.ScaleFactor).toString().padEnd(9, ' ');
+            inpString += (inflow.Baseline || 0).toString().padEnd(9, ' ');
+            inpString += inflow.Pattern || '';
             inpString += '\n';
         }
         /*
@@ -5064,10 +5522,49 @@ INFLOWS: function(section, key, line) {
                                         TimeSeries: m[2].trim(),
                                         ConcenMass: m[3].trim(),
                                         CF: parseFloat(m[4])};
-            },    
+            },
         */
         inpString += '\n';
 
+        secStr = 'DWF';
+        inpString +='[DWF]\n;;Node           Constituent      Baseline   Patterns  \n;;-------------- ---------------- ---------- ----------\n'
+        for (let entry in model[secStr]) {
+            // If there is a description, save it.
+            if(typeof model[secStr][entry].Description !== 'undefined' && model[secStr][entry].Description.length > 0){
+                inpString += ';' + model[secStr][entry].Description + '\n';
+            }
+            inpString += model[secStr][entry].Node.padEnd(17, ' ');
+            inpString += model[secStr][entry].Constituent.padEnd(17, ' ');
+            inpString += model[secStr][entry].Baseline.toString().padEnd(11, ' ');
+            // Patterns are quoted so that an unused pattern ("") keeps the places of the ones after it.
+            let last = model[secStr][entry].Patterns.map(p => p.length > 0).lastIndexOf(true);
+            inpString += model[secStr][entry].Patterns.slice(0, last + 1).map(p => '"' + p + '"').join(' ');
+            inpString += '\n';
+        }
+        inpString += '\n';
+
+        secStr = 'CURVES';
+        inpString +='[CURVES]\n;;Name           Type       X-Value    Y-Value   \n;;-------------- ---------- ---------- ----------\n'        
+        for (let entry in model[secStr]) {
+            // Curves are separated by a blank line.
+            if(entry !== Object.keys(model[secStr])[0]){
+                inpString += '\n';
+            }
+            // If there is a description, save it.
+            if(typeof model[secStr][entry].Description !== 'undefined' && model[secStr][entry].Description.length > 0){
+                inpString += ';' + model[secStr][entry].Description + '\n';
+            }
+            // The curve's type is only given on its first line.
+            model[secStr][entry].Points.forEach(function(point, i){
+                inpString += entry.padEnd(17, ' ');
+                inpString += (i === 0 ? model[secStr][entry].Type : '').padEnd(11, ' ');
+                inpString += point.x.toString().padEnd(11, ' ');
+                inpString += point.y.toString().padEnd(11, ' ');
+                inpString += '\n';
+            })
+        }
+        inpString += '\n';
+
         secStr = 'TIMESERIES';
         inpString +='[TIMESERIES]\n;;Time Series    Date       Time       Value     \n;;-------------- ---------- ---------- ----------\n'        
         for (let entry in model[secStr]) {
@@ -5079,6 +5576,27 @@ INFLOWS: function(section, key, line) {
         }
         inpString += '\n';
 
+        secStr = 'PATTERNS';
+        inpString +='[PATTERNS]\n;;Name           Type       Multipliers\n;;-------------- ---------- -----------\n'
+        for (let entry in model[secStr]) {
+            // Patterns are separated by a blank line.
+            if(entry !== Object.keys(model[secStr])[0]){
+                inpString += '\n';
+            }
+            // If there is a description, save it.
+            if(typeof model[secStr][entry].Description !== 'undefined' && model[secStr][entry].Description.length > 0){
+                inpString += ';' + model[secStr][entry].Description + '\n';
+            }
+            // The pattern's type is only given on its first line, and each line has up to six multipliers.
+            for(let i = 0; i === 0 || i < model[secStr][entry].Factors.length; i += 6){
+                inpString += entry.padEnd(17, ' ');
+                inpString += (i === 0 ? model[secStr][entry].Type : '').padEnd(11, ' ');
+                inpString += model[secStr][entry].Factors.slice(i, i + 6).map(f => f.toString().padEnd(7, ' ')).join(' ');
+                inpString += '\n';
+            }
+        }
+        inpString += '\n';
+
         secStr = 'REPORT';
         inpString +='[REPORT]\n;;Reporting Options\n'
         for (let entry in model[secStr]) {
@@ -5151,6 +5669,10 @@ INFLOWS: function(section, key, line) {
         }
         inpString += '\n';
 
+        // Sections the model doesn't hold, such as [CONTROLS],
+        // are written back as they were read.
+        inpString = d3.inp().addRawSections(model, inpString);
+
         return inpString;
     }
 
@@ -5695,7 +6217,40 @@ INFLOWS: function(section, key, line) {
     };
 
     swmmjs.readBin = function(success) {
-	    swmmjs.results = (success ? d3.swmmresult().parse('/report.bin') : false);
+        swmmjs.reader = (success && Fout.contents ? d3.swmmreader(Fout.contents) : null);
+        swmmjs.results = (swmmjs.reader && !swmmjs.reader.error ? swmmjs.readerResults(swmmjs.reader) : false);
+    };
+
+    // Returns the results in reader keyed by reporting period, as
+    // d3.swmmresult().parse() does, without decoding the whole file: a
+    // period is read from the file when it is used, and only the last
+    // period read is kept.
+    swmmjs.readerResults = function(reader) {
+        var results = {},
+            lastPeriod = 0,
+            lastResult = null;
+
+        for (let p = 1; p <= reader.Nperiods; p++) {
+            Object.defineProperty(results, p, {
+                enumerable: true,
+                get: function() {
+                    if (p !== lastPeriod) {
+                        lastResult = reader.getPeriod(p);
+                        lastPeriod = p;
+                    }
+                    return lastResult;
+                }
+            });
+        }
+        return results;
+    };
+
+    // Returns the reader for the latest run's results, falling back to
+    // data/out.out when no run has been made in this session.
+    swmmjs.getReader = function() {
+        if (!swmmjs.reader || swmmjs.reader.error)
+            swmmjs.reader = d3.swmmreader('data/out.out');
+        return swmmjs.reader;
     };
 
     swmmjs.render = function() {
@@ -5788,121 +6343,346 @@ INFLOWS: function(section, key, line) {
 	return u;
     };
 
-    //swmmjs.run = function(Module) {
+    // Shows a run's progress in the #status and #progress elements.
+    // elapsedTime is in decimal days, fraction is the fraction of the
+    // duration completed and date (optional) is the simulation date.
+    swmmjs.showProgress = function(elapsedTime, fraction, date) {
+        var statusElement = document.getElementById('status'),
+            progressElement = document.getElementById('progress');
+
+        if (progressElement) {
+            progressElement.max = 100;
+            progressElement.value = Math.round(fraction * 100);
+            progressElement.hidden = false;
+            // A button to cancel the run is added after the progress bar.
+            if (!document.getElementById('btnCancelRun')) {
+                $(progressElement).after(
+                    $('<button type="button" id="btnCancelRun" class="btn btn-sm btn-outline-secondary ml-2">Cancel</button>')
+                        .click(function() { swmmjs.cancelRun(); })
+                );
+            }
+            $('#btnCancelRun').show();
+        }
+        if (statusElement) {
+            if (date) {
+                statusElement.innerHTML = 'Simulating: ' + date;
+            } else {
+                statusElement.innerHTML = 'Simulating day: ' + Math.floor(elapsedTime) +
+                    ' hour: ' + Math.floor((elapsedTime - Math.floor(elapsedTime)) * 24);
+            }
+        }
+    };
+
+    // Shows the outcome of a run and loads its results into the page.
+    // The report is expected in Frpt.contents and the binary results in
+    // Fout.contents.
+    swmmjs.runComplete = function(errorCode) {
+        var statusElement = document.getElementById('status'),
+            progressElement = document.getElementById('progress');
+
+        document.getElementById('rptFile').innerHTML = Frpt.contents;
+        if (progressElement) {
+            progressElement.hidden = true;
+        }
+        $('#btnCancelRun').hide();
+        if (statusElement) {
+            statusElement.innerHTML = (errorCode ? 'Run failed, see the report.' : '');
+            if (!errorCode && continuityFlags().length > 0) {
+                statusElement.innerHTML = 'Continuity errors exceed ' + swmmjs.continuityThreshold + '%, see the continuity dashboard.';
+            }
+        }
+
+        swmmjs.setSuccess(!errorCode);
+        swmmjs.renderAnalysis();
+        console.log('Run complete.')
+    };
+
+    // Runs a simulation of the model in #inpFile. This is what the page's
+    // run control calls: the run is made in a Web Worker (swmmjs.runWorker)
+    // so that the page stays responsive and the run can be cancelled.
     swmmjs.run = function() {
-        FS.quit();
-        Module.arguments = ['/input.inp', '/report.txt', '/report.bin'];
-        Module.calledRun = false;
-        Module.preRun = [function () {
-                try
-                {
-                    FS.createPath('/', '/', true, true);
-                    FS.ignorePermissions = true;
-                    var inp = document.getElementById('inpFile').value;
-                    var f = FS.findObject('input.inp');
-                    if (f) {
-                        FS.unlink('input.inp');
-                    }
-                    FS.createDataFile('/', 'input.inp', inp, true, true);
-                } catch (e) {
-                    console.log('/input.inp creation failed');
+        swmmjs.runWorker();
+    };
+
+    // Runs a simulation of the model in #inpFile with the javascript engine
+    // (swmm_raw.js) in the page itself. The report is written to #rptFile
+    // and progress is shown in the #status and #progress elements. The time
+    // steps are run in slices of swmmjs.runSlice msec (see swmmjs.runSteps)
+    // so that the page can repaint the progress between them.
+    swmmjs.runInPage = function() {
+        var inp = document.getElementById('inpFile').value;
+
+        if (swmmjs.running) return;
+        swmmjs.running = true;
+        swmmjs.cancelled = false;
+        swmmjs.elapsedTime = 0.0;
+        swmmjs.oldHour = 0;
+
+        // --- same sequence as swmm_run
+        try {
+            IsOpenFlag = false;
+            IsStartedFlag = false;
+            SaveResultsFlag = true;
+            ErrorCode = 0;
+            swmm_open(inp, 'report.txt', 'report.bin');
+            if (!ErrorCode) swmm_start(true);
+        } catch (e) {
+            console.log(e);
+            report_writeErrorMsg(ERR_SYSTEM, '');
+            swmmjs.runEnd();
+            return;
+        }
+        if (ErrorCode) {
+            swmmjs.runEnd();
+            return;
+        }
+        swmmjs.showProgress(0.0, 0.0);
+        setTimeout(swmmjs.runSteps, 0);
+    };
+
+    // Runs the time steps of swmmjs.runInPage for one slice of wall clock
+    // time, then lets the page repaint before the next slice.
+    swmmjs.runSteps = function() {
+        var sliceEnd = Date.now() + swmmjs.runSlice,
+            newHour,
+            returnObj;
+
+        try {
+            do {
+                if (swmmjs.cancelled) {
+                    swmmjs.runEnd();
+                    return;
                 }
-            }];
-        Module.postRun = [function () {
-                try {
-                    swmmjs.renderAnalysis();
-                    var rpt = Module.intArrayToString(FS.findObject('/report.txt').contents);
-                    document.getElementById('rptFile').innerHTML = rpt;
-                    Module['calledRun'] = false;
-                    console.log('Run complete.')
-                } catch (e) {
-                    console.log(e);
+
+                ////////////////////////////////////
+                returnObj = {elapsedTime: swmmjs.elapsedTime}
+                swmm_step(returnObj)
+                swmmjs.elapsedTime = returnObj.elapsedTime;
+                ////////////////////////////////////
+
+                // --- report progress once per simulation hour
+                newHour = Math.floor(swmmjs.elapsedTime * 24.0);
+                if (newHour > swmmjs.oldHour) {
+                    swmmjs.showProgress(swmmjs.elapsedTime,
+                        swmmjs.elapsedTime * MSECperDAY / TotalDuration);
+                    swmmjs.oldHour = newHour;
                 }
-            }];
-        Module.print = (function () {
-            var element = document.getElementById('output');
-            if (element)
-                element.value = ''; // clear browser cache
-            return function (text) {
-                if (arguments.length > 1)
-                    text = Array.prototype.slice.call(arguments).join(' ');
-                console.log(text);
-                if (element) {
-                    element.value += text + "\n";
-                    element.scrollTop = element.scrollHeight; // focus on bottom
+                if (swmmjs.elapsedTime <= 0.0 || ErrorCode) {
+                    swmmjs.runEnd();
+                    return;
                 }
-            };
-        })();
-        Module.printErr = function (text) {
-            if (arguments.length > 1)
-                text = Array.prototype.slice.call(arguments).join(' ');
-            console.error(text);
-        };
-        /*Module.canvas = (function () {
-            var canvas = document.getElementById('canvas');
-
-            // As a default initial behavior, pop up an alert when webgl context is lost. To make your
-            // application robust, you may want to override this behavior before shipping!
-            // See http://www.khronos.org/registry/webgl/specs/latest/1.0/#5.15.2
-            canvas.addEventListener("webglcontextlost", function (e) {
-                alert('WebGL context lost. You will need to reload the page.');
-                e.preventDefault();
-            }, false);
-
-            return canvas;
-        })();*/
-        Module.setStatus = function (text) {
-            var statusElement = document.getElementById('status');
-
-            var progressElement = document.getElementById('progress');
-            if (!Module.setStatus.last)
-                Module.setStatus.last = {time: Date.now(), text: ''};
-            if (text === Module.setStatus.last.text) {
-                return;
-            }
-            var m = text.match(/([^(]+)\((\d+(\.\d+)?)\/(\d+)\)/);
-            var now = Date.now();
-            if (m && now - Module.setStatus.last.time < 30)
-                return; // if this is a progress update, skip it if too soon
-            Module.setStatus.last.time = now;
-            Module.setStatus.last.text = text;
-            if (m) {
-                text = m[1];
-                progressElement.value = parseInt(m[2]) * 100;
-                progressElement.max = parseInt(m[4]) * 100;
-                progressElement.hidden = false;
-            } else {
-                progressElement.value = null;
-                progressElement.max = null;
-                progressElement.hidden = true;
-            }
-            statusElement.innerHTML = text;
-            if (text === "") {
-                swmmjs.setSuccess(true);
-                exitRuntime();
-                console.log(JSON.stringify(swmmjs.results));
-            } 
-        };
-        Module.totalDependencies = 0;
-        Module.monitorRunDependencies = function (left) {
-            this.totalDependencies = Math.max(this.totalDependencies, left);
-            Module.setStatus(left ? 'Preparing... (' + (this.totalDependencies - left) + '/' + this.totalDependencies + ')' : 'All downloads complete.');
-        };
+            } while (Date.now() < sliceEnd);
+        } catch (e) {
+            console.log(e);
+            report_writeErrorMsg(ERR_SYSTEM, '');
+            swmmjs.runEnd();
+            return;
+        }
+        setTimeout(swmmjs.runSteps, 0);
+    };
+
+    // Ends and closes a run started by swmmjs.runInPage and shows its
+    // results. A run that the engine stopped by throwing an exception is
+    // reported as a general system error (ERROR 401).
+    swmmjs.runEnd = function() {
+        var statusElement;
+
+        try {
+            if (IsStartedFlag) {
+                if (swmmjs.cancelled)
+                    swmmjs.showProgress(swmmjs.elapsedTime,
+                        swmmjs.elapsedTime * MSECperDAY / TotalDuration);
+                else swmmjs.showProgress(TotalDuration / MSECperDAY, 1.0);
+                swmm_end();
+            }
+            if (Fout.mode == SCRATCH_FILE) swmm_report();
+            swmm_close();
+        } catch (e) {
+            // --- whatever was written to the report so far is kept
+            console.log(e);
+            if (ErrorCode != ERR_SYSTEM) report_writeErrorMsg(ERR_SYSTEM, '');
+        }
+        swmmjs.running = false;
 
-        Module.setStatus('Downloading...');
-        window.onerror = function (event) {
-            // TODO: do not warn on ok events like simulating an infinite loop or exitStatus
-            Module.setStatus('Exception thrown, see JavaScript console');
-            Module.setStatus = function (text) {
-                if (text)
-                    Module.printErr('[post-exception status] ' + text);
+        // The binary results are left in Fout.contents by swmm_close.
+        swmmjs.runComplete(error_getCode(ErrorCode));
+        statusElement = document.getElementById('status');
+        if (swmmjs.cancelled && statusElement) {
+            statusElement.innerHTML = 'Run cancelled.';
+        }
+    };
+
+    // Runs a simulation of the model in #inpFile in a Web Worker (see
+    // swmm_worker.js) so that the page stays responsive. Progress and the
+    // results are shown as for swmmjs.runInPage. Falls back to
+    // swmmjs.runInPage when the browser has no Web Workers.
+    swmmjs.runWorker = function() {
+        var inp = document.getElementById('inpFile').value;
+
+        if (typeof Worker === 'undefined') {
+            swmmjs.runInPage();
+            return;
+        }
+        if (swmmjs.running) return;
+        if (!swmmjs.worker) {
+            swmmjs.worker = new Worker(swmmjs.workerUrl);
+            swmmjs.worker.onmessage = swmmjs.workerMessage;
+            // The worker stopped without posting its results, e.g. its
+            // scripts couldn't be loaded. It is ended and the run is
+            // reported as a general system error, as swmm_worker.js does
+            // for an exception in the engine.
+            swmmjs.worker.onerror = function(e) {
+                console.log(e);
+                swmmjs.worker.terminate();
+                swmmjs.worker = null;
+                swmmjs.running = false;
+                Frpt.contents = error_getMsg(ERR_SYSTEM) + (e.message ? '\n  ' + e.message : '') + '\n';
+                Fout.contents = null;
+                swmmjs.runComplete(error_getCode(ERR_SYSTEM));
             };
-        };
+        }
+        swmmjs.running = true;
+        Continuity = {};
+        swmmjs.showProgress(0.0, 0.0);
+        // The worker gets a copy of the in-memory files, e.g. files the
+        // user uploaded for the [FILES] section.
+        swmmjs.worker.postMessage({type: 'run', inp: inp, files: MemFiles});
+    };
+
+    // Stops the current run after its current time step. The results up
+    // to that time are still loaded into the page.
+    swmmjs.cancelRun = function() {
+        if (!swmmjs.running) return;
+        if (swmmjs.worker) {
+            swmmjs.worker.postMessage({type: 'cancel'});
+        } else {
+            swmmjs.cancelled = true;
+        }
+    };
 
-        Module['calledRun'] = false;
-        Module['run'](Module.arguments);
+    // Handles the messages posted by swmm_worker.js.
+    swmmjs.workerMessage = function(e) {
+        var msg = e.data,
+            statusElement;
 
-        console.log('Run complete.')
+        switch (msg.type) {
+            case 'progress':
+                swmmjs.showProgress(msg.elapsedTime, msg.percent / 100, msg.date);
+                break;
+            case 'continuity':
+                Continuity = msg.continuity;
+                break;
+            case 'done':
+                swmmjs.running = false;
+                // Copy the run's results to where swmmjs.runInPage leaves them.
+                Frpt.contents = new TextDecoder().decode(msg.report);
+                Fout.contents = msg.output;
+                SummaryTables = msg.summaryTables;
+                MemFiles = msg.files;
+                swmmjs.runComplete(msg.errorCode);
+                statusElement = document.getElementById('status');
+                if (msg.cancelled && statusElement) {
+                    statusElement.innerHTML = 'Run cancelled.';
+                }
+                break;
+        }
+    };
+
+    // Checks the input text inp by opening and closing it in the engine, then
+    // calls done(report, error) with the text of the report and the message
+    // of an exception the engine threw (or null). The check is made in a
+    // worker of its own (see swmm_worker.js), so that it leaves the engine
+    // state of the page and of a run alone. Without Web Workers the check is
+    // made in the page when no run is going on, and the results of the last
+    // run that the page reads from the engine are put back afterwards.
+    swmmjs.checkInput = function(inp, done) {
+        var id, saved, report = '', error = null;
+
+        if (typeof Worker !== 'undefined') {
+            if (!swmmjs.checkWorker) {
+                swmmjs.checkWorker = new Worker(swmmjs.workerUrl);
+                swmmjs.checkWorker.onmessage = function(e) {
+                    var msg = e.data,
+                        callback = swmmjs.checks[msg.id];
+                    if (msg.type !== 'checked' || !callback) return;
+                    delete swmmjs.checks[msg.id];
+                    callback(msg.report, msg.error);
+                };
+                swmmjs.checkWorker.onerror = function(e) {
+                    var checks = swmmjs.checks;
+                    console.log(e);
+                    swmmjs.checkWorker.terminate();
+                    swmmjs.checkWorker = null;
+                    swmmjs.checks = {};
+                    Object.keys(checks).forEach(key => checks[key]('', 'The input could not be checked.'));
+                };
+            }
+            id = ++swmmjs.checkCount;
+            swmmjs.checks[id] = done;
+            swmmjs.checkWorker.postMessage({type: 'check', id: id, inp: inp, files: MemFiles});
+            return;
+        }
+
+        if (swmmjs.running) {
+            done('', 'The input can\'t be checked while a simulation is running.');
+            return;
+        }
+        saved = {report: Frpt.contents, output: Fout.contents,
+                 summaryTables: SummaryTables, continuity: Continuity,
+                 files: Object.assign({}, MemFiles)};
+        IsOpenFlag = false;
+        IsStartedFlag = false;
+        ErrorCode = 0;
+        try {
+            swmm_open(inp, 'check.txt', '');
+            report = Frpt.contents;
+        } catch (e) {
+            console.log(e);
+            error = e.message;
+        }
+        swmm_close();
+        Frpt.contents = saved.report;
+        Fout.contents = saved.output;
+        SummaryTables = saved.summaryTables;
+        Continuity = saved.continuity;
+        MemFiles = saved.files;
+        done(report, error);
+    };
+
+    // Downloads a file from the engine's in-memory file store (MemFiles),
+    // e.g. an interface or hot start file saved by the last run.
+    swmmjs.downloadFile = function(name) {
+        let contents = memfile_read(name);
+        if (contents == null) return;
+        let blob = new Blob([contents], {type: (typeof contents === 'string' ? 'text/plain' : 'application/octet-stream')});
+        // Only the file name part of the path is used for the download.
+        let fileOut = name.split(/[\\\/]/).pop();
+        if(window.navigator.msSaveOrOpenBlob){
+            window.navigator.msSaveBlob(blob, fileOut);
+        } else {
+            let elem = window.document.createElement('a');
+            elem.href = window.URL.createObjectURL(blob);
+            elem.download = fileOut;
+            document.body.appendChild(elem);
+            elem.click();
+            document.body.removeChild(elem);
+        }
+    };
+
+    // Adds files chosen by the user to the engine's in-memory file store so
+    // that [FILES] entries with the same names can use them.
+    // callback is called once all of the files have been read.
+    swmmjs.uploadFiles = function(files, callback) {
+        let remaining = files.length;
+        Array.from(files).forEach(file => {
+            let reader = new FileReader();
+            reader.onload = function() {
+                memfile_write(file.name, reader.result);
+                remaining--;
+                if (remaining === 0 && callback) callback();
+            };
+            reader.readAsArrayBuffer(file);
+        });
     };
 
     return swmmjs;
@@ -5960,6 +6740,15 @@ var modalEditOutfalls = function(id){
         $('#outfalls-invertel').val(swmmjs.model['OUTFALLS'][id]['Invert'])
         $('#outfalls-tidegate').val(swmmjs.model['OUTFALLS'][id]['Gated'])
         $('#outfalls-type').val(swmmjs.model['OUTFALLS'][id]['Type'])
+
+        // A tidal curve is the outfall's stage data.
+        addCurveLinks($('#outfalls-type'), 'TIDAL',
+            () => swmmjs.model['OUTFALLS'][id]['Type'] === 'TIDAL' ? swmmjs.model['OUTFALLS'][id]['StageData'] : '',
+            name => {
+                swmmjs.model['OUTFALLS'][id]['Type'] = 'TIDAL';
+                swmmjs.model['OUTFALLS'][id]['StageData'] = name;
+                setCurveField($('#outfalls-type'), 'TIDAL');
+            });
     }
 }
 
@@ -6092,7 +6881,7 @@ var modalEditStorageunits = function(id){
         $('#storageunits-initialdepth').val(swmmjs.model['STORAGE'][id]['Dinit'])
         $('#storageunits-aponded').val(swmmjs.model['STORAGE'][id]['Aponded'])
         $('#storageunits-evapfactor').val(swmmjs.model['STORAGE'][id]['Fevap'])
-        $('#storageunits-seepagerate').val(swmmjs.model['STORAGE'][id]['SeepRate'])
+        $('#storageunits-seepagerate').val(swmmjs.model['STORAGE'][id]['Ksat'])
         $('#storageunits-storagecurve').val(swmmjs.model['STORAGE'][id]['Curve'])
 
         if(swmmjs.model['STORAGE'][id]['Curve'] === 'FUNCTIONAL'){
@@ -6109,6 +6898,18 @@ var modalEditStorageunits = function(id){
         } else {
             $('#dividers-curvename').val('')
         }
+
+        // Using a storage curve makes the storage unit TABULAR.
+        addCurveLinks($('#dividers-curvename'), 'STORAGE',
+            () => swmmjs.model['STORAGE'][id]['Curve'] === 'TABULAR' ? swmmjs.model['STORAGE'][id]['CurveName'] : '',
+            name => {
+                swmmjs.model['STORAGE'][id]['Curve'] = 'TABULAR';
+                swmmjs.model['STORAGE'][id]['CurveName'] = name;
+                setCurveField($('#storageunits-storagecurve'), 'TABULAR');
+                setCurveField($('#dividers-curvename'), name);
+            });
+
+        addDwfTab('modalStorageunits', 'storageunits', id.toString());
     }
 }
 
@@ -6180,6 +6981,8 @@ var modalEditJunctions = function(id){
         $('#junctions-initialdepth').val(swmmjs.model['JUNCTIONS'][id]['Dinit'])
         $('#junctions-surchargedepth').val(swmmjs.model['JUNCTIONS'][id]['Dsurch'])
         $('#junctions-pondedarea').val(swmmjs.model['JUNCTIONS'][id]['Aponded'])
+
+        addDwfTab('modalJunctions', 'junctions', id.toString());
     }
 }
 
@@ -6222,6 +7025,8 @@ var modalEditSubcatchments = function(id){
         $('#subcatchments-pctrouted').val(swmmjs.model['SUBAREAS'][id]['PctRouted'])
         $('#subcatchments-curblength').val(swmmjs.model['SUBCATCHMENTS'][id]['CurbLen'])
         $('#subcatchments-snowpack').val(swmmjs.model['SUBCATCHMENTS'][id]['SnowPack'])
+
+        addLidUsageGrid(id.toString());
     }
 }
 
@@ -6263,8 +7068,8 @@ var modalProjectSummary = function(){
     $('#summary-outletlinks').val(Object.keys(swmmjs.model['OUTLETS']).length)
     $('#summary-flowunits').val(swmmjs.model['OPTIONS']['FLOW_UNITS'].Value)
     $('#summary-flowrouting').val(swmmjs.model['OPTIONS']['FLOW_ROUTING'].Value)
-    if(typeof swmmjs.model['CONTROLS'] !== 'undefined')
-    $('#summary-controlrules').val(Object.keys(swmmjs.model['CONTROLS']).length)
+    // Rules are kept as text; see getControlRules.
+    $('#summary-controlrules').val(getControlRules().rules.length)
     if(typeof swmmjs.model['POLLUTANTS'] !== 'undefined')
     $('#summary-pollutants').val(Object.keys(swmmjs.model['POLLUTANTS']).length)
     if(typeof swmmjs.model['LANDUSES'] !== 'undefined')
@@ -6295,40 +7100,1817 @@ var modalReportStatus = function(){
 }
 
 /////////////////////////////////////////////////////////////
-// Conduits Modal 
+// Continuity Modal 
 /////////////////////////////////////////////////////////////
 
-var modalEditConduits = function(id){
-    // If the model is not in edit mode, return
-    if(swmmjs.model.clickEffect !== 'edit'){
+// Row labels for the terms of each continuity table, in report order.
+var continuityLabels = {
+    runoff: {title: 'Runoff Quantity Continuity', terms: [
+        ['initLidStorage', 'Initial LID Storage'], ['initSnowCover', 'Initial Snow Cover'],
+        ['precipitation', 'Total Precipitation'], ['outfallRunon', 'Outfall Runon'],
+        ['evaporationLoss', 'Evaporation Loss'], ['infiltrationLoss', 'Infiltration Loss'],
+        ['surfaceRunoff', 'Surface Runoff'], ['lidDrainage', 'LID Drainage'],
+        ['snowRemoved', 'Snow Removed'], ['finalSnowCover', 'Final Snow Cover'],
+        ['finalStorage', 'Final Storage']]},
+    runoffQuality: {title: 'Runoff Quality Continuity', terms: [
+        ['initialBuildup', 'Initial Buildup'], ['surfaceBuildup', 'Surface Buildup'],
+        ['wetDeposition', 'Wet Deposition'], ['sweepingRemoval', 'Sweeping Removal'],
+        ['infiltrationLoss', 'Infiltration Loss'], ['bmpRemoval', 'BMP Removal'],
+        ['surfaceRunoff', 'Surface Runoff'], ['remainingBuildup', 'Remaining Buildup']]},
+    groundwater: {title: 'Groundwater Continuity', terms: [
+        ['initialStorage', 'Initial Storage'], ['infiltration', 'Infiltration'],
+        ['upperZoneET', 'Upper Zone ET'], ['lowerZoneET', 'Lower Zone ET'],
+        ['deepPercolation', 'Deep Percolation'], ['groundwaterFlow', 'Groundwater Flow'],
+        ['finalStorage', 'Final Storage']]},
+    flowRouting: {title: 'Flow Routing Continuity', terms: [
+        ['dryWeatherInflow', 'Dry Weather Inflow'], ['wetWeatherInflow', 'Wet Weather Inflow'],
+        ['groundwaterInflow', 'Groundwater Inflow'], ['rdiiInflow', 'RDII Inflow'],
+        ['externalInflow', 'External Inflow'], ['externalOutflow', 'External Outflow'],
+        ['floodingLoss', 'Flooding Loss'], ['evaporationLoss', 'Evaporation Loss'],
+        ['exfiltrationLoss', 'Exfiltration Loss'], ['initialStored', 'Initial Stored Volume'],
+        ['finalStored', 'Final Stored Volume']]},
+    qualityRouting: {title: 'Quality Routing Continuity', terms: [
+        ['dryWeatherInflow', 'Dry Weather Inflow'], ['wetWeatherInflow', 'Wet Weather Inflow'],
+        ['groundwaterInflow', 'Groundwater Inflow'], ['rdiiInflow', 'RDII Inflow'],
+        ['externalInflow', 'External Inflow'], ['externalOutflow', 'External Outflow'],
+        ['floodingLoss', 'Flooding Loss'], ['exfiltrationLoss', 'Exfiltration Loss'],
+        ['massReacted', 'Mass Reacted'], ['initialStored', 'Initial Stored Mass'],
+        ['finalStored', 'Final Stored Mass']]}
+};
+
+// Returns the names of the continuity tables (and pollutants) of the last run
+// whose percent error is larger than swmmjs.continuityThreshold.
+var continuityFlags = function(){
+    let flags = [];
+    let continuity = swmm_getContinuity();
+    Object.keys(continuity).forEach(key => {
+        let title = continuityLabels[key].title;
+        if(typeof continuity[key].pctError !== 'undefined'){
+            if(Math.abs(continuity[key].pctError) > swmmjs.continuityThreshold) flags.push(title);
+        } else {
+            Object.keys(continuity[key]).forEach(pollutant => {
+                if(Math.abs(continuity[key][pollutant].pctError) > swmmjs.continuityThreshold) flags.push(title + ' (' + pollutant + ')');
+            })
+        }
+    })
+    return flags;
+}
+
+var modalContinuity = function(){
+    populateContinuity();
+    // Show the modal.
+    $('#modalContinuity').modal('toggle');
+}
+
+// Fills the continuity dashboard with a table for each continuity ledger of
+// the last run. Continuity errors above the threshold are highlighted.
+function populateContinuity(){
+    let parent = $('#modalContinuity .modal-body');
+    let continuity = swmm_getContinuity();
+    parent.empty();
+
+    let threshold = $('<input type="number" min="0" step="0.1" class="form-control" id="continuity-threshold">');
+    threshold.val(swmmjs.continuityThreshold);
+    threshold.on('change', function(e){
+        let value = parseFloat(e.target.value);
+        if(!isNaN(value) && value >= 0){
+            swmmjs.continuityThreshold = value;
+        }
+        populateContinuity();
+    });
+    parent.append($('<label for="continuity-threshold">Flag continuity errors above (%)</label>'));
+    parent.append(threshold);
+
+    if(Object.keys(continuity).length === 0){
+        parent.append($('<p></p>').text('No continuity results are available. Run the model first.'));
         return;
     }
 
-    // Show the modal.
-    $('#modalConduits').modal('toggle');
+    // Formats a term: runoff and groundwater terms hold a volume and a depth,
+    // flow routing terms hold two volumes and quality terms hold a load.
+    let cells = function(value){
+        if(typeof value === 'object') return Object.values(value).map(v => v.toFixed(3));
+        return [value.toFixed(3)];
+    }
 
-    // Retain the original ID for editing purposes.
-    $('#conduits-form-id').val(id);
+    // Builds one table with a column for each ledger in ledgers.
+    let addTable = function(key, columns, ledgers){
+        let labels = continuityLabels[key];
+        let table = $('<table class="table table-sm"></table>');
+        let head = $('<tr></tr>').append($('<th></th>').text(labels.title));
+        columns.forEach(c => head.append($('<th></th>').text(c)));
+        table.append($('<thead></thead>').append(head));
+        let body = $('<tbody></tbody>');
+        labels.terms.forEach(term => {
+            let row = $('<tr></tr>').append($('<td></td>').text(term[1]));
+            ledgers.forEach(ledger => cells(ledger[term[0]]).forEach(c => row.append($('<td></td>').text(c))));
+            body.append(row);
+        })
+        let row = $('<tr></tr>').append($('<td></td>').text('Continuity Error (%)'));
+        ledgers.forEach(ledger => {
+            let cell = $('<td></td>').text(ledger.pctError.toFixed(3));
+            if(typeof ledger.units === 'object') cell.attr('colspan', Object.keys(ledger.units).length);
+            if(Math.abs(ledger.pctError) > swmmjs.continuityThreshold){
+                cell.addClass('table-danger');
+                row.addClass('continuity-flagged');
+            }
+            row.append(cell);
+        })
+        body.append(row);
+        table.append(body);
+        parent.append(table);
+    }
 
-    // Make sure to check if the CONDUITS object exists.
-    if(typeof swmmjs.model['CONDUITS'] === 'undefined'){
-        swmmjs.model['CONDUITS'] = [];
-    } else {
-        // Get any tags for this object
-        getTag('Link', id.toString(), $('#conduits-tag'))
+    Object.keys(continuity).forEach(key => {
+        let ledger = continuity[key];
+        if(typeof ledger.pctError !== 'undefined'){
+            addTable(key, Object.values(ledger.units), [ledger]);
+        } else {
+            // Quality ledgers are keyed by pollutant.
+            let pollutants = Object.keys(ledger);
+            addTable(key, pollutants.map(p => p + ' (' + ledger[p].units + ')'), pollutants.map(p => ledger[p]));
+        }
+    })
+}
 
-        $('#conduits-name').val(id)
-        $('#conduits-inletnode').val(swmmjs.model['CONDUITS'][id]['FromNode'])
-        $('#conduits-outletnode').val(swmmjs.model['CONDUITS'][id]['ToNode'])
-        $('#conduits-description').val(swmmjs.model['CONDUITS'][id]['Description'])
-        $('#conduits-shape').val(swmmjs.model['XSECTIONS'][id]['Shape'])
-        $('#conduits-maxdepth').val(swmmjs.model['XSECTIONS'][id]['Geom1'])
-        $('#conduits-length').val(swmmjs.model['CONDUITS'][id]['Length'])
-        $('#conduits-roughness').val(swmmjs.model['CONDUITS'][id]['Roughness'])
-        $('#conduits-inletoffset').val(swmmjs.model['CONDUITS'][id]['InOffset'])
-        $('#conduits-outletoffset').val(swmmjs.model['CONDUITS'][id]['OutOffset'])
-        $('#conduits-initialflow').val(swmmjs.model['CONDUITS'][id]['InitFlow'])
-        $('#conduits-maximumflow').val(swmmjs.model['CONDUITS'][id]['MaxFlow'])
+/////////////////////////////////////////////////////////////
+// Control Rules Modal 
+/////////////////////////////////////////////////////////////
+
+// Attributes that each type of object in a rule clause can use (see
+// getPremiseVariable and addAction in controls.js).
+var controlAttributes = {
+    NODE:       ['DEPTH', 'HEAD', 'VOLUME', 'INFLOW'],
+    LINK:       ['FLOW', 'DEPTH', 'STATUS', 'TIMEOPEN', 'TIMECLOSED'],
+    CONDUIT:    ['FLOW', 'DEPTH', 'STATUS', 'TIMEOPEN', 'TIMECLOSED'],
+    PUMP:       ['FLOW', 'STATUS', 'SETTING', 'TIMEOPEN', 'TIMECLOSED'],
+    ORIFICE:    ['SETTING', 'TIMEOPEN', 'TIMECLOSED'],
+    WEIR:       ['SETTING', 'TIMEOPEN', 'TIMECLOSED'],
+    OUTLET:     ['SETTING', 'TIMEOPEN', 'TIMECLOSED'],
+    SIMULATION: ['TIME', 'DATE', 'CLOCKTIME', 'DAY', 'MONTH', 'DAYOFYEAR']
+}
+
+// Model sections that hold the IDs of each type of object in a rule clause.
+var controlObjectSections = {
+    NODE:       ['JUNCTIONS', 'OUTFALLS', 'DIVIDERS', 'STORAGE'],
+    LINK:       ['CONDUITS', 'PUMPS', 'ORIFICES', 'WEIRS', 'OUTLETS'],
+    CONDUIT:    ['CONDUITS'],
+    PUMP:       ['PUMPS'],
+    ORIFICE:    ['ORIFICES'],
+    WEIR:       ['WEIRS'],
+    OUTLET:     ['OUTLETS'],
+    SIMULATION: []
+}
+
+// Rules being edited in the control rules modal: controls is the result of
+// getControlRules, selected is the index of the rule shown and errors are
+// the errors found by the last check (see checkControlRules).
+var controlsEdit = {controls: {header: [], rules: []}, selected: -1, errors: []};
+
+// Splits the [CONTROLS] section of the model into rules. A rule starts at
+// its RULE line, along with the comment lines just above it, and runs up to
+// the next rule. Lines before the first rule are kept in header.
+function getControlRules(){
+    let controls = {header: [], rules: []};
+    let current = controls.header;
+    let lines = [];
+    if(swmmjs.model.rawSections && swmmjs.model.rawSections['CONTROLS'])
+        lines = swmmjs.model.rawSections['CONTROLS'].lines;
+
+    lines.forEach(line => {
+        let tokens = line.trim().split(/\s+/);
+        if(tokens[0].toUpperCase() === 'RULE'){
+            // Comments just above the RULE line describe the rule, but
+            // column headers (;;) do not.
+            let comments = [];
+            while(current.length && /^\s*;(?!;)/.test(current[current.length-1]))
+                comments.unshift(current.pop());
+            current = comments.concat([line]);
+            controls.rules.push({name: tokens[1] || '', lines: current});
+        } else {
+            current.push(line);
+        }
+    })
+
+    // Blank lines between rules are added back when the rules are joined.
+    let trimLines = function(l){
+        while(l.length && l[l.length-1].trim() === '') l.pop();
+    }
+    trimLines(controls.header);
+    controls.rules.forEach(rule => trimLines(rule.lines));
+    return controls;
+}
+
+// Joins rules back into the lines of a [CONTROLS] section. Returns the lines
+// and the index of each rule's first line.
+function joinControlRules(controls){
+    let lines = controls.header.slice();
+    let starts = [];
+    controls.rules.forEach(rule => {
+        if(lines.length) lines.push('');
+        starts.push(lines.length);
+        lines = lines.concat(rule.lines);
+    })
+    return {lines: lines, starts: starts};
+}
+
+// Replaces the [CONTROLS] section of the model with controls.
+function setControlRules(controls){
+    let lines = joinControlRules(controls).lines;
+    if(!swmmjs.model.rawSections) swmmjs.model.rawSections = {};
+    if(lines.length === 0){
+        delete swmmjs.model.rawSections['CONTROLS'];
+    } else {
+        if(!swmmjs.model.rawSections['CONTROLS'])
+            swmmjs.model.rawSections['CONTROLS'] = {name: 'CONTROLS', lines: []};
+        swmmjs.model.rawSections['CONTROLS'].lines = lines;
+    }
+}
+
+// Checks rules with the engine's rule parser (controls_addRuleClause in
+// controls.js) by opening the project with controls in place of its
+// [CONTROLS] section (see swmmjs.checkInput). Calls done with the errors
+// found, each with the index of its rule (-1 if it isn't in a rule), the
+// index of the line in the rule and the engine's message.
+function checkControlRules(controls, done){
+    let joined = joinControlRules(controls);
+    let saved = swmmjs.model.rawSections ? swmmjs.model.rawSections['CONTROLS'] : undefined;
+    let inp, sectionLine;
+
+    setControlRules(controls);
+    inp = swmmjs.svg.dataToInpString();
+    if(saved) swmmjs.model.rawSections['CONTROLS'] = saved;
+    else delete swmmjs.model.rawSections['CONTROLS'];
+
+    // Line number of the [CONTROLS] header in inp.
+    sectionLine = inp.split('\n').findIndex(line => /^\[CONTROLS\]/i.test(line)) + 1;
+
+    swmmjs.checkInput(inp, function(text, exception){
+        let errors = [];
+        if(exception) errors.push({rule: -1, line: -1, message: exception});
+
+        // Input errors are written as (see report_writeInputErrorMsg)
+        //   ERROR 209: undefined object CX at line 88 of [CONTROL] section:
+        text.split('\n').forEach(line => {
+            let m = line.match(/^\s*(ERROR \d+: .*?)\s*(?:at line (\d+) of \[(\w+)\] section:)?\s*$/);
+            if(!m) return;
+            let error = {rule: -1, line: -1, message: m[1]};
+            if(m[2] && m[3].toUpperCase() === 'CONTROL' && sectionLine > 0){
+                let index = parseInt(m[2]) - sectionLine - 1;
+                for(let r = joined.starts.length - 1; r >= 0; r--){
+                    if(index >= joined.starts[r]){
+                        error.rule = r;
+                        error.line = index - joined.starts[r];
+                        break;
+                    }
+                }
+            } else if(m[2]){
+                error.message += ' (line ' + m[2] + ' of [' + m[3] + '] section)';
+            }
+            errors.push(error);
+        })
+        done(errors);
+    });
+}
+
+// Checks controls (see checkControlRules) and shows the errors found if the
+// control rules modal is still editing them.
+function showControlRuleErrors(controls){
+    checkControlRules(controls, function(errors){
+        if(controlsEdit.controls !== controls) return;
+        controlsEdit.errors = errors;
+        populateControls();
+    });
+}
+
+// Returns a name for a new rule that no other rule has.
+function getUniqueControlRuleName(controls){
+    let names = controls.rules.map(rule => rule.name.toUpperCase());
+    let i = controls.rules.length + 1;
+    while(names.indexOf('R' + i) >= 0) i++;
+    return 'R' + i;
+}
+
+// Adds an empty rule to the model and returns its name.
+function addControlRule(){
+    let controls = getControlRules();
+    let name = getUniqueControlRuleName(controls);
+    controls.rules.push({name: name, lines: ['RULE ' + name, 'IF ', 'THEN ', 'PRIORITY 1']});
+    setControlRules(controls);
+    return name;
+}
+
+var modalEditControls = function(id){
+    controlsEdit.controls = getControlRules();
+    controlsEdit.selected = controlsEdit.controls.rules.findIndex(rule => rule.name === id);
+    if(controlsEdit.selected < 0 && controlsEdit.controls.rules.length > 0) controlsEdit.selected = 0;
+    controlsEdit.errors = [];
+    populateControls();
+    showControlRuleErrors(controlsEdit.controls);
+    // Show the modal.
+    $('#modalControls').modal('toggle');
+}
+
+// Fills the control rules modal with the list of rules, the selected rule's
+// text, its highlighted text with the errors from the last check, and
+// pickers for object IDs and attributes.
+function populateControls(){
+    let parent = $('#modalControls .modal-body');
+    let controls = controlsEdit.controls;
+    let rule = controls.rules[controlsEdit.selected];
+    parent.empty();
+
+    // Rule list. Rules with errors are flagged.
+    let list = $('<select size="8" class="form-control" id="controls-rulelist"></select>');
+    controls.rules.forEach((r, i) => {
+        let option = $('<option></option>').val(i).text(r.name);
+        if(controlsEdit.errors.some(e => e.rule === i)){
+            option.text(r.name + ' (errors)');
+            option.addClass('text-danger');
+        }
+        list.append(option);
+    })
+    list.val(controlsEdit.selected);
+    list.on('change', function(e){
+        controlsEdit.selected = parseInt(e.target.value);
+        populateControls();
+    });
+    parent.append($('<label for="controls-rulelist">Rules</label>'));
+    parent.append(list);
+
+    let newButton = $('<button type="button" class="btn btn-secondary btn-sm">New</button>');
+    newButton.on('click', function(){
+        let name = getUniqueControlRuleName(controls);
+        controls.rules.push({name: name, lines: ['RULE ' + name, 'IF ', 'THEN ', 'PRIORITY 1']});
+        controlsEdit.selected = controls.rules.length - 1;
+        populateControls();
+    });
+    let deleteButton = $('<button type="button" class="btn btn-secondary btn-sm">Delete</button>');
+    deleteButton.prop('disabled', !rule);
+    deleteButton.on('click', function(){
+        controls.rules.splice(controlsEdit.selected, 1);
+        // Errors of the other rules keep their place in the list.
+        controlsEdit.errors = controlsEdit.errors.filter(e => e.rule !== controlsEdit.selected);
+        controlsEdit.errors.forEach(e => {if(e.rule > controlsEdit.selected) e.rule--;});
+        controlsEdit.selected = Math.min(controlsEdit.selected, controls.rules.length - 1);
+        populateControls();
+    });
+    parent.append($('<div></div>').append(newButton).append(' ').append(deleteButton));
+
+    // General errors, such as errors in other sections of the input.
+    controlsEdit.errors.filter(e => e.rule < 0).forEach(e => {
+        parent.append($('<p class="text-danger"></p>').text(e.message));
+    })
+
+    if(!rule){
+        parent.append($('<p></p>').text('The project has no control rules.'));
+        return;
+    }
+
+    // Rule text and its highlighted copy.
+    let text = $('<textarea rows="10" class="form-control" id="controls-text" spellcheck="false" style="font-family: monospace;"></textarea>');
+    text.val(rule.lines.join('\n'));
+    let highlight = $('<pre id="controls-highlight"></pre>');
+    let errorList = $('<ul id="controls-errors"></ul>');
+    let showRule = function(){
+        let errors = controlsEdit.errors.filter(e => e.rule === controlsEdit.selected);
+        highlight.empty().append(highlightControlRule(rule.lines, errors));
+        errorList.empty();
+        errors.forEach(e => {
+            errorList.append($('<li class="text-danger"></li>').text(
+                (e.line >= 0 ? 'Line ' + (e.line + 1) + ': ' : '') + e.message));
+        })
+    }
+    text.on('input', function(e){
+        rule.lines = e.target.value.split('\n');
+        let ruleLine = rule.lines.find(line => line.trim().split(/\s+/)[0].toUpperCase() === 'RULE');
+        rule.name = ruleLine ? (ruleLine.trim().split(/\s+/)[1] || '') : '';
+        // The last check's errors no longer match the text.
+        controlsEdit.errors = controlsEdit.errors.filter(err => err.rule !== controlsEdit.selected);
+        list.find('option[value="' + controlsEdit.selected + '"]').text(rule.name).removeClass('text-danger');
+        showRule();
+    });
+    parent.append($('<label for="controls-text">Rule</label>'));
+    parent.append(text);
+    parent.append(highlight);
+    parent.append(errorList);
+    showRule();
+
+    // Pickers for an object type, its ID and attribute, which are inserted
+    // into the rule at the cursor.
+    let objectType = $('<select class="form-control" id="controls-objecttype"></select>');
+    let objectId = $('<select class="form-control" id="controls-objectid"></select>');
+    let attribute = $('<select class="form-control" id="controls-attribute"></select>');
+    Object.keys(controlAttributes).forEach(type => objectType.append($('<option></option>').val(type).text(type)));
+    let fillPickers = function(){
+        let type = objectType.val();
+        objectId.empty();
+        controlObjectSections[type].forEach(section => {
+            if(typeof swmmjs.model[section] === 'undefined') return;
+            Object.keys(swmmjs.model[section]).forEach(id => objectId.append($('<option></option>').val(id).text(id)));
+        })
+        objectId.prop('disabled', type === 'SIMULATION');
+        attribute.empty();
+        controlAttributes[type].forEach(a => attribute.append($('<option></option>').val(a).text(a)));
+    }
+    objectType.on('change', fillPickers);
+    fillPickers();
+
+    let insertButton = $('<button type="button" class="btn btn-secondary btn-sm">Insert</button>');
+    insertButton.on('click', function(){
+        let el = document.getElementById('controls-text');
+        let words = [objectType.val()];
+        if(objectType.val() !== 'SIMULATION') words.push(objectId.val());
+        words.push(attribute.val());
+        let insert = words.join(' ');
+        let start = el.selectionStart;
+        el.value = el.value.slice(0, start) + insert + el.value.slice(el.selectionEnd);
+        el.selectionStart = el.selectionEnd = start + insert.length;
+        $(el).trigger('input');
+        el.focus();
+    });
+    parent.append($('<label for="controls-objecttype">Object</label>'));
+    parent.append($('<div class="form-inline"></div>').append(objectType).append(objectId).append(attribute).append(insertButton));
+
+    // Check runs every rule through the engine; Save also puts the rules
+    // into the model.
+    let checkButton = $('<button type="button" class="btn btn-secondary">Check</button>');
+    checkButton.on('click', function(){
+        showControlRuleErrors(controls);
+    });
+    let saveButton = $('<button type="button" class="btn btn-primary" id="save-modal-controls">Save</button>');
+    saveButton.on('click', function(){
+        setControlRules(controls);
+        showControlRuleErrors(controls);
+        // Refresh the list of rules in the project menu.
+        if($('#subselectcaption').text() === 'Control Rules') $('#pmControls').click();
+    });
+    parent.append($('<div></div>').append(checkButton).append(' ').append(saveButton));
+}
+
+// Returns the lines of a rule as elements with the rule keywords, object
+// types, attributes, operators and comments highlighted. Lines with errors
+// are marked and show the error when hovered over.
+function highlightControlRule(lines, errors){
+    return lines.map((line, i) => {
+        let div = $('<div></div>');
+        let comment = line.indexOf(';');
+        let code = comment >= 0 ? line.slice(0, comment) : line;
+        code.split(/(\s+)/).forEach(token => {
+            let word = token.toUpperCase();
+            let cls = '';
+            if(RuleKeyWords.indexOf(word) >= 0) cls = 'font-weight-bold text-primary';
+            else if(ObjectWords.indexOf(word) >= 0) cls = 'text-success';
+            else if(AttribWords.indexOf(word) >= 0) cls = 'text-info';
+            else if(RelOpWords.indexOf(token) >= 0) cls = 'font-weight-bold';
+            if(cls) div.append($('<span></span>').addClass(cls).text(token));
+            else div.append(document.createTextNode(token));
+        })
+        if(comment >= 0) div.append($('<span class="text-muted"></span>').text(line.slice(comment)));
+        // Keep empty lines the height of a line.
+        if(line.length === 0) div.append('&nbsp;');
+        let lineErrors = errors.filter(e => e.line === i);
+        if(lineErrors.length){
+            div.addClass('table-danger');
+            div.attr('title', lineErrors.map(e => e.message).join('\n'));
+        }
+        return div;
+    })
+}
+
+/////////////////////////////////////////////////////////////
+// Curves Modal 
+/////////////////////////////////////////////////////////////
+
+// Labels of the x and y values of each type of curve (see CurveTypeWords).
+var curveLabels = {
+    STORAGE:   ['Depth', 'Area'],
+    DIVERSION: ['Inflow', 'Outflow'],
+    TIDAL:     ['Hour of Day', 'Stage'],
+    RATING:    ['Head', 'Outflow'],
+    CONTROL:   ['Controller Value', 'Control Setting'],
+    SHAPE:     ['Depth/Full Depth', 'Width/Full Depth'],
+    WEIR:      ['Head', 'Discharge Coefficient'],
+    PUMP1:     ['Volume', 'Flow'],
+    PUMP2:     ['Depth', 'Flow'],
+    PUMP3:     ['Head', 'Flow'],
+    PUMP4:     ['Depth', 'Flow']
+}
+
+// Curve being edited in the curves modal: id is the name the curve is saved
+// under in the model (null for a new curve) and onSave is called with the
+// curve's name when it is saved (see addCurveLinks).
+var curvesEdit = {id: null, onSave: null};
+
+// Curve ID is a unique ID for just CURVES.
+function getUniqueCurveID(){
+    let id = 0;
+    let idList = Object.keys(swmmjs.model['CURVES']);
+
+    // Get the first integer that is not in idList
+    for(let i = 1; id === 0; i++){
+        if(idList.indexOf(i.toString()) === -1){
+            id = i;
+        }
+    }
+
+    return id.toString();
+}
+
+// Checks a curve's points the way the engine does when it opens a project
+// (see table_validate in table.js). Returns an error message, or '' if the
+// points are valid.
+function validateCurvePoints(id, points){
+    if(points.length === 0) return 'The curve has no points.';
+    let bad = points.findIndex(p => isNaN(parseFloat(p.x)) || isNaN(parseFloat(p.y)));
+    if(bad >= 0) return 'Point ' + (bad + 1) + ' is not a pair of numbers.';
+
+    let table = new TTable();
+    table_init(table);
+    points.forEach(p => table_addEntry(table, parseFloat(p.x), parseFloat(p.y)));
+    if(table_validate(table)){
+        // table_validate leaves the x-value that is out of order in x2.
+        return error_getMsg(ERR_CURVE_SEQUENCE).replace('%s', id).trim() +
+            ' X-values must increase: ' + table.x2 + ' is not larger than the value before it.';
+    }
+    return '';
+}
+
+// Changes the curve name oldId to newId in the curve fields of pumps,
+// storage units, outfalls, dividers, outlets, weirs, custom cross sections
+// and LID drains, and in control rule actions that set a curve.
+function changeCurveReferences(oldId, newId){
+    let rename = function(section, field, test){
+        if(typeof swmmjs.model[section] === 'undefined') return;
+        Object.values(swmmjs.model[section]).forEach(obj => {
+            if(obj[field] === oldId && test(obj)) obj[field] = newId;
+        })
+    }
+    rename('PUMPS', 'Curve', obj => true);
+    rename('STORAGE', 'CurveName', obj => obj.Curve === 'TABULAR');
+    rename('OUTFALLS', 'StageData', obj => obj.Type === 'TIDAL');
+    rename('DIVIDERS', 'P1', obj => obj.Type === 'TABULAR');
+    rename('OUTLETS', 'QTable', obj => typeof obj.Type === 'string' && obj.Type.startsWith('TABULAR'));
+    rename('WEIRS', 'CdCurve', obj => true);
+    rename('XSECTIONS', 'Geom2', obj => obj.Shape.toUpperCase() === 'CUSTOM');
+
+    // A drain layer's control curve is its 7th parameter (see readDrainData in lid.js).
+    Object.values(swmmjs.model['LID_CONTROLS'] || []).forEach(lid => {
+        let drain = lid.Layers ? lid.Layers.DRAIN : undefined;
+        if(drain && drain[6] === oldId) drain[6] = newId;
+    })
+
+    // Actions are written as (see controls_addRuleClause)
+    //   THEN PUMP P1 SETTING = CURVE C1
+    let controls = swmmjs.model.rawSections ? swmmjs.model.rawSections['CONTROLS'] : undefined;
+    if(controls){
+        controls.lines = controls.lines.map(line => {
+            let m = line.match(/^(\s*(?:THEN|ELSE|AND)\s+\S+\s+\S+\s+SETTING\s*=\s*CURVE\s+)(\S+)(.*)$/i);
+            return (m && m[2] === oldId) ? m[1] + newId + m[3] : line;
+        })
+    }
+}
+
+// Opens the curves modal on the curve named id. If there is no such curve,
+// a new curve of type curveType is started (named id if one is given).
+// onSave is optional; see curvesEdit.
+var modalEditCurves = function(id, curveType, onSave){
+    // Make sure to check if the CURVES object exists.
+    if(typeof swmmjs.model['CURVES'] === 'undefined'){
+        swmmjs.model['CURVES'] = [];
+    }
+
+    let curve = id ? swmmjs.model['CURVES'][id] : undefined;
+    if(curve){
+        curvesEdit.id = id;
+    } else {
+        curvesEdit.id = null;
+        id = id || getUniqueCurveID();
+        curve = {Type: curveType || 'STORAGE', Description: '', Points: []};
+    }
+    curvesEdit.onSave = onSave || null;
+
+    populateCurves(id, curve);
+    // Show the modal.
+    $('#modalCurves').modal('toggle');
+}
+
+// Fills the curves modal with the curve's name, type and description, a
+// grid of its points and a plot of the points that follows the grid.
+function populateCurves(id, curve){
+    let parent = $('#modalCurves .modal-body');
+    parent.empty();
+
+    let name = $('<input type="text" class="form-control" id="curves-name">').val(id);
+    let type = $('<select class="form-control" id="curves-type"></select>');
+    CurveTypeWords.filter(word => word !== null).forEach(word => type.append($('<option></option>').val(word).text(word)));
+    type.val(curve.Type);
+    let description = $('<input type="text" class="form-control" id="curves-description">').val(curve.Description);
+    parent.append($('<label for="curves-name">Curve Name</label>')).append(name);
+    parent.append($('<label for="curves-type">Curve Type</label>')).append(type);
+    parent.append($('<label for="curves-description">Description</label>')).append(description);
+
+    let tableDiv = $('<div id="tableCurves"></div>');
+    // jQuery would make an html element rather than an svg element.
+    let plot = $(document.createElementNS('http://www.w3.org/2000/svg', 'svg')).attr({id: 'curves-plot', width: '100%'});
+    let errors = $('<p class="text-danger" id="curves-errors"></p>');
+    parent.append(tableDiv);
+
+    let table;
+    // Redraws the plot and checks the points whenever they change.
+    let refresh = function(){
+        let points = table.getData();
+        drawCurve(plot[0], points, type.val());
+        errors.text(validateCurvePoints(name.val(), points));
+    }
+    let columns = function(){
+        let labels = curveLabels[type.val()] || ['X-Value', 'Y-Value'];
+        return [{title: labels[0], field: 'x', editor: 'number', headerSort: false},
+                {title: labels[1], field: 'y', editor: 'number', headerSort: false}];
+    }
+    table = new Tabulator(tableDiv[0], {
+        data: curve.Points.map(p => ({x: p.x, y: p.y})),
+        selectable: true,
+        clipboard: true,
+        layout: 'fitColumns',
+        columns: columns(),
+        dataChanged: refresh,
+    });
+
+    let addRow = $('<button type="button" class="btn btn-secondary btn-sm">Add Point</button>');
+    addRow.on('click', function(){
+        // A new point goes after the last one.
+        let data = table.getData();
+        let last = data.length ? parseFloat(data[data.length-1].x) : NaN;
+        table.addRow({x: isNaN(last) ? 0 : last + 1, y: 0}).then(refresh);
+    });
+    let deleteRows = $('<button type="button" class="btn btn-secondary btn-sm">Delete Points</button>');
+    deleteRows.on('click', function(){
+        table.getSelectedRows().forEach(row => row.delete());
+        refresh();
+    });
+    parent.append($('<div></div>').append(addRow).append(' ').append(deleteRows));
+    parent.append(plot);
+    parent.append(errors);
+
+    type.on('change', function(){
+        table.setColumns(columns());
+        refresh();
+    });
+    name.on('input', refresh);
+
+    let saveButton = $('<button type="button" class="btn btn-primary" id="save-modal-curves">Save</button>');
+    saveButton.on('click', function(){
+        saveModalCurves(table);
+    });
+    parent.append(saveButton);
+    refresh();
+}
+
+function saveModalCurves(table){
+    let id = $('#curves-name').val().trim();
+    let points = table.getData();
+    let error = validateCurvePoints(id, points);
+
+    if(id.length === 0 || /\s/.test(id)){
+        error = 'The curve needs a name without spaces.';
+    } else if(id !== curvesEdit.id && typeof swmmjs.model['CURVES'][id] !== 'undefined'){
+        error = 'There is already a curve named ' + id + '.';
+    }
+    // Curves that the engine would reject are not saved.
+    if(error){
+        $('#curves-errors').text(error);
+        return;
+    }
+
+    // If the user has changed the name, objects that use the curve follow it.
+    if(curvesEdit.id !== null && curvesEdit.id !== id){
+        delete swmmjs.model['CURVES'][curvesEdit.id];
+        changeCurveReferences(curvesEdit.id, id);
+    }
+    swmmjs.model['CURVES'][id] = {
+        Type: $('#curves-type').val(),
+        Description: $('#curves-description').val(),
+        Points: points.map(p => ({x: parseFloat(p.x), y: parseFloat(p.y)}))
+    };
+    curvesEdit.id = id;
+    if(curvesEdit.onSave) curvesEdit.onSave(id);
+
+    // Refresh the list of curves in the project menu.
+    if($('#subselectcaption').text() === 'Curves') $('#pmCurves').click();
+}
+
+// Draws a curve's points in the svg element el, with axes labeled for the
+// type of curve.
+function drawCurve(el, points, curveType){
+    let width = 400, height = 200;
+    let margin = {top: 10, right: 20, bottom: 40, left: 60};
+    let labels = curveLabels[curveType] || ['X-Value', 'Y-Value'];
+    let data = points.map(p => ({x: parseFloat(p.x), y: parseFloat(p.y)}))
+                     .filter(p => !isNaN(p.x) && !isNaN(p.y));
+    let svg = d3.select(el);
+    svg.selectAll('*').remove();
+    svg.attr('viewBox', `0 0 ${width + margin.left + margin.right} ${height + margin.top + margin.bottom}`);
+
+    // Keep the axes from collapsing when all of the values are the same.
+    let domain = function(values, fromZero){
+        let lo = d3.min(values), hi = d3.max(values);
+        if(values.length === 0) return [0, 1];
+        if(fromZero) lo = Math.min(lo, 0);
+        if(lo === hi) return [lo - 1, hi + 1];
+        return [lo, hi];
+    }
+    let x = d3.scaleLinear().range([0, width]).domain(domain(data.map(d => d.x), false)).nice();
+    let y = d3.scaleLinear().range([height, 0]).domain(domain(data.map(d => d.y), true)).nice();
+
+    let body = svg.append('g').attr('transform', `translate(${margin.left},${margin.top})`);
+    body.append('g').attr('transform', `translate(0,${height})`).call(d3.axisBottom(x).ticks(5));
+    body.append('g').call(d3.axisLeft(y).ticks(5));
+    body.append('text')
+        .attr('x', width / 2)
+        .attr('y', height + margin.bottom - 5)
+        .attr('text-anchor', 'middle')
+        .style('font-size', '12px')
+        .text(labels[0]);
+    body.append('text')
+        .attr('transform', 'rotate(-90)')
+        .attr('x', -height / 2)
+        .attr('y', -margin.left + 15)
+        .attr('text-anchor', 'middle')
+        .style('font-size', '12px')
+        .text(labels[1]);
+
+    // Type 1 and 2 pump curves hold each flow up to the point's volume or
+    // depth, so they are drawn as steps.
+    let line = d3.line()
+        .x(d => x(d.x))
+        .y(d => y(d.y))
+        .curve(curveType === 'PUMP1' || curveType === 'PUMP2' ? d3.curveStepBefore : d3.curveLinear);
+    body.append('path')
+        .datum(data)
+        .attr('d', line)
+        .style('stroke', 'rgba(255, 0, 0, 1)')
+        .style('fill', 'none')
+        .style('stroke-width', 2);
+    body.selectAll('circle')
+        .data(data)
+        .enter()
+        .append('circle')
+        .attr('cx', d => x(d.x))
+        .attr('cy', d => y(d.y))
+        .attr('r', 3)
+        .style('fill', 'red');
+}
+
+// Adds links after an object modal's curve field (anchor) to create a new
+// curve of curveType or edit the curve named by getName(). onSave is called
+// with the curve's name when the curve is saved.
+function addCurveLinks(anchor, curveType, getName, onSave){
+    anchor.siblings('.curve-links').remove();
+    let links = $('<small class="curve-links"></small>');
+    let newLink = $('<a href="#">New curve</a>');
+    newLink.on('click', function(e){
+        e.preventDefault();
+        modalEditCurves(null, curveType, onSave);
+    });
+    let editLink = $('<a href="#">Edit curve</a>');
+    editLink.on('click', function(e){
+        e.preventDefault();
+        modalEditCurves(getName(), curveType, onSave);
+    });
+    links.append(newLink).append(' | ').append(editLink);
+    anchor.after(links);
+}
+
+// Sets the value of an input or select element, adding the value to a
+// select's options if it isn't one of them.
+function setCurveField(field, value){
+    if(field.is('select') && field.find('option').filter((i, o) => o.value === value).length === 0){
+        field.append($('<option></option>').val(value).text(value));
+    }
+    field.val(value);
+}
+
+/////////////////////////////////////////////////////////////
+// Time Patterns Modal 
+/////////////////////////////////////////////////////////////
+
+// Labels of the multipliers of each type of time pattern (see PatternTypeWords).
+var patternHours = Array.from({length: 24}, (v, i) => ((i + 11) % 12 + 1) + (i < 12 ? ' AM' : ' PM'));
+var patternLabels = {
+    MONTHLY: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
+    DAILY:   ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+    HOURLY:  patternHours,
+    WEEKEND: patternHours
+}
+
+// Pattern being edited in the time patterns modal: id is the name the
+// pattern is saved under in the model (null for a new pattern).
+var patternsEdit = {id: null};
+
+// Pattern ID is a unique ID for just PATTERNS.
+function getUniquePatternID(){
+    let id = 0;
+    let idList = Object.keys(swmmjs.model['PATTERNS']);
+
+    // Get the first integer that is not in idList
+    for(let i = 1; id === 0; i++){
+        if(idList.indexOf(i.toString()) === -1){
+            id = i;
+        }
+    }
+
+    return id.toString();
+}
+
+// Returns the multipliers of a pattern of type patternType, with the
+// multipliers the engine would leave at 1.0 filled in (see
+// inflow_initDwfPattern in inflow.js).
+function getPatternFactors(factors, patternType){
+    let n = (patternLabels[patternType] || patternHours).length;
+    return Array.from({length: n}, (v, i) => (i < factors.length ? factors[i] : 1.0));
+}
+
+// Checks a pattern's multipliers. Returns an error message, or '' if the
+// multipliers are valid.
+function validatePatternFactors(factors){
+    let bad = factors.findIndex(f => isNaN(parseFloat(f)));
+    if(bad >= 0) return 'Multiplier ' + (bad + 1) + ' is not a number.';
+    bad = factors.findIndex(f => parseFloat(f) < 0);
+    if(bad >= 0) return 'Multiplier ' + (bad + 1) + ' is negative.';
+    return '';
+}
+
+// Changes the name oldId to newId in the lines of section key that the
+// model doesn't hold (see inp.addRawSections): every line of a section the
+// model doesn't read and the unread lines of one it does. positions are
+// the places in a line's tokens where the name can be.
+function changeRawReferences(key, oldId, newId, positions){
+    let raw = swmmjs.model.rawSections ? swmmjs.model.rawSections[key] : undefined;
+    let rename = function(line){
+        let data = line.split(';')[0];
+        let tokens = [];
+        let m;
+        let re = /"[^"]*"|[^\s]+/g;
+        while((m = re.exec(data)) !== null) tokens.push(m);
+        for(let i = positions.length - 1; i >= 0; i--){
+            let t = tokens[positions[i]];
+            if(t && t[0].replace(/^"(.*)"$/, '$1') === oldId)
+                line = line.slice(0, t.index) + newId + line.slice(t.index + t[0].length);
+        }
+        return line;
+    }
+    if(!raw) return;
+    raw.lines = raw.lines.map(rename);
+    raw.extra = raw.extra.map(rename);
+}
+
+// Changes the pattern name oldId to newId in dry weather inflows, external
+// inflows' baseline patterns, the evaporation recovery pattern and the upper
+// zone evaporation patterns of aquifers.
+function changePatternReferences(oldId, newId){
+    Object.values(swmmjs.model['DWF'] || []).forEach(inflow => {
+        inflow.Patterns = inflow.Patterns.map(p => (p === oldId ? newId : p));
+    })
+    Object.values(swmmjs.model['INFLOWS'] || []).forEach(inflow => {
+        if(inflow.Pattern === oldId) inflow.Pattern = newId;
+    })
+    if(swmmjs.model['EVAPORATION'] && swmmjs.model['EVAPORATION'].recoveryPattern &&
+       swmmjs.model['EVAPORATION'].recoveryPattern.Value === oldId){
+        swmmjs.model['EVAPORATION'].recoveryPattern.Value = newId;
+    }
+
+    // Places of pattern names in the engine's tokens, see
+    // gwater_readAquiferParams, inflow_readExtInflow and inflow_readDwfInflow.
+    changeRawReferences('AQUIFERS', oldId, newId, [13]);
+    changeRawReferences('INFLOWS', oldId, newId, [7]);
+    changeRawReferences('DWF', oldId, newId, [3, 4, 5, 6]);
+}
+
+// Opens the time patterns modal on the pattern named id. If there is no
+// such pattern, a new hourly pattern is started.
+var modalEditTimepattern = function(id){
+    // Make sure to check if the PATTERNS object exists.
+    if(typeof swmmjs.model['PATTERNS'] === 'undefined'){
+        swmmjs.model['PATTERNS'] = [];
+    }
+
+    let pattern = id ? swmmjs.model['PATTERNS'][id] : undefined;
+    if(pattern){
+        patternsEdit.id = id;
+    } else {
+        patternsEdit.id = null;
+        id = id || getUniquePatternID();
+        pattern = {Type: 'HOURLY', Description: '', Factors: []};
+    }
+
+    populateTimepattern(id, pattern);
+    // Show the modal.
+    $('#modalTimepattern').modal('toggle');
+}
+
+// Fills the time patterns modal with the pattern's name, type and
+// description, a grid of its multipliers and a bar chart of the multipliers
+// that follows the grid.
+function populateTimepattern(id, pattern){
+    let parent = $('#modalTimepattern .modal-body');
+    parent.empty();
+
+    let name = $('<input type="text" class="form-control" id="timepattern-name">').val(id);
+    let type = $('<select class="form-control" id="timepattern-type"></select>');
+    PatternTypeWords.filter(word => word !== null).forEach(word => type.append($('<option></option>').val(word).text(word)));
+    type.val(pattern.Type);
+    let description = $('<input type="text" class="form-control" id="timepattern-description">').val(pattern.Description);
+    parent.append($('<label for="timepattern-name">Pattern Name</label>')).append(name);
+    parent.append($('<label for="timepattern-type">Pattern Type</label>')).append(type);
+    parent.append($('<label for="timepattern-description">Description</label>')).append(description);
+
+    let tableDiv = $('<div id="tableTimepattern"></div>');
+    // jQuery would make an html element rather than an svg element.
+    let plot = $(document.createElementNS('http://www.w3.org/2000/svg', 'svg')).attr({id: 'timepattern-plot', width: '100%'});
+    let average = $('<p id="timepattern-average"></p>');
+    let errors = $('<p class="text-danger" id="timepattern-errors"></p>');
+    parent.append(tableDiv);
+
+    let table;
+    // One row for each multiplier of the pattern's type.
+    let rows = function(factors){
+        let labels = patternLabels[type.val()] || patternHours;
+        return getPatternFactors(factors, type.val()).map((f, i) => ({period: labels[i], factor: f}));
+    }
+    // Redraws the chart and checks the multipliers whenever they change.
+    let refresh = function(){
+        let factors = table.getData().map(row => row.factor);
+        let values = factors.map(f => parseFloat(f)).filter(f => !isNaN(f));
+        drawPattern(plot[0], table.getData());
+        average.text(values.length ? 'Average multiplier: ' + (d3.sum(values) / values.length).toFixed(3) : '');
+        errors.text(validatePatternFactors(factors));
+    }
+    table = new Tabulator(tableDiv[0], {
+        data: rows(pattern.Factors),
+        clipboard: true,
+        layout: 'fitColumns',
+        height: '250px',
+        columns: [{title: 'Period', field: 'period', headerSort: false},
+                  {title: 'Multiplier', field: 'factor', editor: 'number', headerSort: false}],
+        dataChanged: refresh,
+    });
+    parent.append(plot);
+    parent.append(average);
+    parent.append(errors);
+
+    // Changing the type keeps the multipliers the types have in common.
+    type.on('change', function(){
+        table.replaceData(rows(table.getData().map(row => row.factor))).then(refresh);
+    });
+
+    let saveButton = $('<button type="button" class="btn btn-primary" id="save-modal-timepattern">Save</button>');
+    saveButton.on('click', function(){
+        saveModalTimepattern(table);
+    });
+    parent.append(saveButton);
+    refresh();
+}
+
+function saveModalTimepattern(table){
+    let id = $('#timepattern-name').val().trim();
+    let factors = table.getData().map(row => row.factor);
+    let error = validatePatternFactors(factors);
+
+    if(id.length === 0 || /\s/.test(id)){
+        error = 'The pattern needs a name without spaces.';
+    } else if(id !== patternsEdit.id && typeof swmmjs.model['PATTERNS'][id] !== 'undefined'){
+        error = 'There is already a pattern named ' + id + '.';
+    }
+    if(error){
+        $('#timepattern-errors').text(error);
+        return;
+    }
+
+    // If the user has changed the name, inflows that use the pattern follow it.
+    if(patternsEdit.id !== null && patternsEdit.id !== id){
+        delete swmmjs.model['PATTERNS'][patternsEdit.id];
+        changePatternReferences(patternsEdit.id, id);
+    }
+    swmmjs.model['PATTERNS'][id] = {
+        Type: $('#timepattern-type').val(),
+        Description: $('#timepattern-description').val(),
+        Factors: factors.map(f => parseFloat(f))
+    };
+    patternsEdit.id = id;
+
+    // Refresh the list of patterns in the project menu.
+    if($('#subselectcaption').text() === 'Time Patterns') $('#pmTimePattern').click();
+}
+
+// Draws a bar for each of a pattern's multipliers (rows of {period, factor})
+// in the svg element el.
+function drawPattern(el, rows){
+    let width = 400, height = 200;
+    let margin = {top: 10, right: 20, bottom: 50, left: 60};
+    let data = rows.map(row => ({period: row.period, factor: parseFloat(row.factor)}));
+    let svg = d3.select(el);
+    svg.selectAll('*').remove();
+    svg.attr('viewBox', `0 0 ${width + margin.left + margin.right} ${height + margin.top + margin.bottom}`);
+
+    let x = d3.scaleBand().range([0, width]).domain(data.map(d => d.period)).padding(0.1);
+    let y = d3.scaleLinear().range([height, 0])
+        .domain([0, Math.max(d3.max(data, d => (isNaN(d.factor) ? 0 : d.factor)) || 0, 1)]).nice();
+
+    let body = svg.append('g').attr('transform', `translate(${margin.left},${margin.top})`);
+    body.append('g')
+        .attr('transform', `translate(0,${height})`)
+        .call(d3.axisBottom(x))
+        .selectAll('text')
+        .attr('transform', 'rotate(-45)')
+        .style('text-anchor', 'end');
+    body.append('g').call(d3.axisLeft(y).ticks(5));
+    body.append('text')
+        .attr('transform', 'rotate(-90)')
+        .attr('x', -height / 2)
+        .attr('y', -margin.left + 15)
+        .attr('text-anchor', 'middle')
+        .style('font-size', '12px')
+        .text('Multiplier');
+
+    body.selectAll('rect')
+        .data(data.filter(d => !isNaN(d.factor)))
+        .enter()
+        .append('rect')
+        .attr('x', d => x(d.period))
+        .attr('y', d => y(Math.max(d.factor, 0)))
+        .attr('width', x.bandwidth())
+        .attr('height', d => height - y(Math.max(d.factor, 0)))
+        .style('fill', 'steelblue');
+
+    // A multiplier of 1 leaves the inflow at its average value.
+    body.append('line')
+        .attr('x1', 0)
+        .attr('x2', width)
+        .attr('y1', y(1))
+        .attr('y2', y(1))
+        .style('stroke', 'red')
+        .style('stroke-dasharray', '4 2');
+}
+
+/////////////////////////////////////////////////////////////
+// Dry Weather Inflow Tab 
+/////////////////////////////////////////////////////////////
+
+// Labels of the four patterns of a dry weather inflow, in the order the
+// engine uses them (see inflow_initDwfInflow in inflow.js).
+var dwfPatternLabels = ['Monthly Pattern', 'Daily Pattern', 'Hourly Pattern', 'Weekend Pattern'];
+
+// Returns the constituents a node can have dry weather inflow of.
+function getDwfConstituents(){
+    return ['FLOW'].concat(Object.keys(swmmjs.model['POLLUTANTS'] || {}));
+}
+
+// Returns the dry weather inflow of constituent to node, or undefined.
+function getNodeDwf(node, constituent){
+    return Object.values(swmmjs.model['DWF'] || []).find(inflow =>
+        inflow.Node === node && inflow.Constituent.toUpperCase() === constituent.toUpperCase());
+}
+
+// Sets the dry weather inflow of constituent to node. A baseline of null
+// removes the inflow.
+function setNodeDwf(node, constituent, baseline, patterns){
+    let inflow = getNodeDwf(node, constituent);
+    if(baseline === null){
+        swmmjs.model['DWF'] = Object.values(swmmjs.model['DWF'] || []).filter(item => item !== inflow);
+        return;
+    }
+    if(!inflow){
+        inflow = {Node: node, Constituent: constituent, Description: ''};
+        if(typeof swmmjs.model['DWF'] === 'undefined') swmmjs.model['DWF'] = [];
+        swmmjs.model['DWF'].push(inflow);
+    }
+    inflow.Baseline = baseline;
+    inflow.Patterns = patterns;
+}
+
+// Changes the node name oldId to newId in dry weather inflows.
+function changeDwfNode(oldId, newId){
+    Object.values(swmmjs.model['DWF'] || []).forEach(inflow => {
+        if(inflow.Node === oldId) inflow.Node = newId;
+    })
+}
+
+// Puts each of an inflow's pattern names in the place of its pattern's type.
+// Names of patterns that aren't in the model keep their place.
+function sortDwfPatterns(patterns){
+    let sorted = ['', '', '', ''];
+    patterns.forEach((name, i) => {
+        let pattern = swmmjs.model['PATTERNS'] ? swmmjs.model['PATTERNS'][name] : undefined;
+        let k = pattern ? PatternTypeWords.indexOf(pattern.Type) : -1;
+        if(name.length === 0) return;
+        sorted[k >= 0 && k < 4 ? k : i] = name;
+    })
+    return sorted;
+}
+
+// Returns the value of a dry weather inflow for each hour of a week in
+// month (0 = January), starting on Sunday. The values come from the engine's
+// inflow_getDwfInflow, which combines the multipliers it gets from
+// inflow_getPatternFactor.
+function getDwfPreview(baseline, patterns, month){
+    let savedPattern = Pattern;
+    let inflow = new TDwfInflow();
+    let values = [];
+
+    // The engine's patterns are replaced by the model's while the values
+    // are found.
+    Pattern = [];
+    try{
+        inflow.avgValue = baseline;
+        patterns.forEach((name, i) => {
+            let pattern = swmmjs.model['PATTERNS'] ? swmmjs.model['PATTERNS'][name] : undefined;
+            let k = pattern ? PatternTypeWords.indexOf(pattern.Type) : -1;
+            inflow.patterns[i] = -1;
+            if(k < 0 || k > 3) return;
+
+            Pattern.push(new TPattern());
+            inflow_initDwfPattern(Pattern.length - 1);
+            Pattern[Pattern.length - 1].type = k;
+            pattern.Factors.slice(0, 24).forEach((f, j) => {
+                Pattern[Pattern.length - 1].factor[j] = f;
+            })
+            inflow.patterns[i] = Pattern.length - 1;
+        })
+
+        ////////////////////////////////////
+        let returnObj = {inflow: inflow}
+        inflow_initDwfInflow(returnObj);
+        ////////////////////////////////////
+        for(let day = 0; day < 7; day++){
+            for(let hour = 0; hour < 24; hour++){
+                values.push(inflow_getDwfInflow(returnObj, month, day, hour));
+            }
+        }
+    } finally {
+        Pattern = savedPattern;
+    }
+    return values;
+}
+
+// Adds a Dry Weather Inflow tab to an object modal (modalId) for the node
+// named node. The modal's own fields are moved into a first tab the first
+// time this is called.
+function addDwfTab(modalId, prefix, node){
+    let body = $('#' + modalId + ' .modal-body');
+    if(body.children('.dwf-tabs').length === 0){
+        let properties = $('<div class="tab-pane fade show active" role="tabpanel"></div>').attr('id', prefix + '-properties-tab');
+        let dwf = $('<div class="tab-pane fade" role="tabpanel"></div>').attr('id', prefix + '-dwf-tab');
+        properties.append(body.children());
+        let tab = function(pane, text, active){
+            return $('<li class="nav-item"></li>').append(
+                $('<a class="nav-link" data-toggle="tab" role="tab"></a>')
+                    .attr('href', '#' + pane.attr('id'))
+                    .toggleClass('active', active)
+                    .text(text));
+        }
+        body.append($('<ul class="nav nav-tabs dwf-tabs" role="tablist"></ul>')
+            .append(tab(properties, 'Properties', true))
+            .append(tab(dwf, 'Dry Weather Inflow', false)));
+        body.append($('<div class="tab-content"></div>').append(properties).append(dwf));
+    }
+    populateDwf($('#' + prefix + '-dwf-tab'), prefix, node);
+}
+
+// Fills a Dry Weather Inflow tab with the baseline and patterns of each of
+// the node's constituents and a 7-day preview of the inflow. Changes are
+// made to the model as they are entered.
+function populateDwf(parent, prefix, node){
+    parent.empty();
+
+    let constituent = $('<select class="form-control"></select>').attr('id', prefix + '-dwf-constituent');
+    getDwfConstituents().forEach(c => constituent.append($('<option></option>').val(c).text(c)));
+    let baseline = $('<input type="text" class="form-control">').attr('id', prefix + '-dwf-baseline');
+    parent.append($('<label>Constituent</label>').attr('for', constituent.attr('id'))).append(constituent);
+    parent.append($('<label>Average Value</label>').attr('for', baseline.attr('id'))).append(baseline);
+
+    // Each pattern list only holds patterns of its type.
+    let patternSelects = dwfPatternLabels.map((label, k) => {
+        let select = $('<select class="form-control"></select>').attr('id', prefix + '-dwf-pattern' + k);
+        select.append($('<option></option>').val('').text(''));
+        Object.keys(swmmjs.model['PATTERNS'] || {}).forEach(name => {
+            if(swmmjs.model['PATTERNS'][name].Type === PatternTypeWords[k])
+                select.append($('<option></option>').val(name).text(name));
+        })
+        parent.append($('<label></label>').attr('for', select.attr('id')).text(label)).append(select);
+        return select;
+    })
+
+    let month = $('<select class="form-control"></select>').attr('id', prefix + '-dwf-month');
+    patternLabels.MONTHLY.forEach((m, i) => month.append($('<option></option>').val(i).text(m)));
+    parent.append($('<label>Preview Month</label>').attr('for', month.attr('id'))).append(month);
+
+    // jQuery would make an html element rather than an svg element.
+    let plot = $(document.createElementNS('http://www.w3.org/2000/svg', 'svg')).attr({id: prefix + '-dwf-plot', width: '100%'});
+    let errors = $('<p class="text-danger"></p>');
+    parent.append(plot);
+    parent.append(errors);
+
+    let refresh = function(){
+        let value = parseFloat(baseline.val());
+        let patterns = patternSelects.map(select => select.val());
+        drawDwfPreview(plot[0], isNaN(value) ? [] : getDwfPreview(value, patterns, parseInt(month.val())));
+    }
+    let load = function(){
+        let inflow = getNodeDwf(node, constituent.val());
+        let patterns = inflow ? sortDwfPatterns(inflow.Patterns) : ['', '', '', ''];
+        baseline.val(inflow ? inflow.Baseline : '');
+        patternSelects.forEach((select, k) => setCurveField(select, patterns[k]));
+        errors.text('');
+        refresh();
+    }
+    // An empty average value removes the constituent's inflow.
+    let save = function(){
+        let text = baseline.val().trim();
+        if(text.length > 0 && isNaN(parseFloat(text))){
+            errors.text('The average value must be a number.');
+            return;
+        }
+        errors.text('');
+        setNodeDwf(node, constituent.val(), text.length > 0 ? parseFloat(text) : null,
+                   patternSelects.map(select => select.val()));
+        refresh();
+    }
+
+    constituent.on('change', load);
+    baseline.on('change', save);
+    patternSelects.forEach(select => select.on('change', save));
+    month.on('change', refresh);
+    load();
+}
+
+// Draws the hourly values of a dry weather inflow over a week (see
+// getDwfPreview) in the svg element el.
+function drawDwfPreview(el, values){
+    let width = 400, height = 200;
+    let margin = {top: 10, right: 20, bottom: 40, left: 60};
+    // Each value holds for its hour, so the last one is drawn to the week's end.
+    let data = values.map((v, i) => ({x: i, y: v}));
+    if(data.length) data.push({x: data.length, y: data[data.length-1].y});
+    let svg = d3.select(el);
+    svg.selectAll('*').remove();
+    svg.attr('viewBox', `0 0 ${width + margin.left + margin.right} ${height + margin.top + margin.bottom}`);
+
+    let x = d3.scaleLinear().range([0, width]).domain([0, 168]);
+    let y = d3.scaleLinear().range([height, 0]).domain([0, Math.max(d3.max(data, d => d.y) || 0, 0) || 1]).nice();
+
+    let body = svg.append('g').attr('transform', `translate(${margin.left},${margin.top})`);
+    body.append('g')
+        .attr('transform', `translate(0,${height})`)
+        .call(d3.axisBottom(x).tickValues(d3.range(0, 168, 24)).tickFormat(h => patternLabels.DAILY[h / 24]));
+    body.append('g').call(d3.axisLeft(y).ticks(5));
+    body.append('text')
+        .attr('x', width / 2)
+        .attr('y', height + margin.bottom - 5)
+        .attr('text-anchor', 'middle')
+        .style('font-size', '12px')
+        .text('Day of Week');
+    body.append('text')
+        .attr('transform', 'rotate(-90)')
+        .attr('x', -height / 2)
+        .attr('y', -margin.left + 15)
+        .attr('text-anchor', 'middle')
+        .style('font-size', '12px')
+        .text('Inflow');
+
+    let line = d3.line()
+        .x(d => x(d.x))
+        .y(d => y(d.y))
+        .curve(d3.curveStepAfter);
+    body.append('path')
+        .datum(data)
+        .attr('d', line)
+        .style('stroke', 'rgba(255, 0, 0, 1)')
+        .style('fill', 'none')
+        .style('stroke-width', 2);
+}
+
+/////////////////////////////////////////////////////////////
+// LID Controls Modal 
+/////////////////////////////////////////////////////////////
+
+// Names of the types of LID controls (see LidTypeWords in lid.js).
+var lidTypeNames = {
+    BC: 'Bio-Retention Cell',
+    RG: 'Rain Garden',
+    GR: 'Green Roof',
+    IT: 'Infiltration Trench',
+    PP: 'Permeable Pavement',
+    RB: 'Rain Barrel',
+    VS: 'Vegetative Swale',
+    RD: 'Rooftop Disconnection'
+}
+
+// Layers that each type of LID control has, in the order they are written.
+var lidTypeLayers = {
+    BC: ['SURFACE', 'SOIL', 'STORAGE', 'DRAIN', 'REMOVALS'],
+    RG: ['SURFACE', 'SOIL'],
+    GR: ['SURFACE', 'SOIL', 'DRAINMAT'],
+    IT: ['SURFACE', 'STORAGE', 'DRAIN', 'REMOVALS'],
+    PP: ['SURFACE', 'PAVEMENT', 'SOIL', 'STORAGE', 'DRAIN', 'REMOVALS'],
+    RB: ['STORAGE', 'DRAIN', 'REMOVALS'],
+    VS: ['SURFACE'],
+    RD: ['SURFACE', 'DRAIN', 'REMOVALS']
+}
+
+// Parameters of each layer, in the order the engine reads them (see
+// readSurfaceData and the other layer readers in lid.js), as
+// [label, US units, SI units, default value].
+var lidLayerFields = {
+    SURFACE:  [['Berm Height', 'in', 'mm', 6], ['Vegetation Volume Fraction', '', '', 0],
+               ['Surface Roughness (Mannings n)', '', '', 0.1], ['Surface Slope', '%', '%', 1],
+               ['Swale Side Slope (run/rise)', '', '', 5]],
+    PAVEMENT: [['Thickness', 'in', 'mm', 6], ['Void Ratio (voids/solids)', '', '', 0.15],
+               ['Impervious Surface Fraction', '', '', 0], ['Permeability', 'in/hr', 'mm/hr', 100],
+               ['Clogging Factor', '', '', 0], ['Regeneration Interval', 'days', 'days', 0],
+               ['Regeneration Fraction', '', '', 0]],
+    SOIL:     [['Thickness', 'in', 'mm', 12], ['Porosity (volume fraction)', '', '', 0.5],
+               ['Field Capacity (volume fraction)', '', '', 0.2], ['Wilting Point (volume fraction)', '', '', 0.1],
+               ['Conductivity', 'in/hr', 'mm/hr', 0.5], ['Conductivity Slope', '', '', 10],
+               ['Suction Head', 'in', 'mm', 3.5]],
+    STORAGE:  [['Thickness', 'in', 'mm', 12], ['Void Ratio (voids/solids)', '', '', 0.75],
+               ['Seepage Rate', 'in/hr', 'mm/hr', 0.5], ['Clogging Factor', '', '', 0]],
+    DRAIN:    [['Flow Coefficient', '', '', 0], ['Flow Exponent', '', '', 0.5],
+               ['Offset', 'in', 'mm', 6], ['Drain Delay', 'hrs', 'hrs', 6],
+               ['Open Level', 'in', 'mm', 0], ['Closed Level', 'in', 'mm', 0]],
+    DRAINMAT: [['Thickness', 'in', 'mm', 3], ['Void Fraction', '', '', 0.5],
+               ['Roughness (Mannings n)', '', '', 0.1]]
+}
+
+// Titles of the layers (see LidLayerWords in lid.js).
+var lidLayerTitles = {
+    SURFACE: 'Surface', PAVEMENT: 'Pavement', SOIL: 'Soil', STORAGE: 'Storage',
+    DRAIN: 'Drain', DRAINMAT: 'Drainage Mat', REMOVALS: 'Pollutant Removals'
+}
+
+// LID control being edited in the LID controls modal: id is the name the
+// control is saved under in the model (null for a new control) and layers
+// holds the parameters of every layer entered so far, so that changing the
+// type doesn't lose them. token changes each time the modal is opened.
+var lidControlsEdit = {id: null, layers: {}, token: 0};
+
+// LID Control ID is a unique ID for just LID_CONTROLS.
+function getUniqueLidControlID(){
+    let id = 0;
+    let idList = Object.keys(swmmjs.model['LID_CONTROLS']);
+
+    // Get the first integer that is not in idList
+    for(let i = 1; id === 0; i++){
+        if(idList.indexOf(i.toString()) === -1){
+            id = i;
+        }
+    }
+
+    return id.toString();
+}
+
+// Returns true if the project's flow units are metric.
+function lidUsesSI(){
+    let units = swmmjs.model['OPTIONS'] && swmmjs.model['OPTIONS']['FLOW_UNITS'] ?
+        swmmjs.model['OPTIONS']['FLOW_UNITS'].Value.toUpperCase() : 'CFS';
+    return ['CFS', 'GPM', 'MGD'].indexOf(units) < 0;
+}
+
+// Returns the parameters of layer with the defaults filled in for any that
+// are missing.
+function getLidLayer(layer, values){
+    if(layer === 'REMOVALS') return (values || []).slice();
+    // The drain's control curve follows its numeric parameters.
+    let n = lidLayerFields[layer].length;
+    let params = lidLayerFields[layer].map((field, i) => (values && i < values.length ? values[i] : field[3]));
+    if(layer === 'DRAIN') params.push(values && values.length > n ? values[n] : '');
+    return params;
+}
+
+// Changes the LID control name oldId to newId in LID usage.
+function changeLidControlReferences(oldId, newId){
+    Object.values(swmmjs.model['LID_USAGE'] || []).forEach(unit => {
+        if(unit.LID === oldId) unit.LID = newId;
+    })
+}
+
+// Checks an LID control the way the engine does when it opens a project:
+// a project with just the control, the pollutants and curves it can refer
+// to, and the project's options is opened, so that the engine reads each
+// layer (lid_readProcParams) and then checks the control (validateLidProc).
+// The project's dates are replaced by ones the engine accepts, since the
+// project isn't run. The project is opened by swmmjs.checkInput. Calls done
+// with a list of {layer, message}; layer is '' if an error isn't about one
+// layer, such as one in the options, pollutants or curves.
+function checkLidControl(id, lid, done){
+    let saved = swmmjs.model['LID_CONTROLS'];
+    let sections, lines;
+
+    swmmjs.model['LID_CONTROLS'] = [];
+    swmmjs.model['LID_CONTROLS'][id] = lid;
+    try {
+        sections = d3.inp().splitSections(swmmjs.svg.dataToInpString().split('\n'));
+    } finally {
+        swmmjs.model['LID_CONTROLS'] = saved;
+    }
+    lines = ['[OPTIONS]', 'START_DATE           01/01/2000', 'END_DATE             01/02/2000'];
+    (sections['OPTIONS'] ? sections['OPTIONS'].lines : []).forEach(line => {
+        let key = line.trim().split(/\s+/)[0].toUpperCase();
+        if(['START_DATE', 'START_TIME', 'END_DATE', 'END_TIME', 'REPORT_START_DATE', 'REPORT_START_TIME'].indexOf(key) < 0)
+            lines.push(line);
+    })
+    lines.push('');
+    ['POLLUTANTS', 'CURVES', 'LID_CONTROLS'].forEach(key => {
+        if(!sections[key]) return;
+        lines.push('[' + key + ']');
+        lines = lines.concat(sections[key].lines);
+        lines.push('');
+    })
+
+    swmmjs.checkInput(lines.join('\n'), function(text, exception){
+        let errors = [];
+        if(exception) errors.push({layer: '', message: exception});
+
+        // Input errors are written as (see report_writeInputErrorMsg)
+        //   ERROR 200: one or more errors in input file at line 12 of [LID_CONTROL] section:
+        // and errors found by validateLidProc name the layer (see ERR_SOIL_LAYER).
+        text.split('\n').forEach(line => {
+            let m = line.match(/^\s*(ERROR (\d+): .*?)\s*(?:at line (\d+) of \[(\w+)\] section:)?\s*$/);
+            let layer = '';
+            if(!m) return;
+            if(m[3] && m[4].toUpperCase() === 'LID_CONTROL'){
+                let toks = (lines[parseInt(m[3]) - 1] || '').trim().split(/\s+/);
+                if(toks.length > 1 && lidLayerTitles[toks[1].toUpperCase()]) layer = toks[1].toUpperCase();
+            } else if(['183', '184', '185'].indexOf(m[2]) >= 0){
+                [['pavement', 'PAVEMENT'], ['soil', 'SOIL'], ['storage', 'STORAGE'],
+                 ['swale surface', 'SURFACE'], ['drain', 'DRAIN']].forEach(word => {
+                    if(layer === '' && m[1].indexOf('check ' + word[0]) >= 0) layer = word[1];
+                })
+                if(layer === '' && m[1].indexOf('drain') >= 0) layer = 'DRAIN';
+            }
+            errors.push({layer: layer, message: m[1]});
+        })
+        done(errors);
+    });
+}
+
+// Opens the LID controls modal on the control named id. If there is no such
+// control, a new bio-retention cell is started.
+var modalEditLidControls = function(id){
+    // Make sure to check if the LID_CONTROLS object exists.
+    if(typeof swmmjs.model['LID_CONTROLS'] === 'undefined'){
+        swmmjs.model['LID_CONTROLS'] = [];
+    }
+
+    let lid = id ? swmmjs.model['LID_CONTROLS'][id] : undefined;
+    if(lid){
+        lidControlsEdit.id = id;
+    } else {
+        lidControlsEdit.id = null;
+        id = id || getUniqueLidControlID();
+        lid = {Type: 'BC', Description: '', Layers: {}};
+    }
+    lidControlsEdit.token++;
+    lidControlsEdit.layers = {};
+    Object.keys(lidLayerTitles).forEach(layer => {
+        lidControlsEdit.layers[layer] = getLidLayer(layer, lid.Layers[layer]);
+    })
+
+    populateLidControls(id, lid);
+    // Show the modal.
+    $('#modalLidControls').modal('toggle');
+}
+
+// Fills the LID controls modal with the control's name, type and description
+// and the parameters of the layers its type has.
+function populateLidControls(id, lid){
+    let parent = $('#modalLidControls .modal-body');
+    parent.empty();
+
+    let name = $('<input type="text" class="form-control" id="lidcontrols-name">').val(id);
+    let type = $('<select class="form-control" id="lidcontrols-type"></select>');
+    LidTypeWords.filter(word => word !== null).forEach(word => type.append($('<option></option>').val(word).text(lidTypeNames[word])));
+    type.val(lid.Type || 'BC');
+    let description = $('<input type="text" class="form-control" id="lidcontrols-description">').val(lid.Description);
+    parent.append($('<label for="lidcontrols-name">Control Name</label>')).append(name);
+    parent.append($('<label for="lidcontrols-type">LID Type</label>')).append(type);
+    parent.append($('<label for="lidcontrols-description">Description</label>')).append(description);
+
+    let layersDiv = $('<div id="lidcontrols-layers"></div>');
+    let errors = $('<p class="text-danger" id="lidcontrols-errors"></p>');
+    parent.append(layersDiv);
+    parent.append(errors);
+
+    type.on('change', function(){
+        populateLidLayers(layersDiv, type.val());
+        errors.text('');
+    });
+    populateLidLayers(layersDiv, type.val());
+
+    let checkButton = $('<button type="button" class="btn btn-secondary" id="check-modal-lidcontrols">Check</button>');
+    checkButton.on('click', function(){
+        checkLidControl(name.val().trim() || id, getEditedLidControl(), showLidErrors);
+    });
+    let saveButton = $('<button type="button" class="btn btn-primary" id="save-modal-lidcontrols">Save</button>');
+    saveButton.on('click', function(){
+        saveModalLidControls();
+    });
+    parent.append(checkButton).append(' ').append(saveButton);
+}
+
+// Fills layersDiv with a group of inputs for each layer of an LID control of
+// type lidType. Inputs are bound to lidControlsEdit.layers.
+function populateLidLayers(layersDiv, lidType){
+    let si = lidUsesSI();
+    layersDiv.empty();
+
+    (lidTypeLayers[lidType] || []).forEach(layer => {
+        let group = $('<fieldset class="lidcontrols-layer"></fieldset>').attr('data-layer', layer);
+        let params = lidControlsEdit.layers[layer];
+        group.append($('<legend></legend>').text(lidLayerTitles[layer]));
+
+        if(layer === 'REMOVALS'){
+            // One % removal for each pollutant; blank for none.
+            Object.keys(swmmjs.model['POLLUTANTS'] || {}).forEach(pollutant => {
+                let i = params.findIndex((v, k) => k % 2 === 0 && v.toUpperCase() === pollutant.toUpperCase());
+                let input = $('<input type="text" class="form-control">').val(i >= 0 ? params[i+1] : '');
+                input.on('change', function(){
+                    let removals = [];
+                    group.find('input').each(function(){
+                        if($(this).val().trim() !== '') removals.push($(this).attr('data-pollutant'), $(this).val().trim());
+                    })
+                    lidControlsEdit.layers.REMOVALS = removals;
+                });
+                input.attr('data-pollutant', pollutant);
+                group.append($('<label></label>').text('% Removal of ' + pollutant)).append(input);
+            })
+            if(group.find('input').length === 0) group.append($('<p></p>').text('The project has no pollutants.'));
+        } else {
+            lidLayerFields[layer].forEach((field, i) => {
+                let units = si ? field[2] : field[1];
+                let input = $('<input type="text" class="form-control">').val(params[i]);
+                input.on('change', function(){
+                    lidControlsEdit.layers[layer][i] = $(this).val().trim();
+                });
+                group.append($('<label></label>').text(field[0] + (units ? ' (' + units + ')' : ''))).append(input);
+            })
+            // The drain flow can be adjusted by a control curve.
+            if(layer === 'DRAIN'){
+                let n = lidLayerFields.DRAIN.length;
+                let curve = $('<select class="form-control"></select>');
+                curve.append($('<option></option>').val('').text(''));
+                Object.keys(swmmjs.model['CURVES'] || {}).forEach(c => {
+                    if(swmmjs.model['CURVES'][c].Type === 'CONTROL') curve.append($('<option></option>').val(c).text(c));
+                })
+                setCurveField(curve, params[n]);
+                curve.on('change', function(){
+                    lidControlsEdit.layers.DRAIN[n] = curve.val();
+                });
+                group.append($('<label>Control Curve</label>')).append(curve);
+            }
+        }
+        group.append($('<p class="text-danger lidcontrols-layer-errors"></p>'));
+        layersDiv.append(group);
+    })
+}
+
+// Returns the LID control as it is in the modal, with just the layers of its
+// type. Pollutant removals are left out if there are none, as is an unused
+// drain control curve.
+function getEditedLidControl(){
+    let lidType = $('#lidcontrols-type').val();
+    let lid = {Type: lidType, Description: $('#lidcontrols-description').val(), Layers: {}};
+    (lidTypeLayers[lidType] || []).forEach(layer => {
+        let params = lidControlsEdit.layers[layer].slice();
+        if(layer === 'REMOVALS' && params.length === 0) return;
+        if(layer === 'DRAIN' && params[params.length-1] === '') params.pop();
+        lid.Layers[layer] = params;
+    })
+    return lid;
+}
+
+// Shows each error under its layer, or under the layers if it isn't about
+// one of them.
+function showLidErrors(errors){
+    $('#lidcontrols-layers .lidcontrols-layer-errors').text('');
+    $('#lidcontrols-errors').text(errors.filter(e => e.layer === '').map(e => e.message).join(' '));
+    errors.filter(e => e.layer !== '').forEach(e => {
+        let p = $('#lidcontrols-layers fieldset[data-layer="' + e.layer + '"] .lidcontrols-layer-errors');
+        if(p.length === 0) p = $('#lidcontrols-errors');
+        p.text((p.text() + ' ' + e.message).trim());
+    })
+}
+
+function saveModalLidControls(){
+    let id = $('#lidcontrols-name').val().trim();
+    let lid = getEditedLidControl();
+    let oldId = lidControlsEdit.id;
+    let token = lidControlsEdit.token;
+
+    if(id.length === 0 || /\s/.test(id)){
+        showLidErrors([{layer: '', message: 'The control needs a name without spaces.'}]);
+        return;
+    } else if(id !== oldId && typeof swmmjs.model['LID_CONTROLS'][id] !== 'undefined'){
+        showLidErrors([{layer: '', message: 'There is already an LID control named ' + id + '.'}]);
+        return;
+    }
+    checkLidControl(id, lid, function(errors){
+        // Controls that the engine would reject are not saved, nor is a
+        // control once the modal has moved on to another one.
+        if(lidControlsEdit.token !== token) return;
+        showLidErrors(errors);
+        if(errors.length) return;
+
+        // If the user has changed the name, subcatchments that use the control follow it.
+        if(oldId !== null && oldId !== id){
+            delete swmmjs.model['LID_CONTROLS'][oldId];
+            changeLidControlReferences(oldId, id);
+        }
+        swmmjs.model['LID_CONTROLS'][id] = lid;
+        lidControlsEdit.id = id;
+
+        // Refresh the list of LID controls in the project menu.
+        if($('#subselectcaption').text() === 'LID Controls') $('#pmLIDControls').click();
+    });
+}
+
+/////////////////////////////////////////////////////////////
+// LID Usage Grid 
+/////////////////////////////////////////////////////////////
+
+// Returns the LID units placed in subcatchment id.
+function getLidUsage(id){
+    return Object.values(swmmjs.model['LID_USAGE'] || []).filter(unit => unit.Subcatchment === id);
+}
+
+// Replaces the LID units placed in subcatchment id with units.
+function setLidUsage(id, units){
+    swmmjs.model['LID_USAGE'] = Object.values(swmmjs.model['LID_USAGE'] || [])
+        .filter(unit => unit.Subcatchment !== id)
+        .concat(units);
+}
+
+// Changes the subcatchment name oldId to newId in LID usage.
+function changeLidUsageSubcatchment(oldId, newId){
+    Object.values(swmmjs.model['LID_USAGE'] || []).forEach(unit => {
+        if(unit.Subcatchment === oldId) unit.Subcatchment = newId;
+    })
+}
+
+// Checks the LID units of subcatchment id the way the engine does (see
+// lid_readGroupParams and validateLidGroup in lid.js). Returns a list of
+// error messages.
+function validateLidUsage(id, units){
+    let errors = [];
+    let subcatch = swmmjs.model['SUBCATCHMENTS'] ? swmmjs.model['SUBCATCHMENTS'][id] : undefined;
+    let totalLidArea = 0.0, fromImperv = 0.0, fromPerv = 0.0;
+    let numbers = ['Number', 'Area', 'Width', 'InitSat', 'FromImp', 'FromPerv'];
+    let percents = ['InitSat', 'FromImp', 'FromPerv'];
+
+    units.forEach((unit, i) => {
+        let row = 'Row ' + (i + 1) + ': ';
+        if(typeof swmmjs.model['LID_CONTROLS'][unit.LID] === 'undefined')
+            errors.push(row + 'there is no LID control named ' + unit.LID + '.');
+        numbers.forEach(field => {
+            if(isNaN(parseFloat(unit[field])) || parseFloat(unit[field]) < 0)
+                errors.push(row + field + ' must be a number that is not negative.');
+        })
+        percents.forEach(field => {
+            if(parseFloat(unit[field]) > 100) errors.push(row + field + ' is a percent and can\'t exceed 100.');
+        })
+        if(unit.DrainTo !== '*' && !(swmmjs.model['SUBCATCHMENTS'] && swmmjs.model['SUBCATCHMENTS'][unit.DrainTo]) &&
+           ['JUNCTIONS', 'OUTFALLS', 'DIVIDERS', 'STORAGE'].every(s => !(swmmjs.model[s] && swmmjs.model[s][unit.DrainTo])))
+            errors.push(row + 'there is no subcatchment or node named ' + unit.DrainTo + '.');
+        if(swmmjs.model['LID_CONTROLS'][unit.LID] && swmmjs.model['LID_CONTROLS'][unit.LID].Type === 'VS' && !(parseFloat(unit.Width) > 0))
+            errors.push(row + error_getMsg(ERR_LID_PARAMS).replace('%s', unit.LID + ERR_SWALE_WIDTH).trim());
+        totalLidArea += parseFloat(unit.Number) * parseFloat(unit.Area);
+        fromImperv += parseFloat(unit.FromImp);
+        fromPerv += parseFloat(unit.FromPerv);
+    })
+
+    // Subcatchment areas are in acres or hectares, LID areas in ft2 or m2.
+    if(subcatch && totalLidArea > 1.001 * parseFloat(subcatch.Area) * (lidUsesSI() ? 10000.0 : 43560.0))
+        errors.push(error_getMsg(ERR_LID_AREAS).replace('%s', id).trim());
+    if(fromImperv > 100.1 || fromPerv > 100.1)
+        errors.push(error_getMsg(ERR_LID_CAPTURE_AREA).replace('%s', id).trim());
+    return errors;
+}
+
+// Adds a grid of the LID units placed in subcatchment id to the
+// subcatchments modal. Changes are made to the model as they are entered,
+// as long as the units are valid.
+function addLidUsageGrid(id){
+    let si = lidUsesSI();
+    let body = $('#modalSubcatchments .modal-body');
+    let parent = body.find('#subcatchments-lids');
+    if(parent.length === 0){
+        parent = $('<div id="subcatchments-lids"></div>');
+        body.append(parent);
+    }
+    parent.empty();
+
+    let tableDiv = $('<div id="tableLidUsage"></div>');
+    let errors = $('<p class="text-danger" id="subcatchments-lid-errors"></p>');
+    parent.append($('<label>LID Controls</label>'));
+    parent.append(tableDiv);
+
+    // The grid shows a blank for the engine's '*' (none).
+    let rows = getLidUsage(id).map(unit => Object.assign({}, unit, {
+        ToPerv: unit.ToPerv > 0,
+        RptFile: unit.RptFile === '*' ? '' : unit.RptFile,
+        DrainTo: unit.DrainTo === '*' ? '' : unit.DrainTo
+    }));
+    let table;
+    let save = function(){
+        let units = table.getData().map(row => ({
+            Subcatchment: id,
+            LID: row.LID,
+            Number: parseInt(row.Number),
+            Area: parseFloat(row.Area),
+            Width: parseFloat(row.Width),
+            InitSat: parseFloat(row.InitSat),
+            FromImp: parseFloat(row.FromImp),
+            ToPerv: row.ToPerv ? 1 : 0,
+            RptFile: (row.RptFile || '').trim() || '*',
+            DrainTo: (row.DrainTo || '').trim() || '*',
+            FromPerv: parseFloat(row.FromPerv),
+            Description: row.Description || ''
+        }));
+        let messages = validateLidUsage(id, units);
+        errors.text(messages.join(' '));
+        if(messages.length === 0) setLidUsage(id, units);
+    }
+    table = new Tabulator(tableDiv[0], {
+        data: rows,
+        selectable: true,
+        layout: 'fitDataStretch',
+        columns: [{title: 'LID Control', field: 'LID', editor: 'select', editorParams: {values: Object.keys(swmmjs.model['LID_CONTROLS'] || {})}, headerSort: false},
+                  {title: 'Number of Units', field: 'Number', editor: 'number', editorParams: {min: 0, step: 1}, headerSort: false},
+                  {title: 'Area of Each Unit (' + (si ? 'm2' : 'ft2') + ')', field: 'Area', editor: 'number', headerSort: false},
+                  {title: 'Surface Width (' + (si ? 'm' : 'ft') + ')', field: 'Width', editor: 'number', headerSort: false},
+                  {title: '% Initially Saturated', field: 'InitSat', editor: 'number', headerSort: false},
+                  {title: '% of Impervious Area Treated', field: 'FromImp', editor: 'number', headerSort: false},
+                  {title: '% of Pervious Area Treated', field: 'FromPerv', editor: 'number', headerSort: false},
+                  {title: 'Send Outflow to Pervious Area', field: 'ToPerv', formatter: 'tickCross', editor: 'tickCross', headerSort: false},
+                  {title: 'Drain Outlet', field: 'DrainTo', editor: 'input', headerSort: false},
+                  {title: 'Detailed Report File', field: 'RptFile', editor: 'input', headerSort: false}],
+        dataChanged: save,
+    });
+
+    let addRow = $('<button type="button" class="btn btn-secondary btn-sm">Add LID</button>');
+    addRow.on('click', function(){
+        let names = Object.keys(swmmjs.model['LID_CONTROLS'] || {});
+        if(names.length === 0){
+            errors.text('Add an LID control to the project first.');
+            return;
+        }
+        table.addRow({LID: names[0], Number: 1, Area: 0, Width: 0, InitSat: 0, FromImp: 0,
+                      FromPerv: 0, ToPerv: false, DrainTo: '', RptFile: ''}).then(save);
+    });
+    let deleteRows = $('<button type="button" class="btn btn-secondary btn-sm">Delete LIDs</button>');
+    deleteRows.on('click', function(){
+        table.getSelectedRows().forEach(row => row.delete());
+        save();
+    });
+    parent.append($('<div></div>').append(addRow).append(' ').append(deleteRows));
+    parent.append(errors);
+}
+
+/////////////////////////////////////////////////////////////
+// Conduits Modal 
+/////////////////////////////////////////////////////////////
+
+var modalEditConduits = function(id){
+    // If the model is not in edit mode, return
+    if(swmmjs.model.clickEffect !== 'edit'){
+        return;
+    }
+
+    // Show the modal.
+    $('#modalConduits').modal('toggle');
+
+    // Retain the original ID for editing purposes.
+    $('#conduits-form-id').val(id);
+
+    // Make sure to check if the CONDUITS object exists.
+    if(typeof swmmjs.model['CONDUITS'] === 'undefined'){
+        swmmjs.model['CONDUITS'] = [];
+    } else {
+        // Get any tags for this object
+        getTag('Link', id.toString(), $('#conduits-tag'))
+
+        $('#conduits-name').val(id)
+        $('#conduits-inletnode').val(swmmjs.model['CONDUITS'][id]['FromNode'])
+        $('#conduits-outletnode').val(swmmjs.model['CONDUITS'][id]['ToNode'])
+        $('#conduits-description').val(swmmjs.model['CONDUITS'][id]['Description'])
+        $('#conduits-shape').val(swmmjs.model['XSECTIONS'][id]['Shape'])
+        $('#conduits-maxdepth').val(swmmjs.model['XSECTIONS'][id]['Geom1'])
+        $('#conduits-length').val(swmmjs.model['CONDUITS'][id]['Length'])
+        $('#conduits-roughness').val(swmmjs.model['CONDUITS'][id]['Roughness'])
+        $('#conduits-inletoffset').val(swmmjs.model['CONDUITS'][id]['InOffset'])
+        $('#conduits-outletoffset').val(swmmjs.model['CONDUITS'][id]['OutOffset'])
+        $('#conduits-initialflow').val(swmmjs.model['CONDUITS'][id]['InitFlow'])
+        $('#conduits-maximumflow').val(swmmjs.model['CONDUITS'][id]['MaxFlow'])
         // If there are no losses for this pipe, create some
         if(typeof swmmjs.model.LOSSES[id] === 'undefined'){
             swmmjs.model.LOSSES[id] = {Kin: 0, Kout: 0, Kavg: 0, FlapGate: 'NO', SeepRate: 0};
@@ -6374,6 +8956,11 @@ var modalEditPumps = function(id){
         $('#pumps-initialstatus').val(swmmjs.model['PUMPS'][id]['Status'])
         $('#pumps-startupdepth').val(swmmjs.model['PUMPS'][id]['Dstart'])
         $('#pumps-shutoffdepth').val(swmmjs.model['PUMPS'][id]['Doff'])
+
+        // The pump curve is saved with the rest of the pump.
+        addCurveLinks($('#pumps-pumpcurve'), 'PUMP1',
+            () => $('#pumps-pumpcurve').val(),
+            name => setCurveField($('#pumps-pumpcurve'), name));
     }
 }
 
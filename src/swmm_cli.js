@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+//-----------------------------------------------------------------------------
+//   swmm_cli.js
+//
+//   Command line runner for the SWMM engine under Node.js, the equivalent
+//   of the swmm5 executable built from main.c:
+//
+//       swmm-js input.inp report.rpt [output.out]
+//
+//   (run as "node src/swmm_cli.js ..." or through a link named swmm-js).
+//
+//   The engine's scripts are browser scripts that share globals, so they
+//   are loaded together into one vm context. Files named in the input's
+//   [FILES] section and rain gage data files are read from and written to
+//   disk in place of the in-memory file store (see MemFiles in macros.js).
+//
+//   The process exits with the SWMM error code (0 if there were no
+//   errors). An exception thrown by the engine is reported as ERROR 401
+//   (general system error). Note that shells only see an exit code
+//   modulo 256.
+//-----------------------------------------------------------------------------
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// --- same scripts, in the same order, as loaded by swmm_worker.js
+const ENGINE_FILES = [
+    // --- these define the objects and constants the others use
+    'consts.js',   'enums.js',    'macros.js',   'text.js',     'keywords.js',
+    'objects.js',  'error.js',    'datetime.js', 'globals.js',
+    // --- engine modules
+    'climate.js',  'controls.js', 'culvert.js',  'dwflow.js',   'dynwave.js',
+    'exfil.js',    'findroot.js', 'flowroute.js','forcmain.js', 'funcs.js',
+    'gage.js',     'gwater.js',   'hash.js',     'hotstart.js', 'iface.js',
+    'infil.js',    'inflow.js',   'input.js',    'inputrpt.js', 'kinwave.js',
+    'landuse.js',  'lid.js',      'lidproc.js',  'link.js',     'massbal.js',
+    'mathexpr.js', 'mempool.js',  'node.js',     'odesolve.js', 'output.js',
+    'project.js',  'qualroute.js','rain.js',     'rdii.js',     'report.js',
+    'roadway.js',  'routing.js',  'runoff.js',   'shape.js',    'snow.js',
+    'stats.js',    'statsrpt.js', 'subcatch.js', 'surfqual.js', 'swmm_raw.js',
+    'table.js',    'toolkit.js',  'toposort.js', 'transect.js', 'treatmnt.js',
+    'xsect.js'
+];
+
+// Loads the engine's scripts into a new vm context and returns the
+// context, whose properties are the engine's globals.
+function loadEngine() {
+    let engine = vm.createContext({
+        console: console,
+        TextEncoder: TextEncoder,
+        TextDecoder: TextDecoder
+    });
+    ENGINE_FILES.forEach(function(file) {
+        let fileName = path.join(__dirname, file);
+        vm.runInContext(fs.readFileSync(fileName, 'utf8'), engine,
+                        {filename: fileName});
+    });
+
+    // --- read files the engine asks for from disk when they aren't in
+    //     the in-memory store, and save the files it writes to disk
+    //     (the engine decodes text files itself; see memfile_readText)
+    engine.memfile_read = function(name) {
+        let buf;
+        if (Object.prototype.hasOwnProperty.call(engine.MemFiles, name))
+            return engine.MemFiles[name];
+        if (!fs.existsSync(name)) return null;
+        buf = fs.readFileSync(name);
+        return buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.length);
+    };
+    engine.memfile_write = function(name, contents) {
+        engine.MemFiles[name] = contents;
+        if (typeof contents === 'string') fs.writeFileSync(name, contents);
+        else fs.writeFileSync(name, new Uint8Array(contents));
+    };
+    return engine;
+}
+
+// Runs a SWMM simulation and writes its report and binary output files.
+// input: engine: context returned by loadEngine
+//        inpFile, rptFile, outFile: names of the input, report and
+//        binary output files (outFile may be undefined)
+// output: returns the SWMM error code
+function runSwmm(engine, inpFile, rptFile, outFile) {
+    let inp;
+    let errorCode;
+
+    // --- the engine is given the input file's text, as in the browser
+    try {
+        inp = fs.readFileSync(inpFile, 'utf8');
+    } catch (e) {
+        console.log(engine.ERR303);
+        return engine.error_getCode(engine.ERR_INP_FILE);
+    }
+    try {
+        errorCode = engine.swmm_run(inp, rptFile, outFile || '');
+    } catch (e) {
+        errorCode = closeAfterException(engine, e);
+    }
+
+    // --- swmm_run leaves the report in Frpt.contents and the binary
+    //     results in Fout.contents (null for a scratch file)
+    if (typeof engine.Frpt.contents === 'string')
+        fs.writeFileSync(rptFile, engine.Frpt.contents);
+    if (outFile && engine.Fout.contents)
+        fs.writeFileSync(outFile, new Uint8Array(engine.Fout.contents));
+    return errorCode;
+}
+
+// Ends a run that the engine stopped by throwing an exception. The run
+// is reported as a general system error (ERROR 401), as swmm5.exe does
+// for a system exception, and the project is closed as far as it can be.
+// input: engine: context returned by loadEngine
+//        e: the exception thrown
+// output: returns the SWMM error code for a system error
+function closeAfterException(engine, e) {
+    console.log('\n' + e);
+    engine.report_writeErrorMsg(engine.ERR_SYSTEM, '');
+    try {
+        if (engine.IsStartedFlag) engine.swmm_end();
+        if (engine.Fout.mode == engine.SCRATCH_FILE) engine.swmm_report();
+        engine.swmm_close();
+    } catch (e2) {
+        // --- whatever was written to the report so far is kept
+    }
+    return engine.error_getCode(engine.ERR_SYSTEM);
+}
+
+function main(argv) {
+    let args = argv.slice(2);
+    let engine;
+    let start;
+    let errorCode;
+    let runTime;
+    let v;
+
+    if (args.length < 2 || args.length > 3) {
+        console.log('\nUsage: swmm-js <input file> <report file> <optional output file>');
+        return 1;
+    }
+
+    start = Date.now();
+    engine = loadEngine();
+    v = engine.swmm_getVersion();
+    console.log('\n... EPA SWMM ' + Math.floor(v / 10000) + '.' +
+        Math.floor(v / 1000) % 10 + ' (Build ' + Math.floor(v / 10000) + '.' +
+        Math.floor(v / 1000) % 10 + '.' + (v % 1000).toString().padStart(3, '0') +
+        ')');
+    errorCode = runSwmm(engine, args[0], args[1], args[2]);
+
+    // --- display closing status on console
+    runTime = (Date.now() - start) / 1000.0;
+    process.stdout.write('\n\n... EPA SWMM completed in ' + runTime.toFixed(2) +
+                         ' seconds.');
+    if (errorCode > 0) console.log(' There are errors.');
+    else if (engine.swmm_getWarnings() > 0) console.log(' There are warnings.');
+    else console.log('');
+    return errorCode;
+}
+
+process.exitCode = main(process.argv);
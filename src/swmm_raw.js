@@ -75,6 +75,7 @@ var  SaveResultsFlag;      // true if output to be saved to binary file
 var  ExceptionCount;       // number of exceptions handled
 var  DoRunoff;             // true if runoff is computed
 var  DoRouting;            // true if flow routing is computed
+var  TempFileCount = 0;    // number of scratch file names issued
 
 //-----------------------------------------------------------------------------
 //  External API functions (prototyped in swmm5.h)
@@ -126,18 +127,24 @@ function  swmm_read_files(f1, f2, f3)
 }
 
 //=============================================================================
-/*
-function  swmm_run(f1, f2, f3)
+////////////////////////////////////
+//swmm_run(inpText, 'report.rpt', 'report.out', function(elapsedTime, fraction){
+//    progressBar.value = fraction;
+//});
+////////////////////////////////////
+function  swmm_run(f1, f2, f3, progress)
 //
 //  Input:   f1 = name of input file
 //           f2 = name of report file
 //           f3 = name of binary output file
+//           progress = optional callback function(elapsedTime, fraction)
+//                      called each new simulation hour with the elapsed
+//                      time (decimal days) and fraction of duration completed
 //  Output:  returns error code
 //  Purpose: runs a SWMM simulation.
 //
 {
     let newHour, oldHour = 0;
-    let theDay, theHour;
     let elapsedTime = 0.0;
 
     // ret facil
@@ -162,7 +169,8 @@ function  swmm_run(f1, f2, f3)
         // --- execute each time step until elapsed time is re-set to 0
         if ( !ErrorCode )
         {
-            writecon("\n o  Simulating day: 0     hour:  0");
+            writecon("\n o  Simulating...");
+            if ( typeof progress === 'function' ) progress(0.0, 0.0);
             do
             {
                 ////////////////////////////////////
@@ -170,20 +178,19 @@ function  swmm_run(f1, f2, f3)
                 returnVal = swmm_step(returnObj)
                 elapsedTime = returnObj.elapsedTime;
                 ////////////////////////////////////
-                //swmm_step(elapsedTime);
-                newHour = (elapsedTime * 24.0);
+
+                // --- report progress once per simulation hour
+                //     (replaces the "Simulating day" console output)
+                newHour = Math.floor(elapsedTime * 24.0);
                 if ( newHour > oldHour )
                 {
-                    theDay = elapsedTime;
-                    theHour = ((elapsedTime - Math.floor(elapsedTime)) * 24.0);
-                    writecon("\b\b\b\b\b\b\b\b\b\b\b\b\b\b");
-                    Msg = `${parseInt(theDay).toString().padEnd(5, ' ')} hour: ${parseInt(theHour).toString().padEnd(2, ' ')}`;        //(5.1.013)
-                    writecon(Msg);
+                    if ( typeof progress === 'function' )
+                        progress(elapsedTime, elapsedTime * MSECperDAY / TotalDuration);
                     oldHour = newHour;
                 }
             } while ( elapsedTime > 0.0 && !ErrorCode );
-            writecon("\b\b\b\b\b\b\b\b\b\b\b\b\b\b\b\b\b\b\b\b\b\b\b\b\b\b\b\b\b\b");
-            writecon("Simulation complete           ");
+            if ( typeof progress === 'function' ) progress(TotalDuration / MSECperDAY, 1.0);
+            writecon("\n o  Simulation complete");
         }
 
         // --- clean up
@@ -196,7 +203,7 @@ function  swmm_run(f1, f2, f3)
     // --- close the system
     swmm_close();
     return error_getCode(ErrorCode);
-}*/
+}
 
 //=============================================================================
 
@@ -362,7 +369,7 @@ function swmm_step(inObj)
 
                 // --- save current average results to binary file
                 //     (which will re-set averages to 0)
-                //output_saveResults(ReportTime);
+                output_saveResults(ReportTime);
 
                 // --- if current time exceeds reporting period then
                 //     start computing averages for next period
@@ -370,7 +377,7 @@ function swmm_step(inObj)
             }
 
             // --- otherwise save interpolated point results
-            else //output_saveResults(ReportTime);
+            else output_saveResults(ReportTime);
 
             // --- advance to next reporting period
             ReportTime = ReportTime + (1000 * ReportStep);
@@ -515,13 +522,14 @@ function swmm_close()
     if ( Fout.file ) output_close();
     if ( IsOpenFlag ) project_close();
     report_writeSysTime();
-    if ( Finp.file != null ) fclose(Finp.file);
-    if ( Frpt.file != null ) fclose(Frpt.file);
-    //if ( Fout.file != null )
-    //{
-    //    fclose(Fout.file);
-    //    if ( Fout.mode == SCRATCH_FILE ) remove(Fout.name);
-    //}
+    if ( Fout.file != null )
+    {
+        // --- keep the binary results in Fout.contents as an ArrayBuffer
+        //     (a scratch file is discarded, as remove() did in C)
+        Fout.contents = bfclose(Fout.file);
+        Fout.file = null;
+        if ( Fout.mode == SCRATCH_FILE ) Fout.contents = null;
+    }
     IsOpenFlag = false;
     IsStartedFlag = false;
     return 0;
@@ -581,6 +589,32 @@ function swmm_getWarnings()
 
 //=============================================================================
 
+function swmm_getSummaryTables()
+//
+//  Input:  none
+//  Output: returns an object whose properties are arrays of records, one
+//          for each row of the report's summary tables.
+//  Purpose: retrieves the summary statistics written to the report file
+//           by swmm_end() in a form that can be sorted or queried.
+{
+    return SummaryTables;
+}
+
+//=============================================================================
+
+function swmm_getContinuity()
+//
+//  Input:  none
+//  Output: returns an object holding the runoff, groundwater, flow routing
+//          and quality routing continuity tables.
+//  Purpose: retrieves the mass balance terms and percent errors computed
+//           by swmm_end() in reporting units.
+{
+    return Continuity;
+}
+
+//=============================================================================
+
 function swmm_getError(errMsg, msgLen)
 //
 //  Input:   errMsg = character array to hold error message text
@@ -664,33 +698,18 @@ function getTempFileName(fname)
 //
 //  Input:   fname = file name string (with max size of MAXFNAME)
 //  Output:  returns pointer to file name
-//  Purpose: creates a temporary file name with path prepended to it.
+//  Purpose: creates a temporary file name.
+//
+//  Note:    scratch files are kept in memory, so the name only needs to
+//           be unique (replaces _tempnam).
 //
 {
-    let name = null;
-    let dir = null;
-
-    // --- set dir to user's choice of a temporary directory
-    if (TempDir.length > 0)
-    {
-        _mkdir(TempDir);
-        dir = TempDir;
-    }
-
-    // --- use _tempnam to get a pointer to an unused file name
-    name = _tempnam(dir, "swmm");
-    if (name == null) return null;
-
-    // --- copy the file name to fname
-    if (name.length < MAXFNAME) strncpy(fname, name, MAXFNAME);
-    else fname = null;
-
-    // --- free the pointer returned by _tempnam
-    name = null;
+    TempFileCount++;
+    fname = "swmm" + TempFileCount.toString() + ".tmp";
+    if (fname.length >= MAXFNAME) fname = null;
 
     // --- return the new contents of fname
     return fname;
-
 }
 
 //=============================================================================
@@ -718,7 +737,7 @@ function getElapsedTime(aDate, inObj)
     }
     else
     {
-        inObj.days = x;
+        inObj.days = Math.floor(x);
         //datetime_decodeTime(x, hrs, mins, secs);
         ////////////////////////////////////
         let returnObj = {h: inObj.hrs, m: inObj.mins, s: secs}
@@ -0,0 +1,229 @@
+//-----------------------------------------------------------------------------
+//   swmm_worker.js
+//
+//   Runs the SWMM engine in a dedicated Web Worker so that a simulation
+//   doesn't block the page. The page creates the worker from this file
+//   (see swmmjs.runWorker in swmm.js), which loads the engine's scripts
+//   from the same folder.
+//
+//   Messages from the page:
+//     {type: 'run', inp: input file text,
+//                   files: optional in-memory files (see MemFiles)}
+//     {type: 'cancel'}  stops the run after the current time step
+//     {type: 'check', id: number the page gives the check, inp: input file
+//                     text, files: optional in-memory files}
+//       opens and closes the project to check its input. A check replaces
+//       the engine state of a run, so the page sends checks to a worker
+//       of their own (see swmmjs.checkInput in swmm.js).
+//
+//   Messages to the page:
+//     {type: 'progress', percent: percent of duration completed,
+//                        elapsedTime: elapsed time (decimal days),
+//                        date: current simulation date & time string}
+//     {type: 'continuity', continuity: see swmm_getContinuity()}
+//     {type: 'checked', id: the check's id,
+//                       report: report file text,
+//                       error: message of an exception thrown by the
+//                              engine or null}
+//     {type: 'done', errorCode: SWMM error code,
+//                    cancelled: true if the run was cancelled,
+//                    report: report file text as an ArrayBuffer (UTF-8),
+//                    output: binary output file ArrayBuffer or null,
+//                    summaryTables: see swmm_getSummaryTables(),
+//                    files: the in-memory files after the run}
+//   The report and output buffers are transferred, not copied.
+//-----------------------------------------------------------------------------
+
+importScripts(
+    // --- these define the objects and constants the others use
+    'consts.js',   'enums.js',    'macros.js',   'text.js',     'keywords.js',
+    'objects.js',  'error.js',    'datetime.js', 'globals.js',
+    // --- engine modules
+    'climate.js',  'controls.js', 'culvert.js',  'dwflow.js',   'dynwave.js',
+    'exfil.js',    'findroot.js', 'flowroute.js','forcmain.js', 'funcs.js',
+    'gage.js',     'gwater.js',   'hash.js',     'hotstart.js', 'iface.js',
+    'infil.js',    'inflow.js',   'input.js',    'inputrpt.js', 'kinwave.js',
+    'landuse.js',  'lid.js',      'lidproc.js',  'link.js',     'massbal.js',
+    'mathexpr.js', 'mempool.js',  'node.js',     'odesolve.js', 'output.js',
+    'project.js',  'qualroute.js','rain.js',     'rdii.js',     'report.js',
+    'roadway.js',  'routing.js',  'runoff.js',   'shape.js',    'snow.js',
+    'stats.js',    'statsrpt.js', 'subcatch.js', 'surfqual.js', 'swmm_raw.js',
+    'table.js',    'toolkit.js',  'toposort.js', 'transect.js', 'treatmnt.js',
+    'xsect.js'
+);
+
+// Wall clock time (msec) the engine runs before letting the worker
+// handle messages, such as a cancel request.
+var WORKER_SLICE = 100;
+
+var WorkerRun = {
+    elapsedTime: 0.0,   // elapsed simulation time (decimal days)
+    oldHour: 0,         // last simulation hour reported
+    cancelled: false    // true if the page asked to cancel the run
+};
+
+onmessage = function(e) {
+    let msg = e.data;
+    switch (msg.type) {
+        case 'run':
+            worker_start(msg.inp, msg.files);
+            break;
+        case 'cancel':
+            WorkerRun.cancelled = true;
+            break;
+        case 'check':
+            worker_check(msg.id, msg.inp, msg.files);
+            break;
+    }
+};
+
+// Opens and closes a project to check its input and posts the report.
+// input: id: the check's id, inp: input file text,
+//        files: in-memory files the input may refer to
+function worker_check(id, inp, files) {
+    let report = '';
+    let error = null;
+
+    MemFiles = files || {};
+    IsOpenFlag = false;
+    IsStartedFlag = false;
+    ErrorCode = 0;
+    try {
+        swmm_open(inp, 'check.txt', '');
+        report = Frpt.contents;
+    } catch (e) {
+        console.log(e);
+        error = e.message;
+    }
+    swmm_close();
+    postMessage({type: 'checked', id: id, report: report, error: error});
+}
+
+// Opens and starts a run, then hands the time steps over to worker_steps.
+// input: inp: input file text, files: in-memory files for the run
+function worker_start(inp, files) {
+    MemFiles = files || {};
+    WorkerRun.elapsedTime = 0.0;
+    WorkerRun.oldHour = 0;
+    WorkerRun.cancelled = false;
+
+    // --- same sequence as swmm_run
+    IsOpenFlag = false;
+    IsStartedFlag = false;
+    SaveResultsFlag = true;
+    ErrorCode = 0;
+    try {
+        swmm_open(inp, 'report.txt', 'report.bin');
+        if (!ErrorCode) swmm_start(true);
+    } catch (e) {
+        worker_fail(e);
+        return;
+    }
+    if (ErrorCode) {
+        worker_finish();
+        return;
+    }
+    worker_postProgress();
+    worker_steps();
+}
+
+// Runs time steps for one slice of wall clock time, then lets the worker
+// check for messages before the next slice.
+function worker_steps() {
+    let sliceEnd = Date.now() + WORKER_SLICE;
+    let newHour;
+    let returnObj;
+
+    try {
+        do {
+            if (WorkerRun.cancelled) break;
+
+            ////////////////////////////////////
+            returnObj = {elapsedTime: WorkerRun.elapsedTime}
+            swmm_step(returnObj)
+            WorkerRun.elapsedTime = returnObj.elapsedTime;
+            ////////////////////////////////////
+
+            // --- report progress once per simulation hour
+            newHour = Math.floor(WorkerRun.elapsedTime * 24.0);
+            if (newHour > WorkerRun.oldHour) {
+                worker_postProgress();
+                WorkerRun.oldHour = newHour;
+            }
+            if (WorkerRun.elapsedTime <= 0.0 || ErrorCode) break;
+        } while (Date.now() < sliceEnd);
+    } catch (e) {
+        worker_fail(e);
+        return;
+    }
+
+    if (WorkerRun.cancelled || WorkerRun.elapsedTime <= 0.0 || ErrorCode)
+        worker_finish();
+    else setTimeout(worker_steps, 0);
+}
+
+// Posts the run's percent complete and current simulation date.
+function worker_postProgress() {
+    let theDate = getDateTime(NewRoutingTime);
+    let percent = 100.0;
+
+    if (WorkerRun.elapsedTime > 0.0)
+        percent = 100.0 * WorkerRun.elapsedTime * MSECperDAY / TotalDuration;
+    else if (NewRoutingTime == 0.0) percent = 0.0;
+    postMessage({
+        type: 'progress',
+        percent: Math.min(percent, 100.0),
+        elapsedTime: NewRoutingTime / MSECperDAY,
+        date: datetime_dateToStr(theDate, '') + ' ' +
+              datetime_timeToStr(theDate, '')
+    });
+}
+
+// Ends a run that the engine stopped by throwing an exception. The run is
+// reported as a general system error (ERROR 401), as swmm5.exe does for a
+// system exception, and its results are posted as far as they were written.
+// input: e: the exception thrown
+function worker_fail(e) {
+    console.log(e);
+    report_writeErrorMsg(ERR_SYSTEM, '');
+    worker_finish();
+}
+
+// Ends and closes the run and posts its results back to the page.
+function worker_finish() {
+    let errorCode;
+    let report;
+    let output;
+    let transfer = [];
+
+    try {
+        if (IsStartedFlag) {
+            worker_postProgress();
+            swmm_end();
+            if (!ErrorCode && !WorkerRun.cancelled)
+                postMessage({type: 'continuity', continuity: swmm_getContinuity()});
+        }
+        if (Fout.mode == SCRATCH_FILE) swmm_report();
+        swmm_close();
+    } catch (e) {
+        // --- whatever was written to the report so far is kept
+        console.log(e);
+        if (ErrorCode != ERR_SYSTEM) report_writeErrorMsg(ERR_SYSTEM, '');
+    }
+    errorCode = error_getCode(ErrorCode);
+
+    report = new TextEncoder().encode(Frpt.contents).buffer;
+    transfer.push(report);
+    output = Fout.contents || null;
+    if (output) transfer.push(output);
+    postMessage({
+        type: 'done',
+        errorCode: errorCode,
+        cancelled: WorkerRun.cancelled,
+        report: report,
+        output: output,
+        summaryTables: swmm_getSummaryTables(),
+        files: MemFiles
+    }, transfer);
+    Fout.contents = null;
+}
@@ -44,7 +44,7 @@ var  FMT18  = "at line %ld of %s] section:"                                   //
 var  FMT19  = "\n  Maximum error count exceeded."
 var  FMT20  = "\n\n  Analysis begun on:  {0}"
 var  FMT20a = "  Analysis ended on:  {0}"
-var  FMT21  = "  Total elapsed time: = "
+var  FMT21  = "  Total elapsed time: "
 
 // Warning messages
 var  WARN01 = "WARNING 01: wet weather time step reduced to recording interval for Rain Gage"
@@ -0,0 +1,811 @@
+//-----------------------------------------------------------------------------
+//   toolkit.c
+//
+//   Project:  EPA SWMM5
+//   Version:  5.1
+//   Date:     08/30/16   (Build 5.1.001)
+//   Author:   B. McDonnell (EmNet LLC)
+//             K. Ratliff
+//
+//   Exportable Functions for Project Definition API.
+//
+//   JavaScript port:
+//   - The toolkit's many swmm_getXxxResult/swmm_setXxx functions are
+//     replaced by swmm_getValue, swmm_getPollutValue and swmm_setValue,
+//     which select what is read or changed with a property code.
+//   - All values are in the project's user units (the same units as the
+//     input file and the report).
+//   - swmm_getObjectCounts, swmm_getObjectProps and swmm_getObjectList
+//     describe a project's objects as plain records that refer to other
+//     objects by ID rather than by array index.
+//
+//   Example of a step-wise run that overrides a gage's rainfall and
+//   reads a node's depth:
+//
+//       swmm_open(inp, 'report.txt', 'report.bin');
+//       swmm_start(true);
+//       let returnObj = {elapsedTime: 0.0};
+//       do {
+//           swmm_setValue(swmm_GAGE_RAINFALL, 0, 1.2);
+//           swmm_step(returnObj);
+//           let depthObj = {value: 0.0};
+//           swmm_getValue(swmm_NODE_DEPTH, 3, depthObj);
+//       } while ( returnObj.elapsedTime > 0.0 && !swmm_getError() );
+//       swmm_end();
+//       swmm_report();
+//       swmm_close();
+//-----------------------------------------------------------------------------
+
+//-----------------------------------------------------------------------------
+//  Property codes
+//-----------------------------------------------------------------------------
+//  (codes in the 100s-400s match those of the SWMM 5.2 toolkit; codes of
+//  x50 and above are additions used by this port)
+
+// --- rain gage properties (index = gage index)
+var swmm_GAGE_RAINFALL       = 100;  // total precip. rate (in/hr, mm/hr)   get/set
+
+// --- subcatchment properties (index = subcatchment index)
+var swmm_SUBCATCH_AREA       = 200;  // area (ac, ha)                       get
+var swmm_SUBCATCH_RAINGAGE   = 201;  // index of rain gage                  get
+var swmm_SUBCATCH_RAINFALL   = 202;  // rainfall rate (in/hr, mm/hr)        get
+var swmm_SUBCATCH_EVAP       = 203;  // evaporation rate (in/day, mm/day)   get
+var swmm_SUBCATCH_INFIL      = 204;  // infiltration rate (in/hr, mm/hr)    get
+var swmm_SUBCATCH_RUNOFF     = 205;  // runoff flow rate (flow units)       get
+var swmm_SUBCATCH_BUILDUP    = 250;  // pollutant buildup (lbs, kg)         get (pollut.)
+var swmm_SUBCATCH_QUALITY    = 251;  // runoff concentration (pollut. units) get (pollut.)
+
+// --- node properties (index = node index)
+var swmm_NODE_TYPE           = 300;  // JUNCTION, OUTFALL, STORAGE, DIVIDER get
+var swmm_NODE_ELEV           = 301;  // invert elevation (ft, m)            get
+var swmm_NODE_MAXDEPTH       = 302;  // max. depth (ft, m)                  get
+var swmm_NODE_DEPTH          = 303;  // water depth (ft, m)                 get
+var swmm_NODE_HEAD           = 304;  // hydraulic head (ft, m)              get/set (outfalls)
+var swmm_NODE_VOLUME         = 305;  // stored volume (ft3, m3)             get
+var swmm_NODE_LATFLOW        = 306;  // lateral inflow (flow units)         get/set
+var swmm_NODE_INFLOW         = 307;  // total inflow (flow units)           get
+var swmm_NODE_OVERFLOW       = 308;  // overflow rate (flow units)          get
+var swmm_NODE_QUALITY        = 350;  // concentration (pollut. units)       get (pollut.)
+
+// --- link properties (index = link index)
+var swmm_LINK_TYPE           = 400;  // CONDUIT, PUMP, ORIFICE, WEIR, OUTLET get
+var swmm_LINK_NODE1          = 401;  // index of upstream node              get
+var swmm_LINK_NODE2          = 402;  // index of downstream node            get
+var swmm_LINK_LENGTH         = 403;  // conduit length (ft, m)              get
+var swmm_LINK_SLOPE          = 404;  // conduit slope                       get
+var swmm_LINK_FULLDEPTH      = 405;  // full depth (ft, m)                  get
+var swmm_LINK_FULLFLOW       = 406;  // full flow (flow units)              get
+var swmm_LINK_SETTING        = 407;  // current setting                     get/set (target)
+var swmm_LINK_FLOW           = 410;  // flow rate (flow units)              get
+var swmm_LINK_DEPTH          = 411;  // water depth (ft, m)                 get
+var swmm_LINK_VELOCITY       = 412;  // flow velocity (ft/s, m/s)           get
+var swmm_LINK_TOPWIDTH       = 413;  // top width (ft, m)                   get
+var swmm_LINK_TARGETSETTING  = 450;  // target setting                      get
+var swmm_LINK_QUALITY        = 451;  // concentration (pollut. units)       get (pollut.)
+
+// --- system properties (index is ignored)
+var swmm_STARTDATE           = 0;    // simulation start date/time          get
+var swmm_CURRENTDATE         = 1;    // current date/time                   get
+var swmm_ELAPSEDTIME         = 2;    // elapsed time (decimal days)         get
+var swmm_ROUTESTEP           = 3;    // routing time step (sec)             get
+var swmm_REPORTSTEP          = 5;    // reporting time step (sec)           get
+var swmm_FLOWUNITS           = 8;    // flow units code                     get
+
+//-----------------------------------------------------------------------------
+//  External functions
+//-----------------------------------------------------------------------------
+//  swmm_getValue       (called by API users)
+//  swmm_getPollutValue (called by API users)
+//  swmm_setValue       (called by API users)
+//  swmm_countObjects   (called by API users)
+//  swmm_getObjectCounts (called by API users)
+//  swmm_getObjectIndex (called by API users)
+//  swmm_getObjectId    (called by API users)
+//  swmm_getObjectProps (called by API users)
+//  swmm_getObjectList  (called by API users)
+
+//-----------------------------------------------------------------------------
+//  Local functions
+//-----------------------------------------------------------------------------
+//static int    checkIndex(int property, int index);
+//static double getGageValue(int property, int index);
+//static double getSubcatchValue(int property, int index);
+//static double getNodeValue(int property, int index);
+//static double getLinkValue(int property, int index);
+//static double getSystemValue(int property);
+//static void*  getObjectArray(int type);
+//static object getGageProps(int index);
+//static object getSubcatchProps(int index);
+//static object getNodeProps(int index);
+//static object getLinkProps(int index);
+
+//=============================================================================
+////////////////////////////////////
+//let returnObj = {value: val1}
+//let returnVal = swmm_getValue(property, index, returnObj)
+//val1 = returnObj.value;
+////////////////////////////////////
+function swmm_getValue(property, index, inObj)
+// int DLLEXPORT swmm_getValue(int property, int index, double* value)
+//
+//  Input:   property = property code (see swmm_XXX codes above)
+//           index = index of gage, subcatchment, node or link
+//  Output:  value = property's current value in user's units,
+//           returns an error code
+//  Purpose: retrieves the value of an object's property during a run.
+//
+{
+    let errcode;
+
+    inObj.value = 0.0;
+    errcode = checkIndex(property, index);
+    if ( errcode ) return error_getCode(errcode);
+
+    if      ( property >= 400 ) inObj.value = getLinkValue(property, index);
+    else if ( property >= 300 ) inObj.value = getNodeValue(property, index);
+    else if ( property >= 200 ) inObj.value = getSubcatchValue(property, index);
+    else if ( property >= 100 ) inObj.value = getGageValue(property, index);
+    else                        inObj.value = getSystemValue(property);
+    if ( inObj.value == null ) return error_getCode(ERR_API_OUTBOUNDS);
+    return 0;
+}
+
+//=============================================================================
+////////////////////////////////////
+//let returnObj = {value: val1}
+//let returnVal = swmm_getPollutValue(property, index, p, returnObj)
+//val1 = returnObj.value;
+////////////////////////////////////
+function swmm_getPollutValue(property, index, p, inObj)
+// int DLLEXPORT swmm_getPollutValue(int property, int index, int p,
+//                                   double* value)
+//
+//  Input:   property = swmm_SUBCATCH_BUILDUP, swmm_SUBCATCH_QUALITY,
+//                      swmm_NODE_QUALITY or swmm_LINK_QUALITY
+//           index = index of subcatchment, node or link
+//           p = pollutant index
+//  Output:  value = pollutant's current buildup or concentration,
+//           returns an error code
+//  Purpose: retrieves water quality results for an object during a run.
+//
+{
+    let i;
+    let errcode;
+
+    inObj.value = 0.0;
+    errcode = checkIndex(property, index);
+    if ( errcode ) return error_getCode(errcode);
+    if ( p < 0 || p >= Nobjects[POLLUT] )
+        return error_getCode(ERR_API_POLLUT_INDEX);
+
+    switch ( property )
+    {
+      case swmm_SUBCATCH_BUILDUP:
+        for (i = 0; i < Nobjects[LANDUSE]; i++)
+            inObj.value += Subcatch[index].landFactor[i].buildup[p];
+        break;
+      case swmm_SUBCATCH_QUALITY:
+        inObj.value = Subcatch[index].newQual[p];
+        break;
+      case swmm_NODE_QUALITY:
+        inObj.value = Node[index].newQual[p];
+        break;
+      case swmm_LINK_QUALITY:
+        inObj.value = Link[index].newQual[p];
+        break;
+      default:
+        return error_getCode(ERR_API_WRONG_TYPE);
+    }
+    return 0;
+}
+
+//=============================================================================
+
+function swmm_setValue(property, index, value)
+// int DLLEXPORT swmm_setValue(int property, int index, double value)
+//
+//  Input:   property = swmm_GAGE_RAINFALL, swmm_NODE_LATFLOW,
+//                      swmm_NODE_HEAD or swmm_LINK_SETTING
+//           index = index of gage, node or link
+//           value = new value in user's units
+//  Output:  returns an error code
+//  Purpose: overrides the state of an object during a run.
+//
+//  Notes:   - a gage's rainfall replaces its recorded rainfall for the
+//             rest of the run; gages sharing its time series keep
+//             using the series.
+//           - a node's lateral inflow is added to any other direct
+//             external inflow it has and stays in effect until reset.
+//           - an outfall's head becomes a fixed stage boundary condition.
+//           - a link setting is applied immediately but can be changed
+//             again by a control rule or a pump's on/off depths.
+//
+{
+    let k;
+    let errcode;
+    let inflow;
+
+    errcode = checkIndex(property, index);
+    if ( errcode ) return error_getCode(errcode);
+
+    switch ( property )
+    {
+      case swmm_GAGE_RAINFALL:
+        if ( value < 0.0 ) return error_getCode(ERR_API_OUTBOUNDS);
+        if ( Gage[index].dataSource == RAIN_TSERIES ) releaseCoGages(index);
+        Gage[index].dataSource = RAIN_API;
+        Gage[index].isUsed = TRUE;
+        Gage[index].coGage = -1;
+        Gage[index].externalRain = value;
+        break;
+
+      case swmm_NODE_LATFLOW:
+        // --- find the node's direct flow inflow, creating one if needed
+        inflow = Node[index].extInflow;
+        while ( inflow )
+        {
+            if ( inflow.param == -1 ) break;
+            inflow = inflow.next;
+        }
+        if ( !inflow )
+        {
+            errcode = inflow_setExtInflow(index, -1, FLOW_INFLOW, -1, -1,
+                                          1.0, 0.0, 1.0);
+            if ( errcode ) return error_getCode(errcode);
+            inflow = Node[index].extInflow;
+        }
+        inflow.extIfaceInflow = value;
+        break;
+
+      case swmm_NODE_HEAD:
+        if ( Node[index].type != OUTFALL )
+            return error_getCode(ERR_API_WRONG_TYPE);
+        k = Node[index].subIndex;
+        Outfall[k].type = FIXED_OUTFALL;
+        Outfall[k].fixedStage = value / UCF(LENGTH);
+        break;
+
+      case swmm_LINK_SETTING:
+        if ( value < 0.0 && Link[index].type != CONDUIT ) value = 0.0;
+        if ( value > 1.0 && Link[index].type != PUMP ) value = 1.0;
+        if ( value * Link[index].setting == 0.0 )
+            Link[index].timeLastSet = getDateTime(NewRoutingTime);
+        Link[index].targetSetting = value;
+        link_setSetting(index, 0.0);
+        if ( RptFlags.controls )
+            report_writeControlAction(getDateTime(NewRoutingTime),
+                Link[index].ID, value, "SWMM API");
+        break;
+
+      default:
+        return error_getCode(ERR_API_WRONG_TYPE);
+    }
+    return 0;
+}
+
+//=============================================================================
+////////////////////////////////////
+//let returnObj = {value: val1}
+//let returnVal = swmm_countObjects(type, returnObj)
+//val1 = returnObj.value;
+////////////////////////////////////
+function swmm_countObjects(type, inObj)
+// int DLLEXPORT swmm_countObjects(int type, int* count)
+//
+//  Input:   type = object type (GAGE, SUBCATCH, NODE, etc.)
+//  Output:  count = number of objects of that type,
+//           returns an error code
+//  Purpose: retrieves the number of objects of a given type in a project.
+//
+{
+    inObj.value = 0;
+    if ( !IsOpenFlag ) return error_getCode(ERR_API_INPUTNOTOPEN);
+    if ( type < 0 || type >= MAX_OBJ_TYPES )
+        return error_getCode(ERR_API_OUTBOUNDS);
+    inObj.value = Nobjects[type];
+    return 0;
+}
+
+//=============================================================================
+
+function swmm_getObjectCounts()
+//
+//  Input:   none
+//  Output:  returns an object holding the number of each type of object
+//           in an open project, or null if no project is open
+//  Purpose: counts a project's objects by type and by sub-type.
+//
+{
+    let i;
+    let counts;
+
+    if ( !IsOpenFlag ) return null;
+    counts = {
+        gages:         Nobjects[GAGE],
+        subcatchments: Nobjects[SUBCATCH],
+        nodes:         {total: Nobjects[NODE]},
+        links:         {total: Nobjects[LINK]},
+        pollutants:    Nobjects[POLLUT],
+        landuses:      Nobjects[LANDUSE],
+        patterns:      {total: Nobjects[TIMEPATTERN]},
+        curves:        {total: Nobjects[CURVE]},
+        timeseries:    Nobjects[TSERIES],
+        controls:      Nobjects[CONTROL],
+        transects:     Nobjects[TRANSECT],
+        aquifers:      Nobjects[AQUIFER],
+        unitHydrographs: Nobjects[UNITHYD],
+        snowpacks:     Nobjects[SNOWMELT],
+        shapes:        Nobjects[SHAPE],
+        lidControls:   Nobjects[LID]
+    };
+
+    // --- sub-types are keyed by their input file keywords
+    for (i = 0; i < NodeTypeWords.length; i++) counts.nodes[NodeTypeWords[i]] = 0;
+    for (i = 0; i < LinkTypeWords.length; i++) counts.links[LinkTypeWords[i]] = 0;
+    for (i = 0; PatternTypeWords[i]; i++) counts.patterns[PatternTypeWords[i]] = 0;
+    for (i = 0; CurveTypeWords[i]; i++) counts.curves[CurveTypeWords[i]] = 0;
+    for (i = 0; i < Nobjects[NODE]; i++)
+        counts.nodes[NodeTypeWords[Node[i].type-JUNCTION]]++;
+    for (i = 0; i < Nobjects[LINK]; i++)
+        counts.links[LinkTypeWords[Link[i].type-CONDUIT]]++;
+    for (i = 0; i < Nobjects[TIMEPATTERN]; i++)
+        counts.patterns[PatternTypeWords[Pattern[i].type]]++;
+    for (i = 0; i < Nobjects[CURVE]; i++)
+        counts.curves[CurveTypeWords[Curve[i].curveType]]++;
+    return counts;
+}
+
+//=============================================================================
+////////////////////////////////////
+//let returnObj = {value: val1}
+//let returnVal = swmm_getObjectIndex(type, id, returnObj)
+//val1 = returnObj.value;
+////////////////////////////////////
+function swmm_getObjectIndex(type, id, inObj)
+// int DLLEXPORT swmm_getObjectIndex(int type, char *id, int *errcode)
+//
+//  Input:   type = object type (GAGE, SUBCATCH, NODE, etc.)
+//           id = object's ID name
+//  Output:  value = object's index (or -1 if not found),
+//           returns an error code
+//  Purpose: finds the index of a named object.
+//
+{
+    inObj.value = -1;
+    if ( !IsOpenFlag ) return error_getCode(ERR_API_INPUTNOTOPEN);
+    if ( getObjectArray(type) == null )
+        return error_getCode(ERR_API_OUTBOUNDS);
+    inObj.value = project_findObject(type, id);
+    if ( inObj.value < 0 ) return error_getCode(ERR_API_OBJECT_INDEX);
+    return 0;
+}
+
+//=============================================================================
+////////////////////////////////////
+//let returnObj = {value: val1}
+//let returnVal = swmm_getObjectId(type, index, returnObj)
+//val1 = returnObj.value;
+////////////////////////////////////
+function swmm_getObjectId(type, index, inObj)
+// int DLLEXPORT swmm_getObjectId(int type, int index, char *id)
+//
+//  Input:   type = object type (GAGE, SUBCATCH, NODE, etc.)
+//           index = object's index
+//  Output:  value = object's ID name,
+//           returns an error code
+//  Purpose: finds the ID name of an object given its index.
+//
+{
+    let objects;
+
+    inObj.value = "";
+    if ( !IsOpenFlag ) return error_getCode(ERR_API_INPUTNOTOPEN);
+    objects = getObjectArray(type);
+    if ( objects == null ) return error_getCode(ERR_API_OUTBOUNDS);
+    if ( index < 0 || index >= Nobjects[type] )
+        return error_getCode(ERR_API_OBJECT_INDEX);
+    inObj.value = objects[index].ID;
+    return 0;
+}
+
+//=============================================================================
+
+function swmm_getObjectProps(type, index)
+//
+//  Input:   type = object type (GAGE, SUBCATCH, NODE, etc.)
+//           index = object's index
+//  Output:  returns a record of the object's input properties in user's
+//           units, or null if the project isn't open or the object
+//           doesn't exist
+//  Purpose: describes an object as it was defined in the input file.
+//
+//  Notes:   - objects that a record refers to are named by ID.
+//           - records for pollutants, land uses, patterns, curves and time
+//             series hold only their ID and type; other objects without
+//             a property set below get a record with just their ID.
+//
+{
+    let objects;
+
+    if ( !IsOpenFlag ) return null;
+    objects = getObjectArray(type);
+    if ( objects == null ) return null;
+    if ( index < 0 || index >= Nobjects[type] ) return null;
+
+    switch ( type )
+    {
+      case GAGE:     return getGageProps(index);
+      case SUBCATCH: return getSubcatchProps(index);
+      case NODE:     return getNodeProps(index);
+      case LINK:     return getLinkProps(index);
+      case POLLUT:
+        return {id: Pollut[index].ID, index: index,
+                units: QualUnitsWords[Pollut[index].units]};
+      case TIMEPATTERN:
+        return {id: Pattern[index].ID, index: index,
+                type: PatternTypeWords[Pattern[index].type],
+                factors: Pattern[index].factor.slice(0, Pattern[index].count)};
+      case CURVE:
+        return {id: Curve[index].ID, index: index,
+                type: CurveTypeWords[Curve[index].curveType]};
+    }
+    return {id: objects[index].ID, index: index};
+}
+
+//=============================================================================
+
+function swmm_getObjectList(type)
+//
+//  Input:   type = object type (GAGE, SUBCATCH, NODE, etc.)
+//  Output:  returns an array with a property record for each object of
+//           the given type (empty if there are none)
+//  Purpose: describes all of a project's objects of a given type.
+//
+{
+    let i;
+    let list = [];
+
+    if ( !IsOpenFlag || getObjectArray(type) == null ) return list;
+    for (i = 0; i < Nobjects[type]; i++) list.push(swmm_getObjectProps(type, i));
+    return list;
+}
+
+//=============================================================================
+
+function checkIndex(property, index)
+//
+//  Input:   property = property code
+//           index = object index
+//  Output:  returns an internal error code
+//  Purpose: checks that a simulation is running and that an object
+//           index is valid for the type of object a property applies to.
+//
+{
+    let type;
+
+    if ( !IsOpenFlag ) return ERR_API_INPUTNOTOPEN;
+    if ( !IsStartedFlag ) return ERR_API_SIM_NRUNNING;
+    if ( property < 100 ) return 0;
+    if      ( property < 200 ) type = GAGE;
+    else if ( property < 300 ) type = SUBCATCH;
+    else if ( property < 400 ) type = NODE;
+    else if ( property < 500 ) type = LINK;
+    else return ERR_API_OUTBOUNDS;
+    if ( index < 0 || index >= Nobjects[type] ) return ERR_API_OBJECT_INDEX;
+    return 0;
+}
+
+//=============================================================================
+
+function releaseCoGages(j)
+//
+//  Input:   j = index of a gage about to get its rainfall from the API
+//  Output:  none
+//  Purpose: keeps the gages that share gage j's rainfall time series
+//           reading that series: the first of them takes over j's place
+//           in the series and the others share its rainfall instead.
+//
+{
+    let i;
+    let first = -1;
+
+    for (i = j+1; i < Nobjects[GAGE]; i++)
+    {
+        if ( Gage[i].coGage != j ) continue;
+        if ( first >= 0 )
+        {
+            Gage[i].coGage = first;
+            continue;
+        }
+        first = i;
+        Gage[i].coGage = -1;
+        Gage[i].rainAccum = Gage[j].rainAccum;
+        Gage[i].startDate = Gage[j].startDate;
+        Gage[i].endDate = Gage[j].endDate;
+        Gage[i].nextDate = Gage[j].nextDate;
+        Gage[i].rainfall = Gage[j].rainfall;
+        Gage[i].nextRainfall = Gage[j].nextRainfall;
+        Gage[i].reportRainfall = Gage[j].reportRainfall;
+    }
+}
+
+//=============================================================================
+
+function getGageValue(property, index)
+{
+    let returnObj = {rainfall: 0.0, snowfall: 0.0};
+
+    switch ( property )
+    {
+      case swmm_GAGE_RAINFALL:
+        return gage_getPrecip(index, returnObj) * UCF(RAINFALL);
+    }
+    return null;
+}
+
+//=============================================================================
+
+function getSubcatchValue(property, index)
+{
+    switch ( property )
+    {
+      case swmm_SUBCATCH_AREA:     return Subcatch[index].area * UCF(LANDAREA);
+      case swmm_SUBCATCH_RAINGAGE: return Subcatch[index].gage;
+      case swmm_SUBCATCH_RAINFALL: return Subcatch[index].rainfall * UCF(RAINFALL);
+      case swmm_SUBCATCH_EVAP:     return Subcatch[index].evapLoss * UCF(EVAPRATE);
+      case swmm_SUBCATCH_INFIL:    return Subcatch[index].infilLoss * UCF(RAINFALL);
+      case swmm_SUBCATCH_RUNOFF:   return Subcatch[index].newRunoff * UCF(FLOW);
+    }
+    return null;
+}
+
+//=============================================================================
+
+function getNodeValue(property, index)
+{
+    switch ( property )
+    {
+      case swmm_NODE_TYPE:     return Node[index].type;
+      case swmm_NODE_ELEV:     return Node[index].invertElev * UCF(LENGTH);
+      case swmm_NODE_MAXDEPTH: return Node[index].fullDepth * UCF(LENGTH);
+      case swmm_NODE_DEPTH:    return Node[index].newDepth * UCF(LENGTH);
+      case swmm_NODE_HEAD:     return (Node[index].newDepth +
+                                       Node[index].invertElev) * UCF(LENGTH);
+      case swmm_NODE_VOLUME:   return Node[index].newVolume * UCF(VOLUME);
+      case swmm_NODE_LATFLOW:  return Node[index].newLatFlow * UCF(FLOW);
+      case swmm_NODE_INFLOW:   return Node[index].inflow * UCF(FLOW);
+      case swmm_NODE_OVERFLOW: return Node[index].overflow * UCF(FLOW);
+    }
+    return null;
+}
+
+//=============================================================================
+
+function getLinkValue(property, index)
+{
+    let k = Link[index].subIndex;
+
+    switch ( property )
+    {
+      case swmm_LINK_TYPE:      return Link[index].type;
+      case swmm_LINK_NODE1:     return Link[index].node1;
+      case swmm_LINK_NODE2:     return Link[index].node2;
+      case swmm_LINK_LENGTH:
+        if ( Link[index].type != CONDUIT ) return 0.0;
+        return Conduit[k].length * UCF(LENGTH);
+      case swmm_LINK_SLOPE:
+        if ( Link[index].type != CONDUIT ) return 0.0;
+        return Conduit[k].slope;
+      case swmm_LINK_FULLDEPTH: return Link[index].xsect.yFull * UCF(LENGTH);
+      case swmm_LINK_FULLFLOW:  return Link[index].qFull * UCF(FLOW);
+      case swmm_LINK_SETTING:   return Link[index].setting;
+      case swmm_LINK_FLOW:      return Link[index].newFlow * UCF(FLOW);
+      case swmm_LINK_DEPTH:     return Link[index].newDepth * UCF(LENGTH);
+      case swmm_LINK_VELOCITY:
+        return link_getVelocity(index, Link[index].newFlow,
+                                Link[index].newDepth) * UCF(LENGTH);
+      case swmm_LINK_TOPWIDTH:
+        if ( Link[index].type != CONDUIT ) return 0.0;
+        return xsect_getWofY(Link[index].xsect, Link[index].newDepth) *
+               UCF(LENGTH);
+      case swmm_LINK_TARGETSETTING: return Link[index].targetSetting;
+    }
+    return null;
+}
+
+//=============================================================================
+
+function getSystemValue(property)
+{
+    switch ( property )
+    {
+      case swmm_STARTDATE:   return StartDateTime;
+      case swmm_CURRENTDATE: return getDateTime(NewRoutingTime);
+      case swmm_ELAPSEDTIME: return NewRoutingTime / MSECperDAY;
+      case swmm_ROUTESTEP:   return RouteStep;
+      case swmm_REPORTSTEP:  return ReportStep;
+      case swmm_FLOWUNITS:   return FlowUnits;
+    }
+    return null;
+}
+
+//=============================================================================
+
+function getObjectArray(type)
+//
+//  Input:   type = object type
+//  Output:  returns the array holding objects of that type, or null if the
+//           type is invalid or its objects have no ID names
+//  Purpose: maps an object type code to the engine's array of objects.
+//
+{
+    switch ( type )
+    {
+      case GAGE:        return Gage;
+      case SUBCATCH:    return Subcatch;
+      case NODE:        return Node;
+      case LINK:        return Link;
+      case POLLUT:      return Pollut;
+      case LANDUSE:     return Landuse;
+      case TIMEPATTERN: return Pattern;
+      case CURVE:       return Curve;
+      case TSERIES:     return Tseries;
+      case TRANSECT:    return Transect;
+      case AQUIFER:     return Aquifer;
+      case UNITHYD:     return UnitHyd;
+      case SNOWMELT:    return Snowmelt;
+      case LID:         return LidProcs;
+    }
+    return null;
+}
+
+//=============================================================================
+
+function getGageProps(index)
+{
+    let gage = Gage[index];
+    let props = {
+        id:           gage.ID,
+        index:        index,
+        rainType:     RainTypeWords[gage.rainType],
+        rainInterval: gage.rainInterval,
+        snowFactor:   gage.snowFactor,
+        dataSource:   "API",
+        timeseries:   null,
+        fileName:     null,
+        stationId:    null,
+        rainUnits:    null
+    };
+
+    if ( gage.dataSource == RAIN_TSERIES )
+    {
+        props.dataSource = GageDataWords[RAIN_TSERIES];
+        if ( gage.tSeries >= 0 ) props.timeseries = Tseries[gage.tSeries].ID;
+    }
+    else if ( gage.dataSource == RAIN_FILE )
+    {
+        props.dataSource = GageDataWords[RAIN_FILE];
+        props.fileName = gage.fname;
+        props.stationId = gage.staID;
+        props.rainUnits = RainUnitsWords[gage.rainUnits];
+    }
+    return props;
+}
+
+//=============================================================================
+
+function getSubcatchProps(index)
+{
+    let subcatch = Subcatch[index];
+    let outlet = null;
+
+    if ( subcatch.outNode >= 0 ) outlet = Node[subcatch.outNode].ID;
+    else if ( subcatch.outSubcatch >= 0 )
+        outlet = Subcatch[subcatch.outSubcatch].ID;
+    return {
+        id:            subcatch.ID,
+        index:         index,
+        rainGage:      subcatch.gage >= 0 ? Gage[subcatch.gage].ID : null,
+        outlet:        outlet,
+        area:          subcatch.area * UCF(LANDAREA),
+        width:         subcatch.width * UCF(LENGTH),
+        slope:         subcatch.slope * 100.0,
+        percentImperv: subcatch.fracImperv * 100.0,
+        curbLength:    subcatch.curbLength * UCF(LENGTH)
+    };
+}
+
+//=============================================================================
+
+function getNodeProps(index)
+{
+    let node = Node[index];
+    let props = {
+        id:             node.ID,
+        index:          index,
+        type:           NodeTypeWords[node.type-JUNCTION],
+        invertElev:     node.invertElev * UCF(LENGTH),
+        maxDepth:       node.fullDepth * UCF(LENGTH),
+        initDepth:      node.initDepth * UCF(LENGTH),
+        surchargeDepth: node.surDepth * UCF(LENGTH),
+        pondedArea:     node.pondedArea * UCF(LENGTH) * UCF(LENGTH)
+    };
+
+    if ( node.type == OUTFALL )
+    {
+        props.outfallType = OutfallTypeWords[Outfall[node.subIndex].type];
+        props.flapGate = Outfall[node.subIndex].hasFlapGate ? true : false;
+    }
+    return props;
+}
+
+//=============================================================================
+
+function getLinkProps(index)
+{
+    let link = Link[index];
+    let xsect = link.xsect;
+    let k = link.subIndex;
+    let n1 = link.node1;
+    let n2 = link.node2;
+    let props;
+
+    // --- report nodes in the direction they were entered in, since
+    //     conduits with adverse slope have them swapped when validated
+    if ( link.direction < 0 )
+    {
+        n1 = link.node2;
+        n2 = link.node1;
+    }
+    props = {
+        id:       link.ID,
+        index:    index,
+        type:     LinkTypeWords[link.type-CONDUIT],
+        fromNode: Node[n1].ID,
+        toNode:   Node[n2].ID,
+        offset1:  link.offset1 * UCF(LENGTH),
+        offset2:  link.offset2 * UCF(LENGTH),
+        initFlow: link.q0 * UCF(FLOW),
+        maxFlow:  link.qLimit * UCF(FLOW),
+        xsect:    null
+    };
+
+    // --- pumps and outlets have no cross section
+    if ( link.type != PUMP && link.type != OUTLET )
+    {
+        props.xsect = {
+            shape:      XsectTypeWords[xsect.type],
+            fullDepth:  xsect.yFull * UCF(LENGTH),
+            maxWidth:   xsect.wMax * UCF(LENGTH),
+            fullArea:   xsect.aFull * UCF(LENGTH) * UCF(LENGTH),
+            fullHydRad: xsect.rFull * UCF(LENGTH),
+            curve:      null,
+            transect:   null
+        };
+        if ( xsect.type == CUSTOM ) props.xsect.curve = Curve[xsect.transect].ID;
+        else if ( xsect.type == IRREGULAR )
+            props.xsect.transect = Transect[xsect.transect].ID;
+    }
+
+    switch ( link.type )
+    {
+      case CONDUIT:
+        props.length = Conduit[k].length * UCF(LENGTH);
+        props.roughness = Conduit[k].roughness;
+        props.slope = Conduit[k].slope * 100.0 * link.direction;
+        props.barrels = Conduit[k].barrels;
+        break;
+      case PUMP:
+        props.pumpType = PumpTypeWords[Pump[k].type];
+        props.pumpCurve = Pump[k].pumpCurve >= 0 ?
+                          Curve[Pump[k].pumpCurve].ID : null;
+        break;
+      case ORIFICE:
+        props.orificeType = OrificeTypeWords[Orifice[k].type];
+        break;
+      case WEIR:
+        props.weirType = WeirTypeWords[Weir[k].type];
+        break;
+    }
+    return props;
+}